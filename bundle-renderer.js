@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+
+/**
+ * Renderer bundler
+ * Packs src/renderer.js and the components and shared utils it requires into
+ * a single script, src/renderer.bundle.js, so the window can run without Node
+ * integration.
+ * Only relative CommonJS requires are allowed: anything else would need Node
+ * in the renderer, which is exactly what the bundle is there to avoid
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE_DIR = path.join(__dirname, 'src');
+const ENTRY = path.join(SOURCE_DIR, 'renderer.js');
+const OUTPUT = path.join(SOURCE_DIR, 'renderer.bundle.js');
+
+// A require call, tried only where code (not a comment, string or regex) starts with `require`
+const REQUIRE_PATTERN = /require\(\s*(['"])([^'"\n]+)\1\s*\)/y;
+
+// Keywords after which a `/` starts a regular expression rather than a division
+const REGEX_KEYWORDS = ['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await'];
+
+/**
+ * Check whether a `/` in code starts a regular expression
+ * @param {string} source - Module source
+ * @param {number} index - Position of the `/`
+ * @returns {boolean} True unless the `/` follows a value (a name, number, string or closing bracket)
+ */
+function startsRegex(source, index) {
+  let end = index - 1;
+  while (end >= 0 && /\s/.test(source[end])) end--;
+  if (end < 0) return true;
+
+  if (/[\w$]/.test(source[end])) {
+    let start = end;
+    while (start > 0 && /[\w$]/.test(source[start - 1])) start--;
+    return REGEX_KEYWORDS.includes(source.slice(start, end + 1));
+  }
+  return !/[)\]}'"`]/.test(source[end]);
+}
+
+/**
+ * Find the end of a string, template chunk or regular expression
+ * @param {string} source - Module source
+ * @param {number} index - Position just after the opening delimiter
+ * @param {string} delimiter - Closing delimiter
+ * @returns {number} Position just after the closing delimiter, or of a template's `${`
+ */
+function skipLiteral(source, index, delimiter) {
+  let i = index;
+  let inClass = false; // Inside a regex character class, where `/` does not close
+
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === '\\') {
+      i += 2;
+    } else if (delimiter === '`' && ch === '$' && source[i + 1] === '{') {
+      return i + 2;
+    } else if (delimiter === '/' && (ch === '[' || ch === ']')) {
+      inClass = ch === '[';
+      i++;
+    } else if (ch === delimiter && !inClass) {
+      return i + 1;
+    } else {
+      i++;
+    }
+  }
+  return i;
+}
+
+/**
+ * Find the modules a source file requires
+ * Comments, strings, template text and regular expressions are skipped, so a
+ * `require('x')` mentioned in a doc comment or an error message is not bundled
+ * @param {string} source - Module source
+ * @returns {Array<string>} Required specifiers, in source order
+ */
+function findRequires(source) {
+  const specifiers = [];
+  const braces = []; // One entry per open `{` in code: true when it is a template's `${`
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+    const next = source[i + 1];
+
+    if (ch === '/' && next === '/') {
+      const end = source.indexOf('\n', i);
+      i = end === -1 ? source.length : end;
+    } else if (ch === '/' && next === '*') {
+      const end = source.indexOf('*/', i + 2);
+      i = end === -1 ? source.length : end + 2;
+    } else if (ch === '\'' || ch === '"' || (ch === '/' && startsRegex(source, i))) {
+      i = skipLiteral(source, i + 1, ch);
+    } else if (ch === '`' || (ch === '}' && braces[braces.length - 1] === true)) {
+      if (ch === '}') braces.pop();
+      i = skipLiteral(source, i + 1, '`');
+      if (source.slice(i - 2, i) === '${') braces.push(true);
+    } else if (ch === '{' || ch === '}') {
+      if (ch === '{') braces.push(false);
+      else braces.pop();
+      i++;
+    } else if (ch === 'r' && !/[\w$.]/.test(source[i - 1] || '')) {
+      REQUIRE_PATTERN.lastIndex = i;
+      const match = REQUIRE_PATTERN.exec(source);
+      if (match) specifiers.push(match[2]);
+      i = match ? REQUIRE_PATTERN.lastIndex : i + 1;
+    } else {
+      i++;
+    }
+  }
+
+  return specifiers;
+}
+
+/**
+ * Resolve a relative require to a file
+ * @param {string} from - Requiring file
+ * @param {string} specifier - Required path
+ * @returns {string} Absolute file path
+ */
+function resolveModule(from, specifier) {
+  if (!specifier.startsWith('./') && !specifier.startsWith('../')) {
+    throw new Error(`${path.relative(SOURCE_DIR, from)} requires "${specifier}": the renderer has no Node integration, only relative modules can be bundled`);
+  }
+
+  const base = path.resolve(path.dirname(from), specifier);
+  const candidate = [base, `${base}.js`, path.join(base, 'index.js')].find(file => fs.existsSync(file) && fs.statSync(file).isFile());
+  if (!candidate) {
+    throw new Error(`${path.relative(SOURCE_DIR, from)} requires "${specifier}", which does not exist`);
+  }
+  return candidate;
+}
+
+/**
+ * Collect the entry and every module it requires, transitively
+ * @param {string} entry - Entry file
+ * @returns {Map} Module ID (path relative to src) -> { source, dependencies: specifier -> module ID }
+ */
+function collectModules(entry) {
+  const modules = new Map();
+  const queue = [entry];
+
+  while (queue.length > 0) {
+    const file = queue.shift();
+    const id = path.relative(SOURCE_DIR, file).split(path.sep).join('/');
+    if (modules.has(id)) continue;
+
+    const source = fs.readFileSync(file, 'utf8');
+    const dependencies = {};
+    for (const specifier of findRequires(source)) {
+      const dependency = resolveModule(file, specifier);
+      dependencies[specifier] = path.relative(SOURCE_DIR, dependency).split(path.sep).join('/');
+      queue.push(dependency);
+    }
+
+    modules.set(id, { source, dependencies });
+  }
+
+  return modules;
+}
+
+/**
+ * Build the bundle source
+ * @param {string} entry - Entry file
+ * @returns {string} Script that defines every module and runs the entry
+ */
+function createBundle(entry = ENTRY) {
+  const modules = collectModules(entry);
+  const entryId = path.relative(SOURCE_DIR, entry).split(path.sep).join('/');
+
+  const definitions = Array.from(modules.entries()).map(([id, { source, dependencies }]) => `  ${JSON.stringify(id)}: {
+    dependencies: ${JSON.stringify(dependencies)},
+    factory: function (module, exports, require) {
+${source}
+    }
+  }`);
+
+  return `// Generated by bundle-renderer.js from ${entryId}, do not edit
+(function () {
+  const definitions = {
+${definitions.join(',\n')}
+  };
+  const cache = {};
+
+  function load(id) {
+    if (cache[id]) return cache[id].exports;
+
+    const definition = definitions[id];
+    const module = { exports: {} };
+    cache[id] = module;
+    definition.factory.call(module.exports, module, module.exports, specifier => load(definition.dependencies[specifier]));
+    return module.exports;
+  }
+
+  load(${JSON.stringify(entryId)});
+})();
+`;
+}
+
+if (require.main === module) {
+  try {
+    fs.writeFileSync(OUTPUT, createBundle());
+    console.log(`Bundled renderer into ${path.relative(__dirname, OUTPUT)}`);
+  } catch (error) {
+    console.error(`Renderer bundle failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { createBundle, findRequires };
@@ -7,12 +7,14 @@ import {
 } from '@modelcontextprotocol/sdk/types.js';
 import { ProcessManager } from './process-manager.js';
 import { ServerDetector } from './server-detector.js';
+import { OperationJournal } from './operation-journal.js';
 import type { ServerAction, ServerActionResult, ProcessInfo } from './interfaces.js';
 
 export class ServerManagerMCPServer {
   private server: Server;
   private processManager: ProcessManager;
   private serverDetector: ServerDetector;
+  private journal: OperationJournal;
 
   constructor() {
     this.server = new Server(
@@ -29,6 +31,7 @@ export class ServerManagerMCPServer {
 
     this.processManager = new ProcessManager();
     this.serverDetector = new ServerDetector();
+    this.journal = new OperationJournal();
 
     this.setupHandlers();
   }
@@ -201,7 +204,9 @@ export class ServerManagerMCPServer {
       throw new Error('Valid PID is required');
     }
 
+    const startedAt = Date.now();
     const result = await this.processManager.stopProcess(pid);
+    await this.journal.record(pid, 'stop', startedAt, result);
 
     return {
       content: [
@@ -221,11 +226,13 @@ export class ServerManagerMCPServer {
       throw new Error('Command is required');
     }
 
+    const startedAt = Date.now();
     const result = await this.processManager.startProcess(
       command,
       processArgs,
       cwd ? { cwd } : {}
     );
+    await this.journal.record(0, 'start', startedAt, result);
 
     return {
       content: [
@@ -245,7 +252,9 @@ export class ServerManagerMCPServer {
       throw new Error('Valid PID is required');
     }
 
+    const startedAt = Date.now();
     const result = await this.processManager.restartProcess(pid);
+    await this.journal.record(pid, 'restart', startedAt, result);
 
     return {
       content: [
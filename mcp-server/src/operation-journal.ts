@@ -0,0 +1,76 @@
+import { randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import type { ServerActionResult } from './interfaces.js';
+
+export interface JournalEntry {
+  id: string;
+  timestamp: string;
+  pid: number;
+  operation: string;
+  trigger: 'mcp';
+  success: boolean;
+  message: string;
+  durationMs: number;
+  newPid?: number;
+}
+
+/**
+ * Appends MCP-triggered operations to the desktop app's operation journal,
+ * so its History view shows what an assistant stopped, started or restarted.
+ */
+export class OperationJournal {
+  private journalPath: string;
+
+  constructor(journalPath: string = process.env.SERVER_MANAGER_JOURNAL || OperationJournal.defaultPath()) {
+    this.journalPath = journalPath;
+  }
+
+  /**
+   * Location used by the Electron app: <userData>/operations.jsonl, where the
+   * app pins userData to <appData>/Server Manager in dev and packaged builds.
+   * The app rotates the file once it reaches 1MB; this side only appends.
+   */
+  static defaultPath(): string {
+    const home = os.homedir();
+    let userData: string;
+
+    if (process.platform === 'darwin') {
+      userData = path.join(home, 'Library', 'Application Support', 'Server Manager');
+    } else if (process.platform === 'win32') {
+      userData = path.join(process.env.APPDATA || path.join(home, 'AppData', 'Roaming'), 'Server Manager');
+    } else {
+      userData = path.join(process.env.XDG_CONFIG_HOME || path.join(home, '.config'), 'Server Manager');
+    }
+
+    return path.join(userData, 'operations.jsonl');
+  }
+
+  /**
+   * Record the outcome of an operation. Journal failures never fail the operation itself.
+   */
+  async record(pid: number, operation: string, startedAt: number, result: ServerActionResult): Promise<void> {
+    const entry: JournalEntry = {
+      id: randomUUID(),
+      timestamp: new Date(startedAt).toISOString(),
+      pid,
+      operation,
+      trigger: 'mcp',
+      success: result.success,
+      message: result.error ? `${result.message}: ${result.error}` : result.message,
+      durationMs: Date.now() - startedAt
+    };
+
+    if (result.data && typeof result.data.pid === 'number') {
+      entry.newPid = result.data.pid;
+    }
+
+    try {
+      await fs.mkdir(path.dirname(this.journalPath), { recursive: true });
+      await fs.appendFile(this.journalPath, JSON.stringify(entry) + '\n', 'utf8');
+    } catch (error) {
+      console.error(`Failed to write operation journal ${this.journalPath}:`, error);
+    }
+  }
+}
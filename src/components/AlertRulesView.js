@@ -0,0 +1,307 @@
+/**
+ * Alert Rules Component
+ * Lists resource threshold rules and edits them in place
+ */
+
+const IpcMessages = require('./IpcMessages');
+
+const METRIC_LABELS = { cpu: 'CPU %', rss: 'Memory (MB)' };
+const ACTION_LABELS = { notify: 'Notify only', stop: 'Notify and stop', restart: 'Notify and restart' };
+
+class AlertRulesView {
+  constructor() {
+    this.modal = null;
+    this.rules = [];
+    this.profiles = [];
+    this.editingId = null;
+    this.onChange = null;
+  }
+
+  /**
+   * Open the rules view
+   * @param {Array} profiles - Saved profiles, offered as rule scopes
+   * @param {Function} onChange - Called after a rule is saved or deleted
+   * @returns {Promise<void>}
+   */
+  async open(profiles = [], onChange = null) {
+    this.profiles = profiles;
+    this.onChange = onChange;
+    this.editingId = null;
+
+    if (!this.modal) {
+      this.modal = document.createElement('div');
+      this.modal.id = 'alert-rules-modal';
+      this.modal.className = 'modal alert-rules-modal';
+      document.body.appendChild(this.modal);
+    }
+
+    this.modal.style.display = 'block';
+    await this.load();
+  }
+
+  /**
+   * Close the rules view
+   */
+  close() {
+    if (this.modal) {
+      this.modal.style.display = 'none';
+    }
+  }
+
+  /**
+   * Reload rules and re-render the view
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const result = await window.electronAPI.getAlertRules();
+    this.rules = result.success ? result.data : [];
+    this.render();
+  }
+
+  /**
+   * Render the rule list and the form
+   */
+  render() {
+    const editing = this.rules.find(rule => rule.id === this.editingId) || null;
+    this.modal.innerHTML = this.createTemplate(editing);
+    this.attachEvents();
+  }
+
+  /**
+   * Describe a rule's condition
+   * @param {Object} rule - Alert rule
+   * @returns {string} Description
+   */
+  describeCondition(rule) {
+    const threshold = rule.metric === 'cpu'
+      ? `CPU > ${rule.threshold}%`
+      : `Memory > ${rule.threshold >= 1024 ? `${(rule.threshold / 1024).toFixed(1)} GB` : `${rule.threshold} MB`}`;
+    return rule.duration > 0 ? `${threshold} for ${rule.duration}s` : threshold;
+  }
+
+  /**
+   * Describe which servers a rule applies to
+   * @param {Object} rule - Alert rule
+   * @returns {string} Description
+   */
+  describeScope(rule) {
+    if (rule.scope === 'profile') {
+      const profile = this.profiles.find(item => item.id === rule.scopeValue);
+      return `Profile: ${profile ? profile.name : 'deleted profile'}`;
+    }
+    if (rule.scope === 'command') {
+      return `Command contains "${rule.scopeValue}"`;
+    }
+    return 'All servers';
+  }
+
+  /**
+   * Read the form into rule fields
+   * @param {HTMLFormElement} form - Rule form
+   * @returns {Object} Rule fields
+   */
+  readForm(form) {
+    const scope = form.elements.scope.value;
+    return {
+      id: this.editingId || undefined,
+      name: form.elements.name.value,
+      metric: form.elements.metric.value,
+      threshold: form.elements.threshold.value,
+      duration: form.elements.duration.value,
+      scope,
+      scopeValue: scope === 'profile' ? form.elements.profileId.value : form.elements.commandText.value,
+      action: form.elements.action.value,
+      enabled: form.elements.enabled.checked
+    };
+  }
+
+  /**
+   * Save the form
+   * @param {HTMLFormElement} form - Rule form
+   * @returns {Promise<void>}
+   */
+  async save(form) {
+    const result = await window.electronAPI.saveAlertRule(this.readForm(form));
+    const error = this.modal.querySelector('#alert-rule-error');
+
+    if (!result.success) {
+      error.textContent = IpcMessages.describe(result);
+      error.style.display = 'block';
+      return;
+    }
+
+    this.editingId = null;
+    await this.load();
+    if (this.onChange) this.onChange();
+  }
+
+  /**
+   * Toggle or delete a rule from the list
+   * @param {string} ruleId - Rule ID
+   * @param {string} action - 'toggle' or 'delete'
+   * @returns {Promise<void>}
+   */
+  async updateRule(ruleId, action) {
+    const rule = this.rules.find(item => item.id === ruleId);
+    if (!rule) return;
+
+    if (action === 'delete') {
+      if (!confirm(`Delete alert rule "${rule.name}"?`)) return;
+      await window.electronAPI.deleteAlertRule(ruleId);
+    } else {
+      await window.electronAPI.saveAlertRule({ ...rule, enabled: !rule.enabled });
+    }
+
+    if (this.editingId === ruleId) this.editingId = null;
+    await this.load();
+    if (this.onChange) this.onChange();
+  }
+
+  /**
+   * Show the scope field that matches the selected scope
+   * @param {HTMLFormElement} form - Rule form
+   */
+  updateScopeFields(form) {
+    const scope = form.elements.scope.value;
+    this.modal.querySelector('#alert-rule-profile-field').style.display = scope === 'profile' ? 'block' : 'none';
+    this.modal.querySelector('#alert-rule-command-field').style.display = scope === 'command' ? 'block' : 'none';
+  }
+
+  /**
+   * Attach list, form and close events
+   */
+  attachEvents() {
+    const closeBtn = this.modal.querySelector('.modal-close');
+    const form = this.modal.querySelector('#alert-rule-form');
+
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.close());
+    }
+
+    this.modal.querySelectorAll('.alert-rule-actions button').forEach(button => {
+      button.addEventListener('click', () => {
+        const ruleId = button.dataset.ruleId;
+        if (button.dataset.action === 'edit') {
+          this.editingId = ruleId;
+          this.render();
+        } else {
+          this.updateRule(ruleId, button.dataset.action);
+        }
+      });
+    });
+
+    if (form) {
+      this.updateScopeFields(form);
+      form.elements.scope.addEventListener('change', () => this.updateScopeFields(form));
+
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.save(form);
+      });
+
+      const cancelBtn = form.querySelector('#alert-rule-cancel');
+      if (cancelBtn) {
+        cancelBtn.addEventListener('click', () => {
+          this.editingId = null;
+          this.render();
+        });
+      }
+    }
+
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) {
+        this.close();
+      }
+    });
+  }
+
+  /**
+   * Create the view HTML
+   * @param {Object|null} editing - Rule being edited, or null for a new rule
+   * @returns {string} HTML string for the view
+   */
+  createTemplate(editing) {
+    const rule = editing || { name: '', metric: 'rss', threshold: 2048, duration: 60, scope: 'all', scopeValue: '', action: 'notify', enabled: true };
+
+    return `
+      <div class="modal-content alert-rules-content">
+        <div class="modal-header">
+          <h3>Resource Alerts</h3>
+          <button class="modal-close">×</button>
+        </div>
+        <div class="modal-body">
+          <div class="alert-rules-list">
+            ${this.rules.length === 0 ? '<div class="profiles-empty">No alert rules yet. Add one below.</div>' : ''}
+            ${this.rules.map(item => `
+              <div class="alert-rule ${item.enabled ? '' : 'disabled'}">
+                <div class="alert-rule-info">
+                  <strong>${item.name}</strong>
+                  <span>${this.describeCondition(item)} · ${this.describeScope(item)} · ${ACTION_LABELS[item.action]}</span>
+                </div>
+                <div class="alert-rule-actions">
+                  <button class="btn btn-secondary" data-action="toggle" data-rule-id="${item.id}">${item.enabled ? 'Disable' : 'Enable'}</button>
+                  <button class="btn btn-secondary" data-action="edit" data-rule-id="${item.id}">Edit</button>
+                  <button class="btn btn-danger" data-action="delete" data-rule-id="${item.id}">Delete</button>
+                </div>
+              </div>
+            `).join('')}
+          </div>
+
+          <form id="alert-rule-form" class="profile-form">
+            <h4>${editing ? `Edit "${editing.name}"` : 'New Rule'}</h4>
+            <div id="alert-rule-error" class="error-message" style="display: none;"></div>
+            <label>Name
+              <input name="name" type="text" value="${rule.name}" placeholder="Runaway dev server" required>
+            </label>
+            <div class="form-row">
+              <label>Metric
+                <select name="metric">
+                  ${Object.entries(METRIC_LABELS).map(([value, label]) => `<option value="${value}" ${rule.metric === value ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+              </label>
+              <label>Above
+                <input name="threshold" type="number" min="1" step="any" value="${rule.threshold}" required>
+              </label>
+              <label>For (seconds)
+                <input name="duration" type="number" min="0" max="86400" value="${rule.duration}" required>
+              </label>
+            </div>
+            <div class="form-row">
+              <label>Applies to
+                <select name="scope">
+                  <option value="all" ${rule.scope === 'all' ? 'selected' : ''}>All servers</option>
+                  <option value="profile" ${rule.scope === 'profile' ? 'selected' : ''}>Servers from a profile</option>
+                  <option value="command" ${rule.scope === 'command' ? 'selected' : ''}>Command line contains</option>
+                </select>
+              </label>
+              <label id="alert-rule-profile-field">Profile
+                <select name="profileId">
+                  ${this.profiles.map(profile => `<option value="${profile.id}" ${rule.scopeValue === profile.id ? 'selected' : ''}>${profile.name}</option>`).join('')}
+                </select>
+              </label>
+              <label id="alert-rule-command-field">Text
+                <input name="commandText" type="text" value="${rule.scope === 'command' ? rule.scopeValue : ''}" placeholder="webpack">
+              </label>
+            </div>
+            <div class="form-row">
+              <label>Then
+                <select name="action">
+                  ${Object.entries(ACTION_LABELS).map(([value, label]) => `<option value="${value}" ${rule.action === value ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+              </label>
+              <label class="checkbox-label">
+                <input name="enabled" type="checkbox" ${rule.enabled ? 'checked' : ''}> Enabled
+              </label>
+            </div>
+            <div class="form-actions">
+              ${editing ? '<button type="button" id="alert-rule-cancel" class="btn btn-secondary">Cancel</button>' : ''}
+              <button type="submit" class="btn btn-primary">${editing ? 'Save Rule' : 'Add Rule'}</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+  }
+}
+
+module.exports = AlertRulesView;
@@ -0,0 +1,431 @@
+/**
+ * Classification Rules Component
+ * Lists user-defined classification rules in evaluation order, edits them in
+ * place and previews a rule against the running processes while it is typed
+ */
+
+const IpcMessages = require('./IpcMessages');
+const HtmlTemplate = require('./HtmlTemplate');
+
+const { html } = HtmlTemplate;
+
+const RULE_TYPES = ['react', 'node', 'python', 'java', 'go', 'ruby', 'php', 'dotnet', 'rust', 'static', 'infrastructure', 'other'];
+const PREVIEW_DELAY = 300; // Milliseconds of typing quiet before the preview refreshes
+
+class ClassificationRulesView {
+  constructor() {
+    this.modal = null;
+    this.rules = [];
+    this.editingId = null;
+    this.onChange = null;
+    this.previewTimer = null;
+  }
+
+  /**
+   * Open the rules view
+   * @param {Function} onChange - Called after a rule is saved, moved or deleted
+   * @returns {Promise<void>}
+   */
+  async open(onChange = null) {
+    this.onChange = onChange;
+    this.editingId = null;
+
+    if (!this.modal) {
+      this.modal = document.createElement('div');
+      this.modal.id = 'classification-rules-modal';
+      this.modal.className = 'modal classification-rules-modal';
+      document.body.appendChild(this.modal);
+    }
+
+    this.modal.style.display = 'block';
+    await this.load();
+  }
+
+  /**
+   * Close the rules view
+   */
+  close() {
+    clearTimeout(this.previewTimer);
+    if (this.modal) {
+      this.modal.style.display = 'none';
+    }
+  }
+
+  /**
+   * Reload rules and re-render the view
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const result = await window.electronAPI.getClassificationRules();
+    this.rules = result.success ? result.data : [];
+    this.render();
+  }
+
+  /**
+   * Render the rule list and the form
+   */
+  render() {
+    const editing = this.rules.find(rule => rule.id === this.editingId) || null;
+    this.modal.innerHTML = this.createTemplate(editing);
+    this.attachEvents();
+  }
+
+  /**
+   * Describe a rule's match conditions
+   * @param {Object} rule - Classification rule
+   * @returns {string} Description
+   */
+  describeMatch(rule) {
+    const { match } = rule;
+    const parts = [];
+
+    if (match.imageName) parts.push(`image ${match.imageName}`);
+    if (match.commandPattern) parts.push(`command /${match.commandPattern}/`);
+    if (match.portMin !== null || match.portMax !== null) {
+      parts.push(match.portMin === match.portMax ? `port ${match.portMin}` : `ports ${match.portMin || 1}-${match.portMax || 65535}`);
+    }
+    if (match.cwdGlob) parts.push(`cwd ${match.cwdGlob}`);
+    if (match.parentName) parts.push(`parent ${match.parentName}`);
+
+    return parts.join(' · ');
+  }
+
+  /**
+   * Describe what a rule does with matching processes
+   * @param {Object} rule - Classification rule
+   * @returns {string} Description
+   */
+  describeAction(rule) {
+    const { action } = rule;
+    if (action.ignore) return 'Ignore';
+
+    const parts = [];
+    if (action.name) parts.push(`name "${action.name}"`);
+    if (action.type) parts.push(`type ${action.type}`);
+    if (action.category) parts.push(`category ${action.category}`);
+    if (action.icon) parts.push(`icon ${action.icon}`);
+    if (action.tags.length > 0) parts.push(`tags ${action.tags.join(', ')}`);
+    if (action.protect) parts.push('protect');
+
+    return parts.join(' · ');
+  }
+
+  /**
+   * Read the form into rule fields
+   * @param {HTMLFormElement} form - Rule form
+   * @returns {Object} Rule fields
+   */
+  readForm(form) {
+    const { elements } = form;
+    return {
+      id: this.editingId || undefined,
+      name: elements.name.value,
+      enabled: elements.enabled.checked,
+      match: {
+        imageName: elements.imageName.value,
+        commandPattern: elements.commandPattern.value,
+        portMin: elements.portMin.value,
+        portMax: elements.portMax.value,
+        cwdGlob: elements.cwdGlob.value,
+        parentName: elements.parentName.value
+      },
+      action: {
+        name: elements.actionName.value,
+        type: elements.type.value,
+        category: elements.category.value,
+        icon: elements.icon.value,
+        tags: elements.tags.value,
+        ignore: elements.ignore.checked,
+        protect: elements.protect.checked
+      }
+    };
+  }
+
+  /**
+   * Save the form
+   * @param {HTMLFormElement} form - Rule form
+   * @returns {Promise<void>}
+   */
+  async save(form) {
+    const result = await window.electronAPI.saveClassificationRule(this.readForm(form));
+    const error = this.modal.querySelector('#classification-rule-error');
+
+    if (!result.success) {
+      error.textContent = IpcMessages.describe(result);
+      error.style.display = 'block';
+      return;
+    }
+
+    this.editingId = null;
+    await this.load();
+    if (this.onChange) this.onChange();
+  }
+
+  /**
+   * Toggle, move or delete a rule from the list
+   * @param {string} ruleId - Rule ID
+   * @param {string} action - 'toggle', 'up', 'down' or 'delete'
+   * @returns {Promise<void>}
+   */
+  async updateRule(ruleId, action) {
+    const rule = this.rules.find(item => item.id === ruleId);
+    if (!rule) return;
+
+    if (action === 'delete') {
+      if (!confirm(`Delete classification rule "${rule.name}"?`)) return;
+      await window.electronAPI.deleteClassificationRule(ruleId);
+      if (this.editingId === ruleId) this.editingId = null;
+    } else if (action === 'up' || action === 'down') {
+      await window.electronAPI.moveClassificationRule(ruleId, action === 'up' ? -1 : 1);
+    } else {
+      await window.electronAPI.saveClassificationRule({ ...rule, enabled: !rule.enabled });
+    }
+
+    await this.load();
+    if (this.onChange) this.onChange();
+  }
+
+  /**
+   * Refresh the preview shortly after the form stops changing
+   * @param {HTMLFormElement} form - Rule form
+   */
+  schedulePreview(form) {
+    clearTimeout(this.previewTimer);
+    this.previewTimer = setTimeout(() => this.updatePreview(form), PREVIEW_DELAY);
+  }
+
+  /**
+   * Show which running processes the rule in the form matches
+   * @param {HTMLFormElement} form - Rule form
+   * @returns {Promise<void>}
+   */
+  async updatePreview(form) {
+    const preview = this.modal.querySelector('#classification-rule-preview');
+    if (!preview) return;
+
+    const rule = this.readForm(form);
+    // The preview only needs a name to validate, the rule is not saved
+    const result = await window.electronAPI.previewClassificationRule({ ...rule, name: rule.name || 'Preview' });
+
+    if (!preview.isConnected) return;
+    preview.innerHTML = this.createPreviewTemplate(result);
+  }
+
+  /**
+   * Attach list, form and close events
+   */
+  attachEvents() {
+    const closeBtn = this.modal.querySelector('.modal-close');
+    const form = this.modal.querySelector('#classification-rule-form');
+
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.close());
+    }
+
+    this.modal.querySelectorAll('.alert-rule-actions button').forEach(button => {
+      button.addEventListener('click', () => {
+        const ruleId = button.dataset.ruleId;
+        if (button.dataset.action === 'edit') {
+          this.editingId = ruleId;
+          this.render();
+        } else {
+          this.updateRule(ruleId, button.dataset.action);
+        }
+      });
+    });
+
+    if (form) {
+      form.addEventListener('input', () => this.schedulePreview(form));
+      form.addEventListener('change', () => this.schedulePreview(form));
+
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.save(form);
+      });
+
+      const cancelBtn = form.querySelector('#classification-rule-cancel');
+      if (cancelBtn) {
+        cancelBtn.addEventListener('click', () => {
+          this.editingId = null;
+          this.render();
+        });
+      }
+
+      if (this.editingId) {
+        this.updatePreview(form);
+      }
+    }
+
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) {
+        this.close();
+      }
+    });
+  }
+
+  /**
+   * Create the preview HTML
+   * @param {Object} result - Result of previewClassificationRule
+   * @returns {SafeHtml} HTML for the preview
+   */
+  createPreviewTemplate(result) {
+    if (!result.success) {
+      return html`<div class="rule-preview-empty">${IpcMessages.describe(result)}</div>`;
+    }
+
+    if (result.data.matches.length === 0) {
+      return html`<div class="rule-preview-empty">No running process matches this rule.</div>`;
+    }
+
+    return html`
+      <div class="rule-preview-count">Matches ${result.data.matches.length} running process${result.data.matches.length === 1 ? '' : 'es'}</div>
+      ${result.data.matches.map(match => {
+        let outcome = 'Ignored';
+        if (match.server) {
+          outcome = `${match.server.icon || ''} ${match.server.name} (${match.server.type})${match.server.isProtected ? ' · protected' : ''}`;
+        }
+
+        return html`
+          <div class="rule-preview-item">
+            <div class="rule-preview-process">
+              <strong>${match.name}</strong>
+              <span>PID ${match.pid}${match.port ? ` · port ${match.port}` : ''}</span>
+            </div>
+            <div class="rule-preview-outcome">${outcome}</div>
+            <div class="rule-preview-command" title="${match.command || ''}">${match.command || ''}</div>
+          </div>
+        `;
+      })}
+    `;
+  }
+
+  /**
+   * Create the view HTML
+   * @param {Object|null} editing - Rule being edited, or null for a new rule
+   * @returns {SafeHtml} HTML for the view
+   */
+  createTemplate(editing) {
+    const rule = editing || {
+      name: '',
+      enabled: true,
+      match: { imageName: '', commandPattern: '', portMin: null, portMax: null, cwdGlob: '', parentName: '' },
+      action: { name: '', type: '', category: '', icon: '', tags: [], ignore: false, protect: false }
+    };
+    const { match, action } = rule;
+    const portValue = value => (value === null || value === undefined ? '' : value);
+
+    return html`
+      <div class="modal-content alert-rules-content classification-rules-content">
+        <div class="modal-header">
+          <h3>Classification Rules</h3>
+          <button class="modal-close">×</button>
+        </div>
+        <div class="modal-body">
+          <p class="rules-hint">Rules run before the built-in detection, top to bottom; the first matching rule wins.</p>
+          <div class="alert-rules-list">
+            ${this.rules.length === 0 ? html`<div class="profiles-empty">No classification rules yet. Add one below.</div>` : ''}
+            ${this.rules.map((item, index) => html`
+              <div class="alert-rule ${item.enabled ? '' : 'disabled'}">
+                <div class="alert-rule-info">
+                  <strong>${item.action.icon ? `${item.action.icon} ` : ''}${item.name}</strong>
+                  <span>${this.describeMatch(item)}</span>
+                  <span>→ ${this.describeAction(item)}</span>
+                </div>
+                <div class="alert-rule-actions">
+                  <button class="btn btn-secondary" data-action="up" data-rule-id="${item.id}" title="Evaluate earlier" ${index === 0 ? html`disabled` : ''}>↑</button>
+                  <button class="btn btn-secondary" data-action="down" data-rule-id="${item.id}" title="Evaluate later" ${index === this.rules.length - 1 ? html`disabled` : ''}>↓</button>
+                  <button class="btn btn-secondary" data-action="toggle" data-rule-id="${item.id}">${item.enabled ? 'Disable' : 'Enable'}</button>
+                  <button class="btn btn-secondary" data-action="edit" data-rule-id="${item.id}">Edit</button>
+                  <button class="btn btn-danger" data-action="delete" data-rule-id="${item.id}">Delete</button>
+                </div>
+              </div>
+            `)}
+          </div>
+
+          <form id="classification-rule-form" class="profile-form">
+            <h4>${editing ? `Edit "${editing.name}"` : 'New Rule'}</h4>
+            <div id="classification-rule-error" class="error-message" style="display: none;"></div>
+            <div class="form-row">
+              <label>Name
+                <input name="name" type="text" value="${rule.name}" placeholder="Company API gateway" required>
+              </label>
+              <label class="checkbox-label">
+                <input name="enabled" type="checkbox" ${rule.enabled ? html`checked` : ''}> Enabled
+              </label>
+            </div>
+
+            <h5>When a process matches all of</h5>
+            <div class="form-row">
+              <label>Image name
+                <input name="imageName" type="text" value="${match.imageName}" placeholder="node.exe">
+              </label>
+              <label>Parent process
+                <input name="parentName" type="text" value="${match.parentName}" placeholder="pm2">
+              </label>
+            </div>
+            <label>Command regex
+              <input name="commandPattern" type="text" value="${match.commandPattern}" placeholder="gateway/(dev|serve)">
+            </label>
+            <div class="form-row">
+              <label>Port from
+                <input name="portMin" type="number" min="1" max="65535" value="${portValue(match.portMin)}" placeholder="3000">
+              </label>
+              <label>Port to
+                <input name="portMax" type="number" min="1" max="65535" value="${portValue(match.portMax)}" placeholder="3999">
+              </label>
+            </div>
+            <label>Working directory glob
+              <input name="cwdGlob" type="text" value="${match.cwdGlob}" placeholder="~/work/**/gateway">
+            </label>
+
+            <h5>Then</h5>
+            <div class="form-row">
+              <label>Name
+                <input name="actionName" type="text" value="${action.name}" placeholder="API Gateway">
+              </label>
+              <label>Type
+                <select name="type">
+                  <option value="" ${action.type ? '' : html`selected`}>Keep detected</option>
+                  ${RULE_TYPES.map(type => html`<option value="${type}" ${action.type === type ? html`selected` : ''}>${type}</option>`)}
+                </select>
+              </label>
+            </div>
+            <div class="form-row">
+              <label>Category
+                <input name="category" type="text" value="${action.category}" placeholder="backend">
+              </label>
+              <label>Icon
+                <input name="icon" type="text" value="${action.icon}" placeholder="🚪" maxlength="4">
+              </label>
+            </div>
+            <label>Tags
+              <input name="tags" type="text" value="${action.tags.join(', ')}" placeholder="team-a, gateway">
+            </label>
+            <div class="form-row">
+              <label class="checkbox-label">
+                <input name="ignore" type="checkbox" ${action.ignore ? html`checked` : ''}> Ignore (hide from the list)
+              </label>
+              <label class="checkbox-label">
+                <input name="protect" type="checkbox" ${action.protect ? html`checked` : ''}> Protect (never stop or restart)
+              </label>
+            </div>
+
+            <div class="rule-preview">
+              <h5>Live preview</h5>
+              <div id="classification-rule-preview">
+                <div class="rule-preview-empty">Fill in a match condition to see which running processes it catches.</div>
+              </div>
+            </div>
+
+            <div class="form-actions">
+              ${editing ? html`<button type="button" id="classification-rule-cancel" class="btn btn-secondary">Cancel</button>` : ''}
+              <button type="submit" class="btn btn-primary">${editing ? 'Save Rule' : 'Add Rule'}</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+  }
+}
+
+module.exports = ClassificationRulesView;
@@ -0,0 +1,88 @@
+/**
+ * HTML Template Module
+ * A tagged template that escapes every interpolated value unless it is markup
+ * built by another template. Server names, command lines, URLs and log messages
+ * come from whatever process happens to listen on a port, so they must never be
+ * parsed as HTML
+ */
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;'
+};
+
+/**
+ * Markup that is safe to insert as is
+ * Converts to its markup, so it can be assigned to innerHTML directly
+ */
+class SafeHtml {
+  /**
+   * @param {string} markup - Trusted markup
+   */
+  constructor(markup) {
+    this.markup = markup;
+  }
+
+  /**
+   * @returns {string} The markup
+   */
+  toString() {
+    return this.markup;
+  }
+}
+
+class HtmlTemplate {
+  /**
+   * Tag for HTML templates: html`<b>${name}</b>`
+   * Strings and numbers are escaped, nested templates are inserted as markup,
+   * arrays are rendered item by item and null, undefined and false render nothing
+   * @param {Array<string>} strings - Literal parts
+   * @param {...*} values - Interpolated values
+   * @returns {SafeHtml} Markup
+   */
+  static html(strings, ...values) {
+    let markup = strings[0];
+    values.forEach((value, i) => {
+      markup += HtmlTemplate.render(value) + strings[i + 1];
+    });
+    return new SafeHtml(markup);
+  }
+
+  /**
+   * Render an interpolated value
+   * @param {*} value - Value
+   * @returns {string} Markup
+   */
+  static render(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(HtmlTemplate.render).join('');
+    return HtmlTemplate.escape(value);
+  }
+
+  /**
+   * Escape text for element content and quoted attribute values
+   * @param {*} value - Text
+   * @returns {string} Escaped text
+   */
+  static escape(value) {
+    return String(value).replace(/[&<>"'`]/g, character => ESCAPES[character]);
+  }
+
+  /**
+   * Mark markup generated by this app (never from process data) as safe
+   * @param {string} markup - Trusted markup, such as an SVG drawn from numbers
+   * @returns {SafeHtml} Markup
+   */
+  static raw(markup) {
+    return new SafeHtml(markup || '');
+  }
+}
+
+HtmlTemplate.SafeHtml = SafeHtml;
+
+module.exports = HtmlTemplate;
@@ -0,0 +1,61 @@
+/**
+ * IPC Messages Module
+ * Turns the error codes of failed requests (see IpcResult in preload.js) into
+ * what the user should read and how loudly
+ */
+
+// Messages that replace or lead the main process's error text, by error code
+const MESSAGES = {
+  NOT_FOUND: 'It no longer exists; it may have exited or been removed already.',
+  PERMISSION_DENIED: 'Permission denied. The process belongs to another user or needs administrator rights.',
+  TIMEOUT: 'No answer in time. The operation may still finish; refresh in a moment.'
+};
+
+// Notification types by error code; anything else is an error
+const SEVERITIES = {
+  NOT_FOUND: 'info',
+  PROTECTED: 'warning',
+  TIMEOUT: 'warning'
+};
+
+class IpcMessages {
+  /**
+   * Describe why a request failed
+   * @param {Object} result - Failed IpcResult ({ code, error })
+   * @returns {string} Message for the user
+   */
+  static describe(result) {
+    if (!result) return 'No answer from Server Manager';
+    if (result.code === 'INVALID_REQUEST') return `Invalid request: ${result.error}`;
+
+    const message = MESSAGES[result.code];
+    if (!message) return result.error || 'Unknown error occurred';
+    return result.error ? `${message} (${result.error})` : message;
+  }
+
+  /**
+   * Pick the notification type for a failed request
+   * @param {Object} result - Failed IpcResult
+   * @returns {string} 'info', 'warning' or 'error'
+   */
+  static getSeverity(result) {
+    return (result && SEVERITIES[result.code]) || 'error';
+  }
+
+  /**
+   * Get the data of a request, throwing when it failed
+   * For loads where the caller only handles the happy path and logs the rest
+   * @param {Object} result - IpcResult
+   * @returns {*} result.data
+   * @throws {Error} With the described failure and its `code`
+   */
+  static unwrap(result) {
+    if (result && result.success) return result.data;
+
+    const error = new Error(IpcMessages.describe(result));
+    error.code = result ? result.code : undefined;
+    throw error;
+  }
+}
+
+module.exports = IpcMessages;
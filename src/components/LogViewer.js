@@ -0,0 +1,326 @@
+/**
+ * Log Viewer Component
+ * Live view of captured server stdout/stderr with follow, pause and search
+ */
+
+class LogViewer {
+  constructor() {
+    this.modal = null;
+    this.logKey = null;
+    this.lines = [];
+    this.pending = []; // Lines received while paused
+    this.isPaused = false;
+    this.follow = true;
+    this.search = '';
+    this.maxLines = 2000;
+  }
+
+  /**
+   * Open the viewer for a server
+   * @param {number} pid - Server PID
+   * @param {string} serverName - Server name
+   * @returns {Promise<Object>} Result object from getServerOutput
+   */
+  async open(pid, serverName) {
+    const result = await window.electronAPI.getServerOutput(pid, { limit: this.maxLines });
+    if (!result.success) {
+      return result;
+    }
+
+    this.logKey = result.data.logKey;
+    this.lines = result.data.lines;
+    this.pending = [];
+    this.isPaused = false;
+    this.follow = true;
+    this.search = '';
+
+    if (!this.modal) {
+      this.modal = document.createElement('div');
+      this.modal.id = 'log-viewer-modal';
+      this.modal.className = 'modal log-viewer-modal';
+      document.body.appendChild(this.modal);
+    }
+
+    this.modal.innerHTML = this.createTemplate(serverName, pid, result.data.filePath);
+    this.modal.style.display = 'block';
+
+    this.attachEvents();
+    this.renderLines();
+
+    return result;
+  }
+
+  /**
+   * Close the viewer and stop accepting streamed output
+   */
+  close() {
+    if (this.modal) {
+      this.modal.style.display = 'none';
+    }
+    this.logKey = null;
+    this.lines = [];
+    this.pending = [];
+  }
+
+  /**
+   * Check whether the viewer is currently showing a server
+   * @returns {boolean} True if open
+   */
+  isOpen() {
+    return Boolean(this.modal && this.modal.style.display !== 'none' && this.logKey);
+  }
+
+  /**
+   * Handle a streamed output batch from the main process
+   * @param {Object} payload - Output batch ({ logKey, lines })
+   */
+  appendOutput(payload) {
+    if (!this.isOpen() || payload.logKey !== this.logKey) return;
+
+    if (this.isPaused) {
+      this.pending.push(...payload.lines);
+      this.updatePausedIndicator();
+      return;
+    }
+
+    this.addLines(payload.lines);
+  }
+
+  /**
+   * Append lines to the buffer and the view
+   * @param {Array} lines - Output lines
+   */
+  addLines(lines) {
+    this.lines.push(...lines);
+
+    if (this.lines.length > this.maxLines) {
+      this.lines.splice(0, this.lines.length - this.maxLines);
+      this.renderLines();
+      return;
+    }
+
+    const container = this.modal.querySelector('#log-viewer-lines');
+    lines.filter(line => this.matches(line)).forEach(line => {
+      container.appendChild(this.createLineElement(line));
+    });
+
+    this.updateCount();
+    this.scrollToEnd();
+  }
+
+  /**
+   * Pause or resume the live stream
+   * Lines received while paused are kept and shown on resume
+   */
+  togglePause() {
+    this.isPaused = !this.isPaused;
+
+    if (!this.isPaused && this.pending.length > 0) {
+      const pending = this.pending;
+      this.pending = [];
+      this.addLines(pending);
+    }
+
+    const pauseBtn = this.modal.querySelector('#log-pause-btn');
+    if (pauseBtn) {
+      pauseBtn.textContent = this.isPaused ? 'Resume' : 'Pause';
+    }
+    this.updatePausedIndicator();
+  }
+
+  /**
+   * Filter the view to lines containing the search text
+   * @param {string} text - Search text
+   */
+  setSearch(text) {
+    this.search = text.trim().toLowerCase();
+    this.renderLines();
+  }
+
+  /**
+   * Re-render every buffered line that matches the search
+   */
+  renderLines() {
+    const container = this.modal.querySelector('#log-viewer-lines');
+    if (!container) return;
+
+    container.textContent = '';
+
+    const fragment = document.createDocumentFragment();
+    this.lines.filter(line => this.matches(line)).forEach(line => {
+      fragment.appendChild(this.createLineElement(line));
+    });
+    container.appendChild(fragment);
+
+    this.updateCount();
+    this.scrollToEnd();
+  }
+
+  /**
+   * Check whether a line matches the current search
+   * @param {Object} line - Output line
+   * @returns {boolean} True if the line should be shown
+   */
+  matches(line) {
+    return !this.search || line.text.toLowerCase().includes(this.search);
+  }
+
+  /**
+   * Build the DOM node for a line
+   * Output is untrusted, so it is inserted as text and never as HTML
+   * @param {Object} line - Output line
+   * @returns {HTMLElement} Line element
+   */
+  createLineElement(line) {
+    const element = document.createElement('div');
+    element.className = `log-line log-line-${line.stream}`;
+
+    const timestamp = document.createElement('span');
+    timestamp.className = 'log-line-time';
+    timestamp.textContent = new Date(line.timestamp).toLocaleTimeString();
+    element.appendChild(timestamp);
+
+    const text = document.createElement('span');
+    text.className = 'log-line-text';
+    this.appendHighlighted(text, line.text);
+    element.appendChild(text);
+
+    return element;
+  }
+
+  /**
+   * Append text to an element, wrapping search matches in <mark>
+   * @param {HTMLElement} element - Target element
+   * @param {string} value - Line text
+   */
+  appendHighlighted(element, value) {
+    if (!this.search) {
+      element.textContent = value;
+      return;
+    }
+
+    const lower = value.toLowerCase();
+    let index = 0;
+
+    while (index < value.length) {
+      const matchIndex = lower.indexOf(this.search, index);
+      if (matchIndex === -1) {
+        element.appendChild(document.createTextNode(value.substring(index)));
+        break;
+      }
+
+      if (matchIndex > index) {
+        element.appendChild(document.createTextNode(value.substring(index, matchIndex)));
+      }
+
+      const mark = document.createElement('mark');
+      mark.textContent = value.substring(matchIndex, matchIndex + this.search.length);
+      element.appendChild(mark);
+      index = matchIndex + this.search.length;
+    }
+  }
+
+  /**
+   * Keep the newest line in view while following
+   */
+  scrollToEnd() {
+    if (!this.follow) return;
+
+    const container = this.modal.querySelector('#log-viewer-lines');
+    if (container) {
+      container.scrollTop = container.scrollHeight;
+    }
+  }
+
+  /**
+   * Update the visible/total line counter
+   */
+  updateCount() {
+    const counter = this.modal.querySelector('#log-viewer-count');
+    if (counter) {
+      const shown = this.search ? this.lines.filter(line => this.matches(line)).length : this.lines.length;
+      counter.textContent = this.search ? `${shown} of ${this.lines.length} lines` : `${this.lines.length} lines`;
+    }
+  }
+
+  /**
+   * Show how many lines arrived while paused
+   */
+  updatePausedIndicator() {
+    const indicator = this.modal.querySelector('#log-viewer-paused');
+    if (!indicator) return;
+
+    indicator.style.display = this.isPaused ? 'inline' : 'none';
+    indicator.textContent = this.pending.length > 0 ? `Paused (${this.pending.length} new lines)` : 'Paused';
+  }
+
+  /**
+   * Attach toolbar and close events
+   */
+  attachEvents() {
+    const closeBtn = this.modal.querySelector('.modal-close');
+    const pauseBtn = this.modal.querySelector('#log-pause-btn');
+    const followToggle = this.modal.querySelector('#log-follow-toggle');
+    const searchInput = this.modal.querySelector('#log-search-input');
+
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.close());
+    }
+
+    if (pauseBtn) {
+      pauseBtn.addEventListener('click', () => this.togglePause());
+    }
+
+    if (followToggle) {
+      followToggle.addEventListener('change', () => {
+        this.follow = followToggle.checked;
+        this.scrollToEnd();
+      });
+    }
+
+    if (searchInput) {
+      let searchTimer = null;
+      searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => this.setSearch(searchInput.value), 150);
+      });
+    }
+
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) {
+        this.close();
+      }
+    });
+  }
+
+  /**
+   * Create the viewer HTML
+   * @param {string} serverName - Server name
+   * @param {number} pid - Server PID
+   * @param {string} filePath - Log file path
+   * @returns {string} HTML string for the viewer
+   */
+  createTemplate(serverName, pid, filePath) {
+    return `
+      <div class="modal-content log-viewer-content">
+        <div class="modal-header">
+          <h3>Output - ${serverName} (PID: ${pid})</h3>
+          <button class="modal-close">×</button>
+        </div>
+        <div class="log-viewer-toolbar">
+          <input id="log-search-input" type="search" class="log-search" placeholder="Search output...">
+          <label class="log-follow">
+            <input id="log-follow-toggle" type="checkbox" checked> Follow
+          </label>
+          <button id="log-pause-btn" class="btn btn-secondary">Pause</button>
+          <span id="log-viewer-paused" class="log-viewer-paused" style="display: none;">Paused</span>
+          <span id="log-viewer-count" class="log-viewer-count"></span>
+        </div>
+        <div id="log-viewer-lines" class="log-viewer-lines"></div>
+        <div class="log-viewer-footer" title="${filePath}">Log file: ${filePath}</div>
+      </div>
+    `;
+  }
+}
+
+module.exports = LogViewer;
@@ -0,0 +1,196 @@
+/**
+ * Operation History Component
+ * Browse the operation journal: who stopped, restarted or started which server, and how it went
+ */
+
+const IpcMessages = require('./IpcMessages');
+
+class OperationHistory {
+  constructor() {
+    this.modal = null;
+    this.filters = { pid: '', from: '', to: '' };
+    this.limit = 200;
+  }
+
+  /**
+   * Open the history view
+   * @param {Object} filters - Initial filters ({ pid })
+   * @returns {Promise<void>}
+   */
+  async open(filters = {}) {
+    this.filters = { pid: '', from: '', to: '', ...filters };
+
+    if (!this.modal) {
+      this.modal = document.createElement('div');
+      this.modal.id = 'operation-history-modal';
+      this.modal.className = 'modal operation-history-modal';
+      document.body.appendChild(this.modal);
+    }
+
+    this.modal.innerHTML = this.createTemplate();
+    this.modal.style.display = 'block';
+
+    this.attachEvents();
+    await this.load();
+  }
+
+  /**
+   * Close the history view
+   */
+  close() {
+    if (this.modal) {
+      this.modal.style.display = 'none';
+    }
+  }
+
+  /**
+   * Fetch journal entries for the current filters and render them
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const query = { limit: this.limit };
+    if (this.filters.pid) query.pid = Number(this.filters.pid);
+    if (this.filters.from) query.from = new Date(this.filters.from).toISOString();
+    if (this.filters.to) query.to = new Date(this.filters.to).toISOString();
+
+    const result = await window.electronAPI.queryOperations(query);
+    const body = this.modal.querySelector('#operation-history-rows');
+    const counter = this.modal.querySelector('#operation-history-count');
+
+    body.textContent = '';
+
+    if (!result.success) {
+      counter.textContent = `Failed to load history: ${IpcMessages.describe(result)}`;
+      return;
+    }
+
+    const fragment = document.createDocumentFragment();
+    result.data.operations.forEach(entry => fragment.appendChild(this.createRow(entry)));
+    body.appendChild(fragment);
+
+    counter.textContent = result.data.operations.length === this.limit
+      ? `Latest ${this.limit} operations`
+      : `${result.data.operations.length} operations`;
+  }
+
+  /**
+   * Build a table row for a journal entry
+   * Server names and messages come from process command lines, so they are inserted as text
+   * @param {Object} entry - Journal entry
+   * @returns {HTMLElement} Row element
+   */
+  createRow(entry) {
+    const row = document.createElement('tr');
+    row.className = entry.success ? 'operation-success' : 'operation-failure';
+
+    const pidText = entry.newPid ? `${entry.pid} → ${entry.newPid}` : String(entry.pid || '—');
+    const cells = [
+      new Date(entry.timestamp).toLocaleString(),
+      entry.operation,
+      entry.trigger,
+      pidText,
+      entry.serverName || '',
+      entry.success ? 'OK' : 'Failed',
+      this.formatDuration(entry.durationMs)
+    ];
+
+    cells.forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+
+    row.title = entry.message || '';
+    return row;
+  }
+
+  /**
+   * Format a duration for display
+   * @param {number} ms - Duration in milliseconds
+   * @returns {string} Formatted duration
+   */
+  formatDuration(ms) {
+    if (!ms) return '—';
+    return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+  }
+
+  /**
+   * Attach filter and close events
+   */
+  attachEvents() {
+    const closeBtn = this.modal.querySelector('.modal-close');
+    const form = this.modal.querySelector('#operation-history-filters');
+    const clearBtn = this.modal.querySelector('#operation-history-clear');
+
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.close());
+    }
+
+    if (form) {
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.filters = {
+          pid: form.elements.pid.value.trim(),
+          from: form.elements.from.value,
+          to: form.elements.to.value
+        };
+        this.load();
+      });
+    }
+
+    if (clearBtn) {
+      clearBtn.addEventListener('click', () => {
+        form.reset();
+        this.filters = { pid: '', from: '', to: '' };
+        this.load();
+      });
+    }
+
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) {
+        this.close();
+      }
+    });
+  }
+
+  /**
+   * Create the history view HTML
+   * @returns {string} HTML string for the view
+   */
+  createTemplate() {
+    return `
+      <div class="modal-content operation-history-content">
+        <div class="modal-header">
+          <h3>Operation History</h3>
+          <button class="modal-close">×</button>
+        </div>
+        <form id="operation-history-filters" class="operation-history-filters">
+          <input name="pid" type="number" min="1" placeholder="PID" value="${this.filters.pid}">
+          <label>From <input name="from" type="datetime-local" value="${this.filters.from}"></label>
+          <label>To <input name="to" type="datetime-local" value="${this.filters.to}"></label>
+          <button type="submit" class="btn btn-primary">Filter</button>
+          <button type="button" id="operation-history-clear" class="btn btn-secondary">Clear</button>
+          <span id="operation-history-count" class="operation-history-count"></span>
+        </form>
+        <div class="operation-history-table-wrapper">
+          <table class="operation-history-table">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Operation</th>
+                <th>Trigger</th>
+                <th>PID</th>
+                <th>Server</th>
+                <th>Outcome</th>
+                <th>Duration</th>
+              </tr>
+            </thead>
+            <tbody id="operation-history-rows"></tbody>
+          </table>
+        </div>
+      </div>
+    `;
+  }
+}
+
+module.exports = OperationHistory;
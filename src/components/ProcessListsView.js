@@ -0,0 +1,220 @@
+/**
+ * Process Lists Component
+ * Manages the ignore list (processes never shown) and the protect list
+ * (processes that need an extra confirmation before they are stopped)
+ */
+
+const IpcMessages = require('./IpcMessages');
+const HtmlTemplate = require('./HtmlTemplate');
+
+const { html } = HtmlTemplate;
+
+const LIST_LABELS = { ignore: 'Ignored', protect: 'Protected' };
+const MATCHER_LABELS = { command: 'Command line contains', image: 'Image name', port: 'Port', cwd: 'Working directory' };
+
+class ProcessListsView {
+  constructor() {
+    this.modal = null;
+    this.entries = [];
+    this.onChange = null;
+  }
+
+  /**
+   * Open the lists view
+   * @param {Function} onChange - Called after an entry is added or removed
+   * @returns {Promise<void>}
+   */
+  async open(onChange = null) {
+    this.onChange = onChange;
+
+    if (!this.modal) {
+      this.modal = document.createElement('div');
+      this.modal.id = 'process-lists-modal';
+      this.modal.className = 'modal process-lists-modal';
+      document.body.appendChild(this.modal);
+    }
+
+    this.modal.style.display = 'block';
+    await this.load();
+  }
+
+  /**
+   * Close the lists view
+   */
+  close() {
+    if (this.modal) {
+      this.modal.style.display = 'none';
+    }
+  }
+
+  /**
+   * Reload entries and re-render the view
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const result = await window.electronAPI.getProcessLists();
+    this.entries = result.success ? result.data : [];
+    this.render();
+  }
+
+  /**
+   * Render both lists and the form
+   */
+  render() {
+    this.modal.innerHTML = this.createTemplate();
+    this.attachEvents();
+  }
+
+  /**
+   * Describe what an entry matches
+   * @param {Object} entry - List entry
+   * @returns {string} Description
+   */
+  describeEntry(entry) {
+    return `${MATCHER_LABELS[entry.matcher]}: ${entry.value}`;
+  }
+
+  /**
+   * Save the form
+   * @param {HTMLFormElement} form - Entry form
+   * @returns {Promise<void>}
+   */
+  async save(form) {
+    const result = await window.electronAPI.saveProcessListEntry({
+      list: form.elements.list.value,
+      matcher: form.elements.matcher.value,
+      value: form.elements.value.value,
+      label: form.elements.label.value
+    });
+    const error = this.modal.querySelector('#process-list-error');
+
+    if (!result.success) {
+      error.textContent = IpcMessages.describe(result);
+      error.style.display = 'block';
+      return;
+    }
+
+    await this.load();
+    if (this.onChange) this.onChange();
+  }
+
+  /**
+   * Remove an entry from its list
+   * @param {string} entryId - Entry ID
+   * @returns {Promise<void>}
+   */
+  async removeEntry(entryId) {
+    const entry = this.entries.find(item => item.id === entryId);
+    if (!entry) return;
+
+    if (!confirm(`Remove "${entry.label || entry.value}" from the ${entry.list} list?`)) return;
+    await window.electronAPI.deleteProcessListEntry(entryId);
+
+    await this.load();
+    if (this.onChange) this.onChange();
+  }
+
+  /**
+   * Attach list, form and close events
+   */
+  attachEvents() {
+    const closeBtn = this.modal.querySelector('.modal-close');
+    const form = this.modal.querySelector('#process-list-form');
+
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.close());
+    }
+
+    this.modal.querySelectorAll('.alert-rule-actions button').forEach(button => {
+      button.addEventListener('click', () => this.removeEntry(button.dataset.entryId));
+    });
+
+    if (form) {
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.save(form);
+      });
+    }
+
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) {
+        this.close();
+      }
+    });
+  }
+
+  /**
+   * Create the HTML of one list
+   * @param {string} list - 'ignore' or 'protect'
+   * @returns {SafeHtml} HTML for the list
+   */
+  createListTemplate(list) {
+    const entries = this.entries.filter(entry => entry.list === list);
+
+    return html`
+      <h4>${LIST_LABELS[list]}</h4>
+      <div class="alert-rules-list">
+        ${entries.length === 0 ? html`<div class="profiles-empty">${list === 'ignore' ? 'Nothing is ignored.' : 'Nothing is protected.'}</div>` : ''}
+        ${entries.map(entry => html`
+          <div class="alert-rule">
+            <div class="alert-rule-info">
+              <strong>${entry.label || entry.value}</strong>
+              <span>${this.describeEntry(entry)}</span>
+            </div>
+            <div class="alert-rule-actions">
+              <button class="btn btn-secondary" data-entry-id="${entry.id}">Remove</button>
+            </div>
+          </div>
+        `)}
+      </div>
+    `;
+  }
+
+  /**
+   * Create the view HTML
+   * @returns {SafeHtml} HTML for the view
+   */
+  createTemplate() {
+    return html`
+      <div class="modal-content alert-rules-content">
+        <div class="modal-header">
+          <h3>Ignore &amp; Protect Lists</h3>
+          <button class="modal-close">×</button>
+        </div>
+        <div class="modal-body">
+          <p class="rules-hint">Ignored processes never show up in the list. Protected processes are shown, but stopping or restarting them asks for an extra confirmation and bulk stops skip them. Right-click a server card to add it.</p>
+          ${this.createListTemplate('ignore')}
+          ${this.createListTemplate('protect')}
+
+          <form id="process-list-form" class="profile-form">
+            <h4>Add Entry</h4>
+            <div id="process-list-error" class="error-message" style="display: none;"></div>
+            <div class="form-row">
+              <label>List
+                <select name="list">
+                  ${Object.entries(LIST_LABELS).map(([value, label]) => html`<option value="${value}">${label}</option>`)}
+                </select>
+              </label>
+              <label>Match by
+                <select name="matcher">
+                  ${Object.entries(MATCHER_LABELS).map(([value, label]) => html`<option value="${value}">${label}</option>`)}
+                </select>
+              </label>
+            </div>
+            <label>Value
+              <input name="value" type="text" placeholder="webpack serve, postgres, 5432 or ~/work/billing" required>
+            </label>
+            <label>Label (optional)
+              <input name="label" type="text" placeholder="Billing database">
+            </label>
+            <div class="form-actions">
+              <button type="submit" class="btn btn-primary">Add</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+  }
+}
+
+module.exports = ProcessListsView;
@@ -0,0 +1,313 @@
+/**
+ * Resource Chart Component
+ * Sparklines for server cards and a zoomable CPU/memory chart for the details view
+ */
+
+// Zoom levels of the details chart in minutes
+const ZOOM_LEVELS = [1, 5, 15, 30, 60];
+
+class ResourceChart {
+  constructor() {
+    this.container = null;
+    this.pid = null;
+    this.samples = [];
+    this.windowMinutes = 15;
+    this.cursorTime = null;
+    this.width = 600;
+    this.height = 110;
+  }
+
+  /**
+   * Format a memory size in MB for display
+   * @param {number} mb - Size in MB
+   * @returns {string} Formatted size
+   */
+  static formatMemory(mb) {
+    if (mb === undefined || mb === null) return '—';
+    return mb >= 1024 ? `${(mb / 1024).toFixed(1)} GB` : `${Math.round(mb)} MB`;
+  }
+
+  /**
+   * Format a CPU percentage for display
+   * @param {number} cpu - CPU% (100 = one core)
+   * @returns {string} Formatted percentage
+   */
+  static formatCpu(cpu) {
+    if (cpu === undefined || cpu === null) return '—';
+    return `${cpu.toFixed(1)}%`;
+  }
+
+  /**
+   * Build polyline points for a series scaled into a box
+   * @param {Array} samples - Samples, oldest first
+   * @param {string} metric - 'cpu' or 'rss'
+   * @param {Object} box - { width, height, start, end, max }
+   * @returns {string} SVG points attribute
+   */
+  static toPoints(samples, metric, box) {
+    const span = Math.max(box.end - box.start, 1);
+    const max = box.max || 1;
+
+    return samples.map(sample => {
+      const x = ((sample.timestamp - box.start) / span) * box.width;
+      const y = box.height - (Math.min(sample[metric], max) / max) * (box.height - 2) - 1;
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    }).join(' ');
+  }
+
+  /**
+   * Create an inline SVG sparkline
+   * @param {Array} samples - Samples, oldest first
+   * @param {string} metric - 'cpu' or 'rss'
+   * @param {Object} options - { width, height }
+   * @returns {string} SVG markup, empty when there is nothing to draw
+   */
+  static createSparkline(samples, metric, options = {}) {
+    const width = options.width || 100;
+    const height = options.height || 24;
+    if (!samples || samples.length < 2) {
+      return `<svg class="sparkline sparkline-empty" width="${width}" height="${height}"></svg>`;
+    }
+
+    const values = samples.map(sample => sample[metric]);
+    // CPU is drawn against at least one full core so idle servers look idle
+    const max = metric === 'cpu' ? Math.max(100, ...values) : Math.max(...values) * 1.1;
+    const points = ResourceChart.toPoints(samples, metric, {
+      width,
+      height,
+      start: samples[0].timestamp,
+      end: samples[samples.length - 1].timestamp,
+      max
+    });
+
+    return `<svg class="sparkline sparkline-${metric}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none"><polyline points="${points}" /></svg>`;
+  }
+
+  /**
+   * Create the CPU and memory summary shown on a server card
+   * @param {Array} samples - Recent samples, oldest first
+   * @returns {string} HTML string
+   */
+  static createSummary(samples) {
+    const latest = samples && samples.length > 0 ? samples[samples.length - 1] : null;
+
+    return `
+      <div class="resource-metric" title="CPU usage (100% = one core)">
+        <span class="resource-label">CPU</span>
+        ${ResourceChart.createSparkline(samples, 'cpu')}
+        <span class="resource-value">${latest ? ResourceChart.formatCpu(latest.cpu) : '—'}</span>
+      </div>
+      <div class="resource-metric" title="Resident memory">
+        <span class="resource-label">MEM</span>
+        ${ResourceChart.createSparkline(samples, 'rss')}
+        <span class="resource-value">${latest ? ResourceChart.formatMemory(latest.rss) : '—'}</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Load the last hour of a server into a container and render it
+   * @param {HTMLElement} container - Element that hosts the chart
+   * @param {number} pid - Server PID
+   * @returns {Promise<void>}
+   */
+  async mount(container, pid) {
+    this.container = container;
+    this.pid = pid;
+    this.samples = [];
+    this.cursorTime = null;
+
+    container.innerHTML = this.createTemplate();
+    this.attachEvents();
+
+    const result = await window.electronAPI.getResourceHistory(pid);
+    if (this.pid !== pid) return;
+
+    this.samples = result.success ? result.data.samples : [];
+    this.render();
+  }
+
+  /**
+   * Stop updating the chart
+   */
+  unmount() {
+    this.container = null;
+    this.pid = null;
+    this.samples = [];
+  }
+
+  /**
+   * Append live samples for the mounted server
+   * @param {Array} samples - Samples from the main process ({ pid, timestamp, cpu, rss })
+   */
+  appendSamples(samples) {
+    if (!this.container) return;
+
+    const own = samples.filter(sample => sample.pid === this.pid);
+    if (own.length === 0) return;
+
+    own.forEach(sample => this.samples.push({ timestamp: sample.timestamp, cpu: sample.cpu, rss: sample.rss }));
+
+    const cutoff = Date.now() - ZOOM_LEVELS[ZOOM_LEVELS.length - 1] * 60 * 1000;
+    this.samples = this.samples.filter(sample => sample.timestamp >= cutoff);
+    this.render();
+  }
+
+  /**
+   * Zoom to a time window
+   * @param {number} minutes - Window length in minutes
+   */
+  setWindow(minutes) {
+    this.windowMinutes = minutes;
+    this.render();
+  }
+
+  /**
+   * Zoom one level in or out
+   * @param {number} direction - Negative to zoom in, positive to zoom out
+   */
+  zoom(direction) {
+    const index = ZOOM_LEVELS.indexOf(this.windowMinutes);
+    const next = Math.min(Math.max(index + (direction < 0 ? -1 : 1), 0), ZOOM_LEVELS.length - 1);
+    this.setWindow(ZOOM_LEVELS[next]);
+  }
+
+  /**
+   * Get the samples in the visible window and its bounds
+   * @returns {Object} { start, end, samples }
+   */
+  getVisibleRange() {
+    const end = this.samples.length > 0 ? Math.max(Date.now(), this.samples[this.samples.length - 1].timestamp) : Date.now();
+    const start = end - this.windowMinutes * 60 * 1000;
+    return { start, end, samples: this.samples.filter(sample => sample.timestamp >= start) };
+  }
+
+  /**
+   * Render both panels, the zoom buttons and the readout
+   */
+  render() {
+    if (!this.container) return;
+
+    const { start, end, samples } = this.getVisibleRange();
+
+    this.container.querySelectorAll('.resource-zoom-btn').forEach(button => {
+      button.classList.toggle('active', Number(button.dataset.minutes) === this.windowMinutes);
+    });
+
+    const cpuMax = Math.max(100, ...samples.map(sample => sample.cpu));
+    const rssMax = Math.max(1, ...samples.map(sample => sample.rss)) * 1.1;
+
+    this.container.querySelector('#resource-chart-cpu').innerHTML = this.createPanel(samples, 'cpu', start, end, cpuMax);
+    this.container.querySelector('#resource-chart-rss').innerHTML = this.createPanel(samples, 'rss', start, end, rssMax);
+    this.container.querySelector('#resource-chart-cpu-max').textContent = ResourceChart.formatCpu(cpuMax);
+    this.container.querySelector('#resource-chart-rss-max').textContent = ResourceChart.formatMemory(rssMax);
+
+    const empty = this.container.querySelector('#resource-chart-empty');
+    empty.style.display = samples.length < 2 ? 'flex' : 'none';
+
+    this.updateReadout(samples);
+  }
+
+  /**
+   * Create the SVG of one panel
+   * @param {Array} samples - Visible samples
+   * @param {string} metric - 'cpu' or 'rss'
+   * @param {number} start - Window start in epoch milliseconds
+   * @param {number} end - Window end in epoch milliseconds
+   * @param {number} max - Value at the top of the panel
+   * @returns {string} SVG markup
+   */
+  createPanel(samples, metric, start, end, max) {
+    const box = { width: this.width, height: this.height, start, end, max };
+    const points = samples.length > 1 ? ResourceChart.toPoints(samples, metric, box) : '';
+    const toX = timestamp => (((timestamp - start) / (end - start)) * this.width).toFixed(1);
+    const cursorX = this.cursorTime ? ((this.cursorTime - start) / (end - start)) * this.width : null;
+
+    return `
+      <svg class="resource-panel resource-panel-${metric}" viewBox="0 0 ${this.width} ${this.height}" preserveAspectRatio="none">
+        <line class="resource-gridline" x1="0" y1="${this.height / 2}" x2="${this.width}" y2="${this.height / 2}" />
+        ${points ? `<polygon class="resource-area" points="${toX(samples[0].timestamp)},${this.height} ${points} ${toX(samples[samples.length - 1].timestamp)},${this.height}" />` : ''}
+        ${points ? `<polyline class="resource-line" points="${points}" />` : ''}
+        ${cursorX !== null ? `<line class="resource-cursor" x1="${cursorX}" y1="0" x2="${cursorX}" y2="${this.height}" />` : ''}
+      </svg>
+    `;
+  }
+
+  /**
+   * Show the sample under the cursor, or the latest sample
+   * @param {Array} samples - Visible samples
+   */
+  updateReadout(samples) {
+    const readout = this.container.querySelector('#resource-chart-readout');
+    if (!readout) return;
+
+    let sample = samples[samples.length - 1];
+    if (this.cursorTime && samples.length > 0) {
+      sample = samples.reduce((closest, candidate) =>
+        Math.abs(candidate.timestamp - this.cursorTime) < Math.abs(closest.timestamp - this.cursorTime) ? candidate : closest
+      );
+    }
+
+    readout.textContent = sample
+      ? `${new Date(sample.timestamp).toLocaleTimeString()} · CPU ${ResourceChart.formatCpu(sample.cpu)} · Memory ${ResourceChart.formatMemory(sample.rss)}`
+      : '';
+  }
+
+  /**
+   * Attach zoom, wheel and hover events
+   */
+  attachEvents() {
+    this.container.querySelectorAll('.resource-zoom-btn').forEach(button => {
+      button.addEventListener('click', () => this.setWindow(Number(button.dataset.minutes)));
+    });
+
+    const panels = this.container.querySelector('.resource-chart-panels');
+
+    panels.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      this.zoom(e.deltaY);
+    }, { passive: false });
+
+    panels.addEventListener('mousemove', (e) => {
+      const rect = panels.getBoundingClientRect();
+      const { start, end } = this.getVisibleRange();
+      this.cursorTime = start + ((e.clientX - rect.left) / rect.width) * (end - start);
+      this.render();
+    });
+
+    panels.addEventListener('mouseleave', () => {
+      this.cursorTime = null;
+      this.render();
+    });
+  }
+
+  /**
+   * Create the chart HTML
+   * @returns {string} HTML string
+   */
+  createTemplate() {
+    return `
+      <div class="resource-chart-toolbar">
+        ${ZOOM_LEVELS.map(minutes => `
+          <button class="resource-zoom-btn" data-minutes="${minutes}">${minutes < 60 ? `${minutes}m` : '1h'}</button>
+        `).join('')}
+        <span id="resource-chart-readout" class="resource-chart-readout"></span>
+      </div>
+      <div class="resource-chart-panels" title="Scroll to zoom">
+        <div class="resource-chart-row">
+          <span class="resource-chart-label">CPU <small id="resource-chart-cpu-max"></small></span>
+          <div id="resource-chart-cpu" class="resource-chart-panel"></div>
+        </div>
+        <div class="resource-chart-row">
+          <span class="resource-chart-label">Memory <small id="resource-chart-rss-max"></small></span>
+          <div id="resource-chart-rss" class="resource-chart-panel"></div>
+        </div>
+        <div id="resource-chart-empty" class="resource-chart-empty">Collecting samples…</div>
+      </div>
+    `;
+  }
+}
+
+ResourceChart.ZOOM_LEVELS = ZOOM_LEVELS;
+
+module.exports = ResourceChart;
@@ -3,6 +3,8 @@
  * Handles all user interactions and button click events
  */
 
+const IpcMessages = require('./IpcMessages');
+
 class ServerEventHandlers {
   constructor(serverList) {
     this.serverList = serverList;
@@ -14,6 +16,11 @@ class ServerEventHandlers {
   attachMainEventListeners() {
     const refreshBtn = document.getElementById('refresh-btn');
     const stopAllBtn = document.getElementById('stop-all-btn');
+    const newProfileBtn = document.getElementById('new-profile-btn');
+    const historyBtn = document.getElementById('history-btn');
+    const alertsBtn = document.getElementById('alerts-btn');
+    const rulesBtn = document.getElementById('rules-btn');
+    const listsBtn = document.getElementById('lists-btn');
 
     if (refreshBtn) {
       refreshBtn.addEventListener('click', () => this.serverList.refreshServers());
@@ -22,8 +29,131 @@ class ServerEventHandlers {
     if (stopAllBtn) {
       stopAllBtn.addEventListener('click', () => this.serverList.stopAllServers());
     }
+
+    if (newProfileBtn) {
+      newProfileBtn.addEventListener('click', () => this.serverList.showProfileForm());
+    }
+
+    if (historyBtn) {
+      historyBtn.addEventListener('click', () => this.serverList.showHistory());
+    }
+
+    if (alertsBtn) {
+      alertsBtn.addEventListener('click', () => this.serverList.showAlertRules());
+    }
+
+    if (rulesBtn) {
+      rulesBtn.addEventListener('click', () => this.serverList.showClassificationRules());
+    }
+
+    if (listsBtn) {
+      listsBtn.addEventListener('click', () => this.serverList.showProcessLists());
+    }
+
+    this.attachToolbarEventListeners();
   }
 
+  /**
+   * Attach event listeners to the search, sort and filter toolbar
+   * Chips are redrawn with the list, so their clicks are delegated to the container
+   */
+  attachToolbarEventListeners() {
+    const search = document.getElementById('server-search');
+    const sortField = document.getElementById('server-sort-field');
+    const sortDirection = document.getElementById('server-sort-direction');
+    const clearButton = document.getElementById('clear-filters-btn');
+    const chips = document.getElementById('server-filter-chips');
+
+    if (search) {
+      search.addEventListener('input', (e) => this.serverList.setSearch(e.target.value));
+    }
+
+    if (sortField) {
+      sortField.addEventListener('change', (e) => this.serverList.setSortField(e.target.value));
+    }
+
+    if (sortDirection) {
+      sortDirection.addEventListener('click', () => this.serverList.toggleSortDirection());
+    }
+
+    if (clearButton) {
+      clearButton.addEventListener('click', () => {
+        if (search) search.value = '';
+        this.serverList.clearFilters();
+      });
+    }
+
+    if (chips) {
+      chips.addEventListener('click', (e) => {
+        const chip = e.target.closest('.filter-chip');
+        if (chip) {
+          this.serverList.toggleFilter(
+            this.serverList.utils.getDataAttribute(chip, 'group'),
+            this.serverList.utils.getDataAttribute(chip, 'value')
+          );
+        }
+      });
+    }
+  }
+
+  /**
+   * Attach event listeners to saved profile rows
+   */
+  attachProfileEventListeners() {
+    this.serverList.utils.getElements('.btn-start').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        const button = e.target.closest('.btn-start') || btn;
+        this.serverList.startProfile(
+          this.serverList.utils.getDataAttribute(button, 'profileId'),
+          this.serverList.utils.getDataAttribute(button, 'name')
+        );
+      });
+    });
+
+    this.serverList.utils.getElements('.btn-edit-profile').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        const button = e.target.closest('.btn-edit-profile') || btn;
+        this.serverList.showProfileForm(this.serverList.utils.getDataAttribute(button, 'profileId'));
+      });
+    });
+
+    this.serverList.utils.getElements('.btn-delete-profile').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        const button = e.target.closest('.btn-delete-profile') || btn;
+        this.serverList.deleteProfile(
+          this.serverList.utils.getDataAttribute(button, 'profileId'),
+          this.serverList.utils.getDataAttribute(button, 'name')
+        );
+      });
+    });
+  }
+
+  /**
+   * Setup profile editor modal events
+   * @param {HTMLElement} modal - Modal element
+   */
+  setupProfileFormEvents(modal) {
+    if (!modal) return;
+
+    const form = modal.querySelector('#profile-form');
+    const cancelBtn = modal.querySelector('.btn-cancel-profile');
+
+    if (cancelBtn) {
+      cancelBtn.addEventListener('click', () => this.serverList.ui.hideModal(modal));
+    }
+
+    if (form) {
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.handleSaveProfile(form, modal);
+      });
+    }
+
+    this.setupModalCloseEvents(modal);
+  }
   /**
    * Attach event listeners to server cards
    */
@@ -80,6 +210,24 @@ class ServerEventHandlers {
       });
     });
 
+    // Output (captured stdout/stderr) buttons
+    this.serverList.utils.getElements('.btn-logs').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+
+        const button = e.target.closest('.btn-logs') || btn;
+        const pid = this.serverList.utils.safeParseInt(
+          this.serverList.utils.getDataAttribute(button, 'pid')
+        );
+        const name = this.serverList.utils.getDataAttribute(button, 'name');
+
+        if (pid) {
+          this.serverList.showServerOutput(pid, name);
+        }
+      });
+    });
+
     // Error logs buttons
     const errorLogsButtons = this.serverList.utils.getElements('.btn-error-logs');
     errorLogsButtons.forEach(btn => {
@@ -106,6 +254,31 @@ class ServerEventHandlers {
       });
     });
 
+    // Project group stop/restart buttons
+    this.serverList.utils.getElements('.btn-project-action').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        const projectId = this.serverList.utils.getDataAttribute(btn, 'projectId');
+        const action = this.serverList.utils.getDataAttribute(btn, 'action');
+
+        if (projectId) {
+          this.serverList.runProjectAction(projectId, action);
+        }
+      });
+    });
+
+    // Right-click a card to add it to the ignore or protect list
+    this.serverList.utils.getElements('.server-card').forEach(card => {
+      card.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        const pid = this.serverList.utils.safeParseInt(this.serverList.utils.getDataAttribute(card, 'pid'));
+
+        if (pid) {
+          this.serverList.showServerContextMenu(pid, e.clientX, e.clientY);
+        }
+      });
+    });
+
     // Details buttons
     const detailsButtons = this.serverList.utils.getElements('.btn-details');
     detailsButtons.forEach(btn => {
@@ -124,6 +297,81 @@ class ServerEventHandlers {
     });
   }
 
+  /**
+   * Attach the actions of a card context menu
+   * @param {HTMLElement} menu - Context menu element
+   * @param {Object} server - Server the menu was opened for
+   */
+  setupContextMenuEvents(menu, server) {
+    menu.querySelectorAll('.context-menu-item').forEach(item => {
+      item.addEventListener('click', () => {
+        const action = this.serverList.utils.getDataAttribute(item, 'action');
+        this.serverList.hideContextMenu();
+
+        if (action === 'add') {
+          this.handleAddToProcessList(
+            server,
+            this.serverList.utils.getDataAttribute(item, 'list'),
+            this.serverList.utils.getDataAttribute(item, 'matcher'),
+            this.serverList.utils.getDataAttribute(item, 'value')
+          );
+        } else if (action === 'remove') {
+          this.handleRemoveFromProcessList(server, this.serverList.utils.getDataAttribute(item, 'entryId'));
+        } else {
+          this.serverList.showProcessLists();
+        }
+      });
+    });
+  }
+
+  /**
+   * Add a server to the ignore or protect list
+   * @param {Object} server - Server object
+   * @param {string} list - 'ignore' or 'protect'
+   * @param {string} matcher - 'command', 'port' or 'cwd'
+   * @param {string} value - Value to match
+   */
+  async handleAddToProcessList(server, list, matcher, value) {
+    if (list === 'ignore' &&
+      !this.serverList.utils.confirmAction(`Hide "${server.name}" and every process matching it? You can undo this from Lists.`)) {
+      return;
+    }
+
+    try {
+      const result = await window.electronAPI.saveProcessListEntry({ list, matcher, value, label: server.name });
+
+      if (result.success) {
+        this.serverList.ui.showNotification('Success',
+          list === 'ignore' ? `"${server.name}" is now ignored.` : `"${server.name}" is now protected.`, 'success');
+        await this.serverList.refreshServers();
+      } else {
+        this.serverList.ui.showNotification('Error', `Failed to update the ${list} list: ${IpcMessages.describe(result)}`, 'error');
+      }
+    } catch (error) {
+      this.serverList.ui.showNotification('Error', `Error updating the ${list} list: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Take a server off the protect list
+   * @param {Object} server - Server object
+   * @param {string} entryId - Protect list entry that matched the server
+   */
+  async handleRemoveFromProcessList(server, entryId) {
+    try {
+      const result = await window.electronAPI.deleteProcessListEntry(entryId);
+
+      if (result.success) {
+        this.serverList.ui.showNotification('Success', `"${server.name}" is no longer protected.`, 'success');
+        await this.serverList.refreshServers();
+      } else {
+        this.serverList.ui.showNotification('Error', `Failed to update the protect list: ${IpcMessages.describe(result)}`, 'error');
+      }
+    } catch (error) {
+      this.serverList.ui.showNotification('Error', `Error updating the protect list: ${error.message}`, 'error');
+    }
+  }
+
   /**
    * Setup modal close events
    * @param {HTMLElement} modal - Modal element
@@ -236,11 +484,18 @@ class ServerEventHandlers {
       }
 
       console.log('Calling restartServer API...');
-      const result = await window.electronAPI.restartServer(pid);
+      const result = await this.runWithConfirmation(
+        options => window.electronAPI.restartServer(pid, options),
+        `Restart "${serverName}" anyway?`
+      );
       console.log('Restart server result:', result);
 
-      if (result.success) {
-        this.serverList.ui.showNotification('Success', `"${serverName}" restarted successfully. New PID: ${result.newPid}`, 'success');
+      if (result.cancelled) {
+        this.serverList.utils.restoreButton(restartBtn, originalText);
+      } else if (result.success) {
+        this.serverList.ui.showNotification('Success', result.data.newPid
+          ? `"${serverName}" restarted successfully. New PID: ${result.data.newPid}`
+          : `"${serverName}" restarted successfully.`, 'success');
 
         // Refresh the server list to show the new PID
         setTimeout(() => {
@@ -248,8 +503,9 @@ class ServerEventHandlers {
         }, 2000);
       } else {
         console.error(`Failed to restart server "${serverName}":`, result.error);
-        this.serverList.ui.showNotification('Error', `Failed to restart "${serverName}": ${result.error}`, 'error');
+        this.serverList.ui.showNotification('Error', `Failed to restart "${serverName}": ${IpcMessages.describe(result)}`, IpcMessages.getSeverity(result));
         this.serverList.utils.restoreButton(restartBtn, originalText);
+        this.showLaunchFailureOutput(result, serverName);
       }
     } catch (error) {
       console.error('Error restarting server:', error);
@@ -258,6 +514,111 @@ class ServerEventHandlers {
     }
   }
 
+  /**
+   * Open the captured output of a server that failed to start or become ready
+   * @param {Object} result - Failed start/restart result, whose details carry the new PID and its output
+   * @param {string} serverName - Server name
+   */
+  showLaunchFailureOutput(result, serverName) {
+    const details = result.details || {};
+    if (details.newPid && details.output && details.output.length > 0) {
+      this.serverList.showServerOutput(details.newPid, serverName);
+    }
+  }
+
+  /**
+   * Handle saving the profile editor form
+   * @param {HTMLFormElement} form - Profile form
+   * @param {HTMLElement} modal - Modal element
+   */
+  async handleSaveProfile(form, modal) {
+    const data = new FormData(form);
+    const errorEl = modal.querySelector('#profile-form-error');
+    const profile = {
+      name: data.get('name'),
+      command: data.get('command'),
+      cwd: data.get('cwd'),
+      env: this.serverList.utils.parseEnvText(data.get('env')),
+      expectedPort: data.get('expectedPort') || null,
+      readinessUrl: data.get('readinessUrl'),
+      readinessType: data.get('readinessType'),
+      readinessPattern: data.get('readinessPattern'),
+      readinessTimeout: data.get('readinessTimeout') || null,
+      keepAlive: data.get('keepAlive') === 'on'
+    };
+
+    if (data.get('id')) {
+      profile.id = data.get('id');
+    }
+
+    try {
+      const result = await window.electronAPI.saveServerProfile(profile);
+
+      if (result.success) {
+        this.serverList.ui.hideModal(modal);
+        this.serverList.ui.showNotification('Success', `Profile "${result.data.profile.name}" saved.`, 'success');
+        await this.serverList.refreshProfiles();
+      } else if (errorEl) {
+        errorEl.textContent = IpcMessages.describe(result);
+        errorEl.style.display = 'block';
+      }
+    } catch (error) {
+      this.serverList.ui.showNotification('Error', `Error saving profile: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Handle starting a server from a profile
+   * @param {string} profileId - Profile ID
+   * @param {string} profileName - Profile name
+   */
+  async handleStartProfile(profileId, profileName) {
+    const startBtn = this.serverList.utils.getElement(`.btn-start[data-profile-id="${profileId}"]`);
+    if (startBtn && startBtn.disabled) return;
+
+    const originalText = startBtn ? this.serverList.utils.setButtonLoading(startBtn, 'Starting...') : null;
+
+    try {
+      const result = await window.electronAPI.startServerProfile(profileId);
+
+      if (result.success) {
+        this.serverList.ui.showNotification('Success', `"${profileName}" started. PID: ${result.data.newPid}`, 'success');
+        await this.serverList.refreshProfiles();
+      } else {
+        this.serverList.ui.showNotification('Error', `Failed to start "${profileName}": ${IpcMessages.describe(result)}`, IpcMessages.getSeverity(result));
+        if (startBtn) this.serverList.utils.restoreButton(startBtn, originalText);
+        this.showLaunchFailureOutput(result, profileName);
+      }
+    } catch (error) {
+      this.serverList.ui.showNotification('Error', `Error starting server: ${error.message}`, 'error');
+      if (startBtn) this.serverList.utils.restoreButton(startBtn, originalText);
+    }
+  }
+
+  /**
+   * Handle deleting a profile
+   * @param {string} profileId - Profile ID
+   * @param {string} profileName - Profile name
+   */
+  async handleDeleteProfile(profileId, profileName) {
+    if (!this.serverList.utils.confirmAction(`Delete the profile "${profileName}"? Running servers are not affected.`)) {
+      return;
+    }
+
+    try {
+      const result = await window.electronAPI.deleteServerProfile(profileId);
+
+      if (result.success) {
+        this.serverList.ui.showNotification('Success', `Profile "${profileName}" deleted.`, 'success');
+        await this.serverList.refreshProfiles();
+      } else {
+        this.serverList.ui.showNotification('Error', `Failed to delete "${profileName}": ${IpcMessages.describe(result)}`, 'error');
+      }
+    } catch (error) {
+      this.serverList.ui.showNotification('Error', `Error deleting profile: ${error.message}`, 'error');
+    }
+  }
+
   /**
    * Handle server stop action
    * @param {number} pid - Process ID
@@ -292,20 +653,29 @@ class ServerEventHandlers {
       }
 
       console.log('Calling stopServer API...');
-      const result = await window.electronAPI.stopServer(pid);
+      const result = await this.runWithConfirmation(
+        options => window.electronAPI.stopServer(pid, options),
+        `Stop "${serverName}" anyway?`
+      );
       console.log('Stop server result:', result);
 
-      if (result.success) {
+      if (result.cancelled) {
+        this.serverList.utils.restoreButton(stopBtn, originalText);
+      } else if (result.success || result.code === 'NOT_FOUND') {
         // Remove server from UI
         this.serverList.servers = this.serverList.servers.filter(s => s.pid !== pid);
         this.serverList.updateServers(this.serverList.servers);
 
-        // Show success notification
-        this.serverList.ui.showNotification('Success', `"${serverName}" stopped successfully.`, 'success');
+        // A server that exited in the meantime is as stopped as it gets
+        if (result.success) {
+          this.serverList.ui.showNotification('Success', `"${serverName}" stopped successfully.`, 'success');
+        } else {
+          this.serverList.ui.showNotification('Already Stopped', `"${serverName}" had already exited.`, 'info');
+        }
       } else {
         // Show error and log it
         console.error(`Failed to stop server "${serverName}":`, result.error);
-        this.serverList.ui.showNotification('Error', `Failed to stop "${serverName}": ${result.error}`, 'error');
+        this.serverList.ui.showNotification('Error', `Failed to stop "${serverName}": ${IpcMessages.describe(result)}`, IpcMessages.getSeverity(result));
         this.serverList.utils.restoreButton(stopBtn, originalText);
       }
     } catch (error) {
@@ -315,11 +685,134 @@ class ServerEventHandlers {
     }
   }
 
+  /**
+   * Run a stop or restart, asking once more when the server is protected or looks critical
+   * @param {Function} operation - Calls the API with the given options
+   * @param {string} question - Question shown under the reason for the extra confirmation
+   * @returns {Promise<Object>} Result of the operation, with `cancelled` set when the user declined
+   */
+  async runWithConfirmation(operation, question) {
+    const result = await operation({});
+    if (result.success || result.code !== 'PROTECTED' || !result.details.requiresConfirmation) {
+      return result;
+    }
+
+    if (!this.serverList.utils.confirmAction(`${result.error}\n\n${question}`)) {
+      return { ...result, cancelled: true };
+    }
+
+    return await operation({ confirmed: true });
+  }
+
+  /**
+   * Handle stop tree action from the details modal
+   * @param {Object} details - Process details with the child tree
+   * @param {HTMLElement} modal - Details modal
+   */
+  async handleStopTree(details, modal) {
+    const server = this.serverList.servers.find(s => s.pid === details.pid);
+    const serverName = server ? server.name : details.name;
+    const childCount = this.serverList.ui.countProcessTree(details.children || []);
+
+    if (!this.serverList.utils.confirmAction(`Stop "${serverName}" and its ${childCount} child processes?`)) {
+      return;
+    }
+
+    const stopTreeBtn = modal.querySelector('#stop-tree-btn');
+    const originalText = this.serverList.utils.setButtonLoading(stopTreeBtn, 'Stopping Tree...');
+
+    try {
+      const result = await this.runWithConfirmation(
+        options => window.electronAPI.stopServer(details.pid, { ...options, tree: true }),
+        `Stop "${serverName}" and its child processes anyway?`
+      );
+
+      if (result.cancelled) {
+        this.serverList.utils.restoreButton(stopTreeBtn, originalText);
+        return;
+      }
+
+      if (!result.success) {
+        this.serverList.ui.showNotification('Error', `Failed to stop "${serverName}": ${IpcMessages.describe(result)}`, IpcMessages.getSeverity(result));
+        this.serverList.utils.restoreButton(stopTreeBtn, originalText);
+        return;
+      }
+
+      this.serverList.ui.hideModal(modal);
+      this.serverList.resourceChart.unmount();
+      this.serverList.servers = this.serverList.servers.filter(s => s.pid !== details.pid);
+      this.serverList.updateServers(this.serverList.servers);
+
+      const survivors = result.data.survivors || [];
+      if (survivors.length > 0) {
+        const list = survivors.map(survivor => `${survivor.name} (PID ${survivor.pid}): ${survivor.error}`).join(', ');
+        this.serverList.ui.showNotification('Partial Success',
+          `"${serverName}" stopped, but ${survivors.length} child processes survived: ${list}`, 'warning');
+      } else {
+        this.serverList.ui.showNotification('Success', `"${serverName}" and its child processes stopped successfully.`, 'success');
+      }
+    } catch (error) {
+      this.serverList.ui.showNotification('Error', `Error stopping process tree: ${error.message}`, 'error');
+      this.serverList.utils.restoreButton(stopTreeBtn, originalText);
+    }
+  }
+
+  /**
+   * Handle stop/restart project action
+   * Servers are handled one at a time so restarts do not race for shared ports
+   * @param {Object} project - Project group ({ id, name, servers })
+   * @param {string} action - 'stop' or 'restart'
+   */
+  async handleProjectAction(project, action) {
+    const verb = action === 'stop' ? 'stop' : 'restart';
+    // Protected servers and infrastructure are never part of a bulk stop or restart
+    const group = { ...project, servers: project.servers.filter(server => this.serverList.utils.isBulkActionTarget(server)) };
+    if (group.servers.length === 0) return;
+
+    if (!this.serverList.utils.confirmAction(`Are you sure you want to ${verb} all ${group.servers.length} servers of "${group.name}"?`)) {
+      return;
+    }
+
+    const buttons = Array.from(document.querySelectorAll('.btn-project-action'))
+      .filter(button => button.dataset.projectId === group.id);
+    const originalTexts = buttons.map(button =>
+      this.serverList.utils.setButtonLoading(button, action === 'stop' ? 'Stopping...' : 'Restarting...')
+    );
+
+    const failures = [];
+    try {
+      for (const server of group.servers) {
+        const result = action === 'stop'
+          ? await window.electronAPI.stopServer(server.pid)
+          : await window.electronAPI.restartServer(server.pid);
+
+        if (!result.success) {
+          failures.push(`${server.name}: ${IpcMessages.describe(result)}`);
+        }
+      }
+
+      if (failures.length === 0) {
+        this.serverList.ui.showNotification('Success',
+          `All ${group.servers.length} servers of "${group.name}" ${action === 'stop' ? 'stopped' : 'restarted'} successfully.`, 'success');
+      } else {
+        this.serverList.ui.showNotification('Partial Success',
+          `${failures.length} of ${group.servers.length} servers of "${group.name}" failed to ${verb}: ${failures.join(', ')}`, 'warning');
+      }
+    } catch (error) {
+      this.serverList.ui.showNotification('Error', `Error running project action: ${error.message}`, 'error');
+    } finally {
+      buttons.forEach((button, index) => this.serverList.utils.restoreButton(button, originalTexts[index]));
+      await this.serverList.refreshServers();
+    }
+  }
+
   /**
    * Handle stop all servers action
-   * @param {Array} servers - Array of server objects
+   * @param {Array} allServers - Array of server objects
    */
-  async handleStopAllServers(servers) {
+  async handleStopAllServers(allServers) {
+    // Protected servers and infrastructure are never part of a bulk stop
+    const servers = allServers.filter(server => this.serverList.utils.isBulkActionTarget(server));
     if (servers.length === 0) return;
 
     if (!this.serverList.utils.confirmAction(`Are you sure you want to stop all ${servers.length} servers?`)) {
@@ -360,18 +853,35 @@ class ServerEventHandlers {
    */
   async handleServerDetails(pid) {
     try {
-      const details = await window.electronAPI.getProcessDetails(pid);
+      const result = await window.electronAPI.getProcessDetails(pid);
 
-      if (details) {
-        this.serverList.showServerDetailsModal(details);
+      if (result.success) {
+        this.serverList.showServerDetailsModal(result.data);
       } else {
-        this.serverList.ui.showNotification('Error', 'Could not fetch process details.', 'error');
+        this.serverList.ui.showNotification('Error', `Could not fetch process details: ${IpcMessages.describe(result)}`, IpcMessages.getSeverity(result));
       }
     } catch (error) {
       this.serverList.ui.showNotification('Error', `Error getting process details: ${error.message}`, 'error');
     }
   }
 
+  /**
+   * Handle show captured output action
+   * @param {number} pid - Process ID
+   * @param {string} serverName - Server name
+   */
+  async handleServerOutput(pid, serverName) {
+    try {
+      const result = await this.serverList.logViewer.open(pid, serverName);
+
+      if (!result.success) {
+        this.serverList.ui.showNotification('No Output', `${serverName}: ${IpcMessages.describe(result)}`, 'info');
+      }
+    } catch (error) {
+      this.serverList.ui.showNotification('Error', `Error getting server output: ${error.message}`, 'error');
+    }
+  }
+
   /**
    * Handle show error logs action
    * @param {number} pid - Process ID
@@ -382,9 +892,9 @@ class ServerEventHandlers {
       const result = await window.electronAPI.getServerErrorLogs(pid);
 
       if (result.success) {
-        this.serverList.showErrorLogsModal(serverName, result.logs, result.totalLogs, pid);
+        this.serverList.showErrorLogsModal(serverName, result.data.logs, result.data.totalLogs, pid);
       } else {
-        this.serverList.ui.showNotification('Error', `Failed to get error logs for "${serverName}": ${result.error}`, 'error');
+        this.serverList.ui.showNotification('Error', `Failed to get error logs for "${serverName}": ${IpcMessages.describe(result)}`, 'error');
       }
     } catch (error) {
       this.serverList.ui.showNotification('Error', `Error getting error logs: ${error.message}`, 'error');
@@ -407,10 +917,10 @@ class ServerEventHandlers {
       const result = await window.electronAPI.clearServerErrorLogs(pid);
 
       if (result.success) {
-        this.serverList.ui.showNotification('Success', result.message, 'success');
+        this.serverList.ui.showNotification('Success', result.data.message, 'success');
         this.serverList.ui.hideModal(modal);
       } else {
-        this.serverList.ui.showNotification('Error', result.error, 'error');
+        this.serverList.ui.showNotification('Error', IpcMessages.describe(result), 'error');
       }
     } catch (error) {
       this.serverList.ui.showNotification('Error', `Error clearing logs: ${error.message}`, 'error');
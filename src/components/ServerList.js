@@ -7,11 +7,26 @@
 const ServerUIComponents = require('./ServerUIComponents');
 const ServerUtilities = require('./ServerUtilities');
 const ServerEventHandlers = require('./ServerEventHandlers');
+const LogViewer = require('./LogViewer');
+const OperationHistory = require('./OperationHistory');
+const ResourceChart = require('./ResourceChart');
+const AlertRulesView = require('./AlertRulesView');
+const ClassificationRulesView = require('./ClassificationRulesView');
+const ProcessListsView = require('./ProcessListsView');
+const IpcMessages = require('./IpcMessages');
+const ServerListFilter = require('./ServerListFilter');
+
+// Samples kept per server for card sparklines
+const SPARKLINE_SAMPLES = 60;
+
+// Wait for typing to pause before saving the view
+const VIEW_SAVE_DELAY = 500;
 
 class ServerList {
   constructor(containerId) {
     this.container = document.getElementById(containerId);
     this.servers = [];
+    this.profiles = [];
     this.isLoading = false;
     this.error = null;
 
@@ -19,6 +34,17 @@ class ServerList {
     this.ui = new ServerUIComponents();
     this.utils = new ServerUtilities();
     this.eventHandlers = new ServerEventHandlers(this);
+    this.logViewer = new LogViewer();
+    this.history = new OperationHistory();
+    this.resourceChart = new ResourceChart();
+    this.resourceSeries = new Map(); // PID -> recent samples for sparklines
+    this.alertRulesView = new AlertRulesView();
+    this.alerts = new Map(); // PID -> active resource alerts
+    this.classificationRulesView = new ClassificationRulesView();
+    this.processListsView = new ProcessListsView();
+    this.contextMenu = null;
+    this.view = ServerListFilter.getDefaultView(); // Search, filters and sort order
+    this.viewSaveTimer = null;
 
     this.init();
   }
@@ -26,6 +52,91 @@ class ServerList {
   init() {
     this.container.innerHTML = this.ui.renderServerListContainer();
     this.eventHandlers.attachMainEventListeners();
+    this.loadView();
+  }
+
+  /**
+   * Restore the search, filters and sort order of the last session
+   */
+  async loadView() {
+    try {
+      this.view = ServerListFilter.normalizeView(IpcMessages.unwrap(await window.electronAPI.getServerListView()));
+      this.renderServers();
+    } catch (error) {
+      console.error('Error loading the server list view:', error);
+    }
+  }
+
+  /**
+   * Change the view, redraw the list and save the view once changes settle
+   * @param {Object} changes - Fields of the view to replace
+   */
+  updateView(changes) {
+    this.view = ServerListFilter.normalizeView({ ...this.view, ...changes });
+    this.renderServers();
+
+    clearTimeout(this.viewSaveTimer);
+    this.viewSaveTimer = setTimeout(async () => {
+      try {
+        IpcMessages.unwrap(await window.electronAPI.saveServerListView(this.view));
+      } catch (error) {
+        console.error('Error saving the server list view:', error);
+      }
+    }, VIEW_SAVE_DELAY);
+  }
+
+  /**
+   * Search servers by name, port, command or working directory
+   * @param {string} search - Search text
+   */
+  setSearch(search) {
+    this.updateView({ search });
+  }
+
+  /**
+   * Sort by another field, in the direction that field starts with
+   * @param {string} field - One of ServerListFilter.SORT_FIELDS
+   */
+  setSortField(field) {
+    this.updateView({ sort: { field, direction: ServerListFilter.getDefaultDirection(field) } });
+  }
+
+  /**
+   * Reverse the sort order
+   */
+  toggleSortDirection() {
+    const direction = this.view.sort.direction === 'asc' ? 'desc' : 'asc';
+    this.updateView({ sort: { ...this.view.sort, direction } });
+  }
+
+  /**
+   * Select or deselect a filter chip
+   * @param {string} group - 'types', 'categories' or 'tags'
+   * @param {string} value - Chip value
+   */
+  toggleFilter(group, value) {
+    const selected = this.view.filters[group] || [];
+    const values = selected.includes(value) ? selected.filter(item => item !== value) : [...selected, value];
+    this.updateView({ filters: { ...this.view.filters, [group]: values } });
+  }
+
+  /**
+   * Clear the search and every filter chip, keeping the sort order
+   */
+  clearFilters() {
+    this.updateView({ search: '', filters: ServerListFilter.getDefaultView().filters });
+  }
+
+  /**
+   * Get the servers the view lets through, in display order
+   * Memory is the latest sample, so the order only changes when the list is redrawn
+   * @returns {Array} Servers to show
+   */
+  getVisibleServers() {
+    return ServerListFilter.apply(this.servers, this.view, server => {
+      const series = this.resourceSeries.get(server.pid);
+      return series && series.length > 0 ? series[series.length - 1].rss : null;
+    });
   }
 
   /**
@@ -38,6 +149,231 @@ class ServerList {
     this.updateEmptyState();
   }
 
+  /**
+   * Apply a lifecycle event pushed from the main process
+   * Updates the list in place instead of re-fetching every server
+   */
+  applyLifecycleEvent(event) {
+    const { type, server } = event;
+
+    switch (type) {
+      case 'server-started':
+        this.servers = [...this.servers.filter(item => item.pid !== server.pid), server];
+        this.showNotification('Server Started', `${server.name} is running on port ${server.port}`, 'success');
+        break;
+      case 'server-stopped':
+        this.servers = this.servers.filter(item => item.pid !== server.pid);
+        this.showNotification('Server Stopped', `${server.name} (PID: ${server.pid}) is no longer running`, 'warning');
+        break;
+      case 'server-restarted':
+        this.servers = [...this.servers.filter(item => item.pid !== event.previousPid && item.pid !== server.pid), server];
+        this.showNotification('Server Restarted', `${server.name} restarted (PID: ${event.previousPid} → ${server.pid})`, 'info');
+        break;
+      case 'port-changed':
+        this.servers = this.servers.map(item => (item.pid === server.pid ? server : item));
+        this.showNotification('Port Changed', `${server.name} moved from port ${event.previousPort} to ${server.port}`, 'info');
+        break;
+      case 'bindings-changed':
+        // Only the port chips change, the card highlight is enough
+        this.servers = this.servers.map(item => (item.pid === server.pid ? server : item));
+        break;
+      case 'health-changed':
+        this.servers = this.servers.map(item => (item.pid === server.pid ? server : item));
+        if (server.health.status === 'healthy') {
+          this.showNotification('Service Healthy', `${server.name} on port ${server.health.port} is healthy again`, 'success');
+        } else {
+          this.showNotification('Service Unhealthy', `${server.name} is ${server.health.status}: ${server.health.detail}`, 'warning');
+        }
+        break;
+      default:
+        return;
+    }
+
+    this.renderServers();
+    this.updateStats();
+    this.updateEmptyState();
+
+    if (server.managed || type === 'server-stopped') {
+      this.refreshProfiles();
+    }
+
+    if (type !== 'server-stopped') {
+      this.ui.highlightServerCard(server.pid, type);
+    }
+  }
+
+  /**
+   * Apply CPU/memory samples pushed from the main process
+   * Only the sparklines are redrawn, not the whole card
+   * @param {Array} samples - Samples ({ pid, timestamp, cpu, rss })
+   */
+  applyResourceSamples(samples) {
+    const pids = new Set(this.servers.map(server => server.pid));
+
+    Array.from(this.resourceSeries.keys()).forEach(pid => {
+      if (!pids.has(pid)) this.resourceSeries.delete(pid);
+    });
+
+    samples.filter(sample => pids.has(sample.pid)).forEach(sample => {
+      const series = this.resourceSeries.get(sample.pid) || [];
+      series.push({ timestamp: sample.timestamp, cpu: sample.cpu, rss: sample.rss });
+      if (series.length > SPARKLINE_SAMPLES) series.shift();
+      this.resourceSeries.set(sample.pid, series);
+
+      const element = document.querySelector(`.server-resources[data-pid="${sample.pid}"]`);
+      if (element) {
+        element.innerHTML = ResourceChart.createSummary(series);
+      }
+    });
+
+    this.resourceChart.appendSamples(samples);
+  }
+
+  /**
+   * Apply a resource alert pushed from the main process
+   * @param {Object} alert - Alert from the resource alert monitor
+   */
+  applyAlert(alert) {
+    const alerts = (this.alerts.get(alert.pid) || []).filter(item => item.id !== alert.id);
+    this.alerts.set(alert.pid, [...alerts, alert]);
+    this.renderServers();
+    this.showNotification(`Alert: ${alert.ruleName}`, alert.message, 'warning');
+  }
+
+  /**
+   * Remove a resource alert that no longer applies
+   * @param {Object} alert - Cleared alert
+   */
+  clearAlert(alert) {
+    const alerts = (this.alerts.get(alert.pid) || []).filter(item => item.id !== alert.id);
+    if (alerts.length > 0) {
+      this.alerts.set(alert.pid, alerts);
+    } else {
+      this.alerts.delete(alert.pid);
+    }
+    this.renderServers();
+  }
+
+  /**
+   * Report the outcome of an alert's automatic stop or restart
+   * @param {Object} event - Action result ({ alert, action, success, error })
+   */
+  applyAlertAction(event) {
+    const verb = event.action === 'restart' ? 'restarted' : 'stopped';
+    if (event.success) {
+      this.showNotification('Alert Action', `${event.alert.serverName} was ${verb} by rule "${event.alert.ruleName}"`, 'info');
+    } else {
+      this.showNotification('Alert Action Failed', `${event.alert.serverName} could not be ${verb}: ${event.error}`, 'error');
+    }
+  }
+
+  /**
+   * Load the alerts that are active right now
+   */
+  async loadActiveAlerts() {
+    try {
+      const alerts = IpcMessages.unwrap(await window.electronAPI.getActiveAlerts());
+      this.alerts = new Map();
+      alerts.forEach(alert => {
+        this.alerts.set(alert.pid, [...(this.alerts.get(alert.pid) || []), alert]);
+      });
+    } catch (error) {
+      console.error('Error loading active alerts:', error);
+    }
+  }
+
+  /**
+   * Show the resource alert rules
+   */
+  async showAlertRules() {
+    await this.alertRulesView.open(this.profiles);
+  }
+
+  /**
+   * Show the classification rules, refreshing the list whenever they change
+   */
+  async showClassificationRules() {
+    await this.classificationRulesView.open(() => this.refreshServers());
+  }
+
+  /**
+   * Show the ignore and protect lists, refreshing the list whenever they change
+   */
+  async showProcessLists() {
+    await this.processListsView.open(() => this.refreshServers());
+  }
+
+  /**
+   * Show the context menu of a server card
+   * @param {number} pid - Server PID
+   * @param {number} x - Viewport x coordinate
+   * @param {number} y - Viewport y coordinate
+   */
+  showServerContextMenu(pid, x, y) {
+    const server = this.servers.find(s => s.pid === pid);
+    if (!server) return;
+
+    if (!this.contextMenu) {
+      this.contextMenu = document.createElement('div');
+      this.contextMenu.className = 'context-menu';
+      document.body.appendChild(this.contextMenu);
+
+      document.addEventListener('click', (e) => {
+        if (!this.contextMenu.contains(e.target)) this.hideContextMenu();
+      });
+      document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') this.hideContextMenu();
+      });
+      window.addEventListener('blur', () => this.hideContextMenu());
+    }
+
+    this.contextMenu.innerHTML = this.ui.createServerContextMenu(server);
+    this.contextMenu.style.display = 'block';
+
+    // Keep the menu inside the window
+    const { offsetWidth, offsetHeight } = this.contextMenu;
+    this.contextMenu.style.left = `${Math.min(x, window.innerWidth - offsetWidth - 4)}px`;
+    this.contextMenu.style.top = `${Math.min(y, window.innerHeight - offsetHeight - 4)}px`;
+
+    this.eventHandlers.setupContextMenuEvents(this.contextMenu, server);
+  }
+
+  /**
+   * Hide the card context menu
+   */
+  hideContextMenu() {
+    if (this.contextMenu) {
+      this.contextMenu.style.display = 'none';
+    }
+  }
+
+  /**
+   * Load recent samples so sparklines are filled right after a refresh
+   */
+  async loadResourceSeries() {
+    try {
+      const result = await window.electronAPI.getRecentResources(SPARKLINE_SAMPLES);
+      if (result.success) {
+        this.resourceSeries = new Map(Object.entries(result.data.series).map(([pid, samples]) => [Number(pid), samples]));
+      }
+    } catch (error) {
+      console.error('Error loading resource samples:', error);
+    }
+  }
+
+  /**
+   * Tell the user a keep-alive server crashed
+   * @param {Object} crash - Crash event from the keep-alive monitor
+   */
+  applyCrashEvent(crash) {
+    const message = crash.gaveUp
+      ? `${crash.profileName} ${crash.reason} and crashed ${crash.attempt} times in a row. It will not be restarted again.`
+      : `${crash.profileName} ${crash.reason}. Restarting in ${Math.round(crash.restartIn / 1000)}s (attempt ${crash.attempt} of ${crash.maxRestarts}).`;
+
+    this.showNotification(crash.gaveUp ? 'Server Keeps Crashing' : 'Server Crashed', message, crash.gaveUp ? 'error' : 'warning');
+    this.refreshProfiles();
+  }
+
   /**
    * Render individual server cards
    */
@@ -46,26 +382,67 @@ class ServerList {
 
     if (!container) return;
 
-    if (this.servers.length === 0) {
+    const visible = this.getVisibleServers();
+    this.renderToolbar(visible.length);
+
+    if (visible.length === 0) {
       container.innerHTML = '';
       return;
     }
 
-    container.innerHTML = this.servers.map(server =>
+    const renderCards = servers => servers.map(server =>
       this.ui.createServerCard(
-        server,
+        { ...server, alerts: this.alerts.get(server.pid) || [] },
         this.utils.sanitizeCommand.bind(this.utils),
         this.utils.formatTime.bind(this.utils),
         this.utils.getServerIcon.bind(this.utils),
         this.utils.getStatusColor.bind(this.utils),
-        this.utils.truncateCommand.bind(this.utils)
+        this.utils.truncateCommand.bind(this.utils),
+        this.resourceSeries.get(server.pid) || []
       )
-    ).join('');
+    );
+
+    // Databases and brokers get a section of their own, outside every bulk action
+    const infrastructure = visible.filter(server => server.type === 'infrastructure');
+    const servers = visible.filter(server => server.type !== 'infrastructure');
+
+    // Only group once at least one server belongs to a project
+    const groups = this.utils.groupServersByProject(servers);
+    const grouped = groups.some(group => group.id);
+
+    if (infrastructure.length === 0) {
+      container.className = grouped ? 'project-groups' : 'servers-grid';
+      container.innerHTML = grouped
+        ? groups.map(group => this.ui.createProjectGroup(group, renderCards(group.servers))).join('')
+        : renderCards(servers).join('');
+    } else {
+      const sections = grouped
+        ? groups.map(group => this.ui.createProjectGroup(group, renderCards(group.servers)))
+        : servers.length > 0
+          ? [this.ui.createProjectGroup({ id: null, name: 'Development servers', servers }, renderCards(servers))]
+          : [];
+
+      container.className = 'project-groups';
+      container.innerHTML = [...sections, this.ui.createInfrastructureGroup(infrastructure, renderCards(infrastructure))].join('');
+    }
 
     // Attach event listeners to server cards
     this.eventHandlers.attachServerEventListeners();
   }
 
+  /**
+   * Render the filter chips and the toolbar state for the current servers
+   * @param {number} shown - Servers left after search and filters
+   */
+  renderToolbar(shown) {
+    const chips = document.getElementById('server-filter-chips');
+    if (chips) {
+      chips.innerHTML = this.ui.createFilterChips(ServerListFilter.getFilterOptions(this.servers, this.view.filters));
+    }
+
+    this.ui.updateServerToolbar(this.view, shown, this.servers.length, ServerListFilter.isFiltered(this.view));
+  }
+
   /**
    * Update statistics
    */
@@ -124,16 +501,87 @@ class ServerList {
 
     try {
       // This will be handled by the main process via IPC
-      const servers = await window.electronAPI.getServers();
+      const servers = IpcMessages.unwrap(await window.electronAPI.getServers());
+      await this.loadResourceSeries();
+      await this.loadActiveAlerts();
       this.updateServers(servers);
+      await this.refreshProfiles();
     } catch (error) {
-      this.showError('Failed to refresh servers. Please try again.');
+      this.showError(error.code ? `Failed to refresh servers. ${error.message}` : 'Failed to refresh servers. Please try again.');
       console.error('Error refreshing servers:', error);
     } finally {
       this.hideLoading();
     }
   }
 
+  /**
+   * Reload saved profiles and their running state
+   */
+  async refreshProfiles() {
+    try {
+      this.profiles = IpcMessages.unwrap(await window.electronAPI.getServerProfiles());
+      this.renderProfiles();
+    } catch (error) {
+      console.error('Error loading server profiles:', error);
+    }
+  }
+
+  /**
+   * Render saved profile rows
+   */
+  renderProfiles() {
+    const container = document.getElementById('profiles-container');
+    const emptyState = document.getElementById('profiles-empty');
+
+    if (!container) return;
+
+    container.innerHTML = this.profiles.map(profile => this.ui.createProfileCard(profile)).join('');
+
+    if (emptyState) {
+      emptyState.style.display = this.profiles.length === 0 ? 'block' : 'none';
+    }
+
+    this.eventHandlers.attachProfileEventListeners();
+  }
+
+  /**
+   * Start a server from a saved profile
+   */
+  async startProfile(profileId, profileName) {
+    await this.eventHandlers.handleStartProfile(profileId, profileName);
+  }
+
+  /**
+   * Delete a saved profile
+   */
+  async deleteProfile(profileId, profileName) {
+    await this.eventHandlers.handleDeleteProfile(profileId, profileName);
+  }
+
+  /**
+   * Show the profile editor modal
+   * @param {string|null} profileId - Profile to edit, or null for a new profile
+   */
+  showProfileForm(profileId = null) {
+    const profile = profileId ? this.profiles.find(item => item.id === profileId) || null : null;
+    let modal = document.getElementById('profile-form-modal');
+
+    if (!modal) {
+      modal = document.createElement('div');
+      modal.id = 'profile-form-modal';
+      modal.className = 'modal';
+      document.body.appendChild(modal);
+    }
+
+    modal.innerHTML = this.ui.createProfileFormModal(
+      profile,
+      this.utils.formatEnvText(profile ? profile.env : {})
+    );
+
+    this.ui.showModal(modal);
+    this.eventHandlers.setupProfileFormEvents(modal);
+  }
+
   /**
    * Stop a specific server
    */
@@ -141,6 +589,18 @@ class ServerList {
     await this.eventHandlers.handleStopServer(pid, serverName);
   }
 
+  /**
+   * Stop or restart every server of a project
+   * @param {string} projectId - Project ID (its root directory)
+   * @param {string} action - 'stop' or 'restart'
+   */
+  async runProjectAction(projectId, action) {
+    const group = this.utils.groupServersByProject(this.servers).find(item => item.id === projectId);
+    if (group) {
+      await this.eventHandlers.handleProjectAction(group, action);
+    }
+  }
+
   /**
    * Stop all servers
    */
@@ -178,7 +638,17 @@ class ServerList {
     this.ui.showModal(modal);
 
     // Setup close events
-    this.eventHandlers.setupModalCloseEvents(modal);
+    this.eventHandlers.setupModalCloseEvents(modal, () => this.resourceChart.unmount());
+
+    const chartContainer = modal.querySelector('#resource-chart');
+    if (chartContainer) {
+      this.resourceChart.mount(chartContainer, details.pid);
+    }
+
+    const stopTreeBtn = modal.querySelector('#stop-tree-btn');
+    if (stopTreeBtn) {
+      stopTreeBtn.addEventListener('click', () => this.eventHandlers.handleStopTree(details, modal));
+    }
   }
 
   /**
@@ -188,6 +658,21 @@ class ServerList {
     await this.eventHandlers.handleRestartServer(pid, serverName);
   }
 
+  /**
+   * Show captured stdout/stderr for a specific server
+   */
+  async showServerOutput(pid, serverName) {
+    await this.eventHandlers.handleServerOutput(pid, serverName);
+  }
+
+  /**
+   * Show the operation journal
+   * @param {Object} filters - Initial filters ({ pid })
+   */
+  async showHistory(filters = {}) {
+    await this.history.open(filters);
+  }
+
   /**
    * Show error logs for a specific server
    */
@@ -0,0 +1,208 @@
+/**
+ * Server List Filter Module
+ * Search, filter chips and sort order of the server list. A view is
+ *   { search, filters: { types, categories, tags }, sort: { field, direction } }
+ * Search terms must all appear in a server's name, port, command or working
+ * directory; chips of one group widen the match, groups narrow it. Shared by
+ * the renderer and the main process, which persists the view between sessions
+ */
+
+// Sort fields and the direction each starts with when picked
+const SORT_FIELDS = {
+  detected: 'asc', // Detection order
+  name: 'asc',
+  port: 'asc',
+  startTime: 'desc', // Newest first
+  memory: 'desc', // Largest first
+  priority: 'desc' // ProcessClassifier.calculateServerPriority, highest first
+};
+
+const SORT_DIRECTIONS = ['asc', 'desc'];
+
+// Filter chip groups and the server field each reads
+const FILTER_GROUPS = {
+  types: server => (server.type ? [server.type] : []),
+  categories: server => (server.category ? [server.category] : []),
+  tags: server => (Array.isArray(server.tags) ? server.tags : [])
+};
+
+const MAX_SEARCH_LENGTH = 200;
+const MAX_FILTER_VALUES = 50;
+
+class ServerListFilter {
+  /**
+   * Get the view shown before the user changes anything
+   * @returns {Object} View
+   */
+  static getDefaultView() {
+    return {
+      search: '',
+      filters: { types: [], categories: [], tags: [] },
+      sort: { field: 'detected', direction: SORT_FIELDS.detected }
+    };
+  }
+
+  /**
+   * Get the direction a sort field starts with when picked
+   * @param {string} field - Sort field
+   * @returns {string} 'asc' or 'desc'
+   */
+  static getDefaultDirection(field) {
+    return SORT_FIELDS[field] || 'asc';
+  }
+
+  /**
+   * Reduce a view to known fields and values, filling in defaults
+   * @param {Object} view - View, possibly partial or read from an older file
+   * @returns {Object} View
+   */
+  static normalizeView(view) {
+    const normalized = ServerListFilter.getDefaultView();
+    if (!view || typeof view !== 'object') return normalized;
+
+    if (typeof view.search === 'string') {
+      normalized.search = view.search.slice(0, MAX_SEARCH_LENGTH);
+    }
+
+    const filters = view.filters && typeof view.filters === 'object' ? view.filters : {};
+    Object.keys(FILTER_GROUPS).forEach(group => {
+      if (Array.isArray(filters[group])) {
+        const values = filters[group].filter(value => typeof value === 'string' && value.length > 0);
+        normalized.filters[group] = Array.from(new Set(values)).slice(0, MAX_FILTER_VALUES);
+      }
+    });
+
+    const sort = view.sort && typeof view.sort === 'object' ? view.sort : {};
+    if (Object.prototype.hasOwnProperty.call(SORT_FIELDS, sort.field)) {
+      normalized.sort.field = sort.field;
+      normalized.sort.direction = SORT_DIRECTIONS.includes(sort.direction) ? sort.direction : SORT_FIELDS[sort.field];
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Filter and sort servers for display
+   * @param {Array} servers - Servers in detection order
+   * @param {Object} view - Normalized view
+   * @param {Function} getMemory - Returns a server's memory in MB, or null when unknown
+   * @returns {Array} Servers to show, in display order
+   */
+  static apply(servers, view, getMemory = () => null) {
+    const matching = servers.filter(server =>
+      ServerListFilter.matchesSearch(server, view.search) && ServerListFilter.matchesFilters(server, view.filters));
+    return ServerListFilter.sort(matching, view.sort, getMemory);
+  }
+
+  /**
+   * Check whether a server contains every search term
+   * @param {Object} server - Server
+   * @param {string} search - Whitespace-separated terms, case-insensitive
+   * @returns {boolean} True if every term appears in the name, a port, the command or the working directory
+   */
+  static matchesSearch(server, search) {
+    const terms = (search || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return true;
+
+    const ports = [server.port, ...(server.bindings || []).map(binding => binding.port)];
+    const haystack = [
+      server.name,
+      ...ports,
+      server.command,
+      server.cwd,
+      server.project && server.project.root
+    ].filter(value => value !== undefined && value !== null).join('\n').toLowerCase();
+
+    return terms.every(term => haystack.includes(term));
+  }
+
+  /**
+   * Check whether a server matches the selected chips
+   * @param {Object} server - Server
+   * @param {Object} filters - Selected values by group
+   * @returns {boolean} True if, for every group with a selection, the server has one of its values
+   */
+  static matchesFilters(server, filters) {
+    return Object.entries(FILTER_GROUPS).every(([group, read]) => {
+      const selected = (filters && filters[group]) || [];
+      return selected.length === 0 || read(server).some(value => selected.includes(value));
+    });
+  }
+
+  /**
+   * Sort servers; ties and unknown values keep detection order, unknowns last
+   * @param {Array} servers - Servers in detection order
+   * @param {Object} sort - { field, direction }
+   * @param {Function} getMemory - Returns a server's memory in MB, or null when unknown
+   * @returns {Array} Sorted copy
+   */
+  static sort(servers, sort, getMemory = () => null) {
+    if (!sort || sort.field === 'detected') {
+      return sort && sort.direction === 'desc' ? [...servers].reverse() : [...servers];
+    }
+
+    const read = {
+      name: server => (server.name ? server.name.toLowerCase() : null),
+      port: server => (Number.isInteger(parseInt(server.port, 10)) ? parseInt(server.port, 10) : null),
+      startTime: server => (server.startTime ? new Date(server.startTime).getTime() || null : null),
+      memory: server => getMemory(server),
+      priority: server => (typeof server.priority === 'number' ? server.priority : null)
+    }[sort.field];
+    const factor = sort.direction === 'desc' ? -1 : 1;
+
+    return servers
+      .map((server, index) => ({ server, index, value: read(server) }))
+      .sort((a, b) => {
+        if (a.value === null || b.value === null) {
+          return a.value === b.value ? a.index - b.index : a.value === null ? 1 : -1;
+        }
+        const order = typeof a.value === 'string' ? a.value.localeCompare(b.value) : a.value - b.value;
+        return order * factor || a.index - b.index;
+      })
+      .map(item => item.server);
+  }
+
+  /**
+   * Collect the chips to offer: every value present in the servers, plus the selected ones
+   * @param {Array} servers - All servers
+   * @param {Object} filters - Selected values by group
+   * @returns {Object} Group -> Array of { value, count, selected }, most common first
+   */
+  static getFilterOptions(servers, filters = {}) {
+    const options = {};
+
+    Object.entries(FILTER_GROUPS).forEach(([group, read]) => {
+      const counts = new Map();
+      servers.forEach(server => {
+        new Set(read(server)).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+      });
+
+      // A saved chip stays visible (with 0) until the user removes it
+      const selected = (filters && filters[group]) || [];
+      selected.forEach(value => {
+        if (!counts.has(value)) counts.set(value, 0);
+      });
+
+      options[group] = Array.from(counts.entries())
+        .map(([value, count]) => ({ value, count, selected: selected.includes(value) }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    });
+
+    return options;
+  }
+
+  /**
+   * Check whether a view hides any server
+   * @param {Object} view - Normalized view
+   * @returns {boolean} True when a search or chip is active
+   */
+  static isFiltered(view) {
+    return view.search.trim().length > 0 || Object.keys(FILTER_GROUPS).some(group => view.filters[group].length > 0);
+  }
+}
+
+ServerListFilter.SORT_FIELDS = Object.keys(SORT_FIELDS);
+ServerListFilter.FILTER_GROUPS = Object.keys(FILTER_GROUPS);
+ServerListFilter.MAX_SEARCH_LENGTH = MAX_SEARCH_LENGTH;
+
+module.exports = ServerListFilter;
@@ -3,6 +3,12 @@
  * Handles rendering and HTML generation for server cards, modals, and templates
  */
 
+const ResourceChart = require('./ResourceChart');
+const HtmlTemplate = require('./HtmlTemplate');
+const UrlPolicy = require('../utils/UrlPolicy');
+
+const { html, raw } = HtmlTemplate;
+
 class ServerUIComponents {
   /**
    * Render the main server list container
@@ -17,12 +23,44 @@ class ServerUIComponents {
             <button id="refresh-btn" class="btn btn-primary">
               <span class="refresh-icon">↻</span> Refresh
             </button>
+            <button id="history-btn" class="btn btn-secondary" title="Stops, restarts and starts from the app, tray and MCP server">
+              History
+            </button>
+            <button id="alerts-btn" class="btn btn-secondary" title="CPU and memory alert rules">
+              Alerts
+            </button>
+            <button id="rules-btn" class="btn btn-secondary" title="Rules that name, ignore or protect processes">
+              Rules
+            </button>
+            <button id="lists-btn" class="btn btn-secondary" title="Processes you ignore or protect">
+              Lists
+            </button>
             <button id="stop-all-btn" class="btn btn-danger" style="display: none;">
               <span class="stop-icon">×</span> Stop All
             </button>
           </div>
         </div>
 
+        <div class="server-toolbar">
+          <input id="server-search" class="server-search" type="search" maxlength="200"
+                 placeholder="Search name, port, command or directory" aria-label="Search servers">
+          <label class="server-sort">
+            Sort by
+            <select id="server-sort-field">
+              <option value="detected">Detection order</option>
+              <option value="name">Name</option>
+              <option value="port">Port</option>
+              <option value="startTime">Start time</option>
+              <option value="memory">Memory</option>
+              <option value="priority">Priority</option>
+            </select>
+          </label>
+          <button id="server-sort-direction" class="btn btn-secondary btn-sort-direction" title="Ascending">↑</button>
+          <span id="server-filter-summary" class="server-filter-summary"></span>
+          <button id="clear-filters-btn" class="btn btn-secondary" style="display: none;">Clear</button>
+        </div>
+        <div id="server-filter-chips" class="server-filter-chips"></div>
+
         <div id="loading-indicator" class="loading-indicator" style="display: none;">
           <div class="spinner"></div>
           <p>Detecting servers...</p>
@@ -37,8 +75,25 @@ class ServerUIComponents {
           <p class="empty-tip">Start a development server (React, Node.js, Python) and click refresh to see it here.</p>
         </div>
 
+        <div id="no-matches" class="no-matches" style="display: none;">
+          No servers match the search and filters.
+        </div>
+
         <div id="servers-container" class="servers-grid"></div>
 
+        <div class="profiles-section">
+          <div class="profiles-header">
+            <h2>Saved Profiles</h2>
+            <button id="new-profile-btn" class="btn btn-primary">
+              <span class="btn-icon">+</span> New Profile
+            </button>
+          </div>
+          <div id="profiles-empty" class="profiles-empty">
+            Save a profile to start a server from here or from the tray menu.
+          </div>
+          <div id="profiles-container" class="profiles-list"></div>
+        </div>
+
         <div class="server-stats">
           <div class="stat-item">
             <span class="stat-label">Total Servers:</span>
@@ -56,6 +111,14 @@ class ServerUIComponents {
             <span class="stat-label">Python:</span>
             <span id="python-servers" class="stat-value">0</span>
           </div>
+          <div class="stat-item">
+            <span class="stat-label">Backend:</span>
+            <span id="backend-servers" class="stat-value">0</span>
+          </div>
+          <div class="stat-item">
+            <span class="stat-label">Infrastructure:</span>
+            <span id="infrastructure-servers" class="stat-value">0</span>
+          </div>
         </div>
       </div>
     `;
@@ -69,47 +132,65 @@ class ServerUIComponents {
    * @param {Function} getServerIcon - Function to get server icon
    * @param {Function} getStatusColor - Function to get status color
    * @param {Function} truncateCommand - Function to truncate command
-   * @returns {string} HTML string for server card
+   * @param {Array} resources - Recent CPU/memory samples for the sparklines
+   * @returns {SafeHtml} HTML for server card
    */
-  createServerCard(server, sanitizeCommand, formatTime, getServerIcon, getStatusColor, truncateCommand) {
-    const serverIcon = getServerIcon(server.type);
+  createServerCard(server, sanitizeCommand, formatTime, getServerIcon, getStatusColor, truncateCommand, resources = []) {
+    const serverIcon = server.icon || getServerIcon(server.type);
+    const protectedTitle = this.describeProtection(server);
     const statusColor = getStatusColor(server);
 
-    return `
-      <div class="server-card" data-pid="${server.pid}">
+    return html`
+      <div class="server-card card-${statusColor}" data-pid="${server.pid}">
         <div class="server-header">
           <div class="server-icon">${serverIcon}</div>
           <div class="server-info">
             <h3 class="server-name">${server.name}</h3>
             <div class="server-meta">
               <span class="server-type ${server.type}">${server.type.toUpperCase()}</span>
+              ${server.isProtected ? html`<span class="server-protected" title="${protectedTitle}">🔒 Protected</span>` : ''}
+              ${server.health ? this.createHealthBadge(server.health) : ''}
+              ${server.exposure && server.exposure.warning ? html`<span class="server-exposed" title="${server.exposure.warning}">⚠ Exposed</span>` : ''}
+              ${server.framework ? html`<span class="server-framework" title="Detected from ${server.framework.evidence.join(', ')}">${server.framework.name} · ${Math.round(server.framework.confidence * 100)}%</span>` : ''}
               <span class="server-pid">PID: ${server.pid}</span>
+              <span class="server-origin ${server.managed ? 'managed' : 'detected'}" title="${server.managed ? (server.profileId ? `Launched from profile ${server.profileName}` : 'Restarted by Server Manager') : 'Detected on this machine'}">${server.managed ? 'Managed' : 'Detected'}</span>
             </div>
           </div>
-          <div class="server-status">
+          <div class="server-status" ${server.alerts && server.alerts.length > 0 ? html`title="${server.alerts.map(alert => alert.message).join('\n')}"` : ''}>
             <div class="status-indicator ${statusColor}"></div>
-            <span class="status-text">Running</span>
+            <span class="status-text">${server.alerts && server.alerts.length > 0 ? 'Over limit' : 'Running'}</span>
           </div>
         </div>
 
         <div class="server-details">
           <div class="detail-row">
             <span class="detail-label">Port:</span>
-            <span class="detail-value">${server.port}</span>
+            ${server.bindings && server.bindings.length > 0
+              ? this.createBindingChips(server.bindings)
+              : html`<span class="detail-value">${server.container ? server.container.ports.join(', ') : server.port}</span>`}
           </div>
-          ${server.url ? `
+          ${server.url ? html`
           <div class="detail-row">
             <span class="detail-label">URL:</span>
             <span class="detail-value">
-              <a href="${server.url}" target="_blank" class="server-url" title="Open in browser">
-                ${server.url} →
-              </a>
+              ${this.createLink(server.url, `${server.url} →`, 'Open in browser')}
             </span>
           </div>` : ''}
+          ${server.exposure ? this.createNetworkRow(server.exposure) : ''}
           <div class="detail-row">
             <span class="detail-label">Category:</span>
             <span class="detail-value">${server.category || 'Other Development Servers'}</span>
           </div>
+          ${server.container ? html`
+          <div class="detail-row">
+            <span class="detail-label">Container:</span>
+            <span class="detail-value" title="${server.container.id}">${server.container.name} · ${server.container.image}</span>
+          </div>
+          ${server.container.composeProject ? html`
+          <div class="detail-row">
+            <span class="detail-label">Compose:</span>
+            <span class="detail-value">${server.container.composeProject} / ${server.container.composeService}</span>
+          </div>` : ''}` : ''}
           <div class="detail-row">
             <span class="detail-label">Command:</span>
             <span class="detail-value command" title="${sanitizeCommand(server.command)}">${truncateCommand(sanitizeCommand(server.command))}</span>
@@ -120,20 +201,33 @@ class ServerUIComponents {
           </div>
         </div>
 
+        ${server.tags && server.tags.length > 0 ? html`
+        <div class="server-tags">
+          ${server.tags.map(tag => html`<span class="server-tag">${tag}</span>`)}
+        </div>` : ''}
+
+        <div class="server-resources" data-pid="${server.pid}">
+          ${raw(ResourceChart.createSummary(resources))}
+        </div>
+
         <div class="server-actions">
-          <button class="btn btn-restart" data-pid="${server.pid}" data-name="${server.name}">
+          <button class="btn btn-restart" data-pid="${server.pid}" data-name="${server.name}" ${server.isProtected ? html`title="${protectedTitle}, asks before restarting"` : ''}>
             <span class="btn-icon">↻</span>
             Restart
           </button>
-          <button class="btn btn-stop" data-pid="${server.pid}" data-name="${server.name}">
+          <button class="btn btn-stop" data-pid="${server.pid}" data-name="${server.name}" ${server.isProtected ? html`title="${protectedTitle}, asks before stopping"` : ''}>
             <span class="btn-icon">■</span>
             Stop
           </button>
+          <button class="btn btn-logs" data-pid="${server.pid}" data-name="${server.name}" title="Live stdout/stderr for servers started or restarted by Server Manager">
+            <span class="btn-icon">☰</span>
+            Logs
+          </button>
           <button class="btn btn-error-logs" data-pid="${server.pid}" data-name="${server.name}">
             <span class="btn-icon">⚠</span>
             Error Logs
           </button>
-          <button class="btn btn-details" data-pid="${server.pid}">
+          <button class="btn btn-details" data-pid="${server.pid}" ${server.container && !server.container.pidOnHost ? html`disabled title="Runs in Docker Desktop's VM, its processes are not visible here"` : ''}>
             <span class="btn-icon">ⓘ</span>
             Details
           </button>
@@ -142,14 +236,365 @@ class ServerUIComponents {
     `;
   }
 
+  /**
+   * Create a link that opens a server in the browser
+   * URLs outside the allow-list (not http(s), or not localhost or a LAN address) stay plain text
+   * @param {string} url - URL reported for the server
+   * @param {string} text - Link text
+   * @param {string} title - Tooltip
+   * @returns {SafeHtml} HTML for the link
+   */
+  createLink(url, text, title = '') {
+    const href = UrlPolicy.toSafeHref(url);
+    if (!href) {
+      return html`<span class="server-url-blocked" title="Not linked: only http(s) URLs on localhost or your network open from here">${text}</span>`;
+    }
+
+    return html`<a href="${href}" target="_blank" rel="noopener noreferrer" class="server-url" title="${title}">${text}</a>`;
+  }
+
+  /**
+   * Create the port chips of a server, one per protocol and port
+   * Listeners on the same port for IPv4 and IPv6 share a chip
+   * @param {Array} bindings - Bindings ({ port, protocol, address, family }), primary first
+   * @returns {SafeHtml} HTML for the chips
+   */
+  createBindingChips(bindings) {
+    const chips = new Map();
+    bindings.forEach(binding => {
+      const key = `${binding.protocol}:${binding.port}`;
+      if (!chips.has(key)) chips.set(key, { protocol: binding.protocol, port: binding.port, listeners: [] });
+      chips.get(key).listeners.push(binding);
+    });
+
+    return html`<span class="detail-value binding-chips">${Array.from(chips.values()).map(chip => {
+      const families = Array.from(new Set(chip.listeners.map(binding => binding.family).filter(Boolean)));
+      const addresses = chip.listeners.map(binding => {
+        const address = binding.address && binding.address.includes(':') ? `[${binding.address}]` : binding.address;
+        return address ? `${address}:${binding.port}` : String(binding.port);
+      });
+
+      return html`<span class="binding-chip ${chip.protocol.toLowerCase()}" title="${chip.protocol} ${addresses.join(', ')}">${chip.protocol === 'UDP' ? 'UDP ' : ''}${chip.port}${families.length > 0 ? html`<small>${families.join('/')}</small>` : ''}</span>`;
+    })}</span>`;
+  }
+
+  /**
+   * Create the card row that tells who can reach a server
+   * @param {Object} exposure - Exposure from NetworkExposure ({ scope, addresses, lanUrls, warning })
+   * @returns {SafeHtml} HTML for the row
+   */
+  createNetworkRow(exposure) {
+    if (exposure.lanUrls.length > 0) {
+      return html`
+          <div class="detail-row">
+            <span class="detail-label">LAN:</span>
+            <span class="detail-value lan-urls">
+              ${exposure.lanUrls.map(item => this.createLink(item.url, item.url, `Open on ${item.interface}`))}
+            </span>
+          </div>`;
+    }
+
+    const labels = {
+      loopback: 'This machine only',
+      interface: `Bound to ${exposure.addresses.join(', ')}`,
+      all: 'All interfaces'
+    };
+    return html`
+          <div class="detail-row">
+            <span class="detail-label">Network:</span>
+            <span class="detail-value" title="Listening on ${exposure.addresses.join(', ')}">${labels[exposure.scope]}</span>
+          </div>`;
+  }
+
+  /**
+   * Create the network section of the details modal, with a QR code per LAN URL
+   * @param {Object} exposure - Exposure whose lanUrls carry `qrSvg`
+   * @returns {SafeHtml} HTML for the section
+   */
+  createNetworkSection(exposure) {
+    const scopes = {
+      loopback: 'Only reachable from this machine',
+      interface: 'Reachable on the bound interface',
+      all: 'Reachable on every network interface'
+    };
+
+    return html`
+          <div class="detail-section">
+            <h4>Network</h4>
+            <p class="network-scope">${scopes[exposure.scope]} (listening on ${exposure.addresses.join(', ')})</p>
+            ${exposure.warning ? html`<p class="network-warning">⚠ ${exposure.warning}</p>` : ''}
+            ${exposure.lanUrls.length > 0 ? html`
+            <div class="lan-qr-codes">
+              ${exposure.lanUrls.map(item => html`
+                <figure class="lan-qr-code">
+                  ${raw(item.qrSvg)}
+                  <figcaption>
+                    ${this.createLink(item.url, item.url)}
+                    <span class="lan-interface">${item.interface}</span>
+                  </figcaption>
+                </figure>
+              `)}
+            </div>` : ''}
+          </div>`;
+  }
+
+  /**
+   * Create the health badge of an infrastructure server
+   * @param {Object} health - Health from the infrastructure probe ({ status, detail, latency, port })
+   * @returns {SafeHtml} HTML for the badge
+   */
+  createHealthBadge(health) {
+    const labels = { healthy: 'Healthy', unhealthy: 'Unhealthy', unreachable: 'Unreachable' };
+    const latency = health.latency !== null ? ` in ${health.latency}ms` : '';
+
+    return html`<span class="server-health ${health.status}" title="${health.detail} (port ${health.port}${latency})">● ${labels[health.status] || health.status}</span>`;
+  }
+
+  /**
+   * Describe why a server is protected
+   * @param {Object} server - Server object
+   * @returns {string} Description
+   */
+  describeProtection(server) {
+    if (!server.protectedBy) return 'Protected';
+
+    return server.protectedBy.source === 'list'
+      ? `On your protect list (${server.protectedBy.name})`
+      : `Protected by rule "${server.protectedBy.name}"`;
+  }
+
+  /**
+   * Create the context menu of a server card
+   * Offers matchers that still apply after the server restarts under a new PID
+   * @param {Object} server - Server object
+   * @returns {SafeHtml} HTML for the menu
+   */
+  createServerContextMenu(server) {
+    const matchers = [
+      { matcher: 'command', value: server.command, label: 'this command' },
+      server.port && server.port !== 'Unknown' ? { matcher: 'port', value: server.port, label: `port ${server.port}` } : null,
+      server.project ? { matcher: 'cwd', value: server.project.root, label: `project ${server.project.name}` } : null
+    ].filter(Boolean);
+
+    const item = (list, option) => html`
+      <button class="context-menu-item" data-action="add" data-list="${list}" data-matcher="${option.matcher}" data-value="${option.value}">
+        ${list === 'ignore' ? 'Ignore' : 'Protect'} ${option.label}
+      </button>
+    `;
+
+    return html`
+      <div class="context-menu-title">${server.name}</div>
+      ${matchers.map(option => item('ignore', option))}
+      <div class="context-menu-separator"></div>
+      ${server.protectedBy && server.protectedBy.source === 'list'
+        ? html`<button class="context-menu-item" data-action="remove" data-entry-id="${server.protectedBy.id}">Remove from protect list</button>`
+        : matchers.map(option => item('protect', option))}
+      <div class="context-menu-separator"></div>
+      <button class="context-menu-item" data-action="manage">Manage lists…</button>
+    `;
+  }
+
+  /**
+   * Create HTML for a project group with its server cards
+   * @param {Object} group - Group from groupServersByProject
+   * @param {Array<SafeHtml>} cards - Rendered server cards of the group
+   * @returns {SafeHtml} HTML for the group
+   */
+  createProjectGroup(group, cards) {
+    const count = `${group.servers.length} server${group.servers.length === 1 ? '' : 's'}`;
+
+    return html`
+      <section class="project-group" data-project-id="${group.id || ''}">
+        <div class="project-header">
+          <div class="project-info">
+            <span class="project-name">${group.name}</span>
+            ${group.branch ? html`<span class="project-branch" title="Current git branch">⎇ ${group.branch}</span>` : ''}
+            <span class="project-count">${count}</span>
+            ${group.root ? html`<div class="project-root">${group.root}</div>` : ''}
+          </div>
+          ${group.id ? html`
+          <div class="project-actions">
+            <button class="btn btn-secondary btn-project-action" data-action="restart" data-project-id="${group.id}">↻ Restart Project</button>
+            <button class="btn btn-danger btn-project-action" data-action="stop" data-project-id="${group.id}">■ Stop Project</button>
+          </div>
+          ` : ''}
+        </div>
+        <div class="servers-grid">
+          ${cards}
+        </div>
+      </section>
+    `;
+  }
+
+  /**
+   * Create HTML for the infrastructure section
+   * @param {Array} servers - Infrastructure servers
+   * @param {Array<SafeHtml>} cards - Rendered cards of the servers
+   * @returns {SafeHtml} HTML for the section
+   */
+  createInfrastructureGroup(servers, cards) {
+    const count = `${servers.length} service${servers.length === 1 ? '' : 's'}`;
+
+    return html`
+      <section class="project-group infrastructure-group">
+        <div class="project-header">
+          <div class="project-info">
+            <span class="project-name">🗄️ Infrastructure</span>
+            <span class="project-count">${count}</span>
+            <div class="project-root">Databases and brokers are left out of Stop All and project actions; stop them one at a time.</div>
+          </div>
+        </div>
+        <div class="servers-grid">
+          ${cards}
+        </div>
+      </section>
+    `;
+  }
+
+  /**
+   * Create HTML for the filter chips above the server list
+   * @param {Object} options - Group -> Array of { value, count, selected } (see ServerListFilter.getFilterOptions)
+   * @returns {SafeHtml} HTML for the chip groups that have values
+   */
+  createFilterChips(options) {
+    const labels = { types: 'Type', categories: 'Category', tags: 'Tag' };
+
+    return html`${Object.keys(labels).filter(group => options[group] && options[group].length > 0).map(group => html`
+      <div class="filter-chip-group">
+        <span class="filter-chip-label">${labels[group]}</span>
+        ${options[group].map(option => html`
+          <button type="button" class="filter-chip${option.selected ? ' selected' : ''}" aria-pressed="${option.selected ? 'true' : 'false'}"
+                  data-group="${group}" data-value="${option.value}">
+            ${option.value} <span class="filter-chip-count">${option.count}</span>
+          </button>
+        `)}
+      </div>
+    `)}`;
+  }
+
+  /**
+   * Create HTML for a saved profile row
+   * @param {Object} profile - Profile object (with isRunning flag)
+   * @returns {SafeHtml} HTML for profile row
+   */
+  createProfileCard(profile) {
+    return html`
+      <div class="profile-card" data-profile-id="${profile.id}">
+        <div class="profile-info">
+          <div class="profile-name">
+            ${profile.name}
+            <span class="profile-status ${profile.isRunning ? 'running' : 'stopped'}">${profile.isRunning ? 'Running' : 'Stopped'}</span>
+            ${profile.restartPending ? html`<span class="profile-status restarting">Restarting…</span>` : ''}
+            ${profile.keepAlive ? html`<span class="profile-keep-alive" title="Restarted automatically if it crashes">Keep alive</span>` : ''}
+          </div>
+          <div class="profile-command"><code>${profile.command}</code></div>
+          <div class="profile-meta">
+            ${profile.cwd ? html`<span>📁 ${profile.cwd}</span>` : ''}
+            ${profile.expectedPort ? html`<span>Port: ${profile.expectedPort}</span>` : ''}
+            ${profile.readinessUrl ? html`<span>Ready: ${profile.readinessUrl}</span>` : ''}
+          </div>
+        </div>
+        <div class="profile-actions">
+          <button class="btn btn-start" data-profile-id="${profile.id}" data-name="${profile.name}" ${profile.isRunning ? 'disabled' : ''}>
+            <span class="btn-icon">▶</span>
+            Start
+          </button>
+          <button class="btn btn-edit-profile" data-profile-id="${profile.id}">Edit</button>
+          <button class="btn btn-delete-profile" data-profile-id="${profile.id}" data-name="${profile.name}">Delete</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Create profile editor modal HTML
+   * @param {Object|null} profile - Profile to edit, or null for a new profile
+   * @param {string} envText - Environment as KEY=VALUE lines
+   * @returns {SafeHtml} HTML for modal
+   */
+  createProfileFormModal(profile, envText) {
+    const values = profile || {};
+
+    return html`
+      <div class="modal-content">
+        <div class="modal-header">
+          <h3>${profile ? `Edit Profile - ${values.name}` : 'New Server Profile'}</h3>
+          <button class="modal-close">×</button>
+        </div>
+        <div class="modal-body">
+          <form id="profile-form" class="profile-form">
+            <input type="hidden" name="id" value="${values.id || ''}">
+            <label>
+              Name
+              <input type="text" name="name" value="${values.name || ''}" placeholder="My API" required>
+            </label>
+            <label>
+              Command
+              <input type="text" name="command" value="${values.command || ''}" placeholder="npm run dev" required>
+            </label>
+            <label>
+              Working directory
+              <input type="text" name="cwd" value="${values.cwd || ''}" placeholder="C:\projects\my-api">
+            </label>
+            <label>
+              Environment (one KEY=VALUE per line)
+              <textarea name="env" rows="4" placeholder="NODE_ENV=development">${envText || ''}</textarea>
+            </label>
+            <div class="form-row">
+              <label>
+                Expected port
+                <input type="number" name="expectedPort" min="1" max="65535" value="${values.expectedPort || ''}">
+              </label>
+              <label>
+                Readiness URL
+                <input type="url" name="readinessUrl" value="${values.readinessUrl || ''}" placeholder="http://localhost:3000/health">
+              </label>
+            </div>
+            <div class="form-row">
+              <label>
+                Ready when
+                <select name="readinessType">
+                  ${[
+                    ['auto', 'Automatic (URL, then port)'],
+                    ['port', 'Port accepts connections'],
+                    ['http', 'Readiness URL returns 2xx'],
+                    ['log', 'Output line matches pattern'],
+                    ['none', 'Process keeps running']
+                  ].map(([value, label]) => html`<option value="${value}" ${(values.readinessType || 'auto') === value ? 'selected' : ''}>${label}</option>`)}
+                </select>
+              </label>
+              <label>
+                Log pattern (regular expression)
+                <input type="text" name="readinessPattern" value="${values.readinessPattern || ''}" placeholder="ready in \\d+ ms">
+              </label>
+              <label>
+                Timeout (seconds)
+                <input type="number" name="readinessTimeout" min="1" max="600" value="${values.readinessTimeout || ''}" placeholder="30">
+              </label>
+            </div>
+            <label class="checkbox-label">
+              <input type="checkbox" name="keepAlive" ${values.keepAlive ? 'checked' : ''}>
+              Keep alive (restart automatically if it crashes)
+            </label>
+            <div id="profile-form-error" class="error-message" style="display: none;"></div>
+            <div class="form-actions">
+              <button type="button" class="btn btn-cancel-profile">Cancel</button>
+              <button type="submit" class="btn btn-primary">Save Profile</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+  }
+
   /**
    * Create server details modal HTML
    * @param {Object} details - Process details
    * @param {Function} sanitizeCommand - Function to sanitize command
-   * @returns {string} HTML string for modal
+   * @returns {SafeHtml} HTML for modal
    */
   createServerDetailsModal(details, sanitizeCommand) {
-    return `
+    return html`
       <div class="modal-content">
         <div class="modal-header">
           <h3>Process Details</h3>
@@ -171,6 +616,13 @@ class ServerUIComponents {
             </div>
           </div>
 
+          ${details.exposure ? this.createNetworkSection(details.exposure) : ''}
+
+          <div class="detail-section">
+            <h4>Resource Usage</h4>
+            <div id="resource-chart" class="resource-chart"></div>
+          </div>
+
           <div class="detail-section">
             <h4>Command Line</h4>
             <div class="command-line">
@@ -178,19 +630,48 @@ class ServerUIComponents {
             </div>
           </div>
 
-          ${details.children && details.children.length > 0 ? `
+          ${details.children && details.children.length > 0 ? html`
           <div class="detail-section">
             <h4>Child Processes</h4>
-            <div class="child-processes">
-              ${details.children.map(child => `
-                <div class="child-process">
-                  <strong>PID:</strong> ${child.pid}, <strong>Name:</strong> ${child.name}
-                </div>
-              `).join('')}
-            </div>
+            <p class="child-processes-hint">Stop Tree also stops these ${this.countProcessTree(details.children)} processes.</p>
+            ${this.createProcessTree(details.children, sanitizeCommand)}
           </div>
           ` : ''}
         </div>
+        <div class="modal-footer">
+          <button id="stop-tree-btn" class="btn btn-danger" data-pid="${details.pid}">
+            Stop Tree (${this.countProcessTree(details.children || []) + 1} processes)
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Count the processes in a list of tree nodes and their descendants
+   * @param {Array} nodes - Tree nodes from getProcessTree
+   * @returns {number} Number of processes
+   */
+  countProcessTree(nodes) {
+    return nodes.reduce((count, node) => count + 1 + this.countProcessTree(node.children || []), 0);
+  }
+
+  /**
+   * Create a nested list of child processes
+   * @param {Array} nodes - Tree nodes from getProcessTree
+   * @param {Function} sanitizeCommand - Function to sanitize command
+   * @returns {SafeHtml} HTML for the tree
+   */
+  createProcessTree(nodes, sanitizeCommand) {
+    return html`
+      <div class="child-processes">
+        ${nodes.map(child => html`
+          <div class="child-process">
+            <div><strong>PID:</strong> ${child.pid}, <strong>Name:</strong> ${child.name}</div>
+            ${child.commandLine ? html`<code class="child-process-command">${sanitizeCommand(child.commandLine)}</code>` : ''}
+            ${child.children && child.children.length > 0 ? this.createProcessTree(child.children, sanitizeCommand) : ''}
+          </div>
+        `)}
       </div>
     `;
   }
@@ -201,10 +682,10 @@ class ServerUIComponents {
    * @param {Array} logs - Array of log entries
    * @param {number} totalLogs - Total number of logs
    * @param {number} pid - Process ID
-   * @returns {string} HTML string for modal
+   * @returns {SafeHtml} HTML for modal
    */
   createErrorLogsModal(serverName, logs, totalLogs, pid) {
-    const logsHtml = logs.length > 0 ? logs.map(log => `
+    const logsHtml = logs.length > 0 ? logs.map(log => html`
       <div class="log-entry">
         <div class="log-header">
           <span class="log-timestamp">${new Date(log.timestamp).toLocaleString()}</span>
@@ -212,9 +693,9 @@ class ServerUIComponents {
         </div>
         <div class="log-message">${log.message}</div>
       </div>
-    `).join('') : '<div class="no-logs">No error logs found for this server.</div>';
+    `) : html`<div class="no-logs">No error logs found for this server.</div>`;
 
-    return `
+    return html`
       <div class="modal-content">
         <div class="modal-header">
           <h3>Error Logs - ${serverName} (PID: ${pid})</h3>
@@ -242,10 +723,10 @@ class ServerUIComponents {
    * @param {string} title - Notification title
    * @param {string} message - Notification message
    * @param {string} type - Notification type (info, success, error, warning)
-   * @returns {string} HTML string for notification
+   * @returns {SafeHtml} HTML for notification
    */
   createNotification(title, message, type = 'info') {
-    return `
+    return html`
       <div class="notification-content">
         <div class="notification-title">${title}</div>
         <div class="notification-message">${message}</div>
@@ -264,8 +745,37 @@ class ServerUIComponents {
 
     if (emptyState && serversContainer) {
       emptyState.style.display = isEmpty ? 'block' : 'none';
-      serversContainer.style.display = isEmpty ? 'none' : 'grid';
+      serversContainer.style.display = isEmpty ? 'none' : '';
+    }
+  }
+
+  /**
+   * Reflect the server list view in the toolbar
+   * @param {Object} view - View ({ search, filters, sort })
+   * @param {number} shown - Servers left after search and filters
+   * @param {number} total - All servers
+   * @param {boolean} filtered - Whether a search or chip is active
+   */
+  updateServerToolbar(view, shown, total, filtered) {
+    const search = document.getElementById('server-search');
+    const sortField = document.getElementById('server-sort-field');
+    const sortDirection = document.getElementById('server-sort-direction');
+    const summary = document.getElementById('server-filter-summary');
+    const clearButton = document.getElementById('clear-filters-btn');
+    const noMatches = document.getElementById('no-matches');
+
+    // Leave the box alone while the user types in it
+    if (search && search.value !== view.search && document.activeElement !== search) {
+      search.value = view.search;
+    }
+    if (sortField) sortField.value = view.sort.field;
+    if (sortDirection) {
+      sortDirection.textContent = view.sort.direction === 'desc' ? '↓' : '↑';
+      sortDirection.title = view.sort.direction === 'desc' ? 'Descending' : 'Ascending';
     }
+    if (summary) summary.textContent = filtered ? `Showing ${shown} of ${total}` : '';
+    if (clearButton) clearButton.style.display = filtered ? 'inline-block' : 'none';
+    if (noMatches) noMatches.style.display = filtered && total > 0 && shown === 0 ? 'block' : 'none';
   }
 
   /**
@@ -277,11 +787,13 @@ class ServerUIComponents {
     document.getElementById('react-servers').textContent = stats.react;
     document.getElementById('node-servers').textContent = stats.node;
     document.getElementById('python-servers').textContent = stats.python;
+    document.getElementById('backend-servers').textContent = stats.backend;
+    document.getElementById('infrastructure-servers').textContent = stats.infrastructure;
 
-    // Show/hide stop all button
+    // Show/hide stop all button, which never stops infrastructure
     const stopAllBtn = document.getElementById('stop-all-btn');
     if (stopAllBtn) {
-      stopAllBtn.style.display = stats.total > 0 ? 'inline-block' : 'none';
+      stopAllBtn.style.display = stats.total > stats.infrastructure ? 'inline-block' : 'none';
     }
   }
 
@@ -373,6 +885,22 @@ class ServerUIComponents {
     });
   }
 
+  /**
+   * Briefly highlight a server card after a lifecycle transition
+   * @param {number} pid - Process ID of the card
+   * @param {string} transition - Lifecycle event type
+   */
+  highlightServerCard(pid, transition) {
+    const card = document.querySelector(`.server-card[data-pid="${pid}"]`);
+    if (!card) return;
+
+    card.classList.add('server-card-transition', `server-card-${transition}`);
+
+    setTimeout(() => {
+      card.classList.remove('server-card-transition', `server-card-${transition}`);
+    }, 3000);
+  }
+
   /**
    * Show notification
    * @param {string} title - Notification title
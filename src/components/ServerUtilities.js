@@ -3,6 +3,14 @@
  * Provides helper functions for formatting, sanitization, and data processing
  */
 
+const SecretRedactor = require('../utils/SecretRedactor');
+
+// Hides secrets in everything shown or copied from the server list
+const redactor = new SecretRedactor();
+
+// Server types counted together as backend servers in the stats bar
+const BACKEND_TYPES = ['java', 'go', 'ruby', 'php', 'dotnet', 'rust'];
+
 class ServerUtilities {
   /**
    * Get icon for server type
@@ -15,6 +23,14 @@ class ServerUtilities {
       'node': '🟢',
       'python': '🐍',
       'static': '🌐',
+      'java': '☕',
+      'go': '🐹',
+      'ruby': '💎',
+      'php': '🐘',
+      'dotnet': '🟣',
+      'rust': '🦀',
+      'infrastructure': '🗄️',
+      'docker': '🐳',
       'default': '🖥️'
     };
     return icons[type] || icons.default;
@@ -26,7 +42,10 @@ class ServerUtilities {
    * @returns {string} CSS class for status color
    */
   getStatusColor(server) {
-    // For now, all servers are "running" - could be extended for different states
+    // Servers over a resource alert threshold are tinted until the alert clears
+    if (server.alerts && server.alerts.length > 0) {
+      return 'status-alert';
+    }
     return 'status-running';
   }
 
@@ -45,31 +64,11 @@ class ServerUtilities {
   /**
    * Sanitize command line to remove sensitive information
    * @param {string} command - Original command line
-   * @returns {string} Sanitized command line
+   * @returns {string} Command line with secrets redacted
    */
   sanitizeCommand(command) {
     if (!command) return 'Unknown';
-
-    let sanitized = command;
-
-    // Remove sensitive information like passwords, tokens, keys
-    const sensitivePatterns = [
-      /password=[^\s]+/gi,
-      /token=[^\s]+/gi,
-      /key=[^\s]+/gi,
-      /secret=[^\s]+/gi,
-      /auth=[^\s]+/gi,
-      /credential=[^\s]+/gi
-    ];
-
-    sensitivePatterns.forEach(pattern => {
-      sanitized = sanitized.replace(pattern, match => {
-        const key = match.split('=')[0];
-        return `${key}=***REDACTED***`;
-      });
-    });
-
-    return sanitized;
+    return redactor.redact(command);
   }
 
   /**
@@ -101,15 +100,62 @@ class ServerUtilities {
       total: servers.length,
       react: servers.filter(s => s.type === 'react').length,
       node: servers.filter(s => s.type === 'node').length,
-      python: servers.filter(s => s.type === 'python').length
+      python: servers.filter(s => s.type === 'python').length,
+      backend: servers.filter(s => BACKEND_TYPES.includes(s.type)).length,
+      infrastructure: servers.filter(s => s.type === 'infrastructure').length
     };
   }
 
+  /**
+   * Check whether a server may be part of a bulk stop or restart
+   * Protected servers and infrastructure (databases, brokers) are only stopped one at a time
+   * @param {Object} server - Server object
+   * @returns {boolean} True if bulk actions include the server
+   */
+  isBulkActionTarget(server) {
+    return !server.isProtected && server.type !== 'infrastructure';
+  }
+
+  /**
+   * Group servers by the project they run in
+   * Servers outside any project are collected in a trailing group without an id
+   * @param {Array} servers - Array of server objects (with `project` from the main process)
+   * @returns {Array} Groups ({ id, name, root, branch, servers }) sorted by project name
+   */
+  groupServersByProject(servers) {
+    const groups = new Map();
+    const ungrouped = [];
+
+    servers.forEach(server => {
+      if (!server.project) {
+        ungrouped.push(server);
+        return;
+      }
+
+      if (!groups.has(server.project.id)) {
+        groups.set(server.project.id, {
+          id: server.project.id,
+          name: server.project.name,
+          root: server.project.root,
+          branch: server.project.branch,
+          servers: []
+        });
+      }
+      groups.get(server.project.id).servers.push(server);
+    });
+
+    const sorted = Array.from(groups.values()).sort((a, b) => a.name.localeCompare(b.name));
+    if (ungrouped.length > 0) {
+      sorted.push({ id: null, name: 'Other servers', root: null, branch: null, servers: ungrouped });
+    }
+    return sorted;
+  }
+
   /**
    * Format logs for copying to clipboard
    * @param {Array} logs - Array of log entries
    * @param {string} serverName - Server name
-   * @returns {string} Formatted log text
+   * @returns {string} Formatted log text, with secrets redacted
    */
   formatLogsForCopy(logs, serverName) {
     const header = `Error Logs for ${serverName}\nGenerated: ${new Date().toLocaleString()}\nTotal Logs: ${logs.length}\n${'='.repeat(50)}\n\n`;
@@ -121,7 +167,7 @@ class ServerUtilities {
       return `[${timestamp}] [${level}] ${message}`;
     }).join('\n');
 
-    return header + logText;
+    return redactor.redact(header + logText);
   }
 
   /**
@@ -306,6 +352,36 @@ class ServerUtilities {
     return confirm(message);
   }
 
+  /**
+   * Parse KEY=VALUE lines from the profile form into an environment map
+   * @param {string} text - Environment text, one variable per line
+   * @returns {Object} Map of variable name to value
+   */
+  parseEnvText(text) {
+    const env = {};
+
+    (text || '').split('\n').forEach(line => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) return;
+
+      const separator = trimmed.indexOf('=');
+      if (separator <= 0) return;
+
+      env[trimmed.substring(0, separator).trim()] = trimmed.substring(separator + 1);
+    });
+
+    return env;
+  }
+
+  /**
+   * Format an environment map as KEY=VALUE lines for the profile form
+   * @param {Object} env - Map of variable name to value
+   * @returns {string} Environment text
+   */
+  formatEnvText(env) {
+    return Object.entries(env || {}).map(([key, value]) => `${key}=${value}`).join('\n');
+  }
+
   /**
    * Debounce function to limit execution frequency
    * @param {Function} func - Function to debounce
@@ -8,6 +8,8 @@ class TrayMenu {
     this.serverManager = serverManager;
     this.tray = null;
     this.servers = [];
+    this.recentEvents = [];
+    this.profiles = [];
     this.isQuitting = false;
   }
 
@@ -73,6 +75,82 @@ class TrayMenu {
     });
   }
 
+  /**
+   * Replace the tray's server list
+   * @param {Array} servers - Array of server objects
+   */
+  setServers(servers) {
+    this.servers = servers;
+    this.updateMenu();
+  }
+
+  /**
+   * Replace the saved profiles offered in the Start menu
+   * @param {Array} profiles - Array of profiles (with isRunning flags)
+   */
+  setProfiles(profiles) {
+    this.profiles = profiles;
+    this.updateMenu();
+  }
+
+  /**
+   * Apply a single lifecycle event from the server lifecycle monitor
+   * @param {Object} event - Lifecycle event ({ type, server, previousPid, previousPort, timestamp })
+   */
+  applyLifecycleEvent(event) {
+    const { type, server } = event;
+
+    switch (type) {
+      case 'server-started':
+        this.servers = [...this.servers.filter(item => item.pid !== server.pid), server];
+        break;
+      case 'server-stopped':
+        this.servers = this.servers.filter(item => item.pid !== server.pid);
+        break;
+      case 'server-restarted':
+        this.servers = [...this.servers.filter(item => item.pid !== event.previousPid && item.pid !== server.pid), server];
+        break;
+      case 'port-changed':
+      case 'health-changed':
+        this.servers = this.servers.map(item => (item.pid === server.pid ? server : item));
+        break;
+      case 'bindings-changed':
+        // The menu lists servers by primary port, so this is not recent activity
+        this.servers = this.servers.map(item => (item.pid === server.pid ? server : item));
+        this.updateMenu();
+        return;
+      default:
+        return;
+    }
+
+    this.recentEvents = [event, ...this.recentEvents].slice(0, 5);
+    this.updateMenu();
+  }
+
+  /**
+   * Describe a lifecycle event for the tray menu
+   * @param {Object} event - Lifecycle event
+   * @returns {string} Menu label
+   */
+  formatLifecycleEvent(event) {
+    const { server } = event;
+
+    switch (event.type) {
+      case 'server-started':
+        return `Started: ${server.name} (Port: ${server.port})`;
+      case 'server-stopped':
+        return `Stopped: ${server.name} (Port: ${server.port})`;
+      case 'server-restarted':
+        return `Restarted: ${server.name} (PID: ${event.previousPid} → ${server.pid})`;
+      case 'port-changed':
+        return `Port changed: ${server.name} (${event.previousPort} → ${server.port})`;
+      case 'health-changed':
+        return `${server.health.status === 'healthy' ? 'Healthy' : 'Unhealthy'}: ${server.name} (Port: ${server.health.port})`;
+      default:
+        return server.name;
+    }
+  }
+
   updateMenu() {
     if (!this.tray) return;
 
@@ -141,7 +219,7 @@ class TrayMenu {
               enabled: false
             },
             {
-              label: `Type: ${server.type}`,
+              label: `Type: ${server.framework ? `${server.framework.name} (${server.type})` : server.type}`,
               enabled: false
             }
           ]
@@ -168,6 +246,37 @@ class TrayMenu {
       });
     }
 
+    // Recent lifecycle transitions
+    if (this.recentEvents.length > 0) {
+      template.push({ type: 'separator' });
+      template.push({
+        label: 'Recent Activity',
+        enabled: false
+      });
+
+      this.recentEvents.forEach(event => {
+        template.push({
+          label: this.formatLifecycleEvent(event),
+          enabled: false
+        });
+      });
+    }
+
+    // Saved profiles that can be launched
+    if (this.profiles.length > 0) {
+      template.push({ type: 'separator' });
+      template.push({
+        label: 'Start Server',
+        submenu: this.profiles.map(profile => ({
+          label: profile.isRunning ? `${profile.name} (running)` : profile.name,
+          enabled: !profile.isRunning,
+          click: () => {
+            this.startProfile(profile.id);
+          }
+        }))
+      });
+    }
+
     template.push({ type: 'separator' });
 
     // Quick actions
@@ -203,13 +312,26 @@ class TrayMenu {
   async stopServer(pid) {
     try {
       if (this.serverManager) {
-        await this.serverManager.stopServer(pid);
+        await this.serverManager.stopServer(pid, { trigger: 'tray' });
       }
     } catch (error) {
       log.error('Error stopping server from tray:', error);
     }
   }
 
+  async startProfile(profileId) {
+    try {
+      if (this.serverManager) {
+        const result = await this.serverManager.startProfile(profileId, { trigger: 'tray' });
+        if (!result.success) {
+          log.warn(`Failed to start profile from tray: ${result.error}`);
+        }
+      }
+    } catch (error) {
+      log.error('Error starting profile from tray:', error);
+    }
+  }
+
   async stopAllServersAndExit() {
     try {
       log.info('User requested to stop all servers and exit application');
@@ -243,7 +365,7 @@ class TrayMenu {
 
         try {
           // Direct call to processManager to stop all servers
-          const result = await this.serverManager.stopAllServersAndExit(this.servers);
+          const result = await this.serverManager.stopAllServersAndExit(this.servers, { trigger: 'tray' });
 
           if (result.success) {
             log.info(`Servers stopped successfully: ${result.message}`);
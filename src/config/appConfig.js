@@ -6,6 +6,10 @@ module.exports = {
   // Server detection settings
   serverCheckInterval: 5000, // 5 seconds
   
+  // Resource sampling settings (CPU% and memory per server)
+  resourceSampleInterval: 5000, // 5 seconds
+  resourceHistoryDuration: 60 * 60 * 1000, // 1 hour
+  
   // Ports to monitor for development servers
   defaultPorts: [
     3000, 3001, 3002, 3003, 3004, 3005, // React/Nuxt
@@ -22,6 +26,20 @@ module.exports = {
     express: ['nodemon', 'ts-node-dev', 'ts-node'],
     python: ['python.exe', 'python', 'python3']
   },
+
+  // Databases and brokers shown in the Infrastructure section. A process is
+  // recognized by its image name (without .exe) or a command line fragment, a
+  // container by the last segment of its image repository; ports are the
+  // usual ones, the first is pinged when the process listens elsewhere
+  infrastructureServices: [
+    { id: 'postgres', name: 'PostgreSQL', images: ['postgres'], commands: [], containerImages: ['postgres', 'postgis'], ports: [5432], protocol: 'postgres', icon: '🐘' },
+    { id: 'mysql', name: 'MySQL', images: ['mysqld', 'mariadbd'], commands: [], containerImages: ['mysql', 'mariadb'], ports: [3306, 33060], protocol: 'mysql', icon: '🐬' },
+    { id: 'redis', name: 'Redis', images: ['redis-server', 'valkey-server'], commands: [], containerImages: ['redis', 'valkey'], ports: [6379], protocol: 'redis', icon: '🟥' },
+    { id: 'mongodb', name: 'MongoDB', images: ['mongod'], commands: [], containerImages: ['mongo', 'mongodb-community-server'], ports: [27017], protocol: 'mongodb', icon: '🍃' },
+    { id: 'rabbitmq', name: 'RabbitMQ', images: [], commands: ['rabbitmq', '-s rabbit'], containerImages: ['rabbitmq'], ports: [5672, 15672, 25672], protocol: 'amqp', icon: '🐇' },
+    { id: 'elasticsearch', name: 'Elasticsearch', images: [], commands: ['org.elasticsearch'], containerImages: ['elasticsearch'], ports: [9200, 9300], protocol: 'elasticsearch', icon: '🔎' },
+    { id: 'minio', name: 'MinIO', images: ['minio'], commands: [], containerImages: ['minio'], ports: [9000, 9001], protocol: 'minio', icon: '🪣' }
+  ],
   
   // Logging settings
   logLevel: process.env.NODE_ENV === 'development' ? 'debug' : 'info',
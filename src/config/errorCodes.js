@@ -0,0 +1,29 @@
+/**
+ * Error codes
+ * Why an operation failed. Services put one in the `code` field of a failed
+ * result ({ success: false, code, error }) and IpcRouter passes it on to the
+ * renderer, which picks its message and severity from it
+ */
+
+module.exports = Object.freeze({
+  // The request itself is wrong: a bad argument or an invalid rule, profile or entry
+  INVALID_REQUEST: 'INVALID_REQUEST',
+
+  // The process, profile, rule or container no longer exists
+  NOT_FOUND: 'NOT_FOUND',
+
+  // Protected by the user, a system process or Server Manager itself
+  PROTECTED: 'PROTECTED',
+
+  // The OS refused: another user's process or one that needs administrator rights
+  PERMISSION_DENIED: 'PERMISSION_DENIED',
+
+  // No answer in time; the operation may still finish
+  TIMEOUT: 'TIMEOUT',
+
+  // Tried and failed for any other reason
+  OPERATION_FAILED: 'OPERATION_FAILED',
+
+  // A bug: a handler threw
+  INTERNAL: 'INTERNAL'
+});
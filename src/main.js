@@ -1,11 +1,13 @@
 // In the main process, we need to use require('electron') differently
 // Try loading electron modules directly
-let app, BrowserWindow, ipcMain;
+let app, BrowserWindow, ipcMain, Notification, shell;
 
 try {
   app = require('electron').app || require('electron/main').app;
   BrowserWindow = require('electron').BrowserWindow || require('electron/main').BrowserWindow;
   ipcMain = require('electron').ipcMain || require('electron/main').ipcMain;
+  Notification = require('electron').Notification || require('electron/main').Notification;
+  shell = require('electron').shell || require('electron/main').shell;
 } catch (error) {
   console.error('Error loading Electron modules:', error.message);
   console.log('Available exports from require("electron"):', require('electron'));
@@ -14,10 +16,26 @@ try {
 const path = require('path');
 const log = require('electron-log');
 const TrayMenu = require('./components/TrayMenu');
+const UrlPolicy = require('./utils/UrlPolicy');
 const ServerDetector = require('./services/serverDetector');
 const ProcessManager = require('./services/processManager');
+const ServerLifecycleMonitor = require('./services/ServerLifecycleMonitor');
+const ResourceSampler = require('./services/ResourceSampler');
+const AlertRules = require('./services/AlertRules');
+const ResourceAlertMonitor = require('./services/ResourceAlertMonitor');
+const ClassificationRules = require('./services/ClassificationRules');
+const ProcessLists = require('./services/ProcessLists');
+const ViewPreferences = require('./services/ViewPreferences');
+const IpcRouter = require('./services/IpcRouter');
+const ContainerResolver = require('./services/ContainerResolver');
 const appConfig = require('./config/appConfig');
 
+// Name the user data directory after the product in every build. Electron
+// otherwise names it after package.json's "name" (server-manager) when run
+// from source, and the MCP server looks for the operation journal under
+// "Server Manager"
+app.setPath('userData', path.join(app.getPath('appData'), appConfig.appName));
+
 class ServerManagerApp {
   constructor() {
     this.mainWindow = null;
@@ -27,7 +45,31 @@ class ServerManagerApp {
     
     // Initialize services
     this.serverDetector = new ServerDetector();
-    this.processManager = new ProcessManager();
+    this.processManager = new ProcessManager({
+      userDataDir: app.getPath('userData'),
+      getServer: pid => this.lifecycleMonitor.getSnapshot().find(server => server.pid === pid) || null
+    });
+    this.classificationRules = new ClassificationRules(app.getPath('userData'));
+    this.processLists = new ProcessLists(app.getPath('userData'));
+    this.viewPreferences = new ViewPreferences(app.getPath('userData'));
+    this.lifecycleMonitor = new ServerLifecycleMonitor(this.serverDetector, {
+      interval: appConfig.serverCheckInterval,
+      decorate: servers => this.processManager.annotateServers(servers)
+    });
+    this.resourceSampler = new ResourceSampler(this.processManager.processUtils, {
+      getPids: () => this.lifecycleMonitor.getSnapshot()
+        .filter(ContainerResolver.hasHostPid)
+        .map(server => server.pid),
+      interval: appConfig.resourceSampleInterval,
+      duration: appConfig.resourceHistoryDuration
+    });
+    this.alertRules = new AlertRules(app.getPath('userData'));
+    this.resourceAlerts = new ResourceAlertMonitor(this.resourceSampler, this.alertRules, {
+      getServers: () => this.lifecycleMonitor.getSnapshot().filter(ContainerResolver.hasHostPid),
+      act: (action, alert) => (action === 'restart'
+        ? this.processManager.restartServer(alert.pid, { trigger: 'alert' })
+        : this.processManager.stopServer(alert.pid, { trigger: 'alert' }))
+    });
     
     // Configure electron-log
     log.transports.file.level = 'info';
@@ -56,7 +98,148 @@ class ServerManagerApp {
       this.createWindow();
       this.createTray();
       this.setupEventHandlers();
+      this.startLifecycleMonitor();
+    });
+  }
+
+  /**
+   * Forward server lifecycle events to the renderer and the tray
+   */
+  startLifecycleMonitor() {
+    // Stream captured server output to the live log viewer
+    this.processManager.outputCapture.on('output', (payload) => {
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('server-output', payload);
+      }
+    });
+
+    // Tell the user when a keep-alive server crashes and when it is back
+    this.processManager.keepAlive.on('crash', (crash) => {
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('server-crashed', crash);
+      }
+      this.refreshTrayProfiles();
+    });
+
+    this.processManager.keepAlive.on('restarted', (result) => {
+      if (result.success) {
+        this.lifecycleMonitor.poll();
+      }
+      this.refreshTrayProfiles();
+    });
+
+    // Stream CPU and memory samples to the sparklines and the details chart
+    this.resourceSampler.on('samples', (samples) => {
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('server-resources', samples);
+      }
+    });
+
+    // Resource threshold alerts: desktop notification, card tint, optional stop/restart
+    this.resourceAlerts.on('alert', (alert) => {
+      this.showAlertNotification(alert);
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('resource-alert', alert);
+      }
+    });
+
+    this.resourceAlerts.on('cleared', (alert) => {
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('resource-alert-cleared', alert);
+      }
+    });
+
+    this.resourceAlerts.on('action', (event) => {
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('resource-alert-action', event);
+      }
+      this.lifecycleMonitor.poll();
+    });
+
+    this.lifecycleMonitor.on('lifecycle', (event) => {
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send(event.type, event);
+      }
+
+      if (this.trayMenu) {
+        this.trayMenu.applyLifecycleEvent(event);
+      }
+
+      if (event.server.managed || event.type === 'server-stopped') {
+        this.refreshTrayProfiles();
+      }
     });
+
+    // User classification rules and lists have to be in place before the first snapshot
+    Promise.all([this.reloadClassificationRules(), this.reloadProcessLists()])
+      .then(() => this.lifecycleMonitor.start())
+      .then(() => {
+        if (this.trayMenu) {
+          this.trayMenu.setServers(this.lifecycleMonitor.getSnapshot());
+        }
+        this.resourceSampler.start();
+        this.resourceAlerts.start();
+      })
+      .catch(error => {
+        log.error('Error starting server lifecycle monitor:', error);
+      });
+  }
+
+  /**
+   * Hand the saved classification rules to the detector
+   * @param {Object} options - Reload options
+   * @param {boolean} options.poll - Re-detect servers right away so the list reflects the change
+   * @returns {Promise<void>}
+   */
+  async reloadClassificationRules(options = {}) {
+    try {
+      this.serverDetector.setClassificationRules(await this.classificationRules.getRules());
+      if (options.poll) {
+        await this.lifecycleMonitor.poll();
+      }
+    } catch (error) {
+      log.error('Error loading classification rules:', error);
+    }
+  }
+
+  /**
+   * Hand the saved ignore and protect lists to the detector
+   * @param {Object} options - Reload options
+   * @param {boolean} options.poll - Re-detect servers right away so the list reflects the change
+   * @returns {Promise<void>}
+   */
+  async reloadProcessLists(options = {}) {
+    try {
+      this.serverDetector.setProcessLists(this.processLists.toRules(await this.processLists.getEntries()));
+      if (options.poll) {
+        await this.lifecycleMonitor.poll();
+      }
+    } catch (error) {
+      log.error('Error loading process lists:', error);
+    }
+  }
+
+  /**
+   * Show a desktop notification for a resource alert
+   * @param {Object} alert - Alert from the resource alert monitor
+   */
+  showAlertNotification(alert) {
+    if (!Notification || !Notification.isSupported()) return;
+
+    const actions = { stop: ' Stopping it.', restart: ' Restarting it.' };
+    const notification = new Notification({
+      title: `Alert: ${alert.ruleName}`,
+      body: `${alert.message}.${actions[alert.action] || ''}`
+    });
+
+    notification.on('click', () => {
+      if (this.mainWindow) {
+        this.mainWindow.show();
+        this.mainWindow.focus();
+      }
+    });
+
+    notification.show();
   }
 
   createWindow() {
@@ -65,17 +248,30 @@ class ServerManagerApp {
       height: appConfig.windowHeight,
       show: true, // Show window immediately
       webPreferences: {
-        nodeIntegration: true,
-        contextIsolation: false,
-        enableRemoteModule: true
+        // The page only talks to the main process through the preload's electronAPI
+        preload: path.join(__dirname, 'preload.js'),
+        nodeIntegration: false,
+        contextIsolation: true,
+        sandbox: true
       },
       autoHideMenuBar: appConfig.autoHideMenuBar,
       icon: path.join(__dirname, '..', 'assets', 'icon.png')
     });
 
-    // Load the renderer
+    // Load the renderer (its script is renderer.bundle.js, built by `npm run bundle`)
     this.mainWindow.loadFile(path.join(__dirname, 'renderer.html'));
 
+    // Server links open in the default browser, never in an app window, and the
+    // window itself never navigates away from the renderer
+    this.mainWindow.webContents.setWindowOpenHandler(({ url }) => {
+      this.openExternalUrl(url);
+      return { action: 'deny' };
+    });
+    this.mainWindow.webContents.on('will-navigate', (event, url) => {
+      event.preventDefault();
+      this.openExternalUrl(url);
+    });
+
     // Hide window when minimized (optional - remove if you want normal minimize behavior)
     this.mainWindow.on('minimize', (event) => {
       // Commented out to allow normal minimize behavior
@@ -102,9 +298,37 @@ class ServerManagerApp {
     }
   }
 
+  /**
+   * Open a server URL in the default browser if the URL policy allows it
+   * @param {string} url - URL the renderer tried to open
+   */
+  openExternalUrl(url) {
+    const href = UrlPolicy.toSafeHref(url);
+    if (!href) {
+      log.warn(`Refused to open ${url}: only http(s) URLs on localhost or a LAN address are opened`);
+      return;
+    }
+
+    shell.openExternal(href).catch(error => log.error(`Error opening ${href}:`, error));
+  }
+
   createTray() {
     this.trayMenu = new TrayMenu(this.mainWindow, this.processManager);
     this.trayMenu.init();
+    this.refreshTrayProfiles();
+  }
+
+  /**
+   * Reload saved profiles into the tray's Start menu
+   */
+  async refreshTrayProfiles() {
+    try {
+      if (this.trayMenu) {
+        this.trayMenu.setProfiles(await this.processManager.getProfiles());
+      }
+    } catch (error) {
+      log.error('Error loading server profiles for tray:', error);
+    }
   }
 
   setupEventHandlers() {
@@ -124,151 +348,304 @@ class ServerManagerApp {
       }
     });
 
-    // IPC handlers for server management
-    ipcMain.handle('get-servers', async () => {
-      try {
-        const servers = await this.serverDetector.detectServers();
-        return servers;
-      } catch (error) {
-        log.error('Error getting servers:', error);
-        return [];
+    this.registerIpcHandlers();
+
+    // Handle server updates from renderer
+    ipcMain.on('servers-updated', (event, servers) => {
+      if (this.trayMenu) {
+        this.trayMenu.updateMenu();
       }
     });
+  }
 
-    ipcMain.handle('stop-server', async (event, serverId) => {
-      try {
-        const result = await this.processManager.stopServer(serverId);
-        return result;
-      } catch (error) {
-        log.error('Error stopping server:', error);
-        return { 
-          success: false, 
-          error: error.message || 'Unknown error occurred' 
-        };
-      }
+  /**
+   * Register every request the renderer can invoke on the IPC router
+   * Each channel declares the arguments it accepts; handlers return data or throw
+   */
+  registerIpcHandlers() {
+    const { fromResult, IpcError, ERROR_CODES } = IpcRouter;
+    const router = new IpcRouter(ipcMain);
+    this.ipcRouter = router;
+
+    const pid = { type: 'pid', name: 'pid' };
+    const id = name => ({ type: 'string', name, maxLength: 200 });
+    const object = (name, properties = {}) => ({ type: 'object', name, optional: true, properties });
+
+    // Servers
+    router.handle('get-servers', {}, async () => {
+      const servers = await this.serverDetector.detectServers();
+      return await this.processManager.annotateServers(servers);
     });
 
-    // Additional IPC handlers
-    ipcMain.handle('get-process-details', async (event, pid) => {
-      try {
-        return await this.processManager.getProcessTree(pid);
-      } catch (error) {
-        log.error('Error getting process details:', error);
-        return null;
+    router.handle('refresh-servers', {}, async () => {
+      this.serverDetector.clearCache();
+      const servers = await this.processManager.annotateServers(await this.serverDetector.detectServers());
+
+      // Notify tray menu about server updates
+      if (this.trayMenu) {
+        this.trayMenu.updateMenu();
       }
+
+      return servers;
     });
 
-    ipcMain.handle('refresh-servers', async () => {
-      try {
-        this.serverDetector.clearCache();
-        const servers = await this.serverDetector.detectServers();
-        
-        // Notify tray menu about server updates
-        if (this.trayMenu) {
-          this.trayMenu.updateMenu();
-        }
-        
-        return servers;
-      } catch (error) {
-        log.error('Error refreshing servers:', error);
-        return [];
+    router.handle('stop-server', {
+      args: [pid, object('options', { tree: { type: 'boolean' }, confirmed: { type: 'boolean' } })],
+      timeout: 60000
+    }, async (serverId, options = {}) => fromResult(await this.processManager.stopServer(serverId, {
+      trigger: 'ui',
+      tree: Boolean(options.tree),
+      confirmed: Boolean(options.confirmed)
+    })));
+
+    // A restart waits for the new server to become ready, which a profile may allow up to 10 minutes
+    router.handle('restart-server', {
+      args: [pid, object('options', { confirmed: { type: 'boolean' } })],
+      timeout: 11 * 60 * 1000
+    }, async (serverId, options = {}) => {
+      const result = await this.processManager.restartServer(serverId, { trigger: 'ui', confirmed: Boolean(options.confirmed) });
+
+      // The new process is ready by now; the lifecycle monitor reports it as
+      // server-restarted with every annotation, so poll now instead of on its next tick
+      if (result.success) {
+        this.lifecycleMonitor.poll();
       }
+
+      return fromResult(result);
     });
 
-    // New IPC handlers for enhanced functionality
-    ipcMain.handle('restart-server', async (event, serverId) => {
-      try {
-        const result = await this.processManager.restartServer(serverId);
-        
-        // Refresh server list after restart
-        setTimeout(async () => {
-          const servers = await this.serverDetector.detectServers();
-          if (this.mainWindow) {
-            this.mainWindow.webContents.send('servers-updated', servers);
-          }
-        }, 3000);
-        
-        return result;
-      } catch (error) {
-        log.error('Error restarting server:', error);
-        return { 
-          success: false, 
-          error: error.message || 'Unknown error occurred' 
-        };
+    router.handle('stop-all-servers-and-exit', { timeout: 5 * 60 * 1000 }, async () => {
+      log.info('Stopping all servers and preparing to exit application');
+
+      const servers = await this.serverDetector.detectServers();
+      if (!servers || servers.length === 0) {
+        log.info('No servers to stop, proceeding with exit');
+        return { message: 'No servers to stop', stoppedCount: 0, failedCount: 0, results: {} };
       }
-    });
 
-    ipcMain.handle('get-server-error-logs', async (event, pid) => {
-      try {
-        return await this.processManager.getServerErrorLogs(pid);
-      } catch (error) {
-        log.error('Error getting server error logs:', error);
-        return { 
-          success: false, 
-          error: error.message || 'Unknown error occurred' 
-        };
+      const result = await this.processManager.stopAllServersAndExit(servers, { trigger: 'ui' });
+      if (!result.success) {
+        log.warn(`Some servers failed to stop: ${result.message}`);
+      } else {
+        log.info(`All servers stopped successfully: ${result.message}`);
       }
+
+      // Wait a moment for servers to fully terminate
+      await new Promise(resolve => setTimeout(resolve, 2000));
+
+      return fromResult({ ...result, error: result.error || result.message });
     });
 
-    ipcMain.handle('clear-server-error-logs', async (event, pid) => {
-      try {
-        return await this.processManager.clearServerErrorLogs(pid);
-      } catch (error) {
-        log.error('Error clearing server error logs:', error);
-        return { 
-          success: false, 
-          error: error.message || 'Unknown error occurred' 
-        };
+    router.handle('get-process-details', { args: [pid] }, async (serverPid) => {
+      const server = this.lifecycleMonitor.getSnapshot().find(item => item.pid === serverPid);
+      if (server && !ContainerResolver.hasHostPid(server)) {
+        throw new IpcError(ERROR_CODES.INVALID_REQUEST, `${server.name} runs in Docker Desktop's VM, its processes are not visible on this machine`);
+      }
+
+      const details = await this.processManager.getProcessTree(serverPid);
+      if (!details) {
+        throw new IpcError(ERROR_CODES.NOT_FOUND, `Process ${serverPid} is no longer running`);
+      }
+
+      // LAN URLs get their QR codes here so phones can scan them off the modal
+      if (server && server.exposure) {
+        details.exposure = this.processManager.exposure.withQrCodes(server.exposure);
       }
+      return details;
     });
 
-    // Handle server updates from renderer
-    ipcMain.on('servers-updated', (event, servers) => {
-      if (this.trayMenu) {
-        this.trayMenu.updateMenu();
+    // Logs, output and resources
+    router.handle('get-server-error-logs', { args: [pid] }, async (serverPid) =>
+      fromResult(await this.processManager.getServerErrorLogs(serverPid)));
+
+    router.handle('clear-server-error-logs', { args: [pid] }, async (serverPid) =>
+      fromResult(await this.processManager.clearServerErrorLogs(serverPid)));
+
+    router.handle('get-server-output', {
+      args: [pid, object('options', { limit: { type: 'integer', min: 1, max: 100000 }, search: { type: 'string', maxLength: 1000 } })]
+    }, async (serverPid, options) => fromResult(await this.processManager.getServerOutput(serverPid, options)));
+
+    router.handle('get-resource-history', {
+      args: [pid, object('options', { since: { type: 'number', min: 0 }, limit: { type: 'integer', min: 1 } })]
+    }, async (serverPid, options) => ({ samples: this.resourceSampler.getHistory(serverPid, options || {}) }));
+
+    router.handle('get-recent-resources', {
+      args: [{ type: 'integer', name: 'limit', min: 1, max: 10000, optional: true }]
+    }, async (limit) => ({ series: this.resourceSampler.getRecent(limit) }));
+
+    router.handle('query-operations', {
+      args: [object('filters', {
+        pid: { type: 'pid' },
+        from: { type: 'string', maxLength: 100 },
+        to: { type: 'string', maxLength: 100 },
+        operation: { type: 'string', maxLength: 100 },
+        trigger: { type: 'string', maxLength: 100 },
+        limit: { type: 'integer', min: 1, max: 10000 }
+      })]
+    }, async (filters) => ({ operations: await this.processManager.queryOperations(filters || {}) }));
+
+    // Resource alert rules
+    router.handle('get-alert-rules', {}, () => this.alertRules.getRules());
+
+    router.handle('save-alert-rule', { args: [{ ...object('rule'), optional: false }] }, async (rule) =>
+      fromResult(await this.alertRules.saveRule(rule)));
+
+    router.handle('delete-alert-rule', { args: [id('ruleId')] }, async (ruleId) =>
+      fromResult(await this.alertRules.deleteRule(ruleId)));
+
+    router.handle('get-active-alerts', {}, () => this.resourceAlerts.getActiveAlerts());
+
+    // User classification rules
+    router.handle('get-classification-rules', {}, () => this.classificationRules.getRules());
+
+    router.handle('save-classification-rule', { args: [{ ...object('rule'), optional: false }] }, async (rule) => {
+      const data = fromResult(await this.classificationRules.saveRule(rule));
+      await this.reloadClassificationRules({ poll: true });
+      return data;
+    });
+
+    router.handle('delete-classification-rule', { args: [id('ruleId')] }, async (ruleId) => {
+      const data = fromResult(await this.classificationRules.deleteRule(ruleId));
+      await this.reloadClassificationRules({ poll: true });
+      return data;
+    });
+
+    router.handle('move-classification-rule', {
+      args: [id('ruleId'), { type: 'integer', name: 'offset', enum: [-1, 1] }]
+    }, async (ruleId, offset) => {
+      const data = fromResult(await this.classificationRules.moveRule(ruleId, offset));
+      await this.reloadClassificationRules({ poll: true });
+      return data;
+    });
+
+    router.handle('preview-classification-rule', { args: [{ ...object('rule'), optional: false }] }, async (rule) => {
+      const error = this.classificationRules.validateRule(rule);
+      if (error) {
+        throw new IpcError(ERROR_CODES.INVALID_REQUEST, error);
       }
+
+      return { matches: await this.serverDetector.previewClassificationRule(this.classificationRules.normalizeRule(rule)) };
     });
 
-    // IPC handler for stopping all servers and exiting
-    ipcMain.handle('stop-all-servers-and-exit', async (event) => {
-      try {
-        log.info('Stopping all servers and preparing to exit application');
-
-        // Get current server list
-        const servers = await this.serverDetector.detectServers();
-
-        if (servers && servers.length > 0) {
-          // Stop all servers first
-          const result = await this.processManager.stopAllServersAndExit(servers);
-
-          if (!result.success) {
-            log.warn(`Some servers failed to stop: ${result.message}`);
-          } else {
-            log.info(`All servers stopped successfully: ${result.message}`);
-          }
-
-          // Wait a moment for servers to fully terminate
-          await new Promise(resolve => setTimeout(resolve, 2000));
-
-          return result;
-        } else {
-          log.info('No servers to stop, proceeding with exit');
-          return {
-            success: true,
-            message: 'No servers to stop',
-            stoppedCount: 0,
-            failedCount: 0,
-            results: {}
-          };
-        }
-      } catch (error) {
-        log.error('Error in stop-all-servers-and-exit:', error);
-        return {
-          success: false,
-          error: error.message || 'Unknown error occurred while stopping servers'
-        };
+    // Ignore and protect lists
+    router.handle('get-process-lists', {}, () => this.processLists.getEntries());
+
+    router.handle('save-process-list-entry', { args: [{ ...object('entry'), optional: false }] }, async (entry) => {
+      const data = fromResult(await this.processLists.saveEntry(entry));
+      await this.reloadProcessLists({ poll: true });
+      return data;
+    });
+
+    router.handle('delete-process-list-entry', { args: [id('entryId')] }, async (entryId) => {
+      const data = fromResult(await this.processLists.deleteEntry(entryId));
+      await this.reloadProcessLists({ poll: true });
+      return data;
+    });
+
+    // Search, filters and sort order of the server list
+    router.handle('get-server-list-view', {}, () => this.viewPreferences.getServerListView());
+
+    router.handle('save-server-list-view', {
+      args: [{
+        ...object('view', {
+          search: { type: 'string', maxLength: 200 },
+          filters: { type: 'object' },
+          sort: { type: 'object', properties: { field: { type: 'string', maxLength: 50 }, direction: { type: 'string', enum: ['asc', 'desc'] } } }
+        }),
+        optional: false
+      }]
+    }, async (view) => fromResult(await this.viewPreferences.saveServerListView(view)));
+
+    // Managed server profiles
+    router.handle('get-server-profiles', {}, () => this.processManager.getProfiles());
+
+    router.handle('save-server-profile', {
+      args: [{
+        ...object('profile', {
+          id: { type: 'string', maxLength: 200 },
+          name: { type: 'string', maxLength: 200 },
+          command: { type: 'string', maxLength: 8192 },
+          cwd: { type: 'string', maxLength: 4096 },
+          env: { type: 'object' },
+          readinessUrl: { type: 'string', maxLength: 2048 },
+          readinessType: { type: 'string', maxLength: 20 },
+          readinessPattern: { type: 'string', maxLength: 1000 },
+          keepAlive: { type: 'boolean' }
+        }),
+        optional: false
+      }]
+    }, async (profile) => {
+      if (await this.processManager.profileChangesLaunch(profile) && !(await this.confirmProfileLaunch(profile))) {
+        throw new IpcError(ERROR_CODES.OPERATION_FAILED, 'Profile not saved: its command was not confirmed.', { cancelled: true });
       }
+
+      const result = await this.processManager.saveProfile(profile);
+      this.refreshTrayProfiles();
+      return fromResult(result);
     });
+
+    router.handle('delete-server-profile', { args: [id('profileId')] }, async (profileId) => {
+      const result = await this.processManager.deleteProfile(profileId);
+      this.refreshTrayProfiles();
+      return fromResult(result);
+    });
+
+    router.handle('start-server-profile', { args: [id('profileId')], timeout: 11 * 60 * 1000 }, async (profileId) =>
+      fromResult(await this.startProfile(profileId, 'ui')));
+  }
+
+  /**
+   * Launch a profile and pick up the new server on the next lifecycle poll
+   * Shared by the renderer's Start button and the tray's Start menu
+   * @param {string} profileId - Profile ID
+   * @param {string} trigger - Who asked for the start, recorded in the operation journal
+   * @returns {Promise<Object>} Result object
+   */
+  async startProfile(profileId, trigger) {
+    const result = await this.processManager.startProfile(profileId, { trigger });
+
+    if (result.success) {
+      setTimeout(() => {
+        this.lifecycleMonitor.poll();
+      }, 2000);
+    }
+
+    this.refreshTrayProfiles();
+    return result;
+  }
+
+  /**
+   * Ask the user, in a native dialog, to confirm what a new or changed profile launches
+   * The renderer may be running script injected by process data, so a command
+   * it sends is only saved (and can only be started) once the user has seen it
+   * somewhere page script cannot draw or click
+   * @param {Object} profile - Profile as sent by the renderer
+   * @returns {Promise<boolean>} True if the user confirmed
+   */
+  async confirmProfileLaunch(profile) {
+    const { dialog } = require('electron');
+    const env = Object.keys(profile.env || {});
+
+    try {
+      const { response } = await dialog.showMessageBox(this.mainWindow, {
+        type: 'warning',
+        buttons: ['Save Profile', 'Cancel'],
+        defaultId: 1,
+        cancelId: 1,
+        title: 'Confirm Server Command',
+        message: `Save "${profile.name}"? Starting it will run this command:`,
+        detail: [
+          profile.command,
+          profile.cwd ? `In: ${profile.cwd}` : null,
+          env.length > 0 ? `Environment: ${env.join(', ')}` : null
+        ].filter(Boolean).join('\n\n'),
+        icon: path.join(__dirname, '..', 'assets', 'icon.png')
+      });
+      return response === 0;
+    } catch (error) {
+      log.error('Error showing profile command confirmation dialog:', error);
+      return false;
+    }
   }
 
   // Show confirmation dialog when user tries to close the window
@@ -312,6 +689,12 @@ class ServerManagerApp {
     if (this.serverCheckInterval) {
       clearInterval(this.serverCheckInterval);
     }
+
+    this.lifecycleMonitor.stop();
+    this.resourceAlerts.stop();
+    this.resourceSampler.stop();
+    this.processManager.keepAlive.stop();
+    this.processManager.outputCapture.close();
     
     if (this.trayMenu) {
       this.trayMenu.destroy();
@@ -0,0 +1,289 @@
+/**
+ * Preload Bridge
+ * The only code with access to Electron's IPC in the renderer. Exposes a
+ * narrow, versioned `window.electronAPI`: one method per IPC channel and a
+ * subscription helper limited to the events the main process sends. The page
+ * itself runs with contextIsolation, a sandbox and no Node integration, so a
+ * script injected into a card cannot reach ipcRenderer or require. It can call
+ * these methods, though: the main process therefore asks the user in a native
+ * dialog before saving a profile whose command, directory or environment
+ * changed, since starting a profile runs its command through the shell
+ */
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+// Bumped whenever a method is removed or changes its arguments or results
+// 2: every invoke resolves to an IpcResult envelope
+const API_VERSION = 2;
+
+/**
+ * @typedef {Object} OperationOptions
+ * @property {boolean} [tree] - Also stop every child process
+ * @property {boolean} [confirmed] - The user confirmed acting on a protected server
+ */
+
+/**
+ * Envelope every invoke resolves to (built by the main process's IpcRouter)
+ * @typedef {Object} IpcResult
+ * @property {boolean} success - Whether the request worked
+ * @property {*} [data] - What the request returns, described on each method
+ * @property {string} [code] - Error code when it failed: INVALID_REQUEST, NOT_FOUND, PROTECTED,
+ *   PERMISSION_DENIED, TIMEOUT, OPERATION_FAILED or INTERNAL (see config/errorCodes.js)
+ * @property {string} [error] - Error message when it failed
+ * @property {Object} [details] - Extra fields of a failure, such as requiresConfirmation
+ */
+
+// Channels the main process sends to the renderer
+const EVENT_CHANNELS = [
+  'server-started',
+  'server-stopped',
+  'port-changed',
+  'bindings-changed',
+  'server-restarted',
+  'health-changed',
+  'server-crashed',
+  'server-output',
+  'server-resources',
+  'resource-alert',
+  'resource-alert-cleared',
+  'resource-alert-action',
+  'servers-updated',
+  'refresh-servers'
+];
+
+const api = {
+  version: API_VERSION,
+
+  /**
+   * Get the detected servers
+   * @returns {Promise<IpcResult>} data: annotated servers
+   */
+  getServers: () => ipcRenderer.invoke('get-servers'),
+
+  /**
+   * Detect servers again, bypassing the detection cache
+   * @returns {Promise<IpcResult>} data: annotated servers
+   */
+  refreshServers: () => ipcRenderer.invoke('refresh-servers'),
+
+  /**
+   * Stop a server
+   * @param {number} pid - Process ID
+   * @param {OperationOptions} options - Operation options
+   * @returns {Promise<IpcResult>} data: outcome ({ message, ... })
+   */
+  stopServer: (pid, options) => ipcRenderer.invoke('stop-server', pid, options),
+
+  /**
+   * Restart a server
+   * @param {number} pid - Process ID
+   * @param {OperationOptions} options - Operation options
+   * @returns {Promise<IpcResult>} data: outcome ({ message, ... })
+   */
+  restartServer: (pid, options) => ipcRenderer.invoke('restart-server', pid, options),
+
+  /**
+   * Stop every server that is safe to stop before the app exits
+   * @returns {Promise<IpcResult>} data: per-server results
+   */
+  stopAllServersAndExit: () => ipcRenderer.invoke('stop-all-servers-and-exit'),
+
+  /**
+   * Get a process with its child tree and network exposure
+   * @param {number} pid - Process ID
+   * @returns {Promise<IpcResult>} data: process with its child tree, NOT_FOUND once it exited
+   */
+  getProcessDetails: (pid) => ipcRenderer.invoke('get-process-details', pid),
+
+  /**
+   * Get the error log of a server
+   * @param {number} pid - Process ID
+   * @returns {Promise<IpcResult>} data: { logs, totalLogs }
+   */
+  getServerErrorLogs: (pid) => ipcRenderer.invoke('get-server-error-logs', pid),
+
+  /**
+   * Clear the error log of a server
+   * @param {number} pid - Process ID
+   * @returns {Promise<IpcResult>} data: outcome ({ message, ... })
+   */
+  clearServerErrorLogs: (pid) => ipcRenderer.invoke('clear-server-error-logs', pid),
+
+  /**
+   * Get the captured stdout/stderr of a managed server
+   * @param {number} pid - Process ID
+   * @param {Object} options - Filters ({ stream, since, limit })
+   * @returns {Promise<IpcResult>} data: { lines, ... }
+   */
+  getServerOutput: (pid, options) => ipcRenderer.invoke('get-server-output', pid, options),
+
+  /**
+   * Get the saved server profiles
+   * @returns {Promise<IpcResult>} data: profiles
+   */
+  getServerProfiles: () => ipcRenderer.invoke('get-server-profiles'),
+
+  /**
+   * Create or update a server profile
+   * @param {Object} profile - Profile
+   * @returns {Promise<IpcResult>} data: { profile }
+   */
+  saveServerProfile: (profile) => ipcRenderer.invoke('save-server-profile', profile),
+
+  /**
+   * Delete a server profile
+   * @param {string} profileId - Profile ID
+   * @returns {Promise<IpcResult>} data: outcome ({ message, ... })
+   */
+  deleteServerProfile: (profileId) => ipcRenderer.invoke('delete-server-profile', profileId),
+
+  /**
+   * Launch a server profile
+   * @param {string} profileId - Profile ID
+   * @returns {Promise<IpcResult>} data: outcome ({ message, ... })
+   */
+  startServerProfile: (profileId) => ipcRenderer.invoke('start-server-profile', profileId),
+
+  /**
+   * Query the operation journal
+   * @param {Object} filters - Journal filters
+   * @returns {Promise<IpcResult>} data: { operations }
+   */
+  queryOperations: (filters) => ipcRenderer.invoke('query-operations', filters),
+
+  /**
+   * Get the CPU and memory history of a server
+   * @param {number} pid - Process ID
+   * @param {Object} options - Range options
+   * @returns {Promise<IpcResult>} data: { samples }
+   */
+  getResourceHistory: (pid, options) => ipcRenderer.invoke('get-resource-history', pid, options),
+
+  /**
+   * Get the latest samples of every server for the sparklines
+   * @param {number} limit - Samples per server
+   * @returns {Promise<IpcResult>} data: { series } (PID -> samples)
+   */
+  getRecentResources: (limit) => ipcRenderer.invoke('get-recent-resources', limit),
+
+  /**
+   * Get the resource alert rules
+   * @returns {Promise<IpcResult>} data: rules
+   */
+  getAlertRules: () => ipcRenderer.invoke('get-alert-rules'),
+
+  /**
+   * Create or update a resource alert rule
+   * @param {Object} rule - Rule
+   * @returns {Promise<IpcResult>} data: { rule }
+   */
+  saveAlertRule: (rule) => ipcRenderer.invoke('save-alert-rule', rule),
+
+  /**
+   * Delete a resource alert rule
+   * @param {string} ruleId - Rule ID
+   * @returns {Promise<IpcResult>} data: outcome ({ message, ... })
+   */
+  deleteAlertRule: (ruleId) => ipcRenderer.invoke('delete-alert-rule', ruleId),
+
+  /**
+   * Get the resource alerts currently firing
+   * @returns {Promise<IpcResult>} data: active alerts
+   */
+  getActiveAlerts: () => ipcRenderer.invoke('get-active-alerts'),
+
+  /**
+   * Get the classification rules
+   * @returns {Promise<IpcResult>} data: rules and editor metadata
+   */
+  getClassificationRules: () => ipcRenderer.invoke('get-classification-rules'),
+
+  /**
+   * Create or update a classification rule
+   * @param {Object} rule - Rule
+   * @returns {Promise<IpcResult>} data: { rule }
+   */
+  saveClassificationRule: (rule) => ipcRenderer.invoke('save-classification-rule', rule),
+
+  /**
+   * Delete a classification rule
+   * @param {string} ruleId - Rule ID
+   * @returns {Promise<IpcResult>} data: outcome ({ message, ... })
+   */
+  deleteClassificationRule: (ruleId) => ipcRenderer.invoke('delete-classification-rule', ruleId),
+
+  /**
+   * Move a classification rule up or down the evaluation order
+   * @param {string} ruleId - Rule ID
+   * @param {number} offset - -1 to move up, 1 to move down
+   * @returns {Promise<IpcResult>} data: outcome ({ message, ... })
+   */
+  moveClassificationRule: (ruleId, offset) => ipcRenderer.invoke('move-classification-rule', ruleId, offset),
+
+  /**
+   * Preview which running processes a rule matches
+   * @param {Object} rule - Unsaved rule
+   * @returns {Promise<IpcResult>} data: { matches }
+   */
+  previewClassificationRule: (rule) => ipcRenderer.invoke('preview-classification-rule', rule),
+
+  /**
+   * Get the ignore and protect lists
+   * @returns {Promise<IpcResult>} data: entries
+   */
+  getProcessLists: () => ipcRenderer.invoke('get-process-lists'),
+
+  /**
+   * Create or update an ignore or protect list entry
+   * @param {Object} entry - Entry
+   * @returns {Promise<IpcResult>} data: { entry }
+   */
+  saveProcessListEntry: (entry) => ipcRenderer.invoke('save-process-list-entry', entry),
+
+  /**
+   * Delete an ignore or protect list entry
+   * @param {string} entryId - Entry ID
+   * @returns {Promise<IpcResult>} data: outcome ({ message, ... })
+   */
+  deleteProcessListEntry: (entryId) => ipcRenderer.invoke('delete-process-list-entry', entryId),
+
+  /**
+   * Get the saved search, filters and sort order of the server list
+   * @returns {Promise<IpcResult>} data: view ({ search, filters, sort })
+   */
+  getServerListView: () => ipcRenderer.invoke('get-server-list-view'),
+
+  /**
+   * Save the search, filters and sort order of the server list
+   * @param {Object} view - View ({ search, filters: { types, categories, tags }, sort: { field, direction } })
+   * @returns {Promise<IpcResult>} data: { view }
+   */
+  saveServerListView: (view) => ipcRenderer.invoke('save-server-list-view', view),
+
+  /**
+   * Subscribe to an event from the main process
+   * The listener gets the payload only, never the IPC event (which exposes the sender)
+   * @param {string} channel - One of EVENT_CHANNELS
+   * @param {Function} listener - Called with the payload
+   * @returns {Function} Unsubscribe function
+   */
+  on(channel, listener) {
+    if (!EVENT_CHANNELS.includes(channel)) {
+      throw new Error(`Unknown event channel: ${channel}`);
+    }
+
+    const handler = (event, payload) => listener(payload);
+    ipcRenderer.on(channel, handler);
+    return () => ipcRenderer.removeListener(channel, handler);
+  },
+
+  /**
+   * Tell the tray the renderer's server list changed
+   * @param {Array} servers - Current servers
+   */
+  notifyServersUpdated(servers) {
+    ipcRenderer.send('servers-updated', servers);
+  }
+};
+
+contextBridge.exposeInMainWorld('electronAPI', Object.freeze(api));
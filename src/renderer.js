@@ -0,0 +1,51 @@
+/**
+ * Renderer entry point
+ * Bundled with the components it requires into renderer.bundle.js by
+ * bundle-renderer.js. Has no Node integration: the main process is only
+ * reachable through the preload's window.electronAPI
+ */
+
+const ServerList = require('./components/ServerList');
+
+// Lifecycle events the server list applies incrementally
+const LIFECYCLE_CHANNELS = [
+  'server-started',
+  'server-stopped',
+  'port-changed',
+  'bindings-changed',
+  'server-restarted',
+  'health-changed'
+];
+
+document.addEventListener('DOMContentLoaded', () => {
+  const api = window.electronAPI;
+  const serverList = new ServerList('server-list-container');
+
+  // Initial load
+  serverList.refreshServers();
+
+  // Apply incremental lifecycle events from the main process
+  LIFECYCLE_CHANNELS.forEach(channel => {
+    api.on(channel, lifecycleEvent => serverList.applyLifecycleEvent(lifecycleEvent));
+  });
+
+  // Keep-alive crash notifications
+  api.on('server-crashed', crash => serverList.applyCrashEvent(crash));
+
+  // Stream captured stdout/stderr into the log viewer
+  api.on('server-output', payload => serverList.logViewer.appendOutput(payload));
+
+  // CPU and memory samples for sparklines and the details chart
+  api.on('server-resources', samples => serverList.applyResourceSamples(samples));
+
+  // Resource threshold alerts
+  api.on('resource-alert', alert => serverList.applyAlert(alert));
+  api.on('resource-alert-cleared', alert => serverList.clearAlert(alert));
+  api.on('resource-alert-action', result => serverList.applyAlertAction(result));
+
+  // Listen for server updates from main process
+  api.on('servers-updated', servers => serverList.updateServers(servers));
+
+  // Listen for refresh requests from tray
+  api.on('refresh-servers', () => serverList.refreshServers());
+});
@@ -0,0 +1,186 @@
+/**
+ * Alert Rules Module
+ * Persists resource threshold rules ("RSS > 2048 MB for 60 s") in the user data directory
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const log = require('electron-log');
+const JsonStore = require('./JsonStore');
+const ERROR_CODES = require('../config/errorCodes');
+
+// cpu is a percentage of one core, rss is resident memory in MB
+const ALERT_METRICS = ['cpu', 'rss'];
+// all: every server, profile: servers launched from a profile, command: command line contains the text
+const ALERT_SCOPES = ['all', 'profile', 'command'];
+// What to do once a rule fires, besides notifying
+const ALERT_ACTIONS = ['notify', 'stop', 'restart'];
+
+class AlertRules {
+  constructor(storageDir) {
+    this.store = JsonStore.forList(path.join(storageDir, 'alert-rules.json'), 'rules', 'alert rules');
+  }
+
+  /**
+   * Load rules from disk (once)
+   * @returns {Promise<Array>} Array of rules
+   */
+  async load() {
+    return await this.store.load();
+  }
+
+  /**
+   * Get all saved rules
+   * @returns {Promise<Array>} Array of rules
+   */
+  async getRules() {
+    const rules = await this.load();
+    return rules.map(rule => ({ ...rule }));
+  }
+
+  /**
+   * Create or update a rule
+   * @param {Object} rule - Rule fields (id present when updating)
+   * @returns {Promise<Object>} Result object with the saved rule
+   */
+  async saveRule(rule) {
+    const error = this.validateRule(rule);
+    if (error) {
+      return { success: false, code: ERROR_CODES.INVALID_REQUEST, error };
+    }
+
+    return await this.store.update(async rules => {
+      const now = new Date().toISOString();
+      const existingIndex = rule.id ? rules.findIndex(item => item.id === rule.id) : -1;
+
+      if (rule.id && existingIndex === -1) {
+        return { success: false, code: ERROR_CODES.NOT_FOUND, error: `Alert rule ${rule.id} not found` };
+      }
+
+      const saved = {
+        ...(existingIndex === -1 ? { id: crypto.randomUUID(), createdAt: now } : rules[existingIndex]),
+        ...this.normalizeRule(rule),
+        updatedAt: now
+      };
+
+      const updated = [...rules];
+      if (existingIndex === -1) {
+        updated.push(saved);
+      } else {
+        updated[existingIndex] = saved;
+      }
+
+      try {
+        await this.persist(updated);
+        log.info(`Saved alert rule: ${saved.name} (${saved.id})`);
+        return { success: true, rule: saved };
+      } catch (persistError) {
+        log.error('Error saving alert rule:', persistError);
+        return { success: false, error: persistError.message };
+      }
+    });
+  }
+
+  /**
+   * Delete a rule
+   * @param {string} id - Rule ID
+   * @returns {Promise<Object>} Result object
+   */
+  async deleteRule(id) {
+    return await this.store.update(async rules => {
+      const remaining = rules.filter(rule => rule.id !== id);
+
+      if (remaining.length === rules.length) {
+        return { success: false, code: ERROR_CODES.NOT_FOUND, error: `Alert rule ${id} not found` };
+      }
+
+      try {
+        await this.persist(remaining);
+        log.info(`Deleted alert rule: ${id}`);
+        return { success: true };
+      } catch (error) {
+        log.error('Error deleting alert rule:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Validate rule fields
+   * @param {Object} rule - Rule fields
+   * @returns {string|null} Error message or null if valid
+   */
+  validateRule(rule) {
+    if (!rule || typeof rule !== 'object') {
+      return 'Rule is required';
+    }
+
+    if (!rule.name || !String(rule.name).trim()) {
+      return 'Rule name is required';
+    }
+
+    if (!ALERT_METRICS.includes(rule.metric)) {
+      return `Unknown metric: ${rule.metric}`;
+    }
+
+    const threshold = Number(rule.threshold);
+    if (!Number.isFinite(threshold) || threshold <= 0) {
+      return `Threshold must be a positive number: ${rule.threshold}`;
+    }
+
+    const duration = Number(rule.duration);
+    if (!Number.isInteger(duration) || duration < 0 || duration > 86400) {
+      return `Duration must be between 0 and 86400 seconds: ${rule.duration}`;
+    }
+
+    const scope = rule.scope || 'all';
+    if (!ALERT_SCOPES.includes(scope)) {
+      return `Unknown scope: ${scope}`;
+    }
+
+    if (scope !== 'all' && (!rule.scopeValue || !String(rule.scopeValue).trim())) {
+      return scope === 'profile' ? 'Choose the profile the rule applies to' : 'Enter the command text the rule applies to';
+    }
+
+    const action = rule.action || 'notify';
+    if (!ALERT_ACTIONS.includes(action)) {
+      return `Unknown action: ${action}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Reduce a rule to its persisted fields
+   * @param {Object} rule - Rule fields
+   * @returns {Object} Normalized rule fields
+   */
+  normalizeRule(rule) {
+    const scope = rule.scope || 'all';
+
+    return {
+      name: String(rule.name).trim(),
+      metric: rule.metric,
+      threshold: Number(rule.threshold),
+      duration: Number(rule.duration),
+      scope,
+      scopeValue: scope === 'all' ? '' : String(rule.scopeValue).trim(),
+      action: rule.action || 'notify',
+      enabled: rule.enabled !== false && rule.enabled !== 'false'
+    };
+  }
+
+  /**
+   * Write rules to disk atomically
+   * @param {Array} rules - Rules to write
+   */
+  async persist(rules) {
+    await this.store.save(rules);
+  }
+}
+
+AlertRules.METRICS = ALERT_METRICS;
+AlertRules.SCOPES = ALERT_SCOPES;
+AlertRules.ACTIONS = ALERT_ACTIONS;
+
+module.exports = AlertRules;
@@ -0,0 +1,209 @@
+/**
+ * Classification Rule Engine Module for ServerDetector
+ * Matches processes against user-defined classification rules before the
+ * built-in heuristics of ProcessClassifier run
+ */
+
+const os = require('os');
+const log = require('electron-log');
+
+class ClassificationRuleEngine {
+  /**
+   * @param {PlatformAdapter} platform - Reads working directories for cwd conditions
+   */
+  constructor(platform) {
+    this.platform = platform;
+    this.rules = []; // Enabled rules with compiled patterns, in evaluation order
+  }
+
+  /**
+   * Replace the rules to evaluate
+   * Rules whose patterns do not compile are skipped rather than failing detection
+   * @param {Array} rules - Rules from ClassificationRules
+   */
+  setRules(rules) {
+    this.rules = rules
+      .filter(rule => rule.enabled !== false)
+      .map(rule => this.compile(rule))
+      .filter(Boolean);
+  }
+
+  /**
+   * Compile the patterns of a rule once
+   * @param {Object} rule - Rule
+   * @returns {Object|null} { rule, command, cwd } or null if a pattern is invalid
+   */
+  compile(rule) {
+    try {
+      return {
+        rule,
+        command: rule.match.commandPattern ? new RegExp(rule.match.commandPattern, 'i') : null,
+        cwd: rule.match.cwdGlob ? ClassificationRuleEngine.globToRegExp(rule.match.cwdGlob) : null
+      };
+    } catch (error) {
+      log.warn(`Skipping classification rule "${rule.name}": ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Find the first matching rule of every process
+   * @param {Array} processes - Processes to match (with `port` when they listen on one)
+   * @param {Array} allProcesses - Every running process, to resolve parent names
+   * @returns {Promise<Map>} PID -> matching rule
+   */
+  async matchProcesses(processes, allProcesses = processes) {
+    const matches = new Map();
+    if (this.rules.length === 0) return matches;
+
+    const context = this.createContext(allProcesses);
+    for (const processInfo of processes) {
+      if (matches.has(processInfo.pid)) continue;
+
+      const rule = await this.match(processInfo, this.rules, context);
+      if (rule) matches.set(processInfo.pid, rule);
+    }
+
+    return matches;
+  }
+
+  /**
+   * Find every process a single rule matches, for the live preview
+   * @param {Object} rule - Normalized rule, saved or still being edited
+   * @param {Array} processes - Processes to match
+   * @param {Array} allProcesses - Every running process, to resolve parent names
+   * @returns {Promise<Array>} Matching processes
+   */
+  async previewRule(rule, processes, allProcesses = processes) {
+    const compiled = this.compile(rule);
+    if (!compiled) return [];
+
+    const context = this.createContext(allProcesses);
+    const matched = [];
+    for (const processInfo of processes) {
+      if (await this.match(processInfo, [compiled], context)) {
+        matched.push(processInfo);
+      }
+    }
+    return matched;
+  }
+
+  /**
+   * Create the lookup context of one evaluation pass
+   * @param {Array} allProcesses - Every running process
+   * @returns {Object} { processesByPid, cwds }
+   */
+  createContext(allProcesses) {
+    return {
+      processesByPid: new Map(allProcesses.map(processInfo => [processInfo.pid, processInfo])),
+      cwds: new Map() // PID -> working directory, read at most once per pass
+    };
+  }
+
+  /**
+   * Find the first of the given rules that matches a process
+   * Cheap conditions are checked first so working directories are only read when needed
+   * @param {Object} processInfo - Process information
+   * @param {Array} compiledRules - Compiled rules
+   * @param {Object} context - Context from createContext
+   * @returns {Promise<Object|null>} Matching rule or null
+   */
+  async match(processInfo, compiledRules, context) {
+    for (const compiled of compiledRules) {
+      const { match } = compiled.rule;
+
+      if (match.imageName && !this.matchesImageName(processInfo.name, match.imageName)) continue;
+      if (compiled.command && !compiled.command.test(processInfo.command || '')) continue;
+      if (!this.matchesPortRange(processInfo.port, match.portMin, match.portMax)) continue;
+
+      if (match.parentName) {
+        const parent = context.processesByPid.get(processInfo.parentPid);
+        if (!parent || !this.matchesImageName(parent.name, match.parentName)) continue;
+      }
+
+      if (compiled.cwd) {
+        const cwd = await this.getCwd(processInfo.pid, context);
+        if (!cwd || !compiled.cwd.test(cwd.replace(/\\/g, '/'))) continue;
+      }
+
+      return compiled.rule;
+    }
+
+    return null;
+  }
+
+  /**
+   * Compare an image name, ignoring case and a trailing .exe
+   * @param {string} name - Process image name
+   * @param {string} expected - Image name from the rule
+   * @returns {boolean} True if they match
+   */
+  matchesImageName(name, expected) {
+    const normalize = value => String(value || '').toLowerCase().replace(/\.exe$/, '');
+    return normalize(name) === normalize(expected);
+  }
+
+  /**
+   * Check a port against an optional range
+   * @param {number|string} port - Listening port, if any
+   * @param {number|null} min - Lowest port
+   * @param {number|null} max - Highest port
+   * @returns {boolean} True if there is no range or the port is inside it
+   */
+  matchesPortRange(port, min, max) {
+    if (min === null && max === null) return true;
+
+    const value = parseInt(port, 10);
+    if (!Number.isInteger(value)) return false;
+    return value >= (min || 1) && value <= (max || 65535);
+  }
+
+  /**
+   * Read a working directory once per evaluation pass
+   * @param {number} pid - Process ID
+   * @param {Object} context - Context from createContext
+   * @returns {Promise<string|null>} Working directory or null
+   */
+  async getCwd(pid, context) {
+    if (!context.cwds.has(pid)) {
+      let cwd = null;
+      try {
+        cwd = await this.platform.getCwd(pid);
+      } catch (error) {
+        cwd = null;
+      }
+      context.cwds.set(pid, cwd);
+    }
+    return context.cwds.get(pid);
+  }
+
+  /**
+   * Convert a cwd glob into a case-insensitive regular expression
+   * `**` spans directories, `*` and `?` stay within one; backslashes count as slashes
+   * @param {string} glob - Glob such as "C:/work/**" or "~/projects/*-api"
+   * @returns {RegExp} Regular expression matching whole paths
+   */
+  static globToRegExp(glob) {
+    const normalized = glob.trim().replace(/\\/g, '/').replace(/^~(?=\/|$)/, os.homedir().replace(/\\/g, '/'));
+    let pattern = '';
+
+    for (let i = 0; i < normalized.length; i++) {
+      const char = normalized[i];
+      if (char === '*' && normalized[i + 1] === '*') {
+        pattern += '.*';
+        i++;
+      } else if (char === '*') {
+        pattern += '[^/]*';
+      } else if (char === '?') {
+        pattern += '[^/]';
+      } else {
+        pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+
+    // A directory glob also matches everything below it
+    return new RegExp(`^${pattern.replace(/\/$/, '')}(/.*)?$`, 'i');
+  }
+}
+
+module.exports = ClassificationRuleEngine;
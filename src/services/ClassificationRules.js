@@ -0,0 +1,271 @@
+/**
+ * Classification Rules Module
+ * Persists user-defined classification rules in the user data directory.
+ * A rule maps match conditions (image name, command regex, port range,
+ * cwd glob, parent process) to actions (name, type, category, icon, tags,
+ * ignore, protect); rules are evaluated in order and the first match wins
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const log = require('electron-log');
+const JsonStore = require('./JsonStore');
+const ERROR_CODES = require('../config/errorCodes');
+
+// Server types a rule may assign, matching the icons and stats of the server list
+const RULE_TYPES = ['react', 'node', 'python', 'java', 'go', 'ruby', 'php', 'dotnet', 'rust', 'static', 'infrastructure', 'other'];
+
+class ClassificationRules {
+  constructor(storageDir) {
+    this.store = JsonStore.forList(path.join(storageDir, 'classification-rules.json'), 'rules', 'classification rules');
+  }
+
+  /**
+   * Load rules from disk (once)
+   * @returns {Promise<Array>} Array of rules in evaluation order
+   */
+  async load() {
+    return await this.store.load();
+  }
+
+  /**
+   * Get all saved rules in evaluation order
+   * @returns {Promise<Array>} Array of rules
+   */
+  async getRules() {
+    const rules = await this.load();
+    return rules.map(rule => ({ ...rule, match: { ...rule.match }, action: { ...rule.action } }));
+  }
+
+  /**
+   * Create or update a rule; new rules are appended to the end
+   * @param {Object} rule - Rule fields (id present when updating)
+   * @returns {Promise<Object>} Result object with the saved rule
+   */
+  async saveRule(rule) {
+    const error = this.validateRule(rule);
+    if (error) {
+      return { success: false, code: ERROR_CODES.INVALID_REQUEST, error };
+    }
+
+    return await this.store.update(async rules => {
+      const now = new Date().toISOString();
+      const existingIndex = rule.id ? rules.findIndex(item => item.id === rule.id) : -1;
+
+      if (rule.id && existingIndex === -1) {
+        return { success: false, code: ERROR_CODES.NOT_FOUND, error: `Classification rule ${rule.id} not found` };
+      }
+
+      const saved = {
+        ...(existingIndex === -1 ? { id: crypto.randomUUID(), createdAt: now } : rules[existingIndex]),
+        ...this.normalizeRule(rule),
+        updatedAt: now
+      };
+
+      const updated = [...rules];
+      if (existingIndex === -1) {
+        updated.push(saved);
+      } else {
+        updated[existingIndex] = saved;
+      }
+
+      try {
+        await this.persist(updated);
+        log.info(`Saved classification rule: ${saved.name} (${saved.id})`);
+        return { success: true, rule: saved };
+      } catch (persistError) {
+        log.error('Error saving classification rule:', persistError);
+        return { success: false, error: persistError.message };
+      }
+    });
+  }
+
+  /**
+   * Delete a rule
+   * @param {string} id - Rule ID
+   * @returns {Promise<Object>} Result object
+   */
+  async deleteRule(id) {
+    return await this.store.update(async rules => {
+      const remaining = rules.filter(rule => rule.id !== id);
+
+      if (remaining.length === rules.length) {
+        return { success: false, code: ERROR_CODES.NOT_FOUND, error: `Classification rule ${id} not found` };
+      }
+
+      try {
+        await this.persist(remaining);
+        log.info(`Deleted classification rule: ${id}`);
+        return { success: true };
+      } catch (error) {
+        log.error('Error deleting classification rule:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Move a rule one place up or down in the evaluation order
+   * @param {string} id - Rule ID
+   * @param {number} offset - -1 to evaluate earlier, 1 to evaluate later
+   * @returns {Promise<Object>} Result object
+   */
+  async moveRule(id, offset) {
+    return await this.store.update(async rules => {
+      const index = rules.findIndex(rule => rule.id === id);
+
+      if (index === -1) {
+        return { success: false, code: ERROR_CODES.NOT_FOUND, error: `Classification rule ${id} not found` };
+      }
+
+      const target = index + (offset < 0 ? -1 : 1);
+      if (target < 0 || target >= rules.length) {
+        return { success: true };
+      }
+
+      const updated = [...rules];
+      [updated[index], updated[target]] = [updated[target], updated[index]];
+
+      try {
+        await this.persist(updated);
+        return { success: true };
+      } catch (error) {
+        log.error('Error reordering classification rules:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Validate rule fields
+   * @param {Object} rule - Rule fields
+   * @returns {string|null} Error message or null if valid
+   */
+  validateRule(rule) {
+    if (!rule || typeof rule !== 'object') {
+      return 'Rule is required';
+    }
+
+    if (!rule.name || !String(rule.name).trim()) {
+      return 'Rule name is required';
+    }
+
+    const match = rule.match || {};
+    const action = rule.action || {};
+
+    const conditions = ['imageName', 'commandPattern', 'cwdGlob', 'parentName']
+      .filter(field => match[field] && String(match[field]).trim());
+    const hasPortRange = this.hasValue(match.portMin) || this.hasValue(match.portMax);
+
+    if (conditions.length === 0 && !hasPortRange) {
+      return 'Add at least one match condition';
+    }
+
+    if (match.commandPattern) {
+      try {
+        new RegExp(match.commandPattern, 'i');
+      } catch (error) {
+        return `Invalid command regex: ${error.message}`;
+      }
+    }
+
+    if (hasPortRange) {
+      const min = this.hasValue(match.portMin) ? Number(match.portMin) : 1;
+      const max = this.hasValue(match.portMax) ? Number(match.portMax) : 65535;
+      if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || max > 65535 || min > max) {
+        return `Port range must be between 1 and 65535: ${match.portMin || ''}-${match.portMax || ''}`;
+      }
+    }
+
+    if (action.type && !RULE_TYPES.includes(action.type)) {
+      return `Unknown server type: ${action.type}`;
+    }
+
+    if (this.isEnabled(action.ignore) && this.isEnabled(action.protect)) {
+      return 'A rule cannot both ignore and protect a process';
+    }
+
+    const changes = ['name', 'type', 'category', 'icon'].some(field => action[field] && String(action[field]).trim()) ||
+      this.normalizeTags(action.tags).length > 0;
+    if (!changes && !this.isEnabled(action.ignore) && !this.isEnabled(action.protect)) {
+      return 'Choose what the rule does with matching processes';
+    }
+
+    return null;
+  }
+
+  /**
+   * Reduce a rule to its persisted fields
+   * @param {Object} rule - Rule fields
+   * @returns {Object} Normalized rule fields
+   */
+  normalizeRule(rule) {
+    const match = rule.match || {};
+    const action = rule.action || {};
+    const text = value => (value ? String(value).trim() : '');
+
+    return {
+      name: String(rule.name).trim(),
+      enabled: this.isEnabled(rule.enabled, true),
+      match: {
+        imageName: text(match.imageName),
+        commandPattern: text(match.commandPattern),
+        portMin: this.hasValue(match.portMin) ? Number(match.portMin) : null,
+        portMax: this.hasValue(match.portMax) ? Number(match.portMax) : null,
+        cwdGlob: text(match.cwdGlob),
+        parentName: text(match.parentName)
+      },
+      action: {
+        name: text(action.name),
+        type: text(action.type),
+        category: text(action.category),
+        icon: text(action.icon),
+        tags: this.normalizeTags(action.tags),
+        ignore: this.isEnabled(action.ignore),
+        protect: this.isEnabled(action.protect)
+      }
+    };
+  }
+
+  /**
+   * Normalize tags given as an array or a comma separated string
+   * @param {Array|string} tags - Tags
+   * @returns {Array} Trimmed, non-empty tags
+   */
+  normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return list.map(tag => String(tag).trim()).filter(Boolean);
+  }
+
+  /**
+   * Read a boolean form value
+   * @param {*} value - true/false, 'true'/'false' or 'on'
+   * @param {boolean} defaultValue - Value when unset
+   * @returns {boolean} Boolean value
+   */
+  isEnabled(value, defaultValue = false) {
+    if (value === undefined || value === null || value === '') return defaultValue;
+    return value === true || value === 'true' || value === 'on';
+  }
+
+  /**
+   * Check whether an optional numeric field was filled in
+   * @param {*} value - Field value
+   * @returns {boolean} True if set
+   */
+  hasValue(value) {
+    return value !== undefined && value !== null && String(value).trim() !== '';
+  }
+
+  /**
+   * Write rules to disk atomically
+   * @param {Array} rules - Rules to write
+   */
+  async persist(rules) {
+    await this.store.save(rules);
+  }
+}
+
+ClassificationRules.TYPES = RULE_TYPES;
+
+module.exports = ClassificationRules;
@@ -0,0 +1,158 @@
+/**
+ * Container Resolver Module for ServerDetector
+ * Replaces the Docker forwarder processes that own published ports
+ * (docker-proxy, Docker Desktop's backend) with the containers behind them,
+ * as reported by the Docker Engine API
+ */
+
+const log = require('electron-log');
+const NetworkUtilities = require('./NetworkUtilities');
+
+// Forwarders of a Docker daemon running on this kernel; the container PIDs they report are host PIDs
+const HOST_PID_FORWARDERS = ['docker-proxy', 'rootlessport'];
+
+class ContainerResolver {
+  /**
+   * @param {DockerClient} dockerClient - Engine API client
+   * @param {ProcessClassifier} processClassifier - Recognizes infrastructure images
+   */
+  constructor(dockerClient, processClassifier) {
+    this.dockerClient = dockerClient;
+    this.processClassifier = processClassifier;
+    this.available = null; // Whether the last API call worked, to log availability changes once
+  }
+
+  /**
+   * Resolve the forwarder servers among the detected servers to containers
+   * Forwarders stay in the list as they are when Docker cannot be reached
+   * @param {Array} servers - Classified servers
+   * @param {Object} portToProcess - Port to process mapping, forwarders may own several ports
+   * @returns {Promise<Array>} Servers with forwarders replaced by containers
+   */
+  async resolveServers(servers, portToProcess) {
+    const forwarderPids = new Set(servers.filter(server => server.dockerForwarder).map(server => server.pid));
+    if (forwarderPids.size === 0) return servers;
+
+    let published;
+    try {
+      published = await this.dockerClient.getPublishedPorts();
+      if (this.available !== true) log.info('Docker Engine API available, resolving published ports to containers');
+      this.available = true;
+    } catch (error) {
+      if (this.available !== false) log.warn(`Docker Engine API unavailable at ${this.dockerClient.socketPath}: ${error.message}`);
+      this.available = false;
+      return servers;
+    }
+
+    // Docker Desktop publishes every port from one process, docker-proxy runs once per port
+    const containers = new Map(); // container ID -> { container, forwarder, forwarderPids, bindings }
+    Object.values(portToProcess)
+      .filter(processInfo => forwarderPids.has(processInfo.pid))
+      .forEach(processInfo => {
+        const container = published.get(Number(processInfo.port));
+        if (!container || !container.pid) return;
+
+        if (!containers.has(container.id)) {
+          containers.set(container.id, { container, forwarder: processInfo, forwarderPids: new Set(), bindings: new Map() });
+        }
+        const entry = containers.get(container.id);
+        entry.forwarderPids.add(processInfo.pid);
+
+        // A forwarder's bindings may belong to other containers (Docker Desktop) or repeat (docker-proxy per family)
+        (processInfo.bindings || [])
+          .filter(binding => container.ports.includes(binding.port))
+          .forEach(binding => entry.bindings.set(`${binding.protocol}:${binding.address}:${binding.port}`, binding));
+      });
+
+    const hostPids = new Set(servers.filter(server => !server.dockerForwarder).map(server => server.pid));
+    const resolvedForwarders = new Set();
+    const resolved = Array.from(containers.values())
+      .map(({ container, forwarder, forwarderPids: pids, bindings }) => ({
+        server: this.createContainerServer(container, forwarder, Array.from(bindings.values())),
+        pids
+      }))
+      .filter(({ server }) => {
+        // A PID from Docker Desktop's VM may clash with a host process, which keeps its place
+        if (server.container.pidOnHost || !hostPids.has(server.pid)) return true;
+        log.debug(`Skipping container ${server.container.name}: PID ${server.pid} belongs to a host process`);
+        return false;
+      })
+      .map(({ server, pids }) => {
+        pids.forEach(pid => resolvedForwarders.add(pid));
+        return server;
+      });
+
+    const containerPids = new Set(resolved.filter(server => server.container.pidOnHost).map(server => server.pid));
+
+    return [
+      // The container's main process is also visible on the host; the container replaces it
+      ...servers.filter(server => !resolvedForwarders.has(server.pid) && !containerPids.has(server.pid)),
+      ...resolved
+    ];
+  }
+
+  /**
+   * Check whether a server's PID is a process on this machine
+   * Containers in Docker Desktop's VM are listed under a VM PID, which must not
+   * be sampled, alerted on or inspected here: it is free or another process
+   * @param {Object} server - Server object
+   * @returns {boolean} True unless the server is a container outside this kernel
+   */
+  static hasHostPid(server) {
+    return !server.container || server.container.pidOnHost;
+  }
+
+  /**
+   * Build the server object of a container
+   * Containers are listed under their main process PID and stopped through the Engine API
+   * @param {Object} container - Container from DockerClient.getPublishedPorts
+   * @param {Object} forwarder - Forwarder process that owns one of its ports
+   * @param {Array} bindings - Host bindings of its published ports
+   * @returns {Object} Server object
+   */
+  createContainerServer(container, forwarder, bindings = []) {
+    const service = this.processClassifier.getContainerService(container.image);
+    const port = (service && container.ports.find(item => service.ports.includes(item))) || container.ports[0];
+    const hasHttpApi = !service || service.protocol === 'elasticsearch' || service.protocol === 'minio';
+    const type = service ? 'infrastructure' : 'docker';
+
+    const server = {
+      pid: container.pid,
+      name: container.name,
+      type,
+      port,
+      url: hasHttpApi ? `http://localhost:${port}` : null,
+      command: container.image,
+      path: '',
+      startTime: container.createdAt || new Date(),
+      category: this.processClassifier.getServerCategory(type),
+      importance: service ? 'infrastructure' : 'development',
+      isSafeToStop: false, // Only stopped on request, through the Engine API
+      bindings: bindings.sort(NetworkUtilities.compareBindings),
+      container: {
+        id: container.id,
+        name: container.name,
+        image: container.image,
+        composeProject: container.composeProject,
+        composeService: container.composeService,
+        workingDir: container.workingDir,
+        ports: container.ports,
+        forwarderPid: forwarder.pid,
+        pidOnHost: HOST_PID_FORWARDERS.includes((forwarder.name || '').toLowerCase())
+      }
+    };
+
+    if (service) {
+      server.icon = service.icon;
+      server.service = { id: service.id, name: service.name, protocol: service.protocol };
+    }
+
+    server.tags = this.processClassifier.generateServerTags({ command: container.image }, server);
+    if (service) server.tags.push(service.id);
+    server.priority = this.processClassifier.calculateServerPriority(server);
+
+    return server;
+  }
+}
+
+module.exports = ContainerResolver;
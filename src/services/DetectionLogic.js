@@ -6,9 +6,13 @@
 const log = require('electron-log');
 
 class DetectionLogic {
-  constructor(networkUtils, processClassifier) {
+  constructor(networkUtils, processClassifier, frameworkDetector = null, ruleEngine = null, listEngine = null, containerResolver = null) {
     this.networkUtils = networkUtils;
     this.processClassifier = processClassifier;
+    this.frameworkDetector = frameworkDetector; // Optional, refines classification from project manifests
+    this.ruleEngine = ruleEngine; // Optional, user classification rules evaluated before the built-ins
+    this.listEngine = listEngine; // Optional, the user's ignore and protect lists
+    this.containerResolver = containerResolver; // Optional, resolves Docker published ports to containers
     this.cachedServers = [];
     this.lastCheckTime = 0;
     this.cacheDuration = 3000; // 3 seconds cache
@@ -36,8 +40,13 @@ class DetectionLogic {
       // Map port to process information
       const portToProcess = this.networkUtils.mapPortToProcess(connections, processes);
 
-      // Identify development servers
-      const servers = this.identifyDevelopmentServers(processes, portToProcess);
+      // User rules first, then the built-in heuristics and framework detection
+      const ruleMatches = await this.matchRules(processes, portToProcess);
+      const listMatches = await this.matchRules(processes, portToProcess, this.listEngine);
+      const identified = await this.resolveContainers(this.identifyDevelopmentServers(processes, portToProcess, ruleMatches), portToProcess);
+      const listed = this.applyLists(identified, listMatches);
+      const classified = await this.detectFrameworks(listed);
+      const servers = this.applyRuleActions(classified, ruleMatches);
 
       // Update cache
       this.cachedServers = servers;
@@ -57,19 +66,20 @@ class DetectionLogic {
    * Identify development servers from processes and port mappings
    * @param {Array} processes - All running processes
    * @param {Object} portToProcess - Port to process mapping
+   * @param {Map} ruleMatches - PID -> matching user rule
    * @returns {Array} Array of development server objects
    */
-  identifyDevelopmentServers(processes, portToProcess) {
+  identifyDevelopmentServers(processes, portToProcess, ruleMatches = new Map()) {
     const servers = [];
     const processedPids = new Set();
 
-    // Check processes with open ports first
-    Object.values(portToProcess).forEach(processInfo => {
+    // Check processes with open ports first, on their primary port
+    this.getListeningProcesses(portToProcess).forEach(processInfo => {
       if (processedPids.has(processInfo.pid)) return;
 
-      const server = this.processClassifier.classifyServer(processInfo);
+      const server = this.processClassifier.classifyWithRule(processInfo, ruleMatches.get(processInfo.pid) || null);
       if (server) {
-        servers.push(server);
+        servers.push(this.attachBindings(server, processInfo));
         processedPids.add(processInfo.pid);
       }
     });
@@ -78,9 +88,9 @@ class DetectionLogic {
     processes.forEach(process => {
       if (processedPids.has(process.pid)) return;
 
-      const server = this.processClassifier.classifyServer(process);
+      const server = this.processClassifier.classifyWithRule(process, ruleMatches.get(process.pid) || null);
       if (server) {
-        servers.push(server);
+        servers.push(this.attachBindings(server, process));
         processedPids.add(process.pid);
       }
     });
@@ -88,6 +98,153 @@ class DetectionLogic {
     return servers;
   }
 
+  /**
+   * List the port mapping entries with each process's primary binding first
+   * so a process on several ports is classified on its main one
+   * @param {Object} portToProcess - Port to process mapping
+   * @returns {Array} Process info entries
+   */
+  getListeningProcesses(portToProcess) {
+    const listening = Object.values(portToProcess);
+    const isPrimary = processInfo => !processInfo.bindings || processInfo.bindings[0].port === processInfo.port;
+    return [...listening.filter(isPrimary), ...listening.filter(processInfo => !isPrimary(processInfo))];
+  }
+
+  /**
+   * Give a classified server every port its process is bound to
+   * @param {Object} server - Classified server
+   * @param {Object} processInfo - Process info it was classified from
+   * @returns {Object} Server with bindings ({ port, protocol, address, family })
+   */
+  attachBindings(server, processInfo) {
+    return { ...server, bindings: processInfo.bindings || [] };
+  }
+
+  /**
+   * Replace Docker forwarder processes with the containers behind their ports
+   * @param {Array} servers - Classified servers
+   * @param {Object} portToProcess - Port to process mapping
+   * @returns {Promise<Array>} Servers with containers
+   */
+  async resolveContainers(servers, portToProcess) {
+    if (!this.containerResolver) return servers;
+
+    try {
+      return await this.containerResolver.resolveServers(servers, portToProcess);
+    } catch (error) {
+      log.error('Error resolving Docker containers:', error);
+      return servers;
+    }
+  }
+
+  /**
+   * Match processes against the user classification rules or lists
+   * Processes with a port come first so port range conditions see the port
+   * @param {Array} processes - All running processes
+   * @param {Object} portToProcess - Port to process mapping
+   * @param {ClassificationRuleEngine} engine - Engine to evaluate, the classification rules by default
+   * @returns {Promise<Map>} PID -> matching rule
+   */
+  async matchRules(processes, portToProcess, engine = this.ruleEngine) {
+    if (!engine) return new Map();
+
+    try {
+      return await engine.matchProcesses([...Object.values(portToProcess), ...processes], processes);
+    } catch (error) {
+      log.error('Error evaluating classification rules:', error);
+      return new Map();
+    }
+  }
+
+  /**
+   * Drop servers on the ignore list and mark servers on the protect list
+   * @param {Array} servers - Classified servers
+   * @param {Map} listMatches - PID -> matching list entry (as a rule from ProcessLists.toRules)
+   * @returns {Array} Servers that are not ignored
+   */
+  applyLists(servers, listMatches) {
+    return servers
+      .filter(server => {
+        const entry = listMatches.get(server.pid);
+        return !entry || entry.list !== 'ignore';
+      })
+      .map(server => {
+        const entry = listMatches.get(server.pid);
+        if (!entry) return server;
+
+        return {
+          ...server,
+          isSafeToStop: false,
+          isProtected: true,
+          protectedBy: { source: 'list', id: entry.id, name: entry.name }
+        };
+      });
+  }
+
+  /**
+   * Apply the overrides of matching user rules to classified servers
+   * @param {Array} servers - Classified servers
+   * @param {Map} ruleMatches - PID -> matching rule
+   * @returns {Array} Servers with rule overrides
+   */
+  applyRuleActions(servers, ruleMatches) {
+    return servers.map(server => {
+      const rule = ruleMatches.get(server.pid);
+      return rule ? this.processClassifier.applyRuleAction(server, rule) : server;
+    });
+  }
+
+  /**
+   * Preview which running processes a rule matches and how they would be classified
+   * @param {Object} rule - Normalized rule
+   * @returns {Promise<Array>} Matches ({ pid, name, command, port, server })
+   */
+  async previewRule(rule) {
+    if (!this.ruleEngine) return [];
+
+    const [processes, connections] = await Promise.all([
+      this.networkUtils.getRunningProcesses(),
+      this.networkUtils.getNetworkConnections()
+    ]);
+    const portToProcess = this.networkUtils.mapPortToProcess(connections, processes);
+    const listening = Object.values(portToProcess);
+    const listeningPids = new Set(listening.map(processInfo => processInfo.pid));
+    const candidates = [...listening, ...processes.filter(processInfo => !listeningPids.has(processInfo.pid))];
+
+    const matched = await this.ruleEngine.previewRule(rule, candidates, processes);
+    return matched.map(processInfo => {
+      const server = this.processClassifier.classifyWithRule(processInfo, rule);
+      return {
+        pid: processInfo.pid,
+        name: processInfo.name,
+        command: processInfo.command,
+        port: processInfo.port || null,
+        server: server ? this.processClassifier.applyRuleAction(server, rule) : null
+      };
+    });
+  }
+
+  /**
+   * Refine classified servers with the framework found in their project
+   * @param {Array} servers - Classified servers
+   * @returns {Promise<Array>} Servers with framework information
+   */
+  async detectFrameworks(servers) {
+    if (!this.frameworkDetector) return servers;
+
+    return await Promise.all(servers.map(async server => {
+      if (!this.processClassifier.canDetectFramework(server)) return server;
+
+      try {
+        const framework = await this.frameworkDetector.detect(server.pid, server.command);
+        return framework ? this.processClassifier.applyFramework(server, framework) : server;
+      } catch (error) {
+        log.error(`Error detecting framework for PID ${server.pid}:`, error);
+        return server;
+      }
+    }));
+  }
+
   /**
    * Get process details for a specific PID
    * @param {number} pid - Process ID
@@ -95,9 +252,7 @@ class DetectionLogic {
    */
   async getProcessDetails(pid) {
     try {
-      const { stdout } = await this.networkUtils.execAsync(`tasklist /fi "PID eq ${pid}" /fo csv /nh`);
-      const processes = this.networkUtils.parseTasklistOutput(stdout);
-      return processes[0] || null;
+      return await this.networkUtils.platform.getProcess(pid);
     } catch (error) {
       log.error(`Error getting process details for PID ${pid}:`, error);
       return null;
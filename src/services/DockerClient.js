@@ -0,0 +1,215 @@
+/**
+ * Docker Client Module
+ * Talks to the Docker Engine API over its local socket (a unix socket, or a
+ * named pipe on Windows) to find the containers behind published ports and to
+ * stop or restart them the way `docker stop` does
+ */
+
+const http = require('http');
+const log = require('electron-log');
+const ERROR_CODES = require('../config/errorCodes');
+
+class DockerClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.socketPath - Engine API socket, DOCKER_HOST or the platform default otherwise
+   * @param {number} options.timeout - Request timeout in milliseconds
+   * @param {number} options.stopTimeout - Seconds a container gets to exit before it is killed
+   */
+  constructor(options = {}) {
+    this.socketPath = options.socketPath || DockerClient.getDefaultSocketPath();
+    this.timeout = options.timeout || 3000;
+    this.stopTimeout = options.stopTimeout !== undefined ? options.stopTimeout : 10;
+  }
+
+  /**
+   * Send a request to the Engine API
+   * @param {string} method - HTTP method
+   * @param {string} path - API path, e.g. /containers/json
+   * @param {number} timeout - Request timeout in milliseconds
+   * @returns {Promise<Object>} { statusCode, body } with a parsed JSON body when there is one
+   */
+  request(method, path, timeout = this.timeout) {
+    return new Promise((resolve, reject) => {
+      const request = http.request({
+        socketPath: this.socketPath,
+        path,
+        method,
+        timeout,
+        headers: { Host: 'docker' }
+      }, response => {
+        let text = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => {
+          text += chunk;
+        });
+        response.on('end', () => {
+          let body = text;
+          try {
+            body = text ? JSON.parse(text) : null;
+          } catch (error) {
+            // Plain text errors are kept as they are
+          }
+          resolve({ statusCode: response.statusCode, body });
+        });
+      });
+
+      request.on('timeout', () => request.destroy(new Error(`Docker did not answer within ${timeout}ms`)));
+      request.on('error', reject);
+      request.end();
+    });
+  }
+
+  /**
+   * List running containers
+   * @returns {Promise<Array>} Containers as returned by GET /containers/json
+   */
+  async listContainers() {
+    const response = await this.request('GET', '/containers/json');
+    if (response.statusCode !== 200) {
+      throw new Error(this.getErrorMessage(response));
+    }
+    return Array.isArray(response.body) ? response.body : [];
+  }
+
+  /**
+   * Inspect a container
+   * @param {string} id - Container ID or name
+   * @returns {Promise<Object|null>} Container details or null if it does not exist
+   */
+  async inspectContainer(id) {
+    const response = await this.request('GET', `/containers/${encodeURIComponent(id)}/json`);
+    if (response.statusCode === 404) return null;
+    if (response.statusCode !== 200) {
+      throw new Error(this.getErrorMessage(response));
+    }
+    return response.body;
+  }
+
+  /**
+   * Find the running container behind every published host port
+   * @returns {Promise<Map>} Host port -> container ({ id, name, image, composeProject, composeService, workingDir, pid, createdAt, ports })
+   */
+  async getPublishedPorts() {
+    const containers = await this.listContainers();
+    const published = new Map();
+
+    const details = await Promise.all(containers.map(async summary => {
+      try {
+        return await this.inspectContainer(summary.Id);
+      } catch (error) {
+        log.warn(`Error inspecting container ${summary.Id}:`, error.message);
+        return null;
+      }
+    }));
+
+    containers.forEach((summary, index) => {
+      const ports = Array.from(new Set((summary.Ports || [])
+        .filter(port => port.PublicPort && (port.Type || 'tcp') === 'tcp')
+        .map(port => port.PublicPort)));
+      if (ports.length === 0) return;
+
+      const labels = summary.Labels || {};
+      const detail = details[index];
+      const container = {
+        id: summary.Id,
+        name: (summary.Names && summary.Names[0] ? summary.Names[0] : summary.Id.slice(0, 12)).replace(/^\//, ''),
+        image: summary.Image,
+        composeProject: labels['com.docker.compose.project'] || null,
+        composeService: labels['com.docker.compose.service'] || null,
+        workingDir: labels['com.docker.compose.project.working_dir'] || null,
+        pid: detail && detail.State && detail.State.Pid ? detail.State.Pid : null,
+        createdAt: summary.Created ? new Date(summary.Created * 1000).toISOString() : null,
+        ports
+      };
+
+      ports.forEach(port => published.set(port, container));
+    });
+
+    return published;
+  }
+
+  /**
+   * Stop a container, killing it after the stop timeout
+   * @param {string} id - Container ID
+   * @returns {Promise<Object>} Result object
+   */
+  async stopContainer(id) {
+    return await this.runContainerAction(id, 'stop');
+  }
+
+  /**
+   * Restart a container
+   * @param {string} id - Container ID
+   * @returns {Promise<Object>} Result object
+   */
+  async restartContainer(id) {
+    return await this.runContainerAction(id, 'restart');
+  }
+
+  /**
+   * Run a stop or restart action
+   * @param {string} id - Container ID
+   * @param {string} action - 'stop' or 'restart'
+   * @returns {Promise<Object>} Result object
+   */
+  async runContainerAction(id, action) {
+    try {
+      // The request waits for the container to exit, so it may take the whole stop timeout
+      const response = await this.request(
+        'POST',
+        `/containers/${encodeURIComponent(id)}/${action}?t=${this.stopTimeout}`,
+        this.timeout + this.stopTimeout * 1000
+      );
+
+      // 304: the container was already stopped
+      if (response.statusCode === 204 || (action === 'stop' && response.statusCode === 304)) {
+        log.info(`Docker container ${id} ${action === 'stop' ? 'stopped' : 'restarted'}`);
+        return { success: true };
+      }
+
+      return { success: false, code: this.getErrorCode(response), error: this.getErrorMessage(response) };
+    } catch (error) {
+      log.error(`Error running docker ${action} for ${id}:`, error);
+      const denied = error.code === 'EACCES' || error.code === 'EPERM';
+      return { success: false, code: denied ? ERROR_CODES.PERMISSION_DENIED : ERROR_CODES.OPERATION_FAILED, error: error.message };
+    }
+  }
+
+  /**
+   * Pick the error code of a failed response
+   * @param {Object} response - Response from request
+   * @returns {string} Error code
+   */
+  getErrorCode(response) {
+    if (response.statusCode === 404) return ERROR_CODES.NOT_FOUND;
+    if (response.statusCode === 401 || response.statusCode === 403) return ERROR_CODES.PERMISSION_DENIED;
+    return ERROR_CODES.OPERATION_FAILED;
+  }
+
+  /**
+   * Extract the error message of a failed response
+   * @param {Object} response - Response from request
+   * @returns {string} Error message
+   */
+  getErrorMessage(response) {
+    const { body } = response;
+    if (body && typeof body === 'object' && body.message) return body.message;
+    if (typeof body === 'string' && body.trim()) return body.trim();
+    return `Docker Engine API returned HTTP ${response.statusCode}`;
+  }
+
+  /**
+   * Locate the Engine API socket
+   * @returns {string} Socket or named pipe path
+   */
+  static getDefaultSocketPath() {
+    const dockerHost = process.env.DOCKER_HOST || '';
+    if (dockerHost.startsWith('unix://')) return dockerHost.slice('unix://'.length);
+    if (dockerHost.startsWith('npipe://')) return dockerHost.slice('npipe://'.length).replace(/\//g, '\\');
+
+    return process.platform === 'win32' ? '\\\\.\\pipe\\docker_engine' : '/var/run/docker.sock';
+  }
+}
+
+module.exports = DockerClient;
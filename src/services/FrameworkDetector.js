@@ -0,0 +1,359 @@
+/**
+ * Framework Detector Module for ServerDetector
+ * Identifies the framework a server runs from its project manifests
+ * (package.json dependencies, config files, Python requirements) and
+ * its command line, and scores how sure the match is
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const log = require('electron-log');
+
+// Evidence weights, summed and capped at 1
+const WEIGHTS = {
+  dependency: 0.5, // Listed in package.json / requirements
+  config: 0.3,     // Framework config or marker file in the project
+  command: 0.3     // Framework binary or module on the command line
+};
+
+// A framework is reported from this confidence on
+const MIN_CONFIDENCE = 0.3;
+// Meta-frameworks replace the tools they build on from this confidence on
+const OVERRIDE_CONFIDENCE = 0.5;
+
+/**
+ * Known frameworks, most specific first so ties go to the meta-framework
+ * type is the server type bucket used for icons and stats, extends lists the
+ * frameworks a match supersedes (SvelteKit runs on Vite, Nest on Express)
+ */
+const FRAMEWORKS = [
+  {
+    id: 'next',
+    name: 'Next.js',
+    serverName: 'Next.js Server',
+    type: 'react',
+    language: 'node',
+    dependencies: ['next'],
+    configFiles: [/^next\.config\.(js|cjs|mjs|ts)$/],
+    commands: [/(^|[\s/\\])next(\.js)?(\s|$)/]
+  },
+  {
+    id: 'remix',
+    name: 'Remix',
+    serverName: 'Remix Dev Server',
+    type: 'react',
+    language: 'node',
+    extends: ['vite', 'express'],
+    dependencies: ['@remix-run/dev', '@remix-run/react', '@remix-run/node'],
+    configFiles: [/^remix\.config\.(js|cjs|mjs|ts)$/],
+    commands: [/remix(-serve)?(\s|$)/, /(^|[\s/\\])vite(\.js)?(\s|$)/]
+  },
+  {
+    id: 'astro',
+    name: 'Astro',
+    serverName: 'Astro Dev Server',
+    type: 'react',
+    language: 'node',
+    extends: ['vite'],
+    dependencies: ['astro'],
+    configFiles: [/^astro\.config\.(js|cjs|mjs|ts)$/],
+    commands: [/(^|[\s/\\])astro(\.js|\.mjs)?(\s|$)/]
+  },
+  {
+    id: 'sveltekit',
+    name: 'SvelteKit',
+    serverName: 'SvelteKit Dev Server',
+    type: 'react',
+    language: 'node',
+    extends: ['vite'],
+    dependencies: ['@sveltejs/kit'],
+    configFiles: [/^svelte\.config\.(js|cjs|mjs|ts)$/],
+    commands: [/svelte-kit/, /(^|[\s/\\])vite(\.js)?(\s|$)/]
+  },
+  {
+    id: 'angular',
+    name: 'Angular',
+    serverName: 'Angular Dev Server',
+    type: 'react',
+    language: 'node',
+    dependencies: ['@angular/core', '@angular/cli'],
+    configFiles: [/^angular\.json$/],
+    commands: [/(^|[\s/\\])ng(\.js)?\s+(serve|s)(\s|$)/]
+  },
+  {
+    id: 'vite',
+    name: 'Vite',
+    serverName: 'Vite Dev Server',
+    type: 'react',
+    language: 'node',
+    dependencies: ['vite'],
+    configFiles: [/^vite\.config\.(js|cjs|mjs|ts|mts)$/],
+    commands: [/(^|[\s/\\])vite(\.js)?(\s|$)/]
+  },
+  {
+    id: 'nest',
+    name: 'NestJS',
+    serverName: 'NestJS Server',
+    type: 'node',
+    language: 'node',
+    extends: ['express'],
+    dependencies: ['@nestjs/core'],
+    configFiles: [/^nest-cli\.json$/],
+    commands: [/(^|[\s/\\])nest(\.js)?\s+start/]
+  },
+  {
+    id: 'express',
+    name: 'Express',
+    serverName: 'Express Server',
+    type: 'node',
+    language: 'node',
+    dependencies: ['express'],
+    configFiles: [],
+    commands: [/express/]
+  },
+  {
+    id: 'django',
+    name: 'Django',
+    serverName: 'Django Dev Server',
+    type: 'python',
+    language: 'python',
+    dependencies: ['django'],
+    configFiles: [/^manage\.py$/],
+    commands: [/manage\.py\s+runserver/, /django/]
+  },
+  {
+    id: 'fastapi',
+    name: 'FastAPI',
+    serverName: 'FastAPI Server',
+    type: 'python',
+    language: 'python',
+    dependencies: ['fastapi'],
+    configFiles: [],
+    commands: [/fastapi/, /uvicorn/]
+  },
+  {
+    id: 'flask',
+    name: 'Flask',
+    serverName: 'Flask Web Server',
+    type: 'python',
+    language: 'python',
+    dependencies: ['flask'],
+    configFiles: [],
+    commands: [/flask/]
+  }
+];
+
+// Files that mark the root of a Node.js or Python project
+const MANIFEST_FILES = ['package.json', 'pyproject.toml', 'requirements.txt', 'Pipfile', 'manage.py', 'setup.py'];
+const PYTHON_MANIFESTS = ['pyproject.toml', 'requirements.txt', 'Pipfile', 'setup.py'];
+
+class FrameworkDetector {
+  /**
+   * @param {PlatformAdapter} platform - Reads process working directories
+   * @param {Object} options - Detector options
+   * @param {number} options.cacheTtl - How long manifests of a directory are reused in milliseconds
+   */
+  constructor(platform, options = {}) {
+    this.platform = platform;
+    this.cacheTtl = options.cacheTtl !== undefined ? options.cacheTtl : 30000; // 30 seconds
+    this.cache = new Map(); // project directory -> { manifests, readAt }
+  }
+
+  /**
+   * Detect the framework of a running process
+   * @param {number} pid - Process ID
+   * @param {string} command - Process command line
+   * @returns {Promise<Object|null>} Detection ({ id, name, serverName, type, confidence, evidence, projectDir }) or null
+   */
+  async detect(pid, command) {
+    let cwd = null;
+    try {
+      cwd = await this.platform.getCwd(pid);
+    } catch (error) {
+      log.debug(`Could not read working directory of PID ${pid}: ${error.message}`);
+    }
+
+    return await this.detectInDirectory(cwd, command);
+  }
+
+  /**
+   * Detect the framework of a command started in a directory
+   * @param {string|null} directory - Working directory, or null to use the command line only
+   * @param {string} command - Process command line
+   * @returns {Promise<Object|null>} Detection or null when nothing is confident enough
+   */
+  async detectInDirectory(directory, command) {
+    const manifests = directory ? await this.readManifests(directory) : null;
+    const scores = FRAMEWORKS.map(framework => this.score(framework, manifests, command || ''));
+
+    // A confident meta-framework supersedes the tools it builds on
+    const superseded = new Set();
+    scores.forEach(result => {
+      if (result.confidence >= OVERRIDE_CONFIDENCE) {
+        (result.framework.extends || []).forEach(id => superseded.add(id));
+      }
+    });
+
+    const best = scores
+      .filter(result => !superseded.has(result.framework.id) && result.confidence >= MIN_CONFIDENCE)
+      .reduce((winner, result) => (!winner || result.confidence > winner.confidence ? result : winner), null);
+
+    if (!best) return null;
+
+    return {
+      id: best.framework.id,
+      name: best.framework.name,
+      serverName: best.framework.serverName,
+      type: best.framework.type,
+      confidence: best.confidence,
+      evidence: best.evidence,
+      projectDir: manifests ? manifests.directory : null
+    };
+  }
+
+  /**
+   * Score one framework against the project manifests and command line
+   * @param {Object} framework - Framework definition
+   * @param {Object|null} manifests - Manifests from readManifests
+   * @param {string} command - Process command line
+   * @returns {Object} { framework, confidence, evidence }
+   */
+  score(framework, manifests, command) {
+    const evidence = [];
+    let confidence = 0;
+
+    if (manifests) {
+      const dependencies = framework.language === 'python' ? manifests.pythonDependencies : manifests.nodeDependencies;
+      const dependency = framework.dependencies.find(name => dependencies.has(name));
+      if (dependency) {
+        confidence += WEIGHTS.dependency;
+        evidence.push(`${dependency} in ${framework.language === 'python' ? 'Python requirements' : 'package.json'}`);
+      }
+
+      const configFile = manifests.files.find(file => framework.configFiles.some(pattern => pattern.test(file)));
+      if (configFile) {
+        confidence += WEIGHTS.config;
+        evidence.push(configFile);
+      }
+    }
+
+    const normalizedCommand = command.toLowerCase();
+    if (framework.commands.some(pattern => pattern.test(normalizedCommand))) {
+      confidence += WEIGHTS.command;
+      evidence.push('command line');
+    }
+
+    return { framework, confidence: Math.round(Math.min(confidence, 1) * 100) / 100, evidence };
+  }
+
+  /**
+   * Find the project directory of a working directory and read its manifests
+   * Walks up a few levels so servers started from a subfolder still find their project
+   * @param {string} directory - Working directory
+   * @returns {Promise<Object|null>} { directory, files, nodeDependencies, pythonDependencies } or null
+   */
+  async readManifests(directory) {
+    let current = path.resolve(directory);
+
+    for (let depth = 0; depth < 5; depth++) {
+      const cached = this.cache.get(current);
+      if (cached && Date.now() - cached.readAt < this.cacheTtl) {
+        if (cached.manifests) return cached.manifests;
+      } else {
+        const manifests = await this.readProjectDirectory(current);
+        this.cache.set(current, { manifests, readAt: Date.now() });
+        if (manifests) return manifests;
+      }
+
+      const parent = path.dirname(current);
+      if (parent === current) break;
+      current = parent;
+    }
+
+    return null;
+  }
+
+  /**
+   * Read the manifests of a directory if it is a project root
+   * @param {string} directory - Candidate project directory
+   * @returns {Promise<Object|null>} Manifests or null if the directory has none
+   */
+  async readProjectDirectory(directory) {
+    let files;
+    try {
+      files = await fs.readdir(directory);
+    } catch (error) {
+      return null;
+    }
+
+    if (!files.some(file => MANIFEST_FILES.includes(file))) {
+      return null;
+    }
+
+    return {
+      directory,
+      files,
+      nodeDependencies: files.includes('package.json') ? await this.readPackageDependencies(directory) : new Set(),
+      pythonDependencies: await this.readPythonDependencies(directory, files)
+    };
+  }
+
+  /**
+   * Read every dependency name listed in package.json
+   * @param {string} directory - Project directory
+   * @returns {Promise<Set>} Dependency names
+   */
+  async readPackageDependencies(directory) {
+    try {
+      const pkg = JSON.parse(await fs.readFile(path.join(directory, 'package.json'), 'utf8'));
+      return new Set([
+        ...Object.keys(pkg.dependencies || {}),
+        ...Object.keys(pkg.devDependencies || {}),
+        ...Object.keys(pkg.peerDependencies || {})
+      ]);
+    } catch (error) {
+      log.debug(`Could not read package.json in ${directory}: ${error.message}`);
+      return new Set();
+    }
+  }
+
+  /**
+   * Find the known Python frameworks named in the Python manifests
+   * The formats differ too much to parse fully, so known names are matched as whole words
+   * @param {string} directory - Project directory
+   * @param {Array} files - File names in the directory
+   * @returns {Promise<Set>} Framework dependency names found
+   */
+  async readPythonDependencies(directory, files) {
+    const found = new Set();
+    const names = FRAMEWORKS
+      .filter(framework => framework.language === 'python')
+      .flatMap(framework => framework.dependencies);
+
+    for (const manifest of PYTHON_MANIFESTS.filter(file => files.includes(file))) {
+      try {
+        const content = (await fs.readFile(path.join(directory, manifest), 'utf8')).toLowerCase();
+        names.forEach(name => {
+          if (new RegExp(`(^|[^\\w-])${name}([^\\w-]|$)`, 'm').test(content)) {
+            found.add(name);
+          }
+        });
+      } catch (error) {
+        log.debug(`Could not read ${manifest} in ${directory}: ${error.message}`);
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Forget cached manifests
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+FrameworkDetector.FRAMEWORKS = FRAMEWORKS;
+
+module.exports = FrameworkDetector;
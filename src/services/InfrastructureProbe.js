@@ -0,0 +1,465 @@
+/**
+ * Infrastructure Probe Module for ProcessManager
+ * Pings databases and brokers in their own protocol, so a service that
+ * accepts TCP connections but cannot serve requests (still loading, in
+ * recovery, out of connections) shows up as unhealthy rather than running
+ */
+
+const net = require('net');
+const http = require('http');
+const appConfig = require('../config/appConfig');
+const log = require('electron-log');
+
+const HEALTH_STATUSES = ['healthy', 'unhealthy', 'unreachable'];
+
+// SQLSTATEs of a Postgres server that is up but not accepting sessions
+const POSTGRES_UNAVAILABLE = {
+  '57P03': 'Not accepting connections (starting up, shutting down or in recovery)',
+  '53300': 'Too many connections'
+};
+
+const MYSQL_TOO_MANY_CONNECTIONS = 1040;
+const MONGODB_OP_MSG = 2013;
+
+class InfrastructureProbe {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 1500; // Per ping, connect and reply together
+    this.cacheTtl = options.cacheTtl !== undefined ? options.cacheTtl : 15000; // Pings are not repeated on every poll
+    this.hosts = options.hosts || ['127.0.0.1', '::1']; // Services bind either loopback
+    this.cache = new Map(); // `${pid}:${port}` -> health
+  }
+
+  /**
+   * Attach the health of every infrastructure server
+   * @param {Array} servers - Detected servers
+   * @returns {Promise<Array>} Servers, infrastructure ones with `health`
+   */
+  async annotateServers(servers) {
+    const annotated = await Promise.all(servers.map(async server => {
+      if (server.type !== 'infrastructure' || !server.service) return server;
+
+      try {
+        return { ...server, health: await this.getHealth(server) };
+      } catch (error) {
+        log.error(`Error pinging ${server.name} (PID: ${server.pid}):`, error);
+        return server;
+      }
+    }));
+
+    // Forget services that are gone so a reused PID is pinged afresh
+    const pids = new Set(servers.map(server => String(server.pid)));
+    Array.from(this.cache.keys())
+      .filter(key => !pids.has(key.split(':')[0]))
+      .forEach(key => this.cache.delete(key));
+
+    return annotated;
+  }
+
+  /**
+   * Get the health of a server, pinging it when the cached result expired
+   * @param {Object} server - Infrastructure server
+   * @returns {Promise<Object>} Health ({ status, detail, latency, port, checkedAt })
+   */
+  async getHealth(server) {
+    const port = this.getPingPort(server);
+    const key = `${server.pid}:${port}`;
+    const cached = this.cache.get(key);
+
+    if (cached && Date.now() - Date.parse(cached.checkedAt) < this.cacheTtl) {
+      return cached;
+    }
+
+    const health = await this.ping(server.service.protocol, port);
+    this.cache.set(key, health);
+    return health;
+  }
+
+  /**
+   * Choose the port that speaks the service's protocol
+   * A service found on one of its secondary usual ports (the RabbitMQ management UI,
+   * the Elasticsearch transport port) is pinged on its main port instead
+   * @param {Object} server - Infrastructure server
+   * @returns {number} Port to ping
+   */
+  getPingPort(server) {
+    const service = appConfig.infrastructureServices.find(item => item.id === server.service.id);
+    const port = parseInt(server.port, 10);
+
+    if (!service) return port;
+    if (!Number.isInteger(port) || service.ports.includes(port)) return service.ports[0];
+    return port;
+  }
+
+  /**
+   * Ping a service on the IPv4, then the IPv6 loopback
+   * @param {string} protocol - Service protocol (redis, postgres, mysql, mongodb, amqp, elasticsearch, minio)
+   * @param {number} port - Port to ping
+   * @returns {Promise<Object>} Health ({ status, detail, latency, port, checkedAt })
+   */
+  async ping(protocol, port) {
+    let lastError = null;
+
+    for (const host of this.hosts) {
+      const startedAt = Date.now();
+      try {
+        const result = await this.check(protocol, host, port);
+        return this.createHealth(result.status, result.detail, port, Date.now() - startedAt);
+      } catch (error) {
+        // Connected but the reply never came or made no sense: the service is there but not well
+        if (error.connected) {
+          return this.createHealth('unhealthy', error.message, port, Date.now() - startedAt);
+        }
+        lastError = error;
+      }
+    }
+
+    return this.createHealth('unreachable', lastError ? lastError.message : 'No address to ping', port, null);
+  }
+
+  /**
+   * Build a health result
+   * @param {string} status - One of HEALTH_STATUSES
+   * @param {string} detail - Human readable detail
+   * @param {number} port - Pinged port
+   * @param {number|null} latency - Round trip in milliseconds
+   * @returns {Object} Health
+   */
+  createHealth(status, detail, port, latency) {
+    return { status, detail, port, latency, checkedAt: new Date().toISOString() };
+  }
+
+  /**
+   * Run the protocol check of a service once
+   * @param {string} protocol - Service protocol
+   * @param {string} host - Host to connect to
+   * @param {number} port - Port to connect to
+   * @returns {Promise<Object>} { status, detail }
+   */
+  async check(protocol, host, port) {
+    switch (protocol) {
+      case 'redis':
+        return await this.checkRedis(host, port);
+      case 'postgres':
+        return await this.checkPostgres(host, port);
+      case 'mysql':
+        return await this.checkMysql(host, port);
+      case 'mongodb':
+        return await this.checkMongodb(host, port);
+      case 'amqp':
+        return await this.checkAmqp(host, port);
+      case 'elasticsearch':
+        return await this.checkElasticsearch(host, port);
+      case 'minio':
+        return await this.checkMinio(host, port);
+      default:
+        await this.exchange(host, port, null, () => true);
+        return { status: 'healthy', detail: 'Port accepts connections' };
+    }
+  }
+
+  /**
+   * Send Redis a PING
+   * A server that requires a password still answers, which is enough to know it is up
+   * @param {string} host - Host
+   * @param {number} port - Port
+   * @returns {Promise<Object>} { status, detail }
+   */
+  async checkRedis(host, port) {
+    const reply = await this.exchange(host, port, '*1\r\n$4\r\nPING\r\n', data => data.includes('\r\n'));
+    const line = reply.toString('utf8').split('\r\n')[0];
+
+    if (line === '+PONG') {
+      return { status: 'healthy', detail: 'PONG' };
+    }
+    if (/^-(NOAUTH|WRONGPASS)/.test(line)) {
+      return { status: 'healthy', detail: 'Authentication required' };
+    }
+    if (line.startsWith('-LOADING')) {
+      return { status: 'unhealthy', detail: 'Loading the dataset into memory' };
+    }
+
+    return { status: 'unhealthy', detail: line.replace(/^-/, '') || 'Unexpected reply to PING' };
+  }
+
+  /**
+   * Send Postgres a startup packet and read the first message back
+   * An authentication request or an authentication error both prove the server serves
+   * sessions; only the SQLSTATEs in POSTGRES_UNAVAILABLE mean it does not
+   * @param {string} host - Host
+   * @param {number} port - Port
+   * @returns {Promise<Object>} { status, detail }
+   */
+  async checkPostgres(host, port) {
+    const reply = await this.exchange(host, port, InfrastructureProbe.createPostgresStartup(), data =>
+      data.length >= 5 && data.length >= 1 + data.readInt32BE(1)
+    );
+    const type = String.fromCharCode(reply[0]);
+
+    if (type === 'R') {
+      return { status: 'healthy', detail: 'Accepting connections' };
+    }
+
+    if (type === 'E') {
+      const fields = InfrastructureProbe.parsePostgresError(reply);
+      if (POSTGRES_UNAVAILABLE[fields.C]) {
+        return { status: 'unhealthy', detail: fields.M || POSTGRES_UNAVAILABLE[fields.C] };
+      }
+      return { status: 'healthy', detail: 'Accepting connections' };
+    }
+
+    return { status: 'unhealthy', detail: `Unexpected startup reply "${type}"` };
+  }
+
+  /**
+   * Read the greeting MySQL sends on connect
+   * @param {string} host - Host
+   * @param {number} port - Port
+   * @returns {Promise<Object>} { status, detail }
+   */
+  async checkMysql(host, port) {
+    const reply = await this.exchange(host, port, null, data =>
+      data.length >= 4 && data.length >= 4 + data.readUIntLE(0, 3)
+    );
+    const payload = reply.subarray(4);
+
+    // Protocol 10 handshake: the server version follows as a NUL terminated string
+    if (payload[0] === 0x0a) {
+      const version = payload.subarray(1, payload.indexOf(0, 1)).toString('utf8');
+      return { status: 'healthy', detail: version ? `Version ${version}` : 'Accepting connections' };
+    }
+
+    if (payload[0] === 0xff) {
+      const code = payload.readUInt16LE(1);
+      const message = payload.subarray(payload[3] === 0x23 ? 9 : 3).toString('utf8'); // Skip "#" + SQLSTATE
+      return {
+        status: code === MYSQL_TOO_MANY_CONNECTIONS ? 'unhealthy' : 'healthy',
+        detail: message || `Error ${code}`
+      };
+    }
+
+    return { status: 'unhealthy', detail: 'Unexpected greeting' };
+  }
+
+  /**
+   * Send MongoDB a hello command
+   * @param {string} host - Host
+   * @param {number} port - Port
+   * @returns {Promise<Object>} { status, detail }
+   */
+  async checkMongodb(host, port) {
+    const reply = await this.exchange(host, port, InfrastructureProbe.createMongodbHello(), data =>
+      data.length >= 16 && data.length >= data.readInt32LE(0)
+    );
+
+    if (reply.readInt32LE(12) === MONGODB_OP_MSG) {
+      return { status: 'healthy', detail: 'Answered hello' };
+    }
+
+    return { status: 'unhealthy', detail: 'Unexpected reply to hello' };
+  }
+
+  /**
+   * Send an AMQP 0-9-1 protocol header
+   * A broker answers with Connection.Start, or with the protocol header it speaks instead
+   * @param {string} host - Host
+   * @param {number} port - Port
+   * @returns {Promise<Object>} { status, detail }
+   */
+  async checkAmqp(host, port) {
+    const reply = await this.exchange(host, port, Buffer.from('AMQP\x00\x00\x09\x01', 'latin1'), data => data.length >= 8);
+
+    if (reply[0] === 1) {
+      return { status: 'healthy', detail: 'Connection.Start received' };
+    }
+    if (reply.subarray(0, 4).toString('latin1') === 'AMQP') {
+      return { status: 'healthy', detail: `Broker speaks AMQP ${reply[5]}-${reply[6]}-${reply[7]}` };
+    }
+
+    return { status: 'unhealthy', detail: 'Unexpected reply to protocol header' };
+  }
+
+  /**
+   * Read the Elasticsearch cluster health
+   * @param {string} host - Host
+   * @param {number} port - Port
+   * @returns {Promise<Object>} { status, detail }
+   */
+  async checkElasticsearch(host, port) {
+    const response = await this.httpGet(host, port, '/_cluster/health');
+
+    if (response.statusCode === 401 || response.statusCode === 403) {
+      return { status: 'healthy', detail: 'Authentication required' };
+    }
+    if (response.statusCode !== 200) {
+      return { status: 'unhealthy', detail: `HTTP ${response.statusCode}` };
+    }
+
+    let cluster = {};
+    try {
+      cluster = JSON.parse(response.body);
+    } catch (error) {
+      return { status: 'unhealthy', detail: 'Cluster health is not JSON' };
+    }
+
+    return {
+      status: cluster.status === 'red' ? 'unhealthy' : 'healthy',
+      detail: cluster.status ? `Cluster ${cluster.status}` : 'Answered cluster health'
+    };
+  }
+
+  /**
+   * Query the MinIO liveness endpoint
+   * @param {string} host - Host
+   * @param {number} port - Port
+   * @returns {Promise<Object>} { status, detail }
+   */
+  async checkMinio(host, port) {
+    const response = await this.httpGet(host, port, '/minio/health/live');
+
+    return response.statusCode === 200
+      ? { status: 'healthy', detail: 'Live' }
+      : { status: 'unhealthy', detail: `HTTP ${response.statusCode}` };
+  }
+
+  /**
+   * Connect, optionally write a request, and collect the reply until it is complete
+   * Errors carry `connected` so callers can tell a closed port from a service that misbehaves
+   * @param {string} host - Host
+   * @param {number} port - Port
+   * @param {Buffer|string|null} request - Bytes to send once connected
+   * @param {Function} isComplete - (Buffer) => boolean, true once enough of the reply arrived
+   * @returns {Promise<Buffer>} Reply bytes
+   */
+  exchange(host, port, request, isComplete) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host, port });
+      const chunks = [];
+      let connected = false;
+      let settled = false;
+
+      const finish = (error, data) => {
+        if (settled) return;
+        settled = true;
+        socket.destroy();
+
+        if (error) {
+          error.connected = connected;
+          reject(error);
+        } else {
+          resolve(data);
+        }
+      };
+
+      socket.setTimeout(this.timeout);
+
+      socket.on('connect', () => {
+        connected = true;
+        if (request) {
+          socket.write(request);
+        } else if (isComplete(Buffer.alloc(0))) {
+          finish(null, Buffer.alloc(0));
+        }
+      });
+
+      socket.on('data', chunk => {
+        chunks.push(chunk);
+        const data = Buffer.concat(chunks);
+        if (isComplete(data)) finish(null, data);
+      });
+
+      socket.on('timeout', () => finish(new Error(`No reply within ${this.timeout}ms`)));
+      socket.on('error', error => finish(error));
+      socket.on('close', () => finish(new Error('Connection closed before a complete reply')));
+    });
+  }
+
+  /**
+   * Issue an HTTP GET and collect the response
+   * @param {string} host - Host
+   * @param {number} port - Port
+   * @param {string} path - Request path
+   * @returns {Promise<Object>} { statusCode, body }
+   */
+  httpGet(host, port, path) {
+    return new Promise((resolve, reject) => {
+      let connected = false;
+
+      const request = http.get({ host, port, path, timeout: this.timeout }, response => {
+        let body = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => {
+          body += chunk;
+        });
+        response.on('end', () => resolve({ statusCode: response.statusCode, body }));
+      });
+
+      request.on('socket', socket => socket.on('connect', () => {
+        connected = true;
+      }));
+      request.on('timeout', () => request.destroy(new Error(`No reply within ${this.timeout}ms`)));
+      request.on('error', error => {
+        error.connected = connected;
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * Build a Postgres StartupMessage (protocol 3.0) for the postgres user and database
+   * @returns {Buffer} Startup packet
+   */
+  static createPostgresStartup() {
+    const parameters = Buffer.from('user\0postgres\0database\0postgres\0application_name\0server-manager\0\0', 'utf8');
+    const header = Buffer.alloc(8);
+
+    header.writeInt32BE(8 + parameters.length, 0);
+    header.writeInt32BE(196608, 4); // Protocol 3.0
+    return Buffer.concat([header, parameters]);
+  }
+
+  /**
+   * Parse the fields of a Postgres ErrorResponse
+   * @param {Buffer} message - ErrorResponse message, type byte included
+   * @returns {Object} Field code -> value (C is the SQLSTATE, M the message)
+   */
+  static parsePostgresError(message) {
+    const fields = {};
+    let offset = 5;
+
+    while (offset < message.length && message[offset] !== 0) {
+      const code = String.fromCharCode(message[offset]);
+      const end = message.indexOf(0, offset + 1);
+      if (end === -1) break;
+
+      fields[code] = message.subarray(offset + 1, end).toString('utf8');
+      offset = end + 1;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Build a MongoDB OP_MSG carrying { hello: 1, $db: 'admin' }
+   * @returns {Buffer} Message
+   */
+  static createMongodbHello() {
+    const int32 = value => {
+      const buffer = Buffer.alloc(4);
+      buffer.writeInt32LE(value, 0);
+      return buffer;
+    };
+    const database = Buffer.from('admin\0', 'utf8');
+    const elements = Buffer.concat([
+      Buffer.from('\x10hello\0', 'latin1'), int32(1),                    // int32 hello: 1
+      Buffer.from('\x02$db\0', 'latin1'), int32(database.length), database // string $db
+    ]);
+    const document = Buffer.concat([int32(4 + elements.length + 1), elements, Buffer.from([0])]);
+    const body = Buffer.concat([int32(0), Buffer.from([0]), document]); // flagBits, section kind 0
+
+    return Buffer.concat([int32(16 + body.length), int32(1), int32(0), int32(MONGODB_OP_MSG), body]);
+  }
+}
+
+InfrastructureProbe.STATUSES = HEALTH_STATUSES;
+
+module.exports = InfrastructureProbe;
@@ -0,0 +1,220 @@
+/**
+ * IPC Router Module
+ * Single entry point for every request the renderer invokes. Each channel is
+ * registered with a schema for its arguments; requests with arguments that do
+ * not match are rejected before any handler runs. Channels that were never
+ * registered have no ipcMain handler, so Electron rejects them itself.
+ * Handlers return data or throw, and the renderer always gets the same envelope:
+ *   { success: true, data }
+ *   { success: false, code, error, details }
+ * where `code` is one of IpcRouter.ERROR_CODES (config/errorCodes.js)
+ */
+
+const log = require('electron-log');
+const ERROR_CODES = require('../config/errorCodes');
+
+// Largest PID on any supported platform (Windows PIDs are 32-bit)
+const MAX_PID = 2147483647;
+
+/**
+ * Error a handler throws to fail a request with a specific code
+ */
+class IpcError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} message - Message for the user
+   * @param {Object} details - Extra fields the renderer may act on
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'IpcError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class IpcRouter {
+  /**
+   * @param {Object} ipcMain - Electron's ipcMain
+   * @param {Object} options - Options
+   * @param {number} options.timeout - Default time a handler may take, in milliseconds
+   */
+  constructor(ipcMain, options = {}) {
+    this.ipcMain = ipcMain;
+    this.timeout = options.timeout || 30000;
+  }
+
+  /**
+   * Register a channel
+   * @param {string} channel - IPC channel
+   * @param {Object} route - Route definition
+   * @param {Array<Object>} route.args - Schema of each positional argument (see validate)
+   * @param {number|null} route.timeout - Time the handler may take, null for no limit
+   * @param {Function} handler - Called with the validated arguments, returns data or throws
+   */
+  handle(channel, route, handler) {
+    const registered = { args: route.args || [], timeout: route.timeout !== undefined ? route.timeout : this.timeout, handler };
+    this.ipcMain.handle(channel, (event, ...args) => this.dispatch(channel, registered, args));
+  }
+
+  /**
+   * Validate a request, run its handler and wrap the outcome
+   * @param {string} channel - IPC channel
+   * @param {Object} route - Route registered for the channel
+   * @param {Array} args - Arguments sent by the renderer
+   * @returns {Promise<Object>} Envelope
+   */
+  async dispatch(channel, route, args) {
+    if (args.length > route.args.length) {
+      return IpcRouter.failure(ERROR_CODES.INVALID_REQUEST, `${channel} takes ${route.args.length} argument(s), got ${args.length}`);
+    }
+
+    for (let i = 0; i < route.args.length; i++) {
+      const error = IpcRouter.validate(args[i], route.args[i], route.args[i].name || `argument ${i + 1}`);
+      if (error) {
+        log.warn(`Rejected ${channel} request: ${error}`);
+        return IpcRouter.failure(ERROR_CODES.INVALID_REQUEST, error);
+      }
+    }
+
+    try {
+      const data = await this.runWithTimeout(channel, route, args);
+      return { success: true, data: data === undefined ? null : data };
+    } catch (error) {
+      if (error instanceof IpcError) {
+        return IpcRouter.failure(error.code, error.message, error.details);
+      }
+
+      log.error(`Error handling ${channel}:`, error);
+      const code = error.code === 'EPERM' || error.code === 'EACCES' ? ERROR_CODES.PERMISSION_DENIED : ERROR_CODES.INTERNAL;
+      return IpcRouter.failure(code, error.message || 'Unknown error occurred');
+    }
+  }
+
+  /**
+   * Run a handler, giving up once the route's timeout has passed
+   * The operation itself is not cancelled: a slow stop may still complete
+   * @param {string} channel - IPC channel
+   * @param {Object} route - Route
+   * @param {Array} args - Validated arguments
+   * @returns {Promise<*>} Handler result
+   */
+  async runWithTimeout(channel, route, args) {
+    const work = Promise.resolve().then(() => route.handler(...args));
+    if (!route.timeout) return work;
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        reject(new IpcError(ERROR_CODES.TIMEOUT, `No answer after ${Math.round(route.timeout / 1000)}s, the operation may still be running`));
+      }, route.timeout);
+    });
+
+    try {
+      return await Promise.race([work, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Validate a value against a schema
+   * Schemas: { type: 'pid' | 'integer' | 'number' | 'string' | 'boolean' | 'object' | 'array' | 'any',
+   *   optional, nullable, min, max, maxLength, enum, properties }
+   * Object properties not listed in `properties` are left to the service to check
+   * @param {*} value - Value
+   * @param {Object} schema - Schema
+   * @param {string} name - Name used in the error message
+   * @returns {string|null} Error message, or null when the value matches
+   */
+  static validate(value, schema, name) {
+    if (value === undefined) return schema.optional ? null : `${name} is required`;
+    if (value === null) return schema.nullable || schema.optional ? null : `${name} must not be null`;
+
+    switch (schema.type) {
+      case 'pid':
+        if (!Number.isInteger(value) || value < 1 || value > MAX_PID) return `${name} must be a process ID`;
+        return null;
+      case 'integer':
+      case 'number':
+        if (typeof value !== 'number' || !Number.isFinite(value)) return `${name} must be a number`;
+        if (schema.type === 'integer' && !Number.isInteger(value)) return `${name} must be an integer`;
+        if (schema.min !== undefined && value < schema.min) return `${name} must be at least ${schema.min}`;
+        if (schema.max !== undefined && value > schema.max) return `${name} must be at most ${schema.max}`;
+        break;
+      case 'string':
+        if (typeof value !== 'string') return `${name} must be a string`;
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) return `${name} must be at most ${schema.maxLength} characters`;
+        if (value.includes('\0')) return `${name} must not contain NUL characters`;
+        break;
+      case 'boolean':
+        if (typeof value !== 'boolean') return `${name} must be true or false`;
+        break;
+      case 'array':
+        if (!Array.isArray(value)) return `${name} must be a list`;
+        break;
+      case 'object': {
+        if (typeof value !== 'object' || Array.isArray(value)) return `${name} must be an object`;
+        const properties = schema.properties || {};
+        for (const key of Object.keys(properties)) {
+          const error = IpcRouter.validate(value[key], { optional: true, ...properties[key] }, `${name}.${key}`);
+          if (error) return error;
+        }
+        break;
+      }
+      case 'any':
+        break;
+      default:
+        return `${name} has an unknown schema type ${schema.type}`;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) return `${name} must be one of ${schema.enum.join(', ')}`;
+    return null;
+  }
+
+  /**
+   * Turn a service result ({ success, error, ...fields }) into handler data
+   * @param {Object} result - Service result
+   * @returns {Object} The result's fields without `success`
+   * @throws {IpcError} When the result failed, with a code derived from it
+   */
+  static fromResult(result) {
+    if (!result) {
+      throw new IpcError(ERROR_CODES.INTERNAL, 'No result');
+    }
+
+    const { success, error, ...fields } = result;
+    if (success) return fields;
+
+    throw new IpcError(IpcRouter.classifyFailure(result), error || 'Unknown error occurred', fields);
+  }
+
+  /**
+   * Pick the error code of a failed service result
+   * Services set `code` where they know why they failed; protection flags
+   * count as PROTECTED and anything else as OPERATION_FAILED
+   * @param {Object} result - Failed service result
+   * @returns {string} Error code
+   */
+  static classifyFailure(result) {
+    if (result.code && ERROR_CODES[result.code]) return result.code;
+    if (result.isProtected || result.isSystemProtected) return ERROR_CODES.PROTECTED;
+    return ERROR_CODES.OPERATION_FAILED;
+  }
+
+  /**
+   * Build a failure envelope
+   * @param {string} code - Error code
+   * @param {string} message - Message for the user
+   * @param {Object} details - Extra fields
+   * @returns {Object} Envelope
+   */
+  static failure(code, message, details = {}) {
+    return { success: false, code, error: message, details };
+  }
+}
+
+IpcRouter.ERROR_CODES = ERROR_CODES;
+IpcRouter.IpcError = IpcError;
+
+module.exports = IpcRouter;
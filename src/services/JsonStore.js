@@ -0,0 +1,107 @@
+/**
+ * JSON Store Module
+ * One JSON file in the user data directory, read lazily on first access and
+ * replaced atomically on every save. Backs the rule, list, profile and view
+ * preference stores, which keep their validation and make every change
+ * through update so overlapping changes never overwrite each other
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const log = require('electron-log');
+
+// Written into every file so a later format change can tell old files apart
+const FILE_VERSION = 1;
+
+class JsonStore {
+  /**
+   * @param {string} filePath - JSON file
+   * @param {Object} options - Store options
+   * @param {string} options.description - What the file holds, for log messages ("alert rules")
+   * @param {Function} options.fromFile - (parsed file, {} when missing or unreadable) => data kept in memory
+   * @param {Function} options.toFile - (data) => object to write, without the version
+   */
+  constructor(filePath, options) {
+    this.filePath = filePath;
+    this.description = options.description;
+    this.fromFile = options.fromFile;
+    this.toFile = options.toFile;
+    this.data = null; // Loaded lazily on first access
+    this.updating = Promise.resolve(); // Tail of the queue of changes
+  }
+
+  /**
+   * Create a store for a file holding one array under a key ({ version, rules: [...] })
+   * @param {string} filePath - JSON file
+   * @param {string} key - Key of the array
+   * @param {string} description - What the file holds, for log messages
+   * @returns {JsonStore} Store whose data is the array
+   */
+  static forList(filePath, key, description) {
+    return new JsonStore(filePath, {
+      description,
+      fromFile: parsed => (Array.isArray(parsed[key]) ? parsed[key] : []),
+      toFile: items => ({ [key]: items })
+    });
+  }
+
+  /**
+   * Load the data from disk (once)
+   * A missing file is an empty store; an unreadable one is logged and treated the same
+   * @returns {Promise<*>} Data
+   */
+  async load() {
+    if (this.data) return this.data;
+
+    let parsed = {};
+    try {
+      const content = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      parsed = content && typeof content === 'object' ? content : {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.error(`Error reading ${this.description} from ${this.filePath}:`, error);
+      }
+    }
+
+    this.data = this.fromFile(parsed);
+    return this.data;
+  }
+
+  /**
+   * Read, change and save the data, one change at a time
+   * A change starts once the previous one has saved, so it sees its result
+   * @param {Function} change - async (data) => result, calls save with the new data
+   * @returns {Promise<*>} What the change returned
+   */
+  update(change) {
+    const run = this.updating.then(async () => await change(await this.load()));
+    this.updating = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Write the data to disk atomically and keep it as the loaded data
+   * Each save writes its own temporary file, so a save never renames another
+   * one's half-written file into place. Data derived from what was loaded
+   * must be saved from within update
+   * @param {*} data - Data to write
+   * @returns {Promise<void>}
+   */
+  async save(data) {
+    const tempPath = `${this.filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    try {
+      await fs.writeFile(tempPath, JSON.stringify({ version: FILE_VERSION, ...this.toFile(data) }, null, 2), 'utf8');
+      await fs.rename(tempPath, this.filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+
+    this.data = data;
+  }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,196 @@
+/**
+ * Keep-Alive Monitor Module for ProcessManager
+ * Restarts servers launched from "keep alive" profiles when they exit
+ * unexpectedly, backing off exponentially and giving up on crash loops
+ */
+
+const EventEmitter = require('events');
+const log = require('electron-log');
+
+class KeepAliveMonitor extends EventEmitter {
+  /**
+   * @param {ServerOutputCapture} outputCapture - Emits 'exit' for launched processes
+   * @param {Object} options - Monitor options
+   * @param {Function} options.restart - async (profileId) => start result
+   * @param {number} options.baseDelay - Delay before the first restart in milliseconds
+   * @param {number} options.maxDelay - Upper bound for the backoff delay in milliseconds
+   * @param {number} options.maxRestarts - Restarts allowed within the window before giving up
+   * @param {number} options.window - Crash counting window in milliseconds
+   */
+  constructor(outputCapture, options = {}) {
+    super();
+    this.outputCapture = outputCapture;
+    this.restart = options.restart;
+    this.baseDelay = options.baseDelay || 1000; // 1 second
+    this.maxDelay = options.maxDelay || 60000; // 1 minute
+    this.maxRestarts = options.maxRestarts || 5;
+    this.window = options.window || 10 * 60 * 1000; // 10 minutes
+    this.active = new Map(); // profile ID -> { profileId, profileName, pid }
+    this.states = new Map(); // profile ID -> { crashes, timer, gaveUp }
+    this.isStopped = false;
+
+    this.handleExit = this.handleExit.bind(this);
+    this.outputCapture.on('exit', this.handleExit);
+  }
+
+  /**
+   * Restart a profile's launched process if it exits unexpectedly
+   * @param {number} pid - Launcher PID
+   * @param {Object} profile - Profile it was launched from ({ id, name })
+   */
+  activate(pid, profile) {
+    this.active.set(profile.id, { profileId: profile.id, profileName: profile.name, pid });
+  }
+
+  /**
+   * Stop watching a profile's process, e.g. because the user is stopping it
+   * @param {string} profileId - Profile ID
+   * @returns {Object|null} The removed entry, or null if the profile was not watched
+   */
+  deactivate(profileId) {
+    const entry = this.active.get(profileId) || null;
+    this.active.delete(profileId);
+    return entry;
+  }
+
+  /**
+   * Check whether a profile's process is watched
+   * @param {string} profileId - Profile ID
+   * @returns {boolean} True if watched
+   */
+  isActive(profileId) {
+    return this.active.has(profileId);
+  }
+
+  /**
+   * Forget the crash history of a profile and cancel any pending restart
+   * Used when the user starts a profile by hand
+   * @param {string} profileId - Profile ID
+   */
+  reset(profileId) {
+    const state = this.states.get(profileId);
+    if (state && state.timer) {
+      clearTimeout(state.timer);
+    }
+    this.states.delete(profileId);
+  }
+
+  /**
+   * Stop keeping a profile alive
+   * @param {string} profileId - Profile ID
+   */
+  cancel(profileId) {
+    this.deactivate(profileId);
+    this.reset(profileId);
+  }
+
+  /**
+   * Check whether a restart is scheduled for a profile
+   * @param {string} profileId - Profile ID
+   * @returns {boolean} True if a restart is pending
+   */
+  isRestartPending(profileId) {
+    const state = this.states.get(profileId);
+    return Boolean(state && state.timer);
+  }
+
+  /**
+   * Handle the exit of a launched process
+   * @param {Object} event - Exit event ({ pid, code, signal })
+   */
+  handleExit(event) {
+    const entry = Array.from(this.active.values()).find(candidate => candidate.pid === event.pid);
+    if (!entry || this.isStopped) return;
+
+    this.deactivate(entry.profileId);
+    this.recordCrash(entry, {
+      pid: event.pid,
+      code: event.code,
+      signal: event.signal,
+      reason: event.signal ? `exited with signal ${event.signal}` : `exited with code ${event.code}`
+    });
+  }
+
+  /**
+   * Count a crash and schedule a restart unless the profile is crash looping
+   * @param {Object} entry - Watch entry ({ profileId, profileName })
+   * @param {Object} details - Crash details ({ pid, code, signal, reason })
+   */
+  recordCrash(entry, details) {
+    const now = Date.now();
+    const state = this.states.get(entry.profileId) || { crashes: [], timer: null, gaveUp: false };
+    this.states.set(entry.profileId, state);
+
+    state.crashes = state.crashes.filter(time => now - time < this.window);
+    state.crashes.push(now);
+
+    const attempt = state.crashes.length;
+    state.gaveUp = attempt > this.maxRestarts;
+    const restartIn = state.gaveUp ? null : Math.min(this.baseDelay * Math.pow(2, attempt - 1), this.maxDelay);
+
+    if (state.gaveUp) {
+      log.warn(`"${entry.profileName}" crashed ${attempt} times within ${this.window / 1000}s, not restarting again`);
+    } else {
+      log.warn(`"${entry.profileName}" ${details.reason}, restarting in ${restartIn}ms (attempt ${attempt} of ${this.maxRestarts})`);
+      state.timer = setTimeout(() => this.runRestart(entry), restartIn);
+    }
+
+    this.emit('crash', {
+      profileId: entry.profileId,
+      profileName: entry.profileName,
+      pid: details.pid,
+      code: details.code,
+      signal: details.signal,
+      reason: details.reason,
+      attempt,
+      maxRestarts: this.maxRestarts,
+      restartIn,
+      gaveUp: state.gaveUp,
+      timestamp: new Date(now).toISOString()
+    });
+  }
+
+  /**
+   * Restart a crashed profile
+   * A launch that fails before its process could be watched counts as another crash;
+   * processes that exit while waiting for readiness are counted by handleExit
+   * @param {Object} entry - Watch entry ({ profileId, profileName })
+   * @returns {Promise<void>}
+   */
+  async runRestart(entry) {
+    const state = this.states.get(entry.profileId);
+    if (state) state.timer = null;
+    if (this.isStopped) return;
+
+    let result;
+    try {
+      result = await this.restart(entry.profileId);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    this.emit('restarted', { profileId: entry.profileId, profileName: entry.profileName, ...result });
+
+    const current = this.states.get(entry.profileId);
+    const alreadyCounted = this.isActive(entry.profileId) || this.isRestartPending(entry.profileId) || (current && current.gaveUp);
+
+    if (!result.success && !alreadyCounted && !this.isStopped) {
+      this.recordCrash(entry, { pid: result.newPid || null, code: null, signal: null, reason: `failed to restart: ${result.error}` });
+    }
+  }
+
+  /**
+   * Stop restarting servers (on application exit)
+   */
+  stop() {
+    this.isStopped = true;
+    this.states.forEach(state => {
+      if (state.timer) clearTimeout(state.timer);
+    });
+    this.states.clear();
+    this.active.clear();
+    this.outputCapture.removeListener('exit', this.handleExit);
+  }
+}
+
+module.exports = KeepAliveMonitor;
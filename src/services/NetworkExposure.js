@@ -0,0 +1,179 @@
+/**
+ * Network Exposure Module
+ * Works out from a server's bind addresses who can reach it: this machine only,
+ * one interface, or every interface. Lists the LAN URLs a phone on the same
+ * network can open and warns when a server listens on all interfaces without
+ * being asked to
+ */
+
+const log = require('electron-log');
+const QrCode = require('./QrCode');
+
+// Command line arguments that ask a server to listen beyond localhost on purpose
+const EXPLICIT_HOST_PATTERN = /(^|\s)(--host|--hostname|--bind|--listen|-H|-b)(=|\s|$)|0\.0\.0\.0|\[::\]/;
+
+class NetworkExposure {
+  /**
+   * @param {NetworkUtilities} networkUtils - Source of the machine's network interfaces
+   * @param {Object} options - Options
+   * @param {number} options.interfaceTtl - How long the interface list is reused, in milliseconds
+   */
+  constructor(networkUtils, options = {}) {
+    this.networkUtils = networkUtils;
+    this.interfaceTtl = options.interfaceTtl !== undefined ? options.interfaceTtl : 30000;
+    this.interfaces = null;
+    this.interfacesCheckedAt = 0;
+  }
+
+  /**
+   * Attach the exposure of every server that has TCP bindings
+   * @param {Array} servers - Servers with bindings
+   * @returns {Promise<Array>} Servers with `exposure`, and a reachable `url` when they do not listen on loopback
+   */
+  async annotateServers(servers) {
+    if (!servers.some(server => this.getTcpAddresses(server).length > 0)) return servers;
+
+    const lanAddresses = await this.getLanAddresses();
+    return servers.map(server => {
+      const exposure = this.describeExposure(server, lanAddresses);
+      if (!exposure) return server;
+
+      // A server bound only to a LAN address does not answer on localhost
+      const loopbackReachable = exposure.scope !== 'interface' || exposure.addresses.some(NetworkExposure.isLoopback);
+      const url = !loopbackReachable && exposure.lanUrls.length > 0 ? exposure.lanUrls[0].url : server.url;
+      return { ...server, url, exposure };
+    });
+  }
+
+  /**
+   * Describe who can reach a server
+   * @param {Object} server - Server with bindings
+   * @param {Array} lanAddresses - Non-loopback IPv4 addresses ({ address, interface })
+   * @returns {Object|null} { scope ('loopback', 'interface' or 'all'), addresses, lanUrls, warning } or null without TCP bindings
+   */
+  describeExposure(server, lanAddresses) {
+    const addresses = this.getTcpAddresses(server);
+    if (addresses.length === 0) return null;
+
+    let scope = 'interface';
+    if (addresses.some(NetworkExposure.isWildcard)) {
+      scope = 'all';
+    } else if (addresses.every(NetworkExposure.isLoopback)) {
+      scope = 'loopback';
+    }
+
+    const reachable = scope === 'all'
+      ? lanAddresses
+      : lanAddresses.filter(item => addresses.includes(item.address));
+
+    return {
+      scope,
+      addresses,
+      lanUrls: server.url ? reachable.map(item => ({ url: this.createUrl(server, item.address), address: item.address, interface: item.interface })) : [],
+      warning: scope === 'all' && this.isUnexpectedlyExposed(server)
+        ? `Listening on all interfaces: other devices on your network can reach port ${server.port}`
+        : null
+    };
+  }
+
+  /**
+   * Whether a server listening on all interfaces was not asked to
+   * Databases, brokers and published container ports are always worth a warning;
+   * dev servers only when their command line does not pick a host
+   * @param {Object} server - Server object
+   * @returns {boolean} True if the exposure deserves a warning
+   */
+  isUnexpectedlyExposed(server) {
+    if (server.type === 'infrastructure' || server.container) return true;
+    return !EXPLICIT_HOST_PATTERN.test(server.command || '');
+  }
+
+  /**
+   * Get the bind addresses of a server's TCP listeners on its primary port
+   * @param {Object} server - Server with bindings
+   * @returns {Array<string>} Unique addresses
+   */
+  getTcpAddresses(server) {
+    const bindings = (server.bindings || []).filter(binding =>
+      binding.protocol === 'TCP' && binding.address && String(binding.port) === String(server.port)
+    );
+    return Array.from(new Set(bindings.map(binding => binding.address)));
+  }
+
+  /**
+   * Build the URL of a server on another host address
+   * @param {Object} server - Server with a url
+   * @param {string} address - Host address
+   * @returns {string} URL
+   */
+  createUrl(server, address) {
+    try {
+      const url = new URL(server.url);
+      url.hostname = address.includes(':') ? `[${address}]` : address;
+      return url.toString();
+    } catch (error) {
+      return `http://${address}:${server.port}`;
+    }
+  }
+
+  /**
+   * Get this machine's LAN addresses (cached for interfaceTtl)
+   * IPv4 only: it is what phones on the same Wi-Fi use, and IPv6 addresses are often temporary
+   * @returns {Promise<Array>} Addresses ({ address, interface })
+   */
+  async getLanAddresses() {
+    const now = Date.now();
+    if (!this.interfaces || now - this.interfacesCheckedAt > this.interfaceTtl) {
+      try {
+        this.interfaces = await this.networkUtils.getNetworkInterfaces();
+      } catch (error) {
+        log.error('Error listing network interfaces:', error);
+        this.interfaces = [];
+      }
+      this.interfacesCheckedAt = now;
+    }
+
+    return this.interfaces.flatMap(networkInterface => (networkInterface.ipv4 || [])
+      .filter(address => !NetworkExposure.isLoopback(address) && !address.startsWith('169.254.'))
+      .map(address => ({ address, interface: networkInterface.name })));
+  }
+
+  /**
+   * Add a QR code to each LAN URL of an exposure, for the details modal
+   * @param {Object} exposure - Exposure from describeExposure
+   * @returns {Object} Exposure whose lanUrls carry `qrSvg`
+   */
+  withQrCodes(exposure) {
+    return {
+      ...exposure,
+      lanUrls: exposure.lanUrls.map(item => {
+        try {
+          return { ...item, qrSvg: QrCode.toSvg(item.url) };
+        } catch (error) {
+          log.warn(`Could not create a QR code for ${item.url}:`, error.message);
+          return { ...item, qrSvg: null };
+        }
+      })
+    };
+  }
+
+  /**
+   * Whether an address accepts connections on every interface
+   * @param {string} address - Bind address
+   * @returns {boolean} True for 0.0.0.0 and ::
+   */
+  static isWildcard(address) {
+    return address === '0.0.0.0' || address === '::' || address === '*';
+  }
+
+  /**
+   * Whether an address is only reachable from this machine
+   * @param {string} address - Bind address
+   * @returns {boolean} True for 127.0.0.0/8, ::1 and their IPv4-mapped form
+   */
+  static isLoopback(address) {
+    return address.startsWith('127.') || address === '::1' || address.startsWith('::ffff:127.');
+  }
+}
+
+module.exports = NetworkExposure;
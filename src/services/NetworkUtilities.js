@@ -6,23 +6,24 @@
 const { promisify } = require('util');
 const { exec } = require('child_process');
 const log = require('electron-log');
+const { createPlatformAdapter, WindowsCommandParser } = require('./platform');
 
 const execAsync = promisify(exec);
 
 class NetworkUtilities {
-  constructor() {
-    // Initialize network utilities
+  constructor(platformAdapter = createPlatformAdapter()) {
+    // Platform backend (tasklist/netstat on Windows, procfs on Linux)
+    this.platform = platformAdapter;
+    this.commandParser = new WindowsCommandParser();
   }
 
   /**
-   * Get all running processes using tasklist
+   * Get all running processes from the platform adapter
    * @returns {Promise<Array>} Array of process objects
    */
   async getRunningProcesses() {
     try {
-      // Use tasklist command to get process information
-      const { stdout } = await execAsync('tasklist /fo csv /nh');
-      return this.parseTasklistOutput(stdout);
+      return await this.platform.listProcesses();
     } catch (error) {
       log.error('Error getting process list:', error);
       return [];
@@ -30,14 +31,12 @@ class NetworkUtilities {
   }
 
   /**
-   * Get network connections using netstat
+   * Get listening network connections from the platform adapter
    * @returns {Promise<Array>} Array of connection objects
    */
   async getNetworkConnections() {
     try {
-      // Use netstat to get listening ports
-      const { stdout } = await execAsync('netstat -ano -p tcp');
-      return this.parseNetstatOutput(stdout);
+      return await this.platform.listListeners();
     } catch (error) {
       log.error('Error getting network connections:', error);
       return [];
@@ -45,86 +44,27 @@ class NetworkUtilities {
   }
 
   /**
-   * Parse tasklist CSV output
+   * Parse tasklist CSV output (delegated to the Windows command parser)
    * @param {string} output - Raw tasklist output
    * @returns {Array} Array of process objects
    */
   parseTasklistOutput(output) {
-    const processes = [];
-    const lines = output.split('\n').filter(line => line.trim());
-
-    for (const line of lines) {
-      try {
-        // Parse CSV format: "Image Name","PID","Session Name","Session#","Mem Usage"
-        const parts = line.match(/"([^"]*)"/g);
-        if (parts && parts.length >= 2) {
-          const imageName = parts[0].replace(/"/g, '');
-          const pid = parseInt(parts[1].replace(/"/g, ''), 10);
-
-          if (!isNaN(pid) && imageName) {
-            processes.push({
-              pid,
-              name: imageName,
-              command: imageName
-            });
-          }
-        }
-      } catch (error) {
-        log.warn('Error parsing process line:', line, error);
-      }
-    }
-
-    return processes;
+    return this.commandParser.parseTasklistOutput(output);
   }
 
   /**
-   * Parse netstat output
+   * Parse netstat output (delegated to the Windows command parser)
    * @param {string} output - Raw netstat output
    * @returns {Array} Array of connection objects
    */
   parseNetstatOutput(output) {
-    const connections = [];
-    const lines = output.split('\n').filter(line => line.trim());
-
-    for (const line of lines) {
-      try {
-        // Skip header lines and empty lines
-        if (line.includes('Proto') || line.includes('Local Address') || line.trim() === '') {
-          continue;
-        }
-
-        // Parse line: TCP    0.0.0.0:3000           0.0.0.0:0              LISTENING       1234
-        const parts = line.trim().split(/\s+/);
-        if (parts.length >= 4) {
-          const protocol = parts[0];
-          const localAddress = parts[1];
-          const state = parts[3];
-          const pid = parseInt(parts[4], 10);
-
-          if (protocol === 'TCP' && state === 'LISTENING' && !isNaN(pid)) {
-            const portMatch = localAddress.match(/:(\d+)$/);
-            if (portMatch) {
-              const port = parseInt(portMatch[1], 10);
-              connections.push({
-                protocol,
-                localAddress,
-                port,
-                state,
-                pid
-              });
-            }
-          }
-        }
-      } catch (error) {
-        log.warn('Error parsing connection line:', line, error);
-      }
-    }
-
-    return connections;
+    return this.commandParser.parseNetstatOutput(output);
   }
 
   /**
    * Map ports to process information
+   * Every entry carries all bindings of its process, so a server listening on
+   * several ports (an app port plus an HMR socket) is still one server
    * @param {Array} connections - Network connections
    * @param {Array} processes - Running processes
    * @returns {Object} Map of port to process info
@@ -138,41 +78,87 @@ class NetworkUtilities {
       pidToProcess[process.pid] = process;
     });
 
-    // Map each connection to its process
-    connections.forEach(connection => {
-      if (connection.pid && pidToProcess[connection.pid]) {
-        portToProcess[connection.port] = {
-          ...pidToProcess[connection.pid],
-          port: connection.port,
-          protocol: connection.protocol,
-          localAddress: connection.localAddress
-        };
-      }
+    const owned = connections.filter(connection => connection.pid && pidToProcess[connection.pid]);
+    const pidToBindings = this.mapBindingsToPid(owned);
+
+    // Map each connection to its process; a TCP listener keeps its port over a UDP socket on the same number
+    owned.forEach(connection => {
+      const existing = portToProcess[connection.port];
+      if (existing && existing.protocol === 'TCP' && connection.protocol !== 'TCP') return;
+
+      portToProcess[connection.port] = {
+        ...pidToProcess[connection.pid],
+        port: connection.port,
+        protocol: connection.protocol,
+        localAddress: connection.localAddress,
+        bindings: pidToBindings.get(connection.pid)
+      };
     });
 
     return portToProcess;
   }
 
+  /**
+   * Group connections into the bindings of each process
+   * Bindings are ordered TCP before UDP, then by port and family, so the first one is the primary port
+   * @param {Array} connections - Network connections with a PID
+   * @returns {Map} PID -> Array of bindings ({ port, protocol, address, family })
+   */
+  mapBindingsToPid(connections) {
+    const pidToBindings = new Map();
+
+    connections.forEach(connection => {
+      if (!pidToBindings.has(connection.pid)) pidToBindings.set(connection.pid, []);
+      const bindings = pidToBindings.get(connection.pid);
+
+      const binding = {
+        port: connection.port,
+        protocol: connection.protocol || 'TCP',
+        address: connection.address || null,
+        family: connection.family || null
+      };
+      const isDuplicate = bindings.some(item =>
+        item.port === binding.port && item.protocol === binding.protocol && item.address === binding.address
+      );
+      if (!isDuplicate) bindings.push(binding);
+    });
+
+    pidToBindings.forEach(bindings => bindings.sort(NetworkUtilities.compareBindings));
+    return pidToBindings;
+  }
+
+  /**
+   * Order bindings TCP first, then by port, then IPv4 before IPv6
+   * @param {Object} a - Binding
+   * @param {Object} b - Binding
+   * @returns {number} Sort order
+   */
+  static compareBindings(a, b) {
+    if (a.protocol !== b.protocol) return a.protocol === 'TCP' ? -1 : 1;
+    if (a.port !== b.port) return a.port - b.port;
+    return String(a.family).localeCompare(String(b.family));
+  }
+
   /**
    * Get detailed process information for a specific PID
    * @param {number} pid - Process ID
-   * @returns {Promise<Object>} Detailed process information
+   * @returns {Promise<Object>} Detailed process information (wmic-style keys)
    */
   async getDetailedProcessInfo(pid) {
     try {
-      const { stdout } = await execAsync(`wmic process where "ProcessId=${pid}" get Name,CommandLine,ExecutablePath,PageFileUsage,WorkingSetSize /format:list`);
-
-      const info = {};
-      const lines = stdout.split('\n').filter(line => line.trim());
-
-      lines.forEach(line => {
-        const [key, ...valueParts] = line.split('=');
-        if (key && valueParts.length > 0) {
-          info[key.trim()] = valueParts.join('=').trim();
-        }
-      });
+      const [processInfo, executablePath, resources] = await Promise.all([
+        this.platform.getProcess(pid),
+        this.platform.getExecutablePath(pid),
+        this.platform.getResources(pid)
+      ]);
+      if (!processInfo) return {};
 
-      return info;
+      return {
+        Name: processInfo.name,
+        CommandLine: processInfo.command,
+        ExecutablePath: executablePath || '',
+        WorkingSetSize: resources ? String(Math.round(resources.memoryUsage * 1024 * 1024)) : ''
+      };
 
     } catch (error) {
       log.error(`Error getting detailed process info for PID ${pid}:`, error);
@@ -310,8 +296,7 @@ class NetworkUtilities {
    */
   async getNetworkInterfaces() {
     try {
-      const { stdout } = await execAsync('ipconfig /all');
-      return this.parseIpConfigOutput(stdout);
+      return await this.platform.listNetworkInterfaces();
     } catch (error) {
       log.error('Error getting network interfaces:', error);
       return [];
@@ -319,74 +304,12 @@ class NetworkUtilities {
   }
 
   /**
-   * Parse ipconfig output
+   * Parse ipconfig output (delegated to the Windows command parser)
    * @param {string} output - Raw ipconfig output
    * @returns {Array} Array of interface information
    */
   parseIpConfigOutput(output) {
-    const interfaces = [];
-    let currentInterface = null;
-
-    const lines = output.split('\n');
-
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-
-      // Start of new interface
-      if (trimmedLine && !trimmedLine.startsWith(' ') && !line.startsWith(' ')) {
-        if (currentInterface) {
-          interfaces.push(currentInterface);
-        }
-        currentInterface = {
-          name: trimmedLine,
-          ipv4: [],
-          ipv6: [],
-          mac: null,
-          dns: []
-        };
-      }
-
-      if (!currentInterface) continue;
-
-      // IPv4 Address
-      if (trimmedLine.includes('IPv4 Address')) {
-        const match = trimmedLine.match(/IPv4 Address[^\d]+([\d.]+)/);
-        if (match) {
-          currentInterface.ipv4.push(match[1]);
-        }
-      }
-
-      // IPv6 Address
-      if (trimmedLine.includes('IPv6 Address')) {
-        const match = trimmedLine.match(/IPv6 Address[^\d:]+([:\dabcdef]+)/i);
-        if (match) {
-          currentInterface.ipv6.push(match[1]);
-        }
-      }
-
-      // Physical Address (MAC)
-      if (trimmedLine.includes('Physical Address')) {
-        const match = trimmedLine.match(/Physical Address[^\dA-Fa-f]+([0-9A-Fa-f-]+)/);
-        if (match) {
-          currentInterface.mac = match[1].replace(/-/g, ':');
-        }
-      }
-
-      // DNS Servers
-      if (trimmedLine.includes('DNS Servers')) {
-        const match = trimmedLine.match(/DNS Servers[^\d.]+([\d.]+)/);
-        if (match) {
-          currentInterface.dns.push(match[1]);
-        }
-      }
-    }
-
-    // Add the last interface
-    if (currentInterface) {
-      interfaces.push(currentInterface);
-    }
-
-    return interfaces;
+    return this.commandParser.parseIpConfigOutput(output);
   }
 
   /**
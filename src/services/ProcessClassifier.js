@@ -6,6 +6,26 @@
 const appConfig = require('../config/appConfig');
 const log = require('electron-log');
 
+// Image names (without .exe) of the backend runtimes, by server type
+const BACKEND_RUNTIMES = {
+  java: ['java', 'javaw'],
+  ruby: ['ruby', 'puma', 'rails', 'rackup', 'unicorn', 'falcon'],
+  php: ['php', 'php-cgi', 'symfony', 'frankenphp'],
+  dotnet: ['dotnet'],
+  go: ['air'],
+  rust: ['cargo', 'cargo-watch', 'trunk']
+};
+
+// Compiled dev builds run under their own name, so they are recognized by where they live
+const BUILD_OUTPUT_PATTERNS = {
+  go: /[\\/]go-build\d*[\\/]/i,                                    // go run
+  rust: /(^|[\\/])target[\\/](debug|release)[\\/]/i,               // cargo run
+  dotnet: /(^|[\\/])bin[\\/](debug|release)[\\/]net[\w.-]*[\\/]/i // dotnet run app host
+};
+
+// Processes that publish container ports on the host; the container behind the port is the server
+const DOCKER_FORWARDERS = ['docker-proxy', 'rootlessport', 'com.docker.backend', 'com.docker.vpnkit', 'vpnkit', 'gvproxy', 'wslrelay'];
+
 class ProcessClassifier {
   constructor() {
     // Initialize classifier with configuration
@@ -14,9 +34,31 @@ class ProcessClassifier {
   /**
    * Classify a process as a development server
    * @param {Object} processInfo - Process information
-   * @returns {Object|null} Server object or null if not a dev server
+   * @returns {Object|null} Server object, with the tags and priority the list filters and sorts by, or null if not a dev server
    */
   classifyServer(processInfo) {
+    const server = this.identifyServer(processInfo);
+    return server ? this.rankServer(processInfo, server) : null;
+  }
+
+  /**
+   * Add the tags and priority of a classified server
+   * @param {Object} processInfo - Process information
+   * @param {Object} server - Server object
+   * @returns {Object} Server object with tags and priority
+   */
+  rankServer(processInfo, server) {
+    const ranked = { ...server, tags: this.generateServerTags(processInfo, server) };
+    ranked.priority = this.calculateServerPriority(ranked);
+    return ranked;
+  }
+
+  /**
+   * Recognize the kind of development server a process is
+   * @param {Object} processInfo - Process information
+   * @returns {Object|null} Server object or null if not a dev server
+   */
+  identifyServer(processInfo) {
     const { name, command, port } = processInfo;
 
     // Filter out system processes first
@@ -24,6 +66,18 @@ class ProcessClassifier {
       return null;
     }
 
+    // Docker port forwarders are resolved to their containers by ContainerResolver
+    if (this.isDockerForwarder(processInfo)) {
+      return port ? this.classifyDockerForwarder(processInfo) : null;
+    }
+
+    // Databases and brokers come before the runtimes some of them run on (Elasticsearch is Java)
+    const service = this.getInfrastructureService(processInfo);
+    if (service) {
+      // Worker and helper processes of a service do not listen and are not shown
+      return port ? this.classifyInfrastructure(processInfo, service) : null;
+    }
+
     // Check if it's a development server based on process name and command
     const patterns = appConfig.processPatterns;
 
@@ -37,6 +91,12 @@ class ProcessClassifier {
       return this.classifyPythonServer(processInfo);
     }
 
+    // Java, Go, Ruby, PHP, .NET and Rust processes
+    const runtime = this.getBackendRuntime(processInfo);
+    if (runtime) {
+      return this.classifyBackendServer(processInfo, runtime);
+    }
+
     // Other potential development servers
     if (command) {
       return this.classifyOtherServer(processInfo);
@@ -70,7 +130,7 @@ class ProcessClassifier {
     if (command) {
       const cmd = command.toLowerCase();
 
-      if (cmd.includes('react-scripts') || cmd.includes('start')) {
+      if (cmd.includes('react-scripts')) {
         serverType = 'react';
         serverName = 'React Dev Server';
       } else if (cmd.includes('next')) {
@@ -142,6 +202,254 @@ class ProcessClassifier {
     return null;
   }
 
+  /**
+   * Find the backend runtime of a process from its image name or build output path
+   * @param {Object} processInfo - Process information
+   * @returns {string|null} Server type (java, go, ruby, php, dotnet, rust) or null
+   */
+  getBackendRuntime(processInfo) {
+    const image = (processInfo.name || '').toLowerCase().replace(/\.exe$/, '');
+    const byImage = Object.keys(BACKEND_RUNTIMES).find(type => BACKEND_RUNTIMES[type].includes(image));
+    if (byImage) return byImage;
+
+    const locations = [processInfo.path || '', processInfo.command || ''];
+    return Object.keys(BUILD_OUTPUT_PATTERNS)
+      .find(type => locations.some(location => BUILD_OUTPUT_PATTERNS[type].test(location))) || null;
+  }
+
+  /**
+   * Classify a Java, Go, Ruby, PHP, .NET or Rust server
+   * Build tools, language servers and other tooling of these runtimes are skipped
+   * @param {Object} processInfo - Process information
+   * @param {string} runtime - Server type from getBackendRuntime
+   * @returns {Object|null} Server object or null
+   */
+  classifyBackendServer(processInfo, runtime) {
+    const cmd = (processInfo.command || processInfo.path || '').toLowerCase();
+
+    // Explicit production profiles are never treated as dev servers
+    if (/(profiles\.active|rails_env|aspnetcore_environment|app_env)[=\s]+prod/.test(cmd)) {
+      return null;
+    }
+
+    const namers = {
+      java: this.getJavaServerName,
+      go: this.getGoServerName,
+      ruby: this.getRubyServerName,
+      php: this.getPhpServerName,
+      dotnet: this.getDotnetServerName,
+      rust: this.getRustServerName
+    };
+    const serverName = namers[runtime].call(this, cmd, Boolean(processInfo.port));
+
+    return serverName ? this.createServerObject(processInfo, runtime, serverName) : null;
+  }
+
+  /**
+   * Name a Java server
+   * @param {string} cmd - Lowercase command line
+   * @param {boolean} listening - Whether the process listens on a port
+   * @returns {string|null} Server name, or null for tooling such as Gradle daemons and IDEs
+   */
+  getJavaServerName(cmd, listening) {
+    if (/gradledaemon|gradleworkermain|gradlewrappermain|plexus-classworlds|jetbrains|intellij|jdtls|languageserver|language-server|kotlin-daemon|kotlincompiledaemon|sonarlint/.test(cmd)) {
+      return null;
+    }
+
+    if (cmd.includes('quarkus')) return 'Quarkus Dev Server';
+    if (cmd.includes('micronaut')) return 'Micronaut Server';
+    if (cmd.includes('spring')) return 'Spring Boot Server';
+    if (cmd.includes('ktor')) return 'Ktor Server';
+    if (/vertx|vert\.x/.test(cmd)) return 'Vert.x Server';
+    if (/tomcat|catalina/.test(cmd)) return 'Tomcat Server';
+    if (cmd.includes('jetty')) return 'Jetty Server';
+
+    return listening ? 'Java Server' : null;
+  }
+
+  /**
+   * Name a Go server
+   * @param {string} cmd - Lowercase command line
+   * @param {boolean} listening - Whether the process listens on a port
+   * @returns {string|null} Server name
+   */
+  getGoServerName(cmd, listening) {
+    if (/(^|[\\/\s])air(\.exe)?(\s|$)/.test(cmd)) return 'Go Live Reload (air)';
+    if (BUILD_OUTPUT_PATTERNS.go.test(cmd)) return 'Go Dev Server';
+
+    return listening ? 'Go Server' : null;
+  }
+
+  /**
+   * Name a Ruby server
+   * @param {string} cmd - Lowercase command line
+   * @param {boolean} listening - Whether the process listens on a port
+   * @returns {string|null} Server name, or null for language servers, linters and the Spring preloader
+   */
+  getRubyServerName(cmd, listening) {
+    if (/solargraph|ruby-lsp|rubocop|sorbet|spring (server|app)/.test(cmd)) {
+      return null;
+    }
+
+    if (/rails\s+(s|server)(\s|$)/.test(cmd)) return 'Rails Server';
+    if (cmd.includes('puma')) return 'Puma Server';
+    if (cmd.includes('unicorn')) return 'Unicorn Server';
+    if (cmd.includes('falcon')) return 'Falcon Server';
+    if (/jekyll\s+serve/.test(cmd)) return 'Jekyll Server';
+    if (/rackup|(^|\s)thin(\s|$)/.test(cmd)) return 'Rack Server';
+
+    return listening ? 'Ruby Server' : null;
+  }
+
+  /**
+   * Name a PHP server
+   * @param {string} cmd - Lowercase command line
+   * @param {boolean} listening - Whether the process listens on a port
+   * @returns {string|null} Server name, or null for language servers and Composer
+   */
+  getPhpServerName(cmd, listening) {
+    if (/intelephense|phpactor|language-server|composer/.test(cmd)) {
+      return null;
+    }
+
+    if (cmd.includes('octane')) return 'Laravel Octane Server';
+    if (/artisan\s+serve|laravel/.test(cmd)) return 'Laravel Dev Server';
+    if (/symfony(\.exe)?\s+(serve|server:start)|symfony[\\/]/.test(cmd)) return 'Symfony Server';
+    if (cmd.includes('frankenphp')) return 'FrankenPHP Server';
+    if (/\s-s\s+\S+:\d+/.test(cmd)) return 'PHP Built-in Server';
+
+    return listening ? 'PHP Server' : null;
+  }
+
+  /**
+   * Name a .NET server
+   * @param {string} cmd - Lowercase command line
+   * @param {boolean} listening - Whether the process listens on a port
+   * @returns {string|null} Server name, or null for build servers and language servers
+   */
+  getDotnetServerName(cmd, listening) {
+    if (/msbuild|vbcscompiler|roslyn|omnisharp|codeanalysis|languageserver|rzls|testhost|vstest|dotnet-counters|dotnet-trace/.test(cmd)) {
+      return null;
+    }
+
+    if (/(^|[\\/\s])dotnet(\.exe)?\s+watch/.test(cmd)) return '.NET Watch Server';
+    if (/(^|[\\/\s])dotnet(\.exe)?\s+run/.test(cmd)) return '.NET Dev Server';
+    if (cmd.includes('blazor')) return 'Blazor Dev Server';
+
+    return listening ? 'ASP.NET Core Server' : null;
+  }
+
+  /**
+   * Name a Rust server
+   * @param {string} cmd - Lowercase command line
+   * @param {boolean} listening - Whether the process listens on a port
+   * @returns {string|null} Server name, or null for cargo builds, tests and tooling
+   */
+  getRustServerName(cmd, listening) {
+    if (/cargo(-watch)?(\.exe)?\s+watch|cargo-watch/.test(cmd)) return 'Cargo Watch';
+    if (/trunk(\.exe)?\s+serve/.test(cmd)) return 'Trunk Dev Server';
+    if (/cargo(\.exe)?\s+(run|leptos|shuttle)/.test(cmd)) return 'Cargo Run';
+    if (BUILD_OUTPUT_PATTERNS.rust.test(cmd) && listening) return 'Rust Dev Server';
+
+    return null;
+  }
+
+  /**
+   * Check whether a process publishes container ports for Docker
+   * @param {Object} processInfo - Process information
+   * @returns {boolean} True for docker-proxy, Docker Desktop's backend and similar forwarders
+   */
+  isDockerForwarder(processInfo) {
+    return DOCKER_FORWARDERS.includes((processInfo.name || '').toLowerCase().replace(/\.exe$/, ''));
+  }
+
+  /**
+   * Classify a port published by a Docker forwarder whose container is not known (yet)
+   * Killing the forwarder would break Docker, so it is never safe to stop
+   * @param {Object} processInfo - Process information
+   * @returns {Object} Server object
+   */
+  classifyDockerForwarder(processInfo) {
+    return {
+      pid: processInfo.pid,
+      name: 'Docker Published Port',
+      type: 'docker',
+      port: processInfo.port,
+      url: null,
+      command: processInfo.command || processInfo.name,
+      path: processInfo.path || '',
+      startTime: processInfo.startTime || new Date(),
+      category: this.getServerCategory('docker'),
+      importance: 'infrastructure',
+      isSafeToStop: false,
+      dockerForwarder: true
+    };
+  }
+
+  /**
+   * Find the infrastructure service a container runs, by its image repository
+   * @param {string} image - Image reference, e.g. postgres:16 or docker.io/bitnami/redis:7.2
+   * @returns {Object|null} Service from appConfig.infrastructureServices or null
+   */
+  getContainerService(image) {
+    const repository = String(image || '').toLowerCase().split('@')[0].replace(/:[^/]*$/, '');
+    const name = repository.split('/').pop();
+
+    return appConfig.infrastructureServices.find(service => service.containerImages.includes(name)) || null;
+  }
+
+  /**
+   * Find the infrastructure service a process runs, by image name or command line
+   * @param {Object} processInfo - Process information
+   * @returns {Object|null} Service from appConfig.infrastructureServices or null
+   */
+  getInfrastructureService(processInfo) {
+    const image = (processInfo.name || '').toLowerCase().replace(/\.exe$/, '');
+    const cmd = (processInfo.command || '').toLowerCase();
+
+    return appConfig.infrastructureServices.find(service =>
+      service.images.includes(image) || service.commands.some(fragment => cmd.includes(fragment))
+    ) || null;
+  }
+
+  /**
+   * Classify a database or broker process
+   * Infrastructure is never safe to stop in bulk; other servers depend on it
+   * @param {Object} processInfo - Process information
+   * @param {Object} service - Service from getInfrastructureService
+   * @returns {Object} Server object
+   */
+  classifyInfrastructure(processInfo, service) {
+    const { command, name, port } = processInfo;
+    const hasHttpApi = service.protocol === 'elasticsearch' || service.protocol === 'minio';
+
+    return {
+      pid: processInfo.pid,
+      name: service.name,
+      type: 'infrastructure',
+      port: port,
+      url: hasHttpApi ? `http://localhost:${port}` : null,
+      command: command || name,
+      path: processInfo.path || '',
+      startTime: processInfo.startTime || new Date(),
+      category: this.getServerCategory('infrastructure'),
+      icon: service.icon,
+      service: { id: service.id, name: service.name, protocol: service.protocol },
+      importance: 'infrastructure',
+      isSafeToStop: false
+    };
+  }
+
+  /**
+   * Check whether the project manifests FrameworkDetector reads apply to a server
+   * Only Node.js and Python projects are described by them
+   * @param {Object} server - Server object
+   * @returns {boolean} True if framework detection should run
+   */
+  canDetectFramework(server) {
+    return !Object.keys(BACKEND_RUNTIMES).includes(server.type) && !['infrastructure', 'docker'].includes(server.type);
+  }
+
   /**
    * Classify other server types
    * @param {Object} processInfo - Process information
@@ -183,6 +491,121 @@ class ProcessClassifier {
     return null;
   }
 
+  /**
+   * Classify a process, letting a matching user rule take precedence over the built-in heuristics
+   * System processes stay excluded whatever the rule says
+   * @param {Object} processInfo - Process information
+   * @param {Object|null} rule - First user rule matching the process
+   * @returns {Object|null} Server object or null if not a dev server
+   */
+  classifyWithRule(processInfo, rule) {
+    if (!rule) {
+      return this.classifyServer(processInfo);
+    }
+
+    if (rule.action.ignore || this.isSystemProcess(processInfo)) {
+      return null;
+    }
+
+    // The user said this process is a server, even if no heuristic recognizes it
+    return this.classifyServer(processInfo) ||
+      this.rankServer(processInfo, this.createServerObject(processInfo, rule.action.type || 'other', rule.action.name || processInfo.name));
+  }
+
+  /**
+   * Apply the naming and protection of a user rule to a server
+   * @param {Object} server - Server object
+   * @param {Object} rule - Matching user rule
+   * @returns {Object} Server object with the rule's overrides
+   */
+  applyRuleAction(server, rule) {
+    const { action } = rule;
+    const refined = { ...server, matchedRule: { id: rule.id, name: rule.name } };
+
+    if (action.name) refined.name = action.name;
+    if (action.type) refined.type = action.type;
+    if (action.type === 'infrastructure') {
+      refined.importance = 'infrastructure';
+      refined.isSafeToStop = false;
+    }
+    if (action.category) {
+      refined.category = action.category;
+    } else if (action.type) {
+      refined.category = this.getServerCategory(action.type);
+    }
+    if (action.icon) refined.icon = action.icon;
+    if (action.tags && action.tags.length > 0) {
+      refined.tags = Array.from(new Set([...(server.tags || []), ...action.tags]));
+    }
+    if (action.protect) {
+      refined.isSafeToStop = false;
+      refined.isProtected = true;
+      refined.protectedBy = { source: 'rule', id: rule.id, name: rule.name };
+    }
+
+    refined.priority = this.calculateServerPriority(refined);
+    return refined;
+  }
+
+  /**
+   * Build a server object for a process
+   * @param {Object} processInfo - Process information
+   * @param {string} type - Server type
+   * @param {string} name - Server name
+   * @returns {Object} Server object
+   */
+  createServerObject(processInfo, type, name) {
+    const actualPort = processInfo.port || this.extractPortFromCommand(processInfo.command);
+    const url = actualPort && actualPort !== 'Unknown' ? `http://localhost:${actualPort}` : null;
+
+    return {
+      pid: processInfo.pid,
+      name,
+      type,
+      port: actualPort || 'Unknown',
+      url,
+      command: processInfo.command || processInfo.name,
+      path: processInfo.path || '',
+      startTime: processInfo.startTime || new Date(),
+      category: this.getServerCategory(type),
+      importance: 'development',
+      isSafeToStop: true
+    };
+  }
+
+  /**
+   * Apply a framework detected from the project manifests to a classified server
+   * Name and type are only replaced when the detection is reasonably sure
+   * @param {Object} server - Server object from classifyServer
+   * @param {Object} framework - Detection from FrameworkDetector
+   * @returns {Object} Server object with framework information
+   */
+  applyFramework(server, framework) {
+    const refined = {
+      ...server,
+      confidence: framework.confidence,
+      framework: {
+        id: framework.id,
+        name: framework.name,
+        confidence: framework.confidence,
+        evidence: framework.evidence
+      }
+    };
+
+    if (Array.isArray(server.tags) && !server.tags.includes(framework.id)) {
+      refined.tags = [...server.tags, framework.id];
+    }
+
+    if (framework.confidence >= 0.5) {
+      refined.name = framework.serverName;
+      refined.type = framework.type;
+      refined.category = this.getServerCategory(framework.id);
+    }
+
+    refined.priority = this.calculateServerPriority(refined);
+    return refined;
+  }
+
   /**
    * Check if a port is a typical web development port
    * @param {number} port - Port number
@@ -339,8 +762,25 @@ class ProcessClassifier {
       'next': 'Frontend Frameworks',
       'nuxt': 'Frontend Frameworks',
       'vite': 'Build Tools',
+      'astro': 'Frontend Frameworks',
+      'remix': 'Frontend Frameworks',
+      'sveltekit': 'Frontend Frameworks',
+      'angular': 'Frontend Frameworks',
+      'nest': 'Node.js Applications',
+      'express': 'Node.js Applications',
+      'django': 'Python Applications',
+      'fastapi': 'Python Applications',
+      'flask': 'Python Applications',
       'webpack': 'Build Tools',
-      'static': 'Static Servers'
+      'static': 'Static Servers',
+      'java': 'Java Applications',
+      'go': 'Go Applications',
+      'ruby': 'Ruby Applications',
+      'php': 'PHP Applications',
+      'dotnet': '.NET Applications',
+      'rust': 'Rust Applications',
+      'infrastructure': 'Infrastructure',
+      'docker': 'Containers'
     };
 
     return categories[type] || 'Other Development Servers';
@@ -829,6 +1269,11 @@ class ProcessClassifier {
    * @returns {number} Confidence score (0-1)
    */
   calculateClassificationConfidence(processInfo, server) {
+    // Manifest-based detection already carries its own score
+    if (server.framework) {
+      return server.framework.confidence;
+    }
+
     let confidence = 0.5; // Base confidence
 
     // Boost confidence based on known patterns
@@ -860,7 +1305,9 @@ class ProcessClassifier {
     tags.push(server.type);
 
     // Add framework-specific tags
-    if (server.type === 'react' && processInfo.command) {
+    if (server.framework) {
+      tags.push(server.framework.id);
+    } else if (server.type === 'react' && processInfo.command) {
       const cmd = processInfo.command.toLowerCase();
       if (cmd.includes('next')) tags.push('nextjs');
       if (cmd.includes('vite')) tags.push('vite');
@@ -891,6 +1338,12 @@ class ProcessClassifier {
       'react': 3,
       'node': 2,
       'python': 2,
+      'java': 2,
+      'go': 2,
+      'ruby': 2,
+      'php': 2,
+      'dotnet': 2,
+      'rust': 2,
       'static': 1
     };
 
@@ -906,4 +1359,6 @@ class ProcessClassifier {
   }
 }
 
+ProcessClassifier.BACKEND_TYPES = Object.keys(BACKEND_RUNTIMES);
+
 module.exports = ProcessClassifier;
\ No newline at end of file
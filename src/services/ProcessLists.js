@@ -0,0 +1,205 @@
+/**
+ * Process Lists Module
+ * Persists the user's ignore list (never shown) and protect list (shown, but
+ * stopping needs an extra confirmation) in the user data directory.
+ * Entries match processes by something that outlives a PID: the image name,
+ * text in the command line, the listening port or the working directory
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const log = require('electron-log');
+const JsonStore = require('./JsonStore');
+const ERROR_CODES = require('../config/errorCodes');
+
+const LISTS = ['ignore', 'protect'];
+const MATCHERS = ['image', 'command', 'port', 'cwd'];
+
+class ProcessLists {
+  constructor(storageDir) {
+    this.store = JsonStore.forList(path.join(storageDir, 'process-lists.json'), 'entries', 'process lists');
+  }
+
+  /**
+   * Load entries from disk (once)
+   * @returns {Promise<Array>} Array of entries
+   */
+  async load() {
+    return await this.store.load();
+  }
+
+  /**
+   * Get the entries of both lists
+   * @returns {Promise<Array>} Array of entries
+   */
+  async getEntries() {
+    const entries = await this.load();
+    return entries.map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Add an entry to a list, or update an existing one
+   * An entry with the same matcher moves to the requested list instead of being duplicated
+   * @param {Object} entry - Entry fields ({ list, matcher, value, label }, id present when updating)
+   * @returns {Promise<Object>} Result object with the saved entry
+   */
+  async saveEntry(entry) {
+    const error = this.validateEntry(entry);
+    if (error) {
+      return { success: false, code: ERROR_CODES.INVALID_REQUEST, error };
+    }
+
+    return await this.store.update(async entries => {
+      const normalized = this.normalizeEntry(entry);
+      const existingIndex = entry.id
+        ? entries.findIndex(item => item.id === entry.id)
+        : entries.findIndex(item => item.matcher === normalized.matcher && this.sameValue(item, normalized));
+
+      if (entry.id && existingIndex === -1) {
+        return { success: false, code: ERROR_CODES.NOT_FOUND, error: `List entry ${entry.id} not found` };
+      }
+
+      const saved = {
+        ...(existingIndex === -1 ? { id: crypto.randomUUID(), createdAt: new Date().toISOString() } : entries[existingIndex]),
+        ...normalized
+      };
+
+      const updated = [...entries];
+      if (existingIndex === -1) {
+        updated.push(saved);
+      } else {
+        updated[existingIndex] = saved;
+      }
+
+      try {
+        await this.persist(updated);
+        log.info(`Saved ${saved.list} list entry: ${saved.matcher} ${saved.value} (${saved.id})`);
+        return { success: true, entry: saved };
+      } catch (persistError) {
+        log.error('Error saving process list entry:', persistError);
+        return { success: false, error: persistError.message };
+      }
+    });
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} id - Entry ID
+   * @returns {Promise<Object>} Result object
+   */
+  async deleteEntry(id) {
+    return await this.store.update(async entries => {
+      const remaining = entries.filter(entry => entry.id !== id);
+
+      if (remaining.length === entries.length) {
+        return { success: false, code: ERROR_CODES.NOT_FOUND, error: `List entry ${id} not found` };
+      }
+
+      try {
+        await this.persist(remaining);
+        log.info(`Deleted process list entry: ${id}`);
+        return { success: true };
+      } catch (error) {
+        log.error('Error deleting process list entry:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Validate entry fields
+   * @param {Object} entry - Entry fields
+   * @returns {string|null} Error message or null if valid
+   */
+  validateEntry(entry) {
+    if (!entry || typeof entry !== 'object') {
+      return 'Entry is required';
+    }
+
+    if (!LISTS.includes(entry.list)) {
+      return `Unknown list: ${entry.list}`;
+    }
+
+    if (!MATCHERS.includes(entry.matcher)) {
+      return `Unknown matcher: ${entry.matcher}`;
+    }
+
+    const value = entry.value === undefined || entry.value === null ? '' : String(entry.value).trim();
+    if (!value) {
+      return 'A value to match is required';
+    }
+
+    if (entry.matcher === 'port') {
+      const port = Number(value);
+      if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        return `Port must be between 1 and 65535: ${value}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Reduce an entry to its persisted fields
+   * @param {Object} entry - Entry fields
+   * @returns {Object} Normalized entry fields
+   */
+  normalizeEntry(entry) {
+    const value = String(entry.value).trim();
+
+    return {
+      list: entry.list,
+      matcher: entry.matcher,
+      value: entry.matcher === 'port' ? Number(value) : value,
+      label: entry.label ? String(entry.label).trim() : ''
+    };
+  }
+
+  /**
+   * Check whether two entries match the same thing
+   * @param {Object} a - Entry
+   * @param {Object} b - Entry
+   * @returns {boolean} True if the values are equal (ignoring case except for ports)
+   */
+  sameValue(a, b) {
+    return String(a.value).toLowerCase() === String(b.value).toLowerCase();
+  }
+
+  /**
+   * Convert entries into rules for ClassificationRuleEngine
+   * Ignore entries come first so a process on both lists stays hidden
+   * @param {Array} entries - Entries from getEntries
+   * @returns {Array} Rules in evaluation order
+   */
+  toRules(entries) {
+    const ordered = [...entries].sort((a, b) => LISTS.indexOf(a.list) - LISTS.indexOf(b.list));
+
+    return ordered.map(entry => ({
+      id: entry.id,
+      name: entry.label || `${entry.matcher} ${entry.value}`,
+      enabled: true,
+      list: entry.list,
+      match: {
+        imageName: entry.matcher === 'image' ? entry.value : '',
+        commandPattern: entry.matcher === 'command' ? entry.value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : '',
+        portMin: entry.matcher === 'port' ? entry.value : null,
+        portMax: entry.matcher === 'port' ? entry.value : null,
+        cwdGlob: entry.matcher === 'cwd' ? entry.value : '',
+        parentName: ''
+      }
+    }));
+  }
+
+  /**
+   * Write entries to disk atomically
+   * @param {Array} entries - Entries to write
+   */
+  async persist(entries) {
+    await this.store.save(entries);
+  }
+}
+
+ProcessLists.LISTS = LISTS;
+ProcessLists.MATCHERS = MATCHERS;
+
+module.exports = ProcessLists;
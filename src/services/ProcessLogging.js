@@ -1,18 +1,30 @@
 /**
  * Process Logging Module for ProcessManager
  * Enhanced with proper error handling, file locking, and log rotation
+ * Also keeps the append-only operation journal (one JSON object per line),
+ * rotated once it reaches maxJournalSize so that only it and the previous
+ * file are kept and read
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const log = require('electron-log');
+const SecretRedactor = require('../utils/SecretRedactor');
+
+// Who asked for an operation
+const OPERATION_TRIGGERS = ['ui', 'tray', 'mcp', 'keep-alive', 'alert', 'system'];
 
 class ProcessLogging {
-  constructor(errorLogsDir) {
+  constructor(errorLogsDir, journalPath = path.join(errorLogsDir, 'operations.jsonl')) {
     this.errorLogsDir = errorLogsDir;
+    this.journalPath = journalPath;
+    this.rotatedJournalPath = path.join(path.dirname(journalPath), `${path.basename(journalPath, path.extname(journalPath))}.1${path.extname(journalPath)}`);
+    this.maxJournalSize = 1024 * 1024; // 1MB, roughly 5000 operations, before the journal is rotated
     this.maxLogFileSize = 10 * 1024 * 1024; // 10MB max per log file
     this.maxLogEntries = 1000; // Maximum entries per log file
     this.fileHandles = new Map(); // File handle management
+    this.redactor = new SecretRedactor(); // Hides secrets in exported logs
     this.initErrorLogs();
   }
 
@@ -264,25 +276,78 @@ class ProcessLogging {
         }
       };
 
-      // Get file handle and write log entry
-      const { handle } = await this.getFileHandle(logFile);
+      await this.appendLogEntry(logFile, logEntry);
 
-      try {
-        await handle.writeFile(JSON.stringify(logEntry) + '\n');
+      // Also log to electron-log for immediate visibility
+      log[level](`Server PID ${pid}: ${message}`);
 
-        // Also log to electron-log for immediate visibility
-        log[level](`Server PID ${pid}: ${message}`);
+    } catch (error) {
+      log.error(`Error in logServerError for PID ${pid}:`, error);
+    }
+  }
 
-      } catch (writeError) {
-        log.error(`Error writing to log file ${logFile}:`, writeError);
-      }
+  /**
+   * Record an unexpected exit of a keep-alive server
+   * Written to the server's error log and to the operation journal
+   * @param {number} pid - Process ID that crashed (0 if the launch itself failed)
+   * @param {Object} crash - Crash event from KeepAliveMonitor
+   */
+  async logServerCrash(pid, crash) {
+    const logFile = path.join(this.errorLogsDir, `server_${pid}_errors.log`);
+    const outcome = crash.gaveUp
+      ? `Gave up after ${crash.attempt} crashes`
+      : `Restarting in ${Math.round(crash.restartIn / 1000)}s (attempt ${crash.attempt} of ${crash.maxRestarts})`;
 
-      // Close file handle
-      await this.closeFileHandle(logFile);
+    try {
+      const logEntry = {
+        timestamp: crash.timestamp || new Date().toISOString(),
+        pid: pid,
+        level: crash.gaveUp ? 'error' : 'warn',
+        message: `"${crash.profileName}" ${crash.reason}. ${outcome}`,
+        source: 'ServerManager',
+        action: 'server_crash',
+        profileId: crash.profileId,
+        profileName: crash.profileName,
+        exitCode: crash.code,
+        signal: crash.signal,
+        attempt: crash.attempt,
+        restartIn: crash.restartIn,
+        gaveUp: crash.gaveUp
+      };
+
+      await this.appendLogEntry(logFile, logEntry);
 
     } catch (error) {
-      log.error(`Error in logServerError for PID ${pid}:`, error);
+      log.error(`Error in logServerCrash for PID ${pid}:`, error);
     }
+
+    // A crash is an instant, so it has no duration
+    const crashedAt = crash.timestamp ? new Date(crash.timestamp).getTime() : Date.now();
+    await this.logServerOperation(pid, 'crash', false, `"${crash.profileName}" ${crash.reason}. ${outcome}`, {
+      trigger: 'keep-alive',
+      startedAt: crashedAt,
+      finishedAt: crashedAt,
+      serverName: crash.profileName,
+      profileId: crash.profileId
+    });
+  }
+
+  /**
+   * Append a structured entry to a log file
+   * @param {string} logFile - Path to the log file
+   * @param {Object} logEntry - Entry to write as one JSON line
+   */
+  async appendLogEntry(logFile, logEntry) {
+    const { handle } = await this.getFileHandle(logFile);
+
+    try {
+      await handle.writeFile(JSON.stringify(logEntry) + '\n');
+    } catch (writeError) {
+      log.error(`Error writing to log file ${logFile}:`, writeError);
+    }
+
+    // Close file handle
+    await this.closeFileHandle(logFile);
   }
 
   /**
@@ -321,37 +386,193 @@ class ProcessLogging {
   }
 
   /**
-   * Get server operation history
-   * @param {number} limit - Maximum number of entries to return
-   * @returns {Promise<Array>} Operation history
+   * Append an operation to the journal
+   * @param {number} pid - Process ID the operation targeted (0 for all servers)
+   * @param {string} operation - Operation name (stop, stop-tree, restart, start, stop-all-and-exit, crash)
+   * @param {boolean} success - Whether the operation succeeded
+   * @param {string} message - Outcome message
+   * @param {Object} details - Additional context
+   * @param {string} details.trigger - One of OPERATION_TRIGGERS (defaults to system)
+   * @param {number} details.startedAt - Start time in epoch milliseconds, used for the duration
+   * @param {number} details.finishedAt - End time in epoch milliseconds (defaults to now)
+   * @param {string} details.serverName - Server or profile name
+   * @param {number} details.newPid - PID of the process started by the operation
+   * @param {string} details.profileId - Profile the operation used
+   * @returns {Promise<Object|null>} Journal entry or null if it could not be written
    */
-  async getOperationHistory(limit = 100) {
+  async logServerOperation(pid, operation, success, message, details = {}) {
+    const now = details.finishedAt || Date.now();
+    const startedAt = details.startedAt || now;
+    const entry = {
+      id: crypto.randomUUID(),
+      timestamp: new Date(startedAt).toISOString(),
+      pid: Number(pid) || 0,
+      operation,
+      trigger: OPERATION_TRIGGERS.includes(details.trigger) ? details.trigger : 'system',
+      success: Boolean(success),
+      message: message || '',
+      durationMs: now - startedAt
+    };
+
+    ['serverName', 'newPid', 'profileId'].forEach(key => {
+      if (details[key] !== undefined && details[key] !== null) {
+        entry[key] = details[key];
+      }
+    });
+
     try {
-      // Get all log files
-      const files = await fs.readdir(this.errorLogsDir);
-      const logFiles = files.filter(file => file.endsWith('_errors.log'));
+      await fs.mkdir(path.dirname(this.journalPath), { recursive: true });
+      await fs.appendFile(this.journalPath, JSON.stringify(entry) + '\n', 'utf8');
+      log.info(`Operation ${operation} on PID ${entry.pid} (${entry.trigger}): ${entry.success ? 'succeeded' : 'failed'} in ${entry.durationMs}ms`);
+      await this.rotateJournal();
+      return entry;
+    } catch (error) {
+      log.error(`Error writing operation journal ${this.journalPath}:`, error);
+      return null;
+    }
+  }
 
-      let allLogs = [];
+  /**
+   * Start a new journal once the current one reaches maxJournalSize
+   * The previous journal replaces the one rotated before it. The MCP server
+   * appends to the same file by path, so its next entry lands in the new one
+   * @returns {Promise<void>}
+   */
+  async rotateJournal() {
+    try {
+      const { size } = await fs.stat(this.journalPath);
+      if (size < this.maxJournalSize) return;
 
-      for (const file of logFiles) {
-        const filePath = path.join(this.errorLogsDir, file);
-        const logData = await this.getServerErrorLogs(
-          parseInt(file.replace('server_', '').replace('_errors.log', ''))
-        );
+      await fs.rename(this.journalPath, this.rotatedJournalPath);
+      log.info(`Rotated operation journal ${this.journalPath} (${size} bytes)`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.warn(`Error rotating operation journal ${this.journalPath}:`, error);
+      }
+    }
+  }
 
-        if (logData.success) {
-          allLogs.push(...(logData.logs || []));
-        }
+  /**
+   * Read every journal entry, oldest first
+   * @returns {Promise<Array>} Journal entries of the previous and the current journal
+   */
+  async readJournal() {
+    return [
+      ...(await this.readJournalFile(this.rotatedJournalPath)),
+      ...(await this.readJournalFile(this.journalPath))
+    ];
+  }
+
+  /**
+   * Read the entries of one journal file
+   * @param {string} filePath - Journal file
+   * @returns {Promise<Array>} Journal entries, oldest first
+   */
+  async readJournalFile(filePath) {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.error(`Error reading operation journal ${filePath}:`, error);
+      }
+      return [];
+    }
+
+    const entries = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (parseError) {
+        // A torn write leaves one bad line; the rest of the journal is still usable
+        log.warn(`Skipping invalid journal line: ${line.substring(0, 100)}`);
       }
+    }
+    return entries;
+  }
 
-      // Sort by timestamp and limit
-      allLogs.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  /**
+   * Query the operation journal, newest first
+   * @param {Object} filters - Query filters
+   * @param {number} filters.pid - Match operations on this PID or that started it
+   * @param {Date|string|number} filters.from - Earliest start time (inclusive)
+   * @param {Date|string|number} filters.to - Latest start time (inclusive)
+   * @param {string} filters.operation - Operation name
+   * @param {string} filters.trigger - Trigger
+   * @param {number} filters.limit - Maximum number of entries (default 100)
+   * @returns {Promise<Array>} Matching journal entries
+   */
+  async queryOperations(filters = {}) {
+    const from = filters.from !== undefined && filters.from !== null && filters.from !== '' ? new Date(filters.from).getTime() : null;
+    const to = filters.to !== undefined && filters.to !== null && filters.to !== '' ? new Date(filters.to).getTime() : null;
+    const pid = filters.pid ? Number(filters.pid) : null;
+    const limit = filters.limit || 100;
+
+    const entries = (await this.readJournal()).filter(entry => {
+      const time = new Date(entry.timestamp).getTime();
+      if (pid !== null && entry.pid !== pid && entry.newPid !== pid) return false;
+      if (from !== null && time < from) return false;
+      if (to !== null && time > to) return false;
+      if (filters.operation && entry.operation !== filters.operation) return false;
+      if (filters.trigger && entry.trigger !== filters.trigger) return false;
+      return true;
+    });
+
+    // Reverse first so entries started in the same millisecond keep the newest append first
+    entries.reverse().sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    return entries.slice(0, limit);
+  }
+
+  /**
+   * Get operations that targeted or started a process
+   * @param {number} pid - Process ID
+   * @param {number} limit - Maximum number of entries to return
+   * @returns {Promise<Array>} Journal entries, newest first
+   */
+  async getOperationsForPid(pid, limit = 100) {
+    return await this.queryOperations({ pid, limit });
+  }
+
+  /**
+   * Get operations started within a time range
+   * @param {Date|string|number} from - Earliest start time
+   * @param {Date|string|number} to - Latest start time
+   * @param {number} limit - Maximum number of entries to return
+   * @returns {Promise<Array>} Journal entries, newest first
+   */
+  async getOperationsInRange(from, to, limit = 100) {
+    return await this.queryOperations({ from, to, limit });
+  }
+
+  /**
+   * Get server operation history
+   * @param {number} limit - Maximum number of entries to return
+   * @returns {Promise<Array>} Operation history, newest first
+   */
+  async getOperationHistory(limit = 100) {
+    return await this.queryOperations({ limit });
+  }
+
+  /**
+   * Check whether a server is still running and log an error if it died
+   * @param {number} pid - Process ID
+   * @param {string} serverName - Server name for logging
+   * @param {ProcessUtilities} processUtils - Used to check the process
+   * @returns {Promise<Object>} Result object with a running flag
+   */
+  async monitorServerErrors(pid, serverName, processUtils) {
+    try {
+      const running = await processUtils.verifyProcessExists(pid);
 
-      return allLogs.slice(0, limit);
+      if (!running) {
+        await this.logServerError(pid, `${serverName} (PID ${pid}) is no longer running`, 'error');
+      }
 
+      return { success: true, running };
     } catch (error) {
-      log.error('Error getting operation history:', error);
-      return [];
+      log.error(`Error monitoring server ${serverName} (PID ${pid}):`, error);
+      return { success: false, error: error.message };
     }
   }
 
@@ -452,7 +673,7 @@ class ProcessLogging {
   }
 
   /**
-   * Export logs to a single file
+   * Export logs to a single file, with secrets redacted
    * @param {string} outputPath - Output file path
    * @returns {Promise<Object>} Export result
    */
@@ -482,7 +703,7 @@ class ProcessLogging {
         exportDate: new Date().toISOString(),
         totalServers: logFiles.length,
         totalEntries,
-        logs: allLogs
+        logs: allLogs.map(entry => this.redactor.redactValue(entry))
       };
 
       await fs.writeFile(outputPath, JSON.stringify(exportData, null, 2));
@@ -503,4 +724,6 @@ class ProcessLogging {
   }
 }
 
+ProcessLogging.TRIGGERS = OPERATION_TRIGGERS;
+
 module.exports = ProcessLogging;
\ No newline at end of file
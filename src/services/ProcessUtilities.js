@@ -3,27 +3,87 @@
  * Handles process information retrieval and utilities
  */
 
-const { promisify } = require('util');
-const { exec } = require('child_process');
 const log = require('electron-log');
-const path = require('path');
-
-const execAsync = promisify(exec);
+const { createPlatformAdapter } = require('./platform');
+const SecretRedactor = require('../utils/SecretRedactor');
+
+// Windows processes that must never be stopped, by exact image name
+const CRITICAL_SYSTEM_PROCESSES = [
+  'system',
+  'smss.exe',
+  'csrss.exe',
+  'wininit.exe',
+  'winlogon.exe',
+  'services.exe',
+  'lsass.exe',
+  'lsm.exe',
+  'svchost.exe',
+  'dwm.exe',
+  'explorer.exe',
+  'taskmgr.exe',
+  'spoolsv.exe',
+  'wmiprvse.exe',
+  'msmpeng.exe' // Windows Defender
+];
+
+// Shells in %SystemRoot% that dev servers are started through (npm run on Windows uses cmd.exe)
+const SERVER_SHELLS = ['cmd.exe', 'powershell.exe', 'conhost.exe'];
+
+// %SystemRoot% as command lines spell it, lower-case with a trailing separator
+const SYSTEM_ROOTS = Array.from(new Set(
+  [process.env.SystemRoot, process.env.windir, 'C:\\Windows']
+    .filter(Boolean)
+    .map(root => `${root.replace(/[\\/]+$/, '').toLowerCase()}\\`)
+));
+
+// Linux processes that must never be stopped, by exact (lower-case) name; systemd-* is matched by prefix.
+// Most run as root and are refused for that anyway, these also cover per-user instances
+// (systemd --user, session buses, the desktop) and SSH sessions
+const CRITICAL_LINUX_PROCESSES = [
+  'init',
+  'systemd',
+  'sshd',
+  'sshd-session',
+  'dbus-daemon',
+  'dbus-broker',
+  'polkitd',
+  'networkmanager',
+  'login',
+  'agetty',
+  'xorg',
+  'xwayland',
+  'gnome-shell',
+  'kwin_wayland',
+  'kwin_x11',
+  'plasmashell',
+  'pipewire',
+  'wireplumber',
+  'pulseaudio'
+];
+
+// Parent PID of every kernel thread (kthreadd)
+const KERNEL_THREAD_PARENT = 2;
 
 class ProcessUtilities {
-  constructor() {
-    // Configuration
+  constructor(platformAdapter = createPlatformAdapter()) {
+    // Platform backend (wmic/tasklist on Windows, procfs on Linux)
+    this.platform = platformAdapter;
+    this.redactor = new SecretRedactor();
   }
 
   /**
    * Get detailed process information
+   * Uses the key=value layout of `wmic ... /format:list` so callers can keep string matching
    * @param {number} pid - Process ID
    * @returns {Promise<string>} Process information string
    */
   async getProcessInfo(pid) {
     try {
-      const { stdout } = await execAsync(`wmic process where ProcessId=${pid} get Name,CommandLine,ExecutablePath /format:list`);
-      return stdout;
+      const processInfo = await this.platform.getProcess(pid);
+      if (!processInfo) return null;
+
+      const executablePath = await this.platform.getExecutablePath(pid);
+      return `CommandLine=${processInfo.command}\nExecutablePath=${executablePath || ''}\nName=${processInfo.name}\n`;
     } catch (error) {
       return null;
     }
@@ -36,68 +96,47 @@ class ProcessUtilities {
    */
   async verifyProcessExists(pid) {
     try {
-      // Try multiple methods to verify process existence
-      const methods = [
-        `tasklist /fi "PID eq ${pid}" /fo csv /nh`,
-        `wmic process where "ProcessId=${pid}" get ProcessId /format:list`,
-        `powershell -Command "Get-Process -Id ${pid} -ErrorAction SilentlyContinue"`
-      ];
-
-      for (const method of methods) {
-        try {
-          const { stdout } = await execAsync(method);
-          if (stdout.trim().length > 0 && !stdout.toLowerCase().includes('no task')) {
-            return true;
-          }
-        } catch (methodError) {
-          continue; // Try next method
-        }
-      }
-
-      return false;
+      return await this.platform.processExists(pid);
     } catch (error) {
       return false;
     }
   }
 
   /**
-   * Get process information including children processes
+   * Get a process with all of its descendants as a nested tree
    * @param {number} pid - Process ID
-   * @returns {Promise<Object>} Process information
+   * @param {number} maxDepth - Maximum number of generations to walk
+   * @returns {Promise<Object|null>} Tree node ({ pid, name, commandLine, parentPid, children })
    */
-  async getProcessTree(pid) {
+  async getProcessTree(pid, maxDepth = 8) {
     try {
-      // Get process details
-      const { stdout } = await execAsync(`wmic process where "ProcessId=${pid}" get Name,ProcessId,ParentProcessId,CommandLine /format:csv`);
-
-      const lines = stdout.split('\n').filter(line => line.trim());
-      if (lines.length < 2) return null;
-
-      // Parse the main process
-      const mainProcess = this.parseWmicLine(lines[1]);
-
-      // Get child processes
-      const { stdout: childStdout } = await execAsync(`wmic process where "ParentProcessId=${pid}" get ProcessId,Name /format:csv`);
-      const childLines = childStdout.split('\n').filter(line => line.trim());
-
-      const children = [];
-      for (let i = 1; i < childLines.length; i++) {
-        const child = this.parseWmicLine(childLines[i]);
-        if (child && child.ProcessId) {
-          children.push({
-            pid: parseInt(child.ProcessId),
-            name: child.Name || 'Unknown'
+      const mainProcess = await this.platform.getProcess(pid);
+      if (!mainProcess) return null;
+
+      const root = this.toTreeNode(mainProcess);
+      const seen = new Set([root.pid]);
+      const listChildren = await this.platform.createChildLookup();
+      let generation = [root];
+
+      // Walk one generation at a time so each level is queried in parallel
+      for (let depth = 0; depth < maxDepth && generation.length > 0; depth++) {
+        const childLists = await Promise.all(
+          generation.map(node => listChildren(node.pid))
+        );
+
+        const next = [];
+        generation.forEach((node, index) => {
+          childLists[index].filter(child => !seen.has(child.pid)).forEach(child => {
+            seen.add(child.pid);
+            const childNode = this.toTreeNode(child);
+            node.children.push(childNode);
+            next.push(childNode);
           });
-        }
+        });
+        generation = next;
       }
 
-      return {
-        pid: parseInt(mainProcess.ProcessId),
-        name: mainProcess.Name || 'Unknown',
-        commandLine: mainProcess.CommandLine || '',
-        parentPid: mainProcess.ParentProcessId ? parseInt(mainProcess.ParentProcessId) : null,
-        children
-      };
+      return root;
 
     } catch (error) {
       log.error(`Error getting process tree for PID ${pid}:`, error);
@@ -106,24 +145,69 @@ class ProcessUtilities {
   }
 
   /**
-   * Parse WMIC CSV output line
-   * @param {string} line - CSV line
-   * @returns {Object} Parsed object
+   * Convert a platform process object into a process tree node
+   * @param {Object} processInfo - Process object from the platform adapter
+   * @returns {Object} Tree node ({ pid, name, commandLine, parentPid, children })
    */
-  parseWmicLine(line) {
-    const parts = line.split(',');
-    const result = {};
-
-    // The first line contains headers, but we'll map by position for simplicity
-    if (parts.length >= 4) {
-      result.Node = parts[0];
-      result.Name = parts[1];
-      result.ProcessId = parts[2];
-      result.ParentProcessId = parts[3];
-      result.CommandLine = parts.slice(4).join(',');
+  toTreeNode(processInfo) {
+    return {
+      pid: processInfo.pid,
+      name: processInfo.name || 'Unknown',
+      commandLine: processInfo.command || '',
+      parentPid: processInfo.parentPid || null,
+      children: []
+    };
+  }
+
+  /**
+   * List the descendants of a process tree, deepest first
+   * Children come before their parents so a parent cannot respawn an already stopped child
+   * @param {Object} tree - Tree from getProcessTree
+   * @returns {Array} Descendants ({ pid, name, commandLine, parentPid, depth }), root excluded
+   */
+  flattenProcessTree(tree) {
+    const descendants = [];
+
+    const visit = (node, depth) => {
+      node.children.forEach(child => visit(child, depth + 1));
+      if (depth > 0) {
+        descendants.push({ pid: node.pid, name: node.name, commandLine: node.commandLine, parentPid: node.parentPid, depth });
+      }
+    };
+
+    if (tree) visit(tree, 0);
+    return descendants.sort((a, b) => b.depth - a.depth);
+  }
+
+  /**
+   * Get all descendants of a process, breadth first
+   * @param {number} pid - Root process ID
+   * @param {number} maxDepth - Maximum number of generations to walk
+   * @returns {Promise<Array>} Array of process objects (root excluded)
+   */
+  async getDescendants(pid, maxDepth = 5) {
+    const descendants = [];
+    const seen = new Set([pid]);
+    let generation = [pid];
+
+    try {
+      const listChildren = await this.platform.createChildLookup();
+      for (let depth = 0; depth < maxDepth && generation.length > 0; depth++) {
+        const children = (await Promise.all(
+          generation.map(parentPid => listChildren(parentPid))
+        )).flat().filter(child => !seen.has(child.pid));
+
+        children.forEach(child => {
+          seen.add(child.pid);
+          descendants.push(child);
+        });
+        generation = children.map(child => child.pid);
+      }
+    } catch (error) {
+      log.error(`Error getting descendants for PID ${pid}:`, error);
     }
 
-    return result;
+    return descendants;
   }
 
   /**
@@ -133,12 +217,8 @@ class ProcessUtilities {
    */
   async isDevelopmentServer(pid) {
     try {
-      const { stdout } = await execAsync(`wmic process where "ProcessId=${pid}" get CommandLine /format:csv`);
-
-      const lines = stdout.split('\n').filter(line => line.trim());
-      if (lines.length < 2) return false;
-
-      const commandLine = lines[1].split(',').slice(4).join(',').toLowerCase();
+      const commandLine = (await this.platform.getCommandLine(pid)).toLowerCase();
+      if (!commandLine) return false;
 
       // Check for development server indicators
       const devServerIndicators = [
@@ -175,17 +255,13 @@ class ProcessUtilities {
    */
   async getProcessResources(pid) {
     try {
-      const { stdout } = await execAsync(`wmic process where "ProcessId=${pid}" get WorkingSetSize,UserModeTime,KernelModeTime /format:csv`);
-
-      const lines = stdout.split('\n').filter(line => line.trim());
-      if (lines.length < 2) return null;
-
-      const parts = lines[1].split(',');
+      const resources = await this.platform.getResources(pid);
+      if (!resources) return null;
 
       return {
-        memoryUsage: parts[1] ? parseInt(parts[1]) / 1024 / 1024 : 0, // Convert to MB
-        userTime: parts[2] ? parseInt(parts[2]) : 0,
-        kernelTime: parts[3] ? parseInt(parts[3]) : 0
+        memoryUsage: resources.memoryUsage, // MB
+        userTime: resources.userTime,
+        kernelTime: resources.kernelTime
       };
 
     } catch (error) {
@@ -201,24 +277,21 @@ class ProcessUtilities {
    */
   async getProcessWorkingDirectory(pid) {
     try {
-      const { stdout } = await execAsync(`wmic process where "ProcessId=${pid}" get ExecutablePath /format:csv`);
-
-      const lines = stdout.split('\n').filter(line => line.trim());
-      if (lines.length < 2) return null;
-
-      const executablePath = lines[1].split(',')[1];
-      if (executablePath) {
-        return path.dirname(executablePath);
-      }
-
-      return null;
-
+      return await this.platform.getCwd(pid);
     } catch (error) {
       log.error(`Error getting working directory for PID ${pid}:`, error);
       return null;
     }
   }
 
+  /**
+   * Check whether working directories of other processes can be read on this platform
+   * @returns {boolean} True if getProcessWorkingDirectory can return one
+   */
+  canReadWorkingDirectory() {
+    return this.platform.canReadCwd();
+  }
+
   /**
    * Check if a process is the main Electron application process
    * @param {number} pid - Process ID
@@ -241,12 +314,11 @@ class ProcessUtilities {
       }
 
       // Check for indicators that this is our main Electron process
-      const isElectronMain = processInfo.toLowerCase().includes('electron.exe') &&
-                           processInfo.toLowerCase().includes('main.js');
+      const info = processInfo.toLowerCase();
+      const isElectronMain = info.includes('electron') && info.includes('main.js');
 
       // Also check parent processes to prevent killing parent of our app
-      const { stdout } = await execAsync(`wmic process where ProcessId=${currentPid} get ParentProcessId /format:csv`);
-      const parentPid = parseInt(stdout.split(',')[1]);
+      const parentPid = process.ppid;
 
       return isElectronMain || pid === parentPid;
 
@@ -263,76 +335,21 @@ class ProcessUtilities {
    */
   async getProcessDetails(pid) {
     try {
-      const { stdout } = await execAsync(`tasklist /fi "PID eq ${pid}" /fo csv /nh`);
-      const processes = this.parseTasklistOutput(stdout);
-      return processes[0] || null;
+      return await this.platform.getProcess(pid);
     } catch (error) {
       log.error(`Error getting process details for PID ${pid}:`, error);
       return null;
     }
   }
 
-  /**
-   * Parse tasklist CSV output
-   * @param {string} output - Raw tasklist output
-   * @returns {Array} Array of process objects
-   */
-  parseTasklistOutput(output) {
-    const processes = [];
-    const lines = output.split('\n').filter(line => line.trim());
-
-    for (const line of lines) {
-      try {
-        // Parse CSV format: "Image Name","PID","Session Name","Session#","Mem Usage"
-        const parts = line.match(/"([^"]*)"/g);
-        if (parts && parts.length >= 2) {
-          const imageName = parts[0].replace(/"/g, '');
-          const pid = parseInt(parts[1].replace(/"/g, ''), 10);
-
-          if (!isNaN(pid) && imageName) {
-            processes.push({
-              pid,
-              name: imageName,
-              command: imageName
-            });
-          }
-        }
-      } catch (error) {
-        log.warn('Error parsing process line:', line, error);
-      }
-    }
-
-    return processes;
-  }
-
   /**
    * Sanitize sensitive information from process command line
    * @param {string} commandLine - Original command line
-   * @returns {string} Sanitized command line
+   * @returns {string} Command line with secrets redacted
    */
   sanitizeCommandLine(commandLine) {
     if (!commandLine) return '';
-
-    let sanitized = commandLine;
-
-    // Remove sensitive information like passwords, tokens, keys
-    const sensitivePatterns = [
-      /password=[^\s]+/gi,
-      /token=[^\s]+/gi,
-      /key=[^\s]+/gi,
-      /secret=[^\s]+/gi,
-      /auth=[^\s]+/gi,
-      /credential=[^\s]+/gi
-    ];
-
-    sensitivePatterns.forEach(pattern => {
-      sanitized = sanitized.replace(pattern, match => {
-        const key = match.split('=')[0];
-        return `${key}=***REDACTED***`;
-      });
-    });
-
-    return sanitized;
+    return this.redactor.redact(commandLine);
   }
 
   /**
@@ -348,80 +365,89 @@ class ProcessUtilities {
   }
 
   /**
-   * Check if a process is a Windows system process (ABSOLUTELY PROHIBITED)
+   * Check if a process is a system process (ABSOLUTELY PROHIBITED)
    * @param {number} pid - Process ID to check
    * @returns {Promise<boolean>} True if this is a system process
    */
   async isSystemProcess(pid) {
     try {
-      // Method 1: Check against known system process list
-      const { stdout } = await this.getProcessCommandLine(pid);
-      if (!stdout) return false;
-
-      const commandLine = stdout.toLowerCase();
-      const processName = stdout.split(/[,\s]+/)[0]?.split('=')[1]?.trim() || '';
-
-      // Windows system processes that should NEVER be terminated
-      const criticalSystemProcesses = [
-        'services.exe',
-        'wininit.exe',
-        'csrss.exe',
-        'dwm.exe',
-        'winlogon.exe',
-        'explorer.exe',
-        'taskmgr.exe',
-        'lsm.exe',
-        'smss.exe',
-        'winlogon.exe',
-        'wmiprvse.exe',
-        'win32k.sys',
-        'kernel32.dll',
-        'user32.dll',
-        'ntdll.dll',
-        'svchost.exe',
-        'conhost.exe',
-        'lsass.exe',
-        'spoolsv.exe',
-        'powershell.exe',
-        'cmd.exe'
-      ];
-
-      // Check if process name matches critical system processes
-      for (const sysProc of criticalSystemProcesses) {
-        if (processName.includes(sysProc.toLowerCase())) {
-          return true;
-        }
-      }
-
-      // Method 2: Check for system indicators in command line
-      const systemIndicators = [
-        'system32',
-        'windows',
-        'systemroot',
-        'windir',
-        'c:\\windows\\',
-        'c:\\program files\\',
-        '\\system32\\',
-        'system directory',
-        'microsoft',
-        'windows defender',
-        'security',
-        'antivirus'
-      ];
+      const processInfo = await this.platform.getProcess(pid);
+      if (!processInfo) return false;
 
-      for (const indicator of systemIndicators) {
-        if (commandLine.includes(indicator.toLowerCase())) {
-          return true;
-        }
+      if (this.platform.platform === 'linux') {
+        return await this.isLinuxSystemProcess(processInfo);
       }
-
-      return false;
+      return ProcessUtilities.isWindowsSystemProcess(processInfo);
     } catch (error) {
       log.warn('Error checking if process is system process:', error);
       return false;
     }
   }
 
+  /**
+   * Check if a process is a Windows system process
+   * Matches exact image names and executables under %SystemRoot%. Installed
+   * programs (node in C:\Program Files\nodejs) are not system processes, and
+   * neither are the shells npm and friends run servers through
+   * @param {Object} processInfo - Process object
+   * @returns {boolean} True if this is a system process
+   */
+  static isWindowsSystemProcess(processInfo) {
+    const imageName = ProcessUtilities.getImageName(processInfo.name);
+    if (CRITICAL_SYSTEM_PROCESSES.includes(imageName)) {
+      return true;
+    }
+    if (SERVER_SHELLS.includes(imageName)) {
+      return false;
+    }
+
+    const executable = ProcessUtilities.getExecutableFromCommand(processInfo.command).toLowerCase();
+    return SYSTEM_ROOTS.some(root => executable.startsWith(root));
+  }
+
+  /**
+   * Check if a process is a Linux system process
+   * Refuses init and the kernel's own threads, critical daemons by name and
+   * anything running as root. Dev servers run as the user
+   * @param {Object} processInfo - Process object
+   * @returns {Promise<boolean>} True if this is a system process
+   */
+  async isLinuxSystemProcess(processInfo) {
+    if (processInfo.pid === 1 || processInfo.parentPid === 0 || processInfo.parentPid === KERNEL_THREAD_PARENT) {
+      return true;
+    }
+
+    const name = String(processInfo.name || '').trim().toLowerCase();
+    if (CRITICAL_LINUX_PROCESSES.includes(name) || name.startsWith('systemd-')) {
+      return true;
+    }
+
+    return await this.platform.getOwnerUid(processInfo.pid) === 0;
+  }
+
+  /**
+   * Get the lower-case image name of a process name or path
+   * @param {string} name - Process name, possibly with a directory
+   * @returns {string} Image name, such as 'svchost.exe'
+   */
+  static getImageName(name) {
+    return String(name || '').split(/[\\/]/).pop().trim().toLowerCase();
+  }
+
+  /**
+   * Get the executable a command line starts with
+   * @param {string} commandLine - Command line, executable quoted or not
+   * @returns {string} Executable path or name ('' for an empty command line)
+   */
+  static getExecutableFromCommand(commandLine) {
+    const command = String(commandLine || '').trim();
+    if (command.startsWith('"')) {
+      const end = command.indexOf('"', 1);
+      return end === -1 ? command.slice(1) : command.slice(1, end);
+    }
+    return command.split(/\s+/)[0];
+  }
+
   /**
    * Safe parseInt for PID values
    * @param {string|number} value - Value to parse
@@ -439,14 +465,11 @@ class ProcessUtilities {
   /**
    * Get process environment variables
    * @param {number} pid - Process ID
-   * @returns {Promise<Object>} Environment variables
+   * @returns {Promise<Object>} Environment variables with secrets redacted (empty where the platform cannot read them)
    */
   async getProcessEnvironment(pid) {
     try {
-      // This is a more complex operation that may require additional tools
-      // For now, return basic info
-      const { stdout } = await execAsync(`wmic process where ProcessId=${pid} get CommandLine /format:csv`);
-      return { commandLine: stdout };
+      return this.redactor.redactEnvironment(await this.platform.getEnv(pid));
     } catch (error) {
       log.error(`Error getting process environment for PID ${pid}:`, error);
       return {};
@@ -460,17 +483,13 @@ class ProcessUtilities {
    */
   async getProcessMemoryInfo(pid) {
     try {
-      const { stdout } = await execAsync(`wmic process where ProcessId=${pid} get WorkingSetSize,PageFileUsage,VirtualSize /format:csv`);
-
-      const lines = stdout.split('\n').filter(line => line.trim());
-      if (lines.length < 2) return null;
-
-      const parts = lines[1].split(',');
+      const resources = await this.platform.getResources(pid);
+      if (!resources) return null;
 
       return {
-        workingSetSize: parts[1] ? parseInt(parts[1]) / 1024 / 1024 : 0, // MB
-        pageFileUsage: parts[2] ? parseInt(parts[2]) / 1024 / 1024 : 0, // MB
-        virtualSize: parts[3] ? parseInt(parts[3]) / 1024 / 1024 : 0 // MB
+        workingSetSize: resources.memoryUsage, // MB
+        pageFileUsage: resources.swapUsage, // MB
+        virtualSize: resources.virtualSize // MB
       };
 
     } catch (error) {
@@ -0,0 +1,177 @@
+/**
+ * Project Resolver
+ * Works out which project a server belongs to from its working directory:
+ * the nearest package.json names it, the git repository root bounds it and
+ * the checked out branch is shown next to it
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const log = require('electron-log');
+
+class ProjectResolver {
+  /**
+   * @param {ProcessUtilities} processUtils - Reads process working directories
+   * @param {ServerProfiles} profiles - Profile store, managed servers use their profile's cwd
+   * @param {Object} options - Resolver options
+   * @param {number} options.cacheTtl - How long a resolved directory is reused in milliseconds
+   */
+  constructor(processUtils, profiles = null, options = {}) {
+    this.processUtils = processUtils;
+    this.profiles = profiles;
+    this.cacheTtl = options.cacheTtl !== undefined ? options.cacheTtl : 10000; // 10 seconds
+    this.cache = new Map(); // directory -> { project, resolvedAt }
+
+    // Where process working directories cannot be read (Windows), only servers
+    // started from a profile or by Docker Compose are placed in a project
+    this.readsProcessCwd = processUtils.canReadWorkingDirectory();
+    if (!this.readsProcessCwd) {
+      log.info('Process working directories cannot be read on this platform; grouping by project only covers profiles and Compose containers');
+    }
+  }
+
+  /**
+   * Add a `project` field ({ id, name, root, gitRoot, branch } or null) and the
+   * `cwd` it was resolved from (or null) to every server
+   * @param {Array} servers - Detected servers
+   * @returns {Promise<Array>} Servers with their project
+   */
+  async annotateServers(servers) {
+    const profiles = this.profiles ? await this.profiles.getProfiles() : [];
+
+    return await Promise.all(servers.map(async server => {
+      const profile = server.profileId ? profiles.find(item => item.id === server.profileId) : null;
+      let directory = null;
+      if (profile && profile.cwd) {
+        directory = profile.cwd;
+      } else if (server.container) {
+        // Compose records where the stack was brought up; a container's own cwd is inside its image
+        directory = server.container.workingDir;
+      } else if (this.readsProcessCwd) {
+        directory = await this.processUtils.getProcessWorkingDirectory(server.pid);
+      }
+
+      return { ...server, cwd: directory || null, project: directory ? await this.resolve(directory) : null };
+    }));
+  }
+
+  /**
+   * Resolve the project of a directory, using the cache when it is fresh
+   * @param {string} directory - Absolute directory
+   * @returns {Promise<Object|null>} Project ({ id, name, root, gitRoot, branch }) or null outside any project
+   */
+  async resolve(directory) {
+    const cached = this.cache.get(directory);
+    if (cached && Date.now() - cached.resolvedAt < this.cacheTtl) {
+      return cached.project;
+    }
+
+    let project = null;
+    try {
+      project = await this.findProject(directory);
+    } catch (error) {
+      log.error(`Error resolving project for ${directory}:`, error);
+    }
+
+    this.cache.set(directory, { project, resolvedAt: Date.now() });
+    return project;
+  }
+
+  /**
+   * Walk up from a directory to the nearest package.json and the git root
+   * The search stops at the git root, so a package.json outside the repository is never used
+   * @param {string} directory - Absolute directory
+   * @returns {Promise<Object|null>} Project or null
+   */
+  async findProject(directory) {
+    let packageInfo = null;
+    let gitRoot = null;
+    let current = path.resolve(directory);
+
+    while (true) {
+      if (!packageInfo) {
+        packageInfo = await this.readPackage(current);
+      }
+
+      if (await this.exists(path.join(current, '.git'))) {
+        gitRoot = current;
+        break;
+      }
+
+      const parent = path.dirname(current);
+      if (parent === current) break;
+      current = parent;
+    }
+
+    if (!packageInfo && !gitRoot) {
+      return null;
+    }
+
+    const root = packageInfo ? packageInfo.root : gitRoot;
+    return {
+      id: root,
+      name: packageInfo ? packageInfo.name : path.basename(gitRoot),
+      root,
+      gitRoot,
+      branch: gitRoot ? await this.readBranch(gitRoot) : null
+    };
+  }
+
+  /**
+   * Read the name of the package.json in a directory
+   * @param {string} directory - Directory to look in
+   * @returns {Promise<Object|null>} { root, name } or null if there is no named package
+   */
+  async readPackage(directory) {
+    try {
+      const content = await fs.readFile(path.join(directory, 'package.json'), 'utf8');
+      const name = JSON.parse(content).name;
+      return typeof name === 'string' && name.trim() ? { root: directory, name: name.trim() } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Read the checked out branch of a repository
+   * Worktrees and submodules have a .git file pointing at the real git directory
+   * @param {string} gitRoot - Repository root
+   * @returns {Promise<string|null>} Branch name, short commit hash when detached, or null
+   */
+  async readBranch(gitRoot) {
+    try {
+      let gitDir = path.join(gitRoot, '.git');
+      const stat = await fs.stat(gitDir);
+
+      if (stat.isFile()) {
+        const pointer = (await fs.readFile(gitDir, 'utf8')).match(/^gitdir:\s*(.+)$/m);
+        if (!pointer) return null;
+        gitDir = path.resolve(gitRoot, pointer[1].trim());
+      }
+
+      const head = (await fs.readFile(path.join(gitDir, 'HEAD'), 'utf8')).trim();
+      const ref = head.match(/^ref:\s*refs\/heads\/(.+)$/);
+      if (ref) return ref[1];
+
+      return /^[0-9a-f]{40,64}$/.test(head) ? head.substring(0, 7) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a path exists
+   * @param {string} target - Path to check
+   * @returns {Promise<boolean>} True if it exists
+   */
+  async exists(target) {
+    try {
+      await fs.access(target);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = ProjectResolver;
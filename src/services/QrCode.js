@@ -0,0 +1,431 @@
+/**
+ * QR Code Module
+ * Encodes short text (LAN URLs) as a QR code and renders it as SVG, so a
+ * phone on the same network can open a dev server by scanning the screen.
+ * Byte mode, error correction level M, versions 1-10 (up to 213 bytes)
+ */
+
+// Error correction codewords per block and block layout ([count, data codewords]) at level M
+const VERSIONS = [
+  null,
+  { ecPerBlock: 10, groups: [[1, 16]], alignment: [] },
+  { ecPerBlock: 16, groups: [[1, 28]], alignment: [6, 18] },
+  { ecPerBlock: 26, groups: [[1, 44]], alignment: [6, 22] },
+  { ecPerBlock: 18, groups: [[2, 32]], alignment: [6, 26] },
+  { ecPerBlock: 24, groups: [[2, 43]], alignment: [6, 30] },
+  { ecPerBlock: 16, groups: [[4, 27]], alignment: [6, 34] },
+  { ecPerBlock: 18, groups: [[4, 31]], alignment: [6, 22, 38] },
+  { ecPerBlock: 22, groups: [[2, 38], [2, 39]], alignment: [6, 24, 42] },
+  { ecPerBlock: 22, groups: [[3, 36], [2, 37]], alignment: [6, 26, 46] },
+  { ecPerBlock: 26, groups: [[4, 43], [1, 44]], alignment: [6, 28, 50] }
+];
+
+// Format information bits of error correction level M
+const EC_LEVEL_M = 0;
+
+// Penalty weights from the specification's mask evaluation
+const PENALTY_RUN = 3;
+const PENALTY_BLOCK = 3;
+const PENALTY_FINDER_LIKE = 40;
+const PENALTY_BALANCE = 10;
+
+// GF(256) tables for Reed-Solomon, primitive polynomial x^8 + x^4 + x^3 + x^2 + 1
+const EXP = new Array(512);
+const LOG = new Array(256);
+(() => {
+  let value = 1;
+  for (let i = 0; i < 255; i++) {
+    EXP[i] = value;
+    LOG[value] = i;
+    value <<= 1;
+    if (value & 0x100) value ^= 0x11d;
+  }
+  for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+})();
+
+class QrCode {
+  /**
+   * Encode text as a QR code
+   * @param {string} text - Text to encode, as UTF-8 bytes
+   * @returns {Object} { version, size, modules } with modules[y][x] true for dark
+   */
+  static encode(text) {
+    const bytes = Array.from(Buffer.from(String(text), 'utf8'));
+    const version = QrCode.getVersion(bytes.length);
+    const codewords = QrCode.addErrorCorrection(QrCode.createDataCodewords(bytes, version), version);
+
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const qr = { version, size, modules, reserved };
+
+    QrCode.drawFunctionPatterns(qr);
+    QrCode.drawCodewords(qr, codewords);
+
+    // Keep the mask with the lowest penalty
+    let best = null;
+    for (let mask = 0; mask < 8; mask++) {
+      QrCode.applyMask(qr, mask);
+      QrCode.drawFormatBits(qr, mask);
+      const penalty = QrCode.getPenalty(qr);
+      if (!best || penalty < best.penalty) best = { mask, penalty };
+      QrCode.applyMask(qr, mask); // XOR again to undo
+    }
+
+    QrCode.applyMask(qr, best.mask);
+    QrCode.drawFormatBits(qr, best.mask);
+
+    return { version, size, modules };
+  }
+
+  /**
+   * Render text as an SVG QR code with the standard four module quiet zone
+   * @param {string} text - Text to encode
+   * @param {Object} options - Rendering options
+   * @param {number} options.scale - Pixels per module
+   * @returns {string} SVG markup
+   */
+  static toSvg(text, options = {}) {
+    const { size, modules } = QrCode.encode(text);
+    const scale = options.scale || 4;
+    const quiet = 4;
+    const dimension = size + quiet * 2;
+
+    const path = [];
+    modules.forEach((row, y) => {
+      row.forEach((dark, x) => {
+        if (dark) path.push(`M${x + quiet},${y + quiet}h1v1h-1z`);
+      });
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" width="${dimension * scale}" height="${dimension * scale}" shape-rendering="crispEdges">` +
+      `<rect width="100%" height="100%" fill="#fff"/><path d="${path.join('')}" fill="#000"/></svg>`;
+  }
+
+  /**
+   * Pick the smallest version whose data capacity fits the text
+   * @param {number} length - Text length in bytes
+   * @returns {number} Version
+   */
+  static getVersion(length) {
+    for (let version = 1; version < VERSIONS.length; version++) {
+      const countBits = version < 10 ? 8 : 16;
+      if (4 + countBits + length * 8 <= QrCode.getDataCapacity(version) * 8) return version;
+    }
+    throw new Error(`Text is too long for a QR code (${length} bytes)`);
+  }
+
+  /**
+   * Count the data codewords of a version
+   * @param {number} version - Version
+   * @returns {number} Data codewords
+   */
+  static getDataCapacity(version) {
+    return VERSIONS[version].groups.reduce((total, [count, data]) => total + count * data, 0);
+  }
+
+  /**
+   * Build the data codewords: byte mode header, data, terminator and padding
+   * @param {Array<number>} bytes - Text bytes
+   * @param {number} version - Version
+   * @returns {Array<number>} Data codewords
+   */
+  static createDataCodewords(bytes, version) {
+    const capacity = QrCode.getDataCapacity(version) * 8;
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    push(0b0100, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xec; codewords.length < capacity / 8; pad ^= 0xec ^ 0x11) {
+      codewords.push(pad);
+    }
+    return codewords;
+  }
+
+  /**
+   * Split the data into blocks, add Reed-Solomon codewords and interleave them
+   * @param {Array<number>} data - Data codewords
+   * @param {number} version - Version
+   * @returns {Array<number>} Final codeword sequence
+   */
+  static addErrorCorrection(data, version) {
+    const { ecPerBlock, groups } = VERSIONS[version];
+    const generator = QrCode.createGenerator(ecPerBlock);
+
+    const blocks = [];
+    let offset = 0;
+    groups.forEach(([count, length]) => {
+      for (let i = 0; i < count; i++) {
+        const blockData = data.slice(offset, offset + length);
+        offset += length;
+        blocks.push({ data: blockData, ec: QrCode.getRemainder(blockData, generator) });
+      }
+    });
+
+    const result = [];
+    const longest = Math.max(...blocks.map(block => block.data.length));
+    for (let i = 0; i < longest; i++) {
+      blocks.forEach(block => {
+        if (i < block.data.length) result.push(block.data[i]);
+      });
+    }
+    for (let i = 0; i < ecPerBlock; i++) {
+      blocks.forEach(block => result.push(block.ec[i]));
+    }
+    return result;
+  }
+
+  /**
+   * Build the Reed-Solomon generator polynomial (x - a^0)...(x - a^(degree-1))
+   * @param {number} degree - Number of error correction codewords
+   * @returns {Array<number>} Coefficients, highest power first, without the leading 1
+   */
+  static createGenerator(degree) {
+    let polynomial = [1];
+    for (let i = 0; i < degree; i++) {
+      const next = new Array(polynomial.length + 1).fill(0);
+      polynomial.forEach((coefficient, j) => {
+        next[j] ^= coefficient;
+        next[j + 1] ^= QrCode.multiply(coefficient, EXP[i]);
+      });
+      polynomial = next;
+    }
+    return polynomial.slice(1);
+  }
+
+  /**
+   * Compute the Reed-Solomon remainder of a block
+   * @param {Array<number>} data - Block data codewords
+   * @param {Array<number>} generator - Generator from createGenerator
+   * @returns {Array<number>} Error correction codewords
+   */
+  static getRemainder(data, generator) {
+    const remainder = new Array(generator.length).fill(0);
+    data.forEach(byte => {
+      const factor = byte ^ remainder.shift();
+      remainder.push(0);
+      generator.forEach((coefficient, i) => {
+        remainder[i] ^= QrCode.multiply(coefficient, factor);
+      });
+    });
+    return remainder;
+  }
+
+  /**
+   * Multiply in GF(256)
+   * @param {number} a - Element
+   * @param {number} b - Element
+   * @returns {number} Product
+   */
+  static multiply(a, b) {
+    return a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]];
+  }
+
+  /**
+   * Draw finder, timing and alignment patterns, reserve the format and version areas
+   * @param {Object} qr - Symbol being built
+   */
+  static drawFunctionPatterns(qr) {
+    const { size, version } = qr;
+
+    for (let i = 0; i < size; i++) {
+      QrCode.setFunctionModule(qr, 6, i, i % 2 === 0);
+      QrCode.setFunctionModule(qr, i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x >= 0 && x < size && y >= 0 && y < size) {
+            QrCode.setFunctionModule(qr, x, y, distance !== 2 && distance !== 4);
+          }
+        }
+      }
+    });
+
+    // Alignment patterns, except where they would overlap a finder
+    const positions = VERSIONS[version].alignment;
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+      positions.forEach((cy, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            QrCode.setFunctionModule(qr, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    // Reserve the format areas (drawn for real once the mask is known) and the dark module
+    QrCode.drawFormatBits(qr, 0);
+
+    if (version >= 7) {
+      let remainder = version;
+      for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+      const bits = (version << 12) | remainder;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        QrCode.setFunctionModule(qr, a, b, dark);
+        QrCode.setFunctionModule(qr, b, a, dark);
+      }
+    }
+  }
+
+  /**
+   * Draw both copies of the 15 format bits for error correction level M and a mask
+   * @param {Object} qr - Symbol being built
+   * @param {number} mask - Mask pattern (0-7)
+   */
+  static drawFormatBits(qr, mask) {
+    const { size } = qr;
+    const data = (EC_LEVEL_M << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+
+    for (let i = 0; i <= 5; i++) QrCode.setFunctionModule(qr, 8, i, bit(i));
+    QrCode.setFunctionModule(qr, 8, 7, bit(6));
+    QrCode.setFunctionModule(qr, 8, 8, bit(7));
+    QrCode.setFunctionModule(qr, 7, 8, bit(8));
+    for (let i = 9; i < 15; i++) QrCode.setFunctionModule(qr, 14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) QrCode.setFunctionModule(qr, size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) QrCode.setFunctionModule(qr, 8, size - 15 + i, bit(i));
+    QrCode.setFunctionModule(qr, 8, size - 8, true);
+  }
+
+  /**
+   * Set a module that belongs to a function pattern
+   * @param {Object} qr - Symbol being built
+   * @param {number} x - Column
+   * @param {number} y - Row
+   * @param {boolean} dark - Module color
+   */
+  static setFunctionModule(qr, x, y, dark) {
+    qr.modules[y][x] = dark;
+    qr.reserved[y][x] = true;
+  }
+
+  /**
+   * Place the codewords in the zigzag order, two columns at a time from the bottom right
+   * @param {Object} qr - Symbol being built
+   * @param {Array<number>} codewords - Final codeword sequence
+   */
+  static drawCodewords(qr, codewords) {
+    const { size, modules, reserved } = qr;
+    let index = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // Skip the vertical timing pattern
+      const upward = ((right + 1) & 2) === 0;
+
+      for (let step = 0; step < size; step++) {
+        const y = upward ? size - 1 - step : step;
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          if (reserved[y][x]) continue;
+          // Remainder bits past the last codeword stay light
+          if (index < codewords.length * 8) {
+            modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+            index++;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * XOR a mask pattern over the data modules; applying it twice undoes it
+   * @param {Object} qr - Symbol being built
+   * @param {number} mask - Mask pattern (0-7)
+   */
+  static applyMask(qr, mask) {
+    const conditions = [
+      (x, y) => (x + y) % 2 === 0,
+      (x, y) => y % 2 === 0,
+      (x) => x % 3 === 0,
+      (x, y) => (x + y) % 3 === 0,
+      (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+      (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+      (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+      (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+    ];
+
+    for (let y = 0; y < qr.size; y++) {
+      for (let x = 0; x < qr.size; x++) {
+        if (!qr.reserved[y][x] && conditions[mask](x, y)) qr.modules[y][x] = !qr.modules[y][x];
+      }
+    }
+  }
+
+  /**
+   * Score a masked symbol; lower is easier to scan
+   * @param {Object} qr - Symbol being built
+   * @returns {number} Penalty
+   */
+  static getPenalty(qr) {
+    const { size, modules } = qr;
+    const rows = modules;
+    const columns = modules.map((row, x) => modules.map(line => line[x]));
+    let penalty = 0;
+
+    [...rows, ...columns].forEach(line => {
+      // Runs of five or more modules of one color
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) penalty += PENALTY_RUN + (run - 5);
+          run = 1;
+        }
+      }
+
+      // 1:1:3:1:1 finder-like patterns with four light modules on either side
+      const text = line.map(dark => (dark ? '1' : '0')).join('');
+      for (let i = text.indexOf('1011101'); i !== -1; i = text.indexOf('1011101', i + 1)) {
+        const before = text.slice(Math.max(0, i - 4), i).padStart(4, '0');
+        const after = text.slice(i + 7, i + 11).padEnd(4, '0');
+        if (before === '0000' || after === '0000') penalty += PENALTY_FINDER_LIKE;
+      }
+    });
+
+    // 2x2 blocks of one color
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+          penalty += PENALTY_BLOCK;
+        }
+      }
+    }
+
+    // Deviation of the dark module ratio from 50%, in 5% steps
+    const dark = modules.reduce((total, row) => total + row.filter(Boolean).length, 0);
+    const total = size * size;
+    penalty += Math.floor(Math.abs(dark * 20 - total * 10) / total) * PENALTY_BALANCE;
+
+    return penalty;
+  }
+}
+
+module.exports = QrCode;
@@ -0,0 +1,198 @@
+/**
+ * Readiness Probe Module for ProcessManager
+ * Waits for a freshly started server to signal that it is ready: its port
+ * accepts connections, an HTTP GET returns 2xx, or a log line matches a pattern
+ */
+
+const http = require('http');
+const https = require('https');
+const log = require('electron-log');
+
+// auto picks http when a URL is known, then port, then none
+const READINESS_TYPES = ['auto', 'port', 'http', 'log', 'none'];
+
+class ReadinessProbe {
+  constructor(networkUtils, outputCapture, processUtils, options = {}) {
+    this.networkUtils = networkUtils;
+    this.outputCapture = outputCapture;
+    this.processUtils = processUtils;
+    this.defaultTimeout = options.timeout || 30000; // 30 seconds
+    this.interval = options.interval || 500; // Delay between probes
+  }
+
+  /**
+   * Resolve a readiness configuration into a concrete signal
+   * @param {Object} config - Readiness configuration
+   * @param {string} config.type - One of READINESS_TYPES (defaults to auto)
+   * @param {number} config.port - Port expected to start listening
+   * @param {string} config.url - URL expected to answer with 2xx
+   * @param {string} config.pattern - Regular expression matched against output lines
+   * @param {number} config.timeout - Maximum wait in milliseconds
+   * @returns {Object} Signal ({ type, port, url, pattern, timeout })
+   */
+  resolveSignal(config = {}) {
+    let type = config.type || 'auto';
+
+    if (type === 'auto') {
+      type = config.url ? 'http' : config.port ? 'port' : 'none';
+    }
+
+    return {
+      type,
+      port: config.port ? Number(config.port) : null,
+      url: config.url || null,
+      pattern: config.pattern || null,
+      timeout: config.timeout || this.defaultTimeout
+    };
+  }
+
+  /**
+   * Describe a signal for log and error messages
+   * @param {Object} signal - Resolved signal
+   * @returns {string} Description
+   */
+  describeSignal(signal) {
+    switch (signal.type) {
+      case 'port':
+        return `port ${signal.port} to accept connections`;
+      case 'http':
+        return `HTTP 2xx from ${signal.url}`;
+      case 'log':
+        return `an output line matching /${signal.pattern}/`;
+      default:
+        return 'the process to keep running';
+    }
+  }
+
+  /**
+   * Wait until a started server is ready, exits, or the timeout elapses
+   * @param {Object} launch - Result of startServer ({ newPid, logKey })
+   * @param {Object} config - Readiness configuration (see resolveSignal)
+   * @returns {Promise<Object>} { ready, elapsed, reason, timedOut }
+   */
+  async waitForReady(launch, config = {}) {
+    const signal = this.resolveSignal(config);
+    const startedAt = Date.now();
+
+    if (signal.type === 'none') {
+      return { ready: true, elapsed: 0 };
+    }
+
+    if ((signal.type === 'port' && !signal.port) || (signal.type === 'http' && !signal.url) || (signal.type === 'log' && !signal.pattern)) {
+      return { ready: false, elapsed: 0, reason: `Readiness check "${signal.type}" is missing its target` };
+    }
+
+    const capturing = Boolean(this.outputCapture && launch.logKey);
+    let exitEvent = null;
+    let logMatched = false;
+    const matcher = signal.type === 'log' ? new RegExp(signal.pattern) : null;
+
+    const matchesLines = lines => lines.some(line => line.pid === launch.newPid && matcher.test(line.text));
+    const onExit = event => {
+      if (event.pid === launch.newPid) exitEvent = event;
+    };
+    const onOutput = payload => {
+      if (payload.logKey === launch.logKey && matchesLines(payload.lines)) logMatched = true;
+    };
+
+    if (capturing) {
+      this.outputCapture.on('exit', onExit);
+      if (matcher) {
+        this.outputCapture.on('output', onOutput);
+
+        // Lines printed before the probe started
+        const output = this.outputCapture.getOutput(launch.logKey);
+        logMatched = Boolean(output && matchesLines(output.lines));
+      }
+    }
+
+    log.info(`Waiting up to ${signal.timeout / 1000}s for ${this.describeSignal(signal)} (PID: ${launch.newPid})`);
+
+    try {
+      while (Date.now() - startedAt < signal.timeout) {
+        if (matcher ? logMatched : await this.check(signal)) {
+          const elapsed = Date.now() - startedAt;
+          log.info(`Server ready after ${elapsed}ms (PID: ${launch.newPid})`);
+          return { ready: true, elapsed };
+        }
+
+        if (exitEvent || (!capturing && !(await this.processUtils.verifyProcessExists(launch.newPid)))) {
+          const reason = exitEvent
+            ? `Process exited with ${exitEvent.signal ? `signal ${exitEvent.signal}` : `code ${exitEvent.code}`} before it was ready`
+            : 'Process exited before it was ready';
+          return { ready: false, elapsed: Date.now() - startedAt, reason };
+        }
+
+        await this.sleep(this.interval);
+      }
+
+      return {
+        ready: false,
+        timedOut: true,
+        elapsed: Date.now() - startedAt,
+        reason: `Timed out after ${Math.round(signal.timeout / 1000)}s waiting for ${this.describeSignal(signal)}`
+      };
+    } finally {
+      if (capturing) {
+        this.outputCapture.removeListener('exit', onExit);
+        this.outputCapture.removeListener('output', onOutput);
+      }
+    }
+  }
+
+  /**
+   * Probe a port or HTTP signal once
+   * @param {Object} signal - Resolved signal
+   * @returns {Promise<boolean>} True if the signal is present
+   */
+  async check(signal) {
+    if (signal.type === 'port') {
+      // Dev servers bind either the IPv4 or the IPv6 loopback
+      return await this.networkUtils.testConnection('127.0.0.1', signal.port, 1000) ||
+        await this.networkUtils.testConnection('::1', signal.port, 1000);
+    }
+
+    if (signal.type === 'http') {
+      const statusCode = await this.httpGet(signal.url, 2000);
+      return statusCode !== null && statusCode >= 200 && statusCode < 300;
+    }
+
+    return false;
+  }
+
+  /**
+   * Issue an HTTP GET and report the status code
+   * @param {string} url - URL to request
+   * @param {number} timeout - Request timeout in milliseconds
+   * @returns {Promise<number|null>} Status code or null if the request failed
+   */
+  httpGet(url, timeout) {
+    return new Promise(resolve => {
+      try {
+        const client = url.startsWith('https:') ? https : http;
+        const request = client.get(url, { timeout }, response => {
+          response.resume();
+          resolve(response.statusCode);
+        });
+
+        request.on('timeout', () => request.destroy());
+        request.on('error', () => resolve(null));
+      } catch (error) {
+        resolve(null);
+      }
+    });
+  }
+
+  /**
+   * Sleep helper function
+   * @param {number} ms - Milliseconds to sleep
+   * @returns {Promise<void>}
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+ReadinessProbe.TYPES = READINESS_TYPES;
+
+module.exports = ReadinessProbe;
@@ -0,0 +1,244 @@
+/**
+ * Resource Alert Monitor
+ * Evaluates alert rules against the resource sampler's readings and fires
+ * once a server stays above a threshold for the rule's duration
+ */
+
+const EventEmitter = require('events');
+const log = require('electron-log');
+
+class ResourceAlertMonitor extends EventEmitter {
+  /**
+   * @param {ResourceSampler} sampler - Emits 'samples' ({ pid, timestamp, cpu, rss })
+   * @param {AlertRules} rules - Rule store
+   * @param {Object} options - Monitor options
+   * @param {Function} options.getServers - () => currently detected servers
+   * @param {Function} options.act - async (action, alert) => result, runs stop/restart actions
+   */
+  constructor(sampler, rules, options = {}) {
+    super();
+    this.sampler = sampler;
+    this.rules = rules;
+    this.getServers = options.getServers || (() => []);
+    this.act = options.act || null;
+    this.states = new Map(); // "ruleId:pid" -> { since, alert }
+    this.isEvaluating = false;
+
+    this.handleSamples = this.handleSamples.bind(this);
+  }
+
+  /**
+   * Start evaluating samples
+   */
+  start() {
+    this.sampler.on('samples', this.handleSamples);
+  }
+
+  /**
+   * Stop evaluating samples
+   */
+  stop() {
+    this.sampler.removeListener('samples', this.handleSamples);
+    this.states.clear();
+  }
+
+  /**
+   * Evaluate every enabled rule against a round of samples
+   * @param {Array} samples - Samples from the sampler
+   * @returns {Promise<Array>} Alerts fired by this round
+   */
+  async handleSamples(samples) {
+    if (this.isEvaluating) return [];
+    this.isEvaluating = true;
+
+    try {
+      const rules = (await this.rules.getRules()).filter(rule => rule.enabled);
+      const servers = new Map(this.getServers().map(server => [server.pid, server]));
+      const fired = [];
+
+      this.pruneStates(rules, servers);
+
+      for (const sample of samples) {
+        const server = servers.get(sample.pid);
+        if (!server) continue;
+
+        for (const rule of rules.filter(candidate => this.matchesServer(candidate, server))) {
+          const alert = await this.evaluate(rule, server, sample);
+          if (alert) fired.push(alert);
+        }
+      }
+
+      return fired;
+    } catch (error) {
+      log.error('Error evaluating resource alert rules:', error);
+      return [];
+    } finally {
+      this.isEvaluating = false;
+    }
+  }
+
+  /**
+   * Track how long a server has been over a rule's threshold and fire when it is long enough
+   * @param {Object} rule - Alert rule
+   * @param {Object} server - Server object
+   * @param {Object} sample - Resource sample
+   * @returns {Promise<Object|null>} Alert if the rule fired
+   */
+  async evaluate(rule, server, sample) {
+    const key = `${rule.id}:${server.pid}`;
+    const state = this.states.get(key);
+
+    if (sample[rule.metric] <= rule.threshold) {
+      if (state) this.clear(key);
+      return null;
+    }
+
+    if (!state) {
+      this.states.set(key, { since: sample.timestamp, alert: null });
+      if (rule.duration > 0) return null;
+    }
+
+    const current = this.states.get(key);
+    if (current.alert || sample.timestamp - current.since < rule.duration * 1000) {
+      return null;
+    }
+
+    return await this.fire(key, rule, server, sample, current.since);
+  }
+
+  /**
+   * Fire an alert and run the rule's action
+   * @param {string} key - State key
+   * @param {Object} rule - Alert rule
+   * @param {Object} server - Server object
+   * @param {Object} sample - Sample that completed the duration
+   * @param {number} since - When the server went over the threshold
+   * @returns {Promise<Object>} Alert
+   */
+  async fire(key, rule, server, sample, since) {
+    const value = sample[rule.metric];
+    const alert = {
+      id: key,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      pid: server.pid,
+      serverName: server.name,
+      metric: rule.metric,
+      value,
+      threshold: rule.threshold,
+      duration: rule.duration,
+      action: rule.action,
+      since: new Date(since).toISOString(),
+      timestamp: new Date(sample.timestamp).toISOString(),
+      message: `${server.name} (PID ${server.pid}) ${ResourceAlertMonitor.describe(rule.metric, value)} is over ${ResourceAlertMonitor.describe(rule.metric, rule.threshold)}` +
+        (rule.duration > 0 ? ` for ${rule.duration}s` : '')
+    };
+
+    this.states.get(key).alert = alert;
+    log.warn(`Alert "${rule.name}": ${alert.message}`);
+    this.emit('alert', alert);
+
+    if (rule.action !== 'notify' && this.act) {
+      let result;
+      try {
+        result = await this.act(rule.action, alert);
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+
+      // The process is gone or replaced, so its readings start over
+      if (result && result.success) {
+        this.forgetPid(server.pid);
+      }
+
+      this.emit('action', { alert, action: rule.action, ...result });
+    }
+
+    return alert;
+  }
+
+  /**
+   * Drop a state, telling listeners if its alert was active
+   * @param {string} key - State key
+   */
+  clear(key) {
+    const state = this.states.get(key);
+    this.states.delete(key);
+
+    if (state && state.alert) {
+      log.info(`Alert "${state.alert.ruleName}" cleared for PID ${state.alert.pid}`);
+      this.emit('cleared', state.alert);
+    }
+  }
+
+  /**
+   * Drop every state of a process
+   * @param {number} pid - Process ID
+   */
+  forgetPid(pid) {
+    Array.from(this.states.keys())
+      .filter(key => key.endsWith(`:${pid}`))
+      .forEach(key => this.clear(key));
+  }
+
+  /**
+   * Drop states of deleted or disabled rules and of servers that stopped
+   * @param {Array} rules - Enabled rules
+   * @param {Map} servers - PID -> server
+   */
+  pruneStates(rules, servers) {
+    const ruleIds = new Set(rules.map(rule => rule.id));
+
+    Array.from(this.states.keys()).forEach(key => {
+      const separator = key.lastIndexOf(':');
+      const ruleId = key.substring(0, separator);
+      const pid = Number(key.substring(separator + 1));
+
+      if (!ruleIds.has(ruleId) || !servers.has(pid)) {
+        this.clear(key);
+      }
+    });
+  }
+
+  /**
+   * Check whether a rule applies to a server
+   * @param {Object} rule - Alert rule
+   * @param {Object} server - Server object
+   * @returns {boolean} True if the rule applies
+   */
+  matchesServer(rule, server) {
+    switch (rule.scope) {
+      case 'profile':
+        return server.profileId === rule.scopeValue;
+      case 'command':
+        return (server.command || '').toLowerCase().includes(rule.scopeValue.toLowerCase());
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Get the alerts that are currently active
+   * @returns {Array} Active alerts
+   */
+  getActiveAlerts() {
+    return Array.from(this.states.values())
+      .filter(state => state.alert)
+      .map(state => state.alert);
+  }
+
+  /**
+   * Describe a metric value for messages
+   * @param {string} metric - 'cpu' or 'rss'
+   * @param {number} value - CPU% or MB
+   * @returns {string} Description
+   */
+  static describe(metric, value) {
+    if (metric === 'cpu') {
+      return `CPU ${Math.round(value)}%`;
+    }
+    return `memory ${value >= 1024 ? `${(value / 1024).toFixed(1)} GB` : `${Math.round(value)} MB`}`;
+  }
+}
+
+module.exports = ResourceAlertMonitor;
@@ -0,0 +1,165 @@
+/**
+ * Resource Sampler
+ * Periodically records CPU% and resident memory of every detected server
+ * into per-PID ring buffers, for sparklines and the details chart
+ */
+
+const EventEmitter = require('events');
+const log = require('electron-log');
+const RingBuffer = require('./RingBuffer');
+
+class ResourceSampler extends EventEmitter {
+  /**
+   * @param {ProcessUtilities} processUtils - Reads process resource usage
+   * @param {Object} options - Sampler options
+   * @param {Function} options.getPids - () => PIDs to sample
+   * @param {number} options.interval - Sampling interval in milliseconds
+   * @param {number} options.duration - How much history to keep in milliseconds
+   */
+  constructor(processUtils, options = {}) {
+    super();
+    this.processUtils = processUtils;
+    this.getPids = options.getPids || (() => []);
+    this.interval = options.interval || 5000; // 5 seconds
+    this.duration = options.duration || 60 * 60 * 1000; // 1 hour
+    this.capacity = Math.ceil(this.duration / this.interval);
+    this.series = new Map(); // PID -> RingBuffer of { timestamp, cpu, rss }
+    this.cpuTimes = new Map(); // PID -> { time, cpuTime } of the previous reading
+    this.timer = null;
+    this.isSampling = false;
+  }
+
+  /**
+   * Start sampling
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.sample();
+    }, this.interval);
+
+    this.sample();
+    log.info(`Resource sampler started (${this.interval}ms interval, ${this.capacity} samples per server)`);
+  }
+
+  /**
+   * Stop sampling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Take one sample of every tracked PID and forget PIDs that are no longer tracked
+   * @returns {Promise<Array>} Samples taken ({ pid, timestamp, cpu, rss })
+   */
+  async sample() {
+    if (this.isSampling) return [];
+    this.isSampling = true;
+
+    try {
+      const pids = new Set(this.getPids());
+
+      Array.from(this.series.keys()).forEach(pid => {
+        if (!pids.has(pid)) this.forget(pid);
+      });
+
+      const samples = [];
+      for (const pid of pids) {
+        const sample = await this.samplePid(pid);
+        if (sample) samples.push(sample);
+      }
+
+      if (samples.length > 0) {
+        this.emit('samples', samples);
+      }
+      return samples;
+    } catch (error) {
+      log.error('Error sampling server resources:', error);
+      return [];
+    } finally {
+      this.isSampling = false;
+    }
+  }
+
+  /**
+   * Sample a single process
+   * CPU% needs two readings, so the first reading of a PID only sets the baseline
+   * @param {number} pid - Process ID
+   * @returns {Promise<Object|null>} Sample or null if none was recorded
+   */
+  async samplePid(pid) {
+    const resources = await this.processUtils.getProcessResources(pid);
+    if (!resources) return null;
+
+    const time = Date.now();
+    // userTime and kernelTime are in 100ns units on every platform
+    const cpuTime = (resources.userTime || 0) + (resources.kernelTime || 0);
+    const previous = this.cpuTimes.get(pid);
+    this.cpuTimes.set(pid, { time, cpuTime });
+
+    if (!previous || time <= previous.time || cpuTime < previous.cpuTime) {
+      return null;
+    }
+
+    // 100ns units -> ms, as a share of the elapsed wall time (100% = one full core)
+    const cpu = ((cpuTime - previous.cpuTime) / 1e4) / (time - previous.time) * 100;
+    const sample = {
+      pid,
+      timestamp: time,
+      cpu: Math.round(cpu * 10) / 10,
+      rss: Math.round((resources.memoryUsage || 0) * 10) / 10 // MB
+    };
+
+    if (!this.series.has(pid)) {
+      this.series.set(pid, new RingBuffer(this.capacity));
+    }
+    this.series.get(pid).push({ timestamp: sample.timestamp, cpu: sample.cpu, rss: sample.rss });
+
+    return sample;
+  }
+
+  /**
+   * Drop the history of a PID
+   * @param {number} pid - Process ID
+   */
+  forget(pid) {
+    this.series.delete(pid);
+    this.cpuTimes.delete(pid);
+  }
+
+  /**
+   * Get the recorded samples of a PID, oldest first
+   * @param {number} pid - Process ID
+   * @param {Object} options - Query options
+   * @param {number} options.since - Only samples at or after this epoch time in milliseconds
+   * @param {number} options.limit - Only the newest samples up to this many
+   * @returns {Array} Samples ({ timestamp, cpu, rss })
+   */
+  getHistory(pid, options = {}) {
+    const buffer = this.series.get(pid);
+    if (!buffer) return [];
+
+    const samples = buffer.toArray(options.limit);
+    return options.since ? samples.filter(sample => sample.timestamp >= options.since) : samples;
+  }
+
+  /**
+   * Get the newest samples of every tracked PID
+   * @param {number} limit - Samples per PID
+   * @returns {Object} PID -> samples, oldest first
+   */
+  getRecent(limit) {
+    const recent = {};
+    this.series.forEach((buffer, pid) => {
+      recent[pid] = buffer.toArray(limit);
+    });
+    return recent;
+  }
+}
+
+module.exports = ResourceSampler;
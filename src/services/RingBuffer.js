@@ -0,0 +1,57 @@
+/**
+ * Fixed-capacity ring buffer
+ * Keeps the newest items and overwrites the oldest once full
+ */
+
+class RingBuffer {
+  /**
+   * @param {number} capacity - Maximum number of items kept
+   */
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.start = 0;
+    this.size = 0;
+  }
+
+  /**
+   * Append an item, dropping the oldest if the buffer is full
+   * @param {*} item - Item to append
+   */
+  push(item) {
+    const index = (this.start + this.size) % this.capacity;
+    this.items[index] = item;
+
+    if (this.size < this.capacity) {
+      this.size++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  /**
+   * Get the newest item
+   * @returns {*} Newest item or undefined if empty
+   */
+  last() {
+    return this.size === 0 ? undefined : this.items[(this.start + this.size - 1) % this.capacity];
+  }
+
+  /**
+   * Copy the items out, oldest first
+   * @param {number} limit - Only return the newest items up to this many
+   * @returns {Array} Items
+   */
+  toArray(limit = this.size) {
+    const count = Math.min(limit, this.size);
+    const result = new Array(count);
+    const offset = this.size - count;
+
+    for (let i = 0; i < count; i++) {
+      result[i] = this.items[(this.start + offset + i) % this.capacity];
+    }
+    return result;
+  }
+}
+
+module.exports = RingBuffer;
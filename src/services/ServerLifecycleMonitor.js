@@ -0,0 +1,254 @@
+/**
+ * Server Lifecycle Monitor
+ * Polls the server detector and diffs successive snapshots into
+ * server-started, server-stopped, port-changed and server-restarted events,
+ * bindings-changed when a server gains or drops a listener on another port,
+ * protocol or address, plus health-changed when an infrastructure service's
+ * health ping flips
+ */
+
+const EventEmitter = require('events');
+const log = require('electron-log');
+
+const LIFECYCLE_EVENTS = {
+  STARTED: 'server-started',
+  STOPPED: 'server-stopped',
+  PORT_CHANGED: 'port-changed',
+  BINDINGS_CHANGED: 'bindings-changed',
+  RESTARTED: 'server-restarted',
+  HEALTH_CHANGED: 'health-changed'
+};
+
+class ServerLifecycleMonitor extends EventEmitter {
+  constructor(serverDetector, options = {}) {
+    super();
+    this.serverDetector = serverDetector;
+    this.interval = options.interval || 5000;
+    this.decorate = options.decorate || null; // Optional async (servers) => servers
+    this.snapshot = new Map();
+    this.hasBaseline = false;
+    this.timer = null;
+    this.isPolling = false;
+    this.currentPoll = null; // Promise of the running poll
+    this.queuedPoll = null; // Promise of the poll that follows it, shared by everyone who asked meanwhile
+  }
+
+  /**
+   * Start polling the detector
+   * @returns {Promise<void>} Resolves once the baseline snapshot is taken
+   */
+  async start() {
+    if (this.timer) return;
+
+    // A tick during a slow poll is skipped, not queued, so polls never run back to back
+    this.timer = setInterval(() => {
+      if (!this.isPolling) this.poll();
+    }, this.interval);
+
+    await this.poll();
+    log.info(`Server lifecycle monitor started (${this.interval}ms interval)`);
+  }
+
+  /**
+   * Stop polling the detector
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Take a new snapshot and emit events for everything that changed
+   * The first snapshot only establishes the baseline. A poll requested while
+   * one runs may be about a change that poll already missed (a server just
+   * stopped or started), so it waits for one more poll after it
+   * @returns {Promise<Array>} Events emitted by this poll
+   */
+  async poll() {
+    if (this.isPolling) {
+      if (!this.queuedPoll) {
+        this.queuedPoll = this.currentPoll.then(() => {
+          this.queuedPoll = null;
+          return this.poll();
+        });
+      }
+      return await this.queuedPoll;
+    }
+
+    this.isPolling = true;
+    this.currentPoll = this.detectChanges();
+    return await this.currentPoll;
+  }
+
+  /**
+   * Detect servers and apply the new snapshot
+   * @returns {Promise<Array>} Events emitted
+   */
+  async detectChanges() {
+    try {
+      const detected = await this.serverDetector.forceRefresh();
+      const servers = this.decorate ? await this.decorate(detected) : detected;
+      return this.update(servers);
+    } catch (error) {
+      log.error('Error polling servers for lifecycle events:', error);
+      return [];
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Replace the current snapshot and emit the resulting events
+   * @param {Array} servers - Freshly detected servers
+   * @returns {Array} Events emitted
+   */
+  update(servers) {
+    const previous = Array.from(this.snapshot.values());
+    const events = this.hasBaseline ? this.diff(previous, servers) : [];
+
+    this.snapshot = new Map(servers.map(server => [server.pid, server]));
+    this.hasBaseline = true;
+
+    events.forEach(event => {
+      log.info(`Lifecycle: ${event.type} ${event.server.name} (PID: ${event.server.pid})`);
+      this.emit(event.type, event);
+      this.emit('lifecycle', event);
+    });
+
+    return events;
+  }
+
+  /**
+   * Compare two snapshots
+   * A server that disappears while another with the same identity appears
+   * in the same poll is reported as restarted rather than stopped + started
+   * @param {Array} previous - Previous snapshot
+   * @param {Array} current - Current snapshot
+   * @returns {Array} Lifecycle events in stopped, restarted, started, port-changed, bindings-changed,
+   *   health-changed order
+   */
+  diff(previous, current) {
+    const timestamp = new Date().toISOString();
+    const previousByPid = new Map(previous.map(server => [server.pid, server]));
+    const currentByPid = new Map(current.map(server => [server.pid, server]));
+
+    const stopped = previous.filter(server => !this.isSameProcess(server, currentByPid.get(server.pid)));
+    const started = current.filter(server => !this.isSameProcess(previousByPid.get(server.pid), server));
+    const portChanged = current.filter(server => {
+      const before = previousByPid.get(server.pid);
+      return this.isSameProcess(before, server) && String(before.port) !== String(server.port);
+    });
+    // A port change already carries the new bindings
+    const bindingsChanged = current.filter(server => {
+      const before = previousByPid.get(server.pid);
+      return this.isSameProcess(before, server) && String(before.port) === String(server.port) &&
+        this.getBindingsKey(before) !== this.getBindingsKey(server);
+    });
+    const healthChanged = current.filter(server => {
+      const before = previousByPid.get(server.pid);
+      return this.isSameProcess(before, server) && before.health && server.health &&
+        before.health.status !== server.health.status;
+    });
+
+    const events = [];
+    const unmatchedStarts = [...started];
+
+    stopped.forEach(server => {
+      const key = this.getIdentityKey(server);
+      const replacementIndex = unmatchedStarts.findIndex(candidate => this.getIdentityKey(candidate) === key);
+
+      if (replacementIndex === -1) {
+        events.push({ type: LIFECYCLE_EVENTS.STOPPED, server, timestamp });
+        return;
+      }
+
+      const [replacement] = unmatchedStarts.splice(replacementIndex, 1);
+      events.push({
+        type: LIFECYCLE_EVENTS.RESTARTED,
+        server: replacement,
+        previousPid: server.pid,
+        previousPort: server.port,
+        timestamp
+      });
+    });
+
+    unmatchedStarts.forEach(server => {
+      events.push({ type: LIFECYCLE_EVENTS.STARTED, server, timestamp });
+    });
+
+    portChanged.forEach(server => {
+      events.push({
+        type: LIFECYCLE_EVENTS.PORT_CHANGED,
+        server,
+        previousPort: previousByPid.get(server.pid).port,
+        timestamp
+      });
+    });
+
+    bindingsChanged.forEach(server => {
+      events.push({
+        type: LIFECYCLE_EVENTS.BINDINGS_CHANGED,
+        server,
+        previousBindings: previousByPid.get(server.pid).bindings || [],
+        timestamp
+      });
+    });
+
+    healthChanged.forEach(server => {
+      events.push({
+        type: LIFECYCLE_EVENTS.HEALTH_CHANGED,
+        server,
+        previousHealth: previousByPid.get(server.pid).health,
+        timestamp
+      });
+    });
+
+    return events;
+  }
+
+  /**
+   * Check whether two snapshot entries describe the same running process
+   * PIDs can be reused, so the command line must match as well
+   * @param {Object} before - Server from the previous snapshot
+   * @param {Object} after - Server from the current snapshot
+   * @returns {boolean} True if both entries are the same process
+   */
+  isSameProcess(before, after) {
+    return Boolean(before && after && before.pid === after.pid && before.command === after.command);
+  }
+
+  /**
+   * Build a key of the listeners of a server that ignores their order
+   * @param {Object} server - Server object
+   * @returns {string} Sorted protocol:address:port list
+   */
+  getBindingsKey(server) {
+    return (server.bindings || [])
+      .map(binding => `${String(binding.protocol).toUpperCase()}:${binding.address || ''}:${binding.port}`)
+      .sort()
+      .join(',');
+  }
+
+  /**
+   * Build a PID-independent identity used to pair a stop with its restart
+   * @param {Object} server - Server object
+   * @returns {string} Identity key
+   */
+  getIdentityKey(server) {
+    return [server.type, server.path || '', server.command || server.name].join('|');
+  }
+
+  /**
+   * Get the servers from the latest snapshot
+   * @returns {Array} Array of server objects
+   */
+  getSnapshot() {
+    return Array.from(this.snapshot.values());
+  }
+}
+
+ServerLifecycleMonitor.EVENTS = LIFECYCLE_EVENTS;
+
+module.exports = ServerLifecycleMonitor;
@@ -0,0 +1,627 @@
+/**
+ * Server Output Capture Module for ProcessManager
+ * Servers the app starts write stdout/stderr straight into spool files
+ * (appended, never piped: a pipe would die with the app and take the server
+ * down with EPIPE on its next log line). The capture tails those files into
+ * rotating per-server log files and keeps a bounded in-memory tail for the
+ * live log viewer. A server still running when the app quits keeps writing
+ * to its spool: the spool is emptied on quit once read, and the next app run
+ * tails it again, found through the launch file written next to it
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const log = require('electron-log');
+
+// Next to the spools of a launch: { pid, logKey, name }, so a later app run can tail them again
+const LAUNCH_FILE_SUFFIX = '.launch.json';
+
+class ServerOutputCapture extends EventEmitter {
+  constructor(outputDir, options = {}) {
+    super();
+    this.outputDir = outputDir;
+    this.maxFileSize = options.maxFileSize || 5 * 1024 * 1024; // 5MB per file
+    this.maxFiles = options.maxFiles || 3; // Rotated files kept besides the active one
+    this.bufferLines = options.bufferLines || 1000; // Lines kept in memory per server
+    this.pollInterval = options.pollInterval || 250; // How often spool files are read
+    this.sessions = new Map(); // log key -> session
+    this.pidToKey = new Map(); // launcher PID -> log key
+    this.launches = new Map(); // launcher PID -> spool files being tailed
+    this.pollTimer = null;
+
+    this.recoverSpools();
+  }
+
+  /**
+   * Build a stable per-server log key so restarts keep writing to the same file
+   * @param {string} name - Server or profile name
+   * @param {string} command - Command line
+   * @param {string} cwd - Working directory
+   * @returns {string} Log key safe for use as a file name
+   */
+  createLogKey(name, command, cwd = '') {
+    const slug = String(name || 'server').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 40) || 'server';
+    const hash = crypto.createHash('sha1').update(`${command}|${cwd || ''}`).digest('hex').substring(0, 8);
+    return `${slug}-${hash}`;
+  }
+
+  /**
+   * Open the spool files a server writes its output to
+   * Pass `stdout` and `stderr` as the child's stdio, then hand the files to attach
+   * @param {string} logKey - Log key from createLogKey
+   * @returns {Object|null} Files ({ stdout, stderr } descriptors and their paths) or null if they cannot be opened
+   */
+  openOutputFiles(logKey) {
+    const paths = this.getLaunchPaths(`${logKey}.${Date.now()}-${crypto.randomBytes(3).toString('hex')}`);
+
+    try {
+      fs.mkdirSync(this.outputDir, { recursive: true });
+      const stdout = fs.openSync(paths.stdout, 'a');
+      try {
+        return { stdout, stderr: fs.openSync(paths.stderr, 'a'), paths };
+      } catch (error) {
+        fs.closeSync(stdout);
+        throw error;
+      }
+    } catch (error) {
+      log.error(`Error opening output spool files for ${logKey}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the spool and launch file paths of a launch
+   * @param {string} id - Launch ID, the log key plus a unique suffix
+   * @returns {Object} Paths ({ stdout, stderr, launch })
+   */
+  getLaunchPaths(id) {
+    return {
+      stdout: path.join(this.outputDir, `${id}.stdout.spool`),
+      stderr: path.join(this.outputDir, `${id}.stderr.spool`),
+      launch: path.join(this.outputDir, `${id}${LAUNCH_FILE_SUFFIX}`)
+    };
+  }
+
+  /**
+   * Pick up the spool files of the previous app run
+   * Servers that are still running are tailed again from where the app left
+   * off (at most maxFileSize back); the spools of servers that exited while
+   * the app was closed, and spools without a launch file, are deleted
+   */
+  recoverSpools() {
+    let files;
+    try {
+      files = fs.readdirSync(this.outputDir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') log.error(`Error reading output spool directory ${this.outputDir}:`, error);
+      return;
+    }
+
+    const kept = new Set();
+    files.filter(file => file.endsWith(LAUNCH_FILE_SUFFIX)).forEach(file => {
+      const paths = this.getLaunchPaths(file.slice(0, -LAUNCH_FILE_SUFFIX.length));
+      const record = this.readLaunchFile(paths.launch);
+      if (!record || this.launches.has(record.pid) || !this.isProcessAlive(record.pid)) return;
+
+      this.reattach(record, paths);
+      Object.values(paths).forEach(filePath => kept.add(path.basename(filePath)));
+    });
+
+    const orphans = files
+      .filter(file => (file.endsWith('.spool') || file.endsWith(LAUNCH_FILE_SUFFIX)) && !kept.has(file))
+      .map(file => path.join(this.outputDir, file));
+    if (orphans.length > 0) {
+      log.info(`Removing ${orphans.length} output spool files left by servers that are no longer running`);
+      this.removeSpools(orphans);
+    }
+  }
+
+  /**
+   * Read a launch file
+   * @param {string} filePath - Launch file path
+   * @returns {Object|null} Launch record ({ pid, logKey, name }) or null if it is missing or invalid
+   */
+  readLaunchFile(filePath) {
+    try {
+      const record = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return record && Number.isInteger(record.pid) && record.logKey ? record : null;
+    } catch (error) {
+      log.warn(`Ignoring unreadable launch file ${filePath}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a process is still running
+   * @param {number} pid - Process ID
+   * @returns {boolean} True if the process exists
+   */
+  isProcessAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM means the process exists but belongs to someone else
+      return error.code === 'EPERM';
+    }
+  }
+
+  /**
+   * Close this process's descriptors of spool files (the child keeps its own)
+   * @param {Object} files - Files from openOutputFiles
+   */
+  releaseOutputFiles(files) {
+    ['stdout', 'stderr'].forEach(stream => {
+      if (files[stream] === null) return;
+      try {
+        fs.closeSync(files[stream]);
+      } catch (error) {
+        log.error(`Error closing output spool ${files.paths[stream]}:`, error);
+      }
+      files[stream] = null;
+    });
+  }
+
+  /**
+   * Start capturing a spawned child's output
+   * @param {ChildProcess} child - Process spawned with the files as its stdout/stderr
+   * @param {Object} options - Capture options
+   * @param {string} options.logKey - Log key from createLogKey
+   * @param {string} options.name - Display name
+   * @param {Object} options.files - Spool files from openOutputFiles
+   * @returns {Object|null} Session summary or null if nothing can be captured
+   */
+  attach(child, { logKey, name, files }) {
+    if (!files) return null;
+    this.releaseOutputFiles(files);
+
+    if (!child || !child.pid) {
+      this.removeSpools(files.paths);
+      return null;
+    }
+
+    try {
+      fs.writeFileSync(files.paths.launch, JSON.stringify({ pid: child.pid, logKey, name }));
+    } catch (error) {
+      // Only costs the output written after the app restarts
+      log.error(`Error writing launch file ${files.paths.launch}:`, error);
+    }
+
+    const session = this.getSession(logKey, name);
+    this.recordLines(session, 'system', [`--- Started PID ${child.pid} ---`], child.pid);
+    const launch = this.startTailing(child.pid, session, files.paths, { reattached: false });
+
+    child.on('exit', (code, signal) => this.finishLaunch(launch, code, signal));
+
+    return { logKey, filePath: session.filePath };
+  }
+
+  /**
+   * Tail the spools of a server launched by a previous app run
+   * There is no child to report the exit, so poll checks whether it still runs
+   * @param {Object} record - Launch record ({ pid, logKey, name })
+   * @param {Object} paths - Spool and launch file paths
+   */
+  reattach(record, paths) {
+    const session = this.getSession(record.logKey, record.name);
+    this.recordLines(session, 'system', [`--- Reattached to PID ${record.pid} ---`], record.pid);
+    const launch = this.startTailing(record.pid, session, paths, { reattached: true });
+
+    // Skip what a server wrote beyond one file's worth while the app was closed
+    Object.values(launch.streams).forEach(spool => {
+      if (spool.fd === null) return;
+      try {
+        spool.offset = Math.max(0, fs.fstatSync(spool.fd).size - this.maxFileSize);
+      } catch (error) {
+        log.error(`Error reading output spool ${spool.path}:`, error);
+      }
+    });
+
+    log.info(`Reattached to the output of ${record.name} (PID: ${record.pid})`);
+  }
+
+  /**
+   * Start tailing the spools of a launch
+   * @param {number} pid - Launcher PID
+   * @param {Object} session - Session the output goes to
+   * @param {Object} paths - Spool and launch file paths
+   * @param {Object} options - Options
+   * @param {boolean} options.reattached - Launched by a previous app run
+   * @returns {Object} Launch
+   */
+  startTailing(pid, session, paths, { reattached }) {
+    session.pids.add(pid);
+    this.pidToKey.set(pid, session.logKey);
+
+    const launch = { pid, session, paths, reattached, streams: {} };
+    ['stdout', 'stderr'].forEach(stream => {
+      launch.streams[stream] = { path: paths[stream], fd: this.openSpoolForReading(paths[stream]), offset: 0 };
+    });
+    this.launches.set(pid, launch);
+    this.startPolling();
+
+    return launch;
+  }
+
+  /**
+   * Record that a launch's process exited and stop tailing it
+   * @param {Object} launch - Launch
+   * @param {number|null} code - Exit code, null when unknown or killed by a signal
+   * @param {string|null} signal - Signal that killed it
+   */
+  finishLaunch(launch, code, signal) {
+    const { pid, session } = launch;
+
+    // Whatever the process wrote last is already in the files
+    this.readLaunch(launch);
+    this.flushPartial(session, pid);
+    const reason = signal ? ` with signal ${signal}` : code !== null ? ` with code ${code}` : '';
+    this.recordLines(session, 'system', [`--- PID ${pid} exited${reason} ---`], pid);
+    this.detachLaunch(launch, { removeSpools: true });
+    session.pids.delete(pid);
+    this.emit('exit', { logKey: session.logKey, pid, code, signal });
+  }
+
+  /**
+   * Open a spool file for reading and truncating
+   * @param {string} filePath - Spool file path
+   * @returns {number|null} File descriptor or null
+   */
+  openSpoolForReading(filePath) {
+    try {
+      return fs.openSync(filePath, 'r+');
+    } catch (error) {
+      log.error(`Error opening output spool ${filePath}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Read every running launch's new output
+   */
+  poll() {
+    this.launches.forEach(launch => {
+      if (launch.reattached && !this.isProcessAlive(launch.pid)) {
+        this.finishLaunch(launch, null, null);
+      } else {
+        this.readLaunch(launch);
+      }
+    });
+  }
+
+  /**
+   * Read new output of one launch from its spool files
+   * A spool that grew past the size limit is emptied once read; the server
+   * appends, so its next write lands at the new start of the file. Output
+   * written between the read and the truncation is lost, which only happens
+   * on servers writing faster than maxFileSize per poll
+   * @param {Object} launch - Launch
+   */
+  readLaunch(launch) {
+    ['stdout', 'stderr'].forEach(stream => {
+      const spool = launch.streams[stream];
+      if (spool.fd === null) return;
+
+      try {
+        const { size } = fs.fstatSync(spool.fd);
+        if (size < spool.offset) spool.offset = 0;
+
+        while (spool.offset < size) {
+          const buffer = Buffer.alloc(Math.min(size - spool.offset, 1024 * 1024));
+          const bytesRead = fs.readSync(spool.fd, buffer, 0, buffer.length, spool.offset);
+          if (bytesRead === 0) break;
+          spool.offset += bytesRead;
+          this.handleChunk(launch.session, stream, buffer.subarray(0, bytesRead), launch.pid);
+        }
+
+        if (spool.offset >= this.maxFileSize) {
+          fs.ftruncateSync(spool.fd, 0);
+          spool.offset = 0;
+        }
+      } catch (error) {
+        log.error(`Error reading output spool ${spool.path}:`, error);
+      }
+    });
+  }
+
+  /**
+   * Stop tailing a launch
+   * @param {Object} launch - Launch
+   * @param {Object} options - Options
+   * @param {boolean} options.removeSpools - Delete the spool and launch files (the process has exited)
+   * @param {boolean} options.emptySpools - Empty the spools, whose output has been read, before closing them
+   */
+  detachLaunch(launch, { removeSpools = false, emptySpools = false } = {}) {
+    Object.values(launch.streams).forEach(spool => {
+      if (spool.fd !== null) {
+        if (emptySpools) {
+          try {
+            fs.ftruncateSync(spool.fd, 0);
+          } catch (error) {
+            log.error(`Error emptying output spool ${spool.path}:`, error);
+          }
+        }
+        try {
+          fs.closeSync(spool.fd);
+        } catch (error) {
+          log.error(`Error closing output spool ${spool.path}:`, error);
+        }
+        spool.fd = null;
+      }
+    });
+
+    if (removeSpools) {
+      this.removeSpools(launch.paths);
+    }
+
+    this.launches.delete(launch.pid);
+    if (this.launches.size === 0) this.stopPolling();
+  }
+
+  /**
+   * Delete spool files
+   * @param {Object|Array} paths - Paths ({ stdout, stderr, launch } or a list)
+   */
+  removeSpools(paths) {
+    Object.values(paths).forEach(filePath => {
+      try {
+        fs.unlinkSync(filePath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') log.error(`Error removing output spool ${filePath}:`, error);
+      }
+    });
+  }
+
+  /**
+   * Read spool files periodically while any launch is tailed
+   */
+  startPolling() {
+    if (this.pollTimer) return;
+    this.pollTimer = setInterval(() => this.poll(), this.pollInterval);
+    // Tailing must not keep the process alive
+    if (this.pollTimer.unref) this.pollTimer.unref();
+  }
+
+  /**
+   * Stop reading spool files
+   */
+  stopPolling() {
+    if (!this.pollTimer) return;
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  /**
+   * Get or open the capture session for a log key
+   * @param {string} logKey - Log key
+   * @param {string} name - Display name
+   * @returns {Object} Session
+   */
+  getSession(logKey, name) {
+    if (this.sessions.has(logKey)) {
+      const existing = this.sessions.get(logKey);
+      existing.name = name || existing.name;
+      return existing;
+    }
+
+    fs.mkdirSync(this.outputDir, { recursive: true });
+
+    const filePath = path.join(this.outputDir, `${logKey}.log`);
+    let bytes = 0;
+    try {
+      bytes = fs.statSync(filePath).size;
+    } catch (error) {
+      // New log file
+    }
+
+    const session = {
+      logKey,
+      name,
+      filePath,
+      fd: this.openLogFile(filePath),
+      bytes,
+      buffer: [],
+      seq: 0,
+      pids: new Set(),
+      partial: {}
+    };
+
+    this.sessions.set(logKey, session);
+    return session;
+  }
+
+  /**
+   * Open a log file for appending
+   * Writes are synchronous (like electron-log) so rotation never races a pending open
+   * @param {string} filePath - Log file path
+   * @returns {number|null} File descriptor or null if the file cannot be opened
+   */
+  openLogFile(filePath) {
+    try {
+      return fs.openSync(filePath, 'a');
+    } catch (error) {
+      log.error(`Error opening server output log ${filePath}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Close a session's log file
+   * @param {Object} session - Session
+   */
+  closeLogFile(session) {
+    if (session.fd === null) return;
+
+    try {
+      fs.closeSync(session.fd);
+    } catch (error) {
+      log.error(`Error closing server output log ${session.filePath}:`, error);
+    }
+    session.fd = null;
+  }
+
+  /**
+   * Split a chunk into complete lines, holding back any trailing partial line
+   * @param {Object} session - Session
+   * @param {string} stream - stdout or stderr
+   * @param {Buffer|string} chunk - Raw output
+   * @param {number} pid - Process ID that produced the output
+   */
+  handleChunk(session, stream, chunk, pid) {
+    const key = `${pid}:${stream}`;
+    const parts = ((session.partial[key] || '') + chunk.toString()).split(/\r?\n/);
+
+    session.partial[key] = parts.pop();
+    if (parts.length > 0) {
+      this.recordLines(session, stream, parts, pid);
+    }
+  }
+
+  /**
+   * Record any partial lines left when a process exits
+   * @param {Object} session - Session
+   * @param {number} pid - Process ID
+   */
+  flushPartial(session, pid) {
+    ['stdout', 'stderr'].forEach(stream => {
+      const key = `${pid}:${stream}`;
+      if (session.partial[key]) {
+        this.recordLines(session, stream, [session.partial[key]], pid);
+      }
+      delete session.partial[key];
+    });
+  }
+
+  /**
+   * Append lines to the tail buffer and log file, then notify listeners
+   * @param {Object} session - Session
+   * @param {string} stream - stdout, stderr or system
+   * @param {Array<string>} texts - Line texts
+   * @param {number} pid - Process ID
+   */
+  recordLines(session, stream, texts, pid) {
+    const timestamp = new Date().toISOString();
+    const lines = texts.map(text => ({
+      seq: ++session.seq,
+      timestamp,
+      stream,
+      pid,
+      text
+    }));
+
+    session.buffer.push(...lines);
+    if (session.buffer.length > this.bufferLines) {
+      session.buffer.splice(0, session.buffer.length - this.bufferLines);
+    }
+
+    this.writeToFile(session, lines.map(line => `${line.timestamp} [${line.stream}] ${line.text}\n`).join(''));
+
+    this.emit('output', {
+      logKey: session.logKey,
+      name: session.name,
+      pid,
+      lines
+    });
+  }
+
+  /**
+   * Write to the session's log file, rotating when it grows too large
+   * @param {Object} session - Session
+   * @param {string} data - Text to append
+   */
+  writeToFile(session, data) {
+    if (session.fd === null) return;
+
+    try {
+      fs.writeSync(session.fd, data);
+    } catch (error) {
+      log.error(`Error writing server output to ${session.filePath}:`, error);
+      return;
+    }
+    session.bytes += Buffer.byteLength(data);
+
+    if (session.bytes >= this.maxFileSize) {
+      this.rotate(session);
+    }
+  }
+
+  /**
+   * Rotate a session's log file: name.log -> name.1.log -> ... -> name.N.log
+   * @param {Object} session - Session
+   */
+  rotate(session) {
+    this.closeLogFile(session);
+
+    const base = session.filePath.replace(/\.log$/, '');
+    try {
+      for (let index = this.maxFiles - 1; index >= 1; index--) {
+        if (fs.existsSync(`${base}.${index}.log`)) {
+          fs.renameSync(`${base}.${index}.log`, `${base}.${index + 1}.log`);
+        }
+      }
+      fs.renameSync(session.filePath, `${base}.1.log`);
+    } catch (error) {
+      log.error(`Error rotating server output log ${session.filePath}:`, error);
+    }
+
+    session.fd = this.openLogFile(session.filePath);
+    session.bytes = 0;
+  }
+
+  /**
+   * Get the log key a launcher PID writes to
+   * @param {number} pid - Launcher PID
+   * @returns {string|null} Log key or null
+   */
+  getLogKeyForPid(pid) {
+    return this.pidToKey.get(pid) || null;
+  }
+
+  /**
+   * Get the buffered output for a server
+   * @param {string} logKey - Log key
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of lines (most recent)
+   * @param {string} options.search - Case-insensitive text filter
+   * @returns {Object|null} Output ({ logKey, name, filePath, isRunning, lines }) or null
+   */
+  getOutput(logKey, options = {}) {
+    const session = this.sessions.get(logKey);
+    if (!session) return null;
+
+    const search = (options.search || '').toLowerCase();
+    let lines = search
+      ? session.buffer.filter(line => line.text.toLowerCase().includes(search))
+      : session.buffer;
+
+    if (options.limit && lines.length > options.limit) {
+      lines = lines.slice(-options.limit);
+    }
+
+    return {
+      logKey,
+      name: session.name,
+      filePath: session.filePath,
+      isRunning: session.pids.size > 0,
+      lines: [...lines]
+    };
+  }
+
+  /**
+   * Read what is left, stop tailing and close all log files
+   * Spool files of servers that are still running stay for the next app run,
+   * emptied so they only hold what is written while the app is closed
+   */
+  close() {
+    this.poll();
+    Array.from(this.launches.values()).forEach(launch => this.detachLaunch(launch, { emptySpools: true }));
+    this.stopPolling();
+    this.sessions.forEach(session => this.closeLogFile(session));
+    this.sessions.clear();
+    this.pidToKey.clear();
+  }
+}
+
+module.exports = ServerOutputCapture;
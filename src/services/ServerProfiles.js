@@ -0,0 +1,254 @@
+/**
+ * Server Profiles Module for ProcessManager
+ * Persists user-defined server launch profiles in the user data directory
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const log = require('electron-log');
+const JsonStore = require('./JsonStore');
+const ReadinessProbe = require('./ReadinessProbe');
+const ERROR_CODES = require('../config/errorCodes');
+
+class ServerProfiles {
+  constructor(storageDir) {
+    this.store = JsonStore.forList(path.join(storageDir, 'server-profiles.json'), 'profiles', 'server profiles');
+  }
+
+  /**
+   * Load profiles from disk (once)
+   * @returns {Promise<Array>} Array of profiles
+   */
+  async load() {
+    return await this.store.load();
+  }
+
+  /**
+   * Get all saved profiles
+   * @returns {Promise<Array>} Array of profiles
+   */
+  async getProfiles() {
+    const profiles = await this.load();
+    return profiles.map(profile => ({ ...profile, env: { ...profile.env } }));
+  }
+
+  /**
+   * Get a single profile
+   * @param {string} id - Profile ID
+   * @returns {Promise<Object|null>} Profile or null
+   */
+  async getProfile(id) {
+    const profiles = await this.getProfiles();
+    return profiles.find(profile => profile.id === id) || null;
+  }
+
+  /**
+   * Create or update a profile
+   * @param {Object} profile - Profile fields (id present when updating)
+   * @returns {Promise<Object>} Result object with the saved profile
+   */
+  async saveProfile(profile) {
+    const error = this.validateProfile(profile);
+    if (error) {
+      return { success: false, code: ERROR_CODES.INVALID_REQUEST, error };
+    }
+
+    return await this.store.update(async profiles => {
+      const now = new Date().toISOString();
+      const existingIndex = profile.id ? profiles.findIndex(item => item.id === profile.id) : -1;
+
+      if (profile.id && existingIndex === -1) {
+        return { success: false, code: ERROR_CODES.NOT_FOUND, error: `Profile ${profile.id} not found` };
+      }
+
+      const saved = {
+        ...(existingIndex === -1 ? { id: crypto.randomUUID(), createdAt: now } : profiles[existingIndex]),
+        ...this.normalizeProfile(profile),
+        updatedAt: now
+      };
+
+      const updated = [...profiles];
+      if (existingIndex === -1) {
+        updated.push(saved);
+      } else {
+        updated[existingIndex] = saved;
+      }
+
+      try {
+        await this.persist(updated);
+        log.info(`Saved server profile: ${saved.name} (${saved.id})`);
+        return { success: true, profile: saved };
+      } catch (persistError) {
+        log.error('Error saving server profile:', persistError);
+        return { success: false, error: persistError.message };
+      }
+    });
+  }
+
+  /**
+   * Check whether saving a profile would change what it launches
+   * @param {Object} profile - Profile fields (id present when updating)
+   * @returns {Promise<boolean>} True for a new profile or a changed command, working directory or environment
+   */
+  async changesLaunch(profile) {
+    const existing = profile.id ? await this.getProfile(profile.id) : null;
+    if (!existing) return true;
+
+    const next = this.normalizeProfile(profile);
+    return next.command !== existing.command
+      || next.cwd !== existing.cwd
+      || JSON.stringify(next.env) !== JSON.stringify(existing.env);
+  }
+
+  /**
+   * Delete a profile
+   * @param {string} id - Profile ID
+   * @returns {Promise<Object>} Result object
+   */
+  async deleteProfile(id) {
+    return await this.store.update(async profiles => {
+      const remaining = profiles.filter(profile => profile.id !== id);
+
+      if (remaining.length === profiles.length) {
+        return { success: false, code: ERROR_CODES.NOT_FOUND, error: `Profile ${id} not found` };
+      }
+
+      try {
+        await this.persist(remaining);
+        log.info(`Deleted server profile: ${id}`);
+        return { success: true };
+      } catch (error) {
+        log.error('Error deleting server profile:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Validate profile fields
+   * @param {Object} profile - Profile fields
+   * @returns {string|null} Error message or null if valid
+   */
+  validateProfile(profile) {
+    if (!profile || typeof profile !== 'object') {
+      return 'Profile is required';
+    }
+
+    if (!profile.name || !String(profile.name).trim()) {
+      return 'Profile name is required';
+    }
+
+    if (!profile.command || !String(profile.command).trim()) {
+      return 'Command is required';
+    }
+
+    if (profile.expectedPort !== undefined && profile.expectedPort !== null && profile.expectedPort !== '') {
+      const port = Number(profile.expectedPort);
+      if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+        return `Invalid expected port: ${profile.expectedPort}`;
+      }
+    }
+
+    if (profile.readinessUrl) {
+      try {
+        const url = new URL(profile.readinessUrl);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+          return 'Readiness URL must use http or https';
+        }
+      } catch {
+        return `Invalid readiness URL: ${profile.readinessUrl}`;
+      }
+    }
+
+    const readinessError = this.validateReadiness(profile);
+    if (readinessError) {
+      return readinessError;
+    }
+
+    if (profile.env !== undefined && profile.env !== null) {
+      if (typeof profile.env !== 'object' || Array.isArray(profile.env)) {
+        return 'Environment must be a map of variable names to values';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate the readiness signal of a profile
+   * @param {Object} profile - Profile fields
+   * @returns {string|null} Error message or null if valid
+   */
+  validateReadiness(profile) {
+    const type = profile.readinessType || 'auto';
+
+    if (!ReadinessProbe.TYPES.includes(type)) {
+      return `Unknown readiness check: ${type}`;
+    }
+
+    if (type === 'port' && !profile.expectedPort) {
+      return 'An expected port is required to wait for the port';
+    }
+
+    if (type === 'http' && !profile.readinessUrl) {
+      return 'A readiness URL is required to wait for an HTTP response';
+    }
+
+    if (type === 'log') {
+      if (!profile.readinessPattern) {
+        return 'A log pattern is required to wait for a log line';
+      }
+      try {
+        new RegExp(profile.readinessPattern);
+      } catch (error) {
+        return `Invalid log pattern: ${error.message}`;
+      }
+    }
+
+    if (profile.readinessTimeout !== undefined && profile.readinessTimeout !== null && profile.readinessTimeout !== '') {
+      const timeout = Number(profile.readinessTimeout);
+      if (!Number.isInteger(timeout) || timeout <= 0 || timeout > 600) {
+        return `Readiness timeout must be between 1 and 600 seconds: ${profile.readinessTimeout}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Reduce a profile to its persisted fields
+   * @param {Object} profile - Profile fields
+   * @returns {Object} Normalized profile fields
+   */
+  normalizeProfile(profile) {
+    const env = {};
+    Object.entries(profile.env || {}).forEach(([key, value]) => {
+      if (key.trim()) {
+        env[key.trim()] = String(value);
+      }
+    });
+
+    return {
+      name: String(profile.name).trim(),
+      command: String(profile.command).trim(),
+      cwd: profile.cwd ? String(profile.cwd).trim() : '',
+      env,
+      expectedPort: profile.expectedPort ? Number(profile.expectedPort) : null,
+      readinessUrl: profile.readinessUrl ? String(profile.readinessUrl).trim() : '',
+      readinessType: profile.readinessType || 'auto',
+      readinessPattern: profile.readinessPattern ? String(profile.readinessPattern) : '',
+      readinessTimeout: profile.readinessTimeout ? Number(profile.readinessTimeout) : null,
+      keepAlive: profile.keepAlive === true || profile.keepAlive === 'true'
+    };
+  }
+
+  /**
+   * Write profiles to disk atomically
+   * @param {Array} profiles - Profiles to write
+   */
+  async persist(profiles) {
+    await this.store.save(profiles);
+  }
+}
+
+module.exports = ServerProfiles;
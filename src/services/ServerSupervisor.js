@@ -0,0 +1,161 @@
+/**
+ * Server Supervisor Module for ProcessManager
+ * Remembers which processes the app launched from a profile so managed
+ * servers can be told apart from servers that were merely detected
+ */
+
+const log = require('electron-log');
+
+class ServerSupervisor {
+  constructor(processUtils) {
+    this.processUtils = processUtils;
+    this.launched = new Map(); // launcher PID -> supervision record
+  }
+
+  /**
+   * Start supervising a process launched from a profile
+   * Servers restarted from a detected command line are tracked with a null profile id
+   * @param {number} pid - PID returned by the launcher
+   * @param {Object} profile - Profile the process was launched from ({ id, name, expectedPort })
+   * @returns {Object} Supervision record
+   */
+  track(pid, profile) {
+    const record = {
+      pid,
+      profileId: profile.id,
+      profileName: profile.name,
+      expectedPort: profile.expectedPort || null,
+      startedAt: new Date().toISOString(),
+      descendantPids: []
+    };
+
+    this.launched.set(pid, record);
+    log.info(`Supervising ${profile.name} (PID: ${pid})`);
+
+    return record;
+  }
+
+  /**
+   * Stop supervising a process
+   * @param {number} pid - Launcher PID or any PID it spawned
+   * @returns {Object|null} Released record or null
+   */
+  release(pid) {
+    const record = this.getRecord(pid);
+    if (record) {
+      this.launched.delete(record.pid);
+      log.info(`Stopped supervising ${record.profileName} (PID: ${record.pid})`);
+    }
+    return record;
+  }
+
+  /**
+   * Find the supervision record owning a PID
+   * The launcher is usually a shell, so the server itself is one of its descendants
+   * @param {number} pid - Process ID
+   * @returns {Object|null} Supervision record or null
+   */
+  getRecord(pid) {
+    if (this.launched.has(pid)) {
+      return this.launched.get(pid);
+    }
+
+    for (const record of this.launched.values()) {
+      if (record.descendantPids.includes(pid)) {
+        return record;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a PID belongs to a server the app launched
+   * @param {number} pid - Process ID
+   * @returns {boolean} True if managed
+   */
+  isManaged(pid) {
+    return this.getRecord(pid) !== null;
+  }
+
+  /**
+   * Get the IDs of profiles with a live supervised process
+   * @returns {Array<string>} Profile IDs
+   */
+  getRunningProfileIds() {
+    return Array.from(this.launched.values())
+      .map(record => record.profileId)
+      .filter(Boolean);
+  }
+
+  /**
+   * Get all supervision records
+   * @returns {Array} Array of records
+   */
+  getRecords() {
+    return Array.from(this.launched.values()).map(record => ({
+      ...record,
+      descendantPids: [...record.descendantPids]
+    }));
+  }
+
+  /**
+   * Drop records whose process has exited and refresh known descendants
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    await Promise.all(Array.from(this.launched.values()).map(async record => {
+      const exists = await this.processUtils.verifyProcessExists(record.pid);
+
+      if (!exists) {
+        this.launched.delete(record.pid);
+        log.info(`Supervised server exited: ${record.profileName} (PID: ${record.pid})`);
+        return;
+      }
+
+      const descendants = await this.processUtils.getDescendants(record.pid);
+      record.descendantPids = descendants.map(child => child.pid);
+    }));
+  }
+
+  /**
+   * Mark detected servers as managed (launched by the app) or detected
+   * @param {Array} servers - Detected servers
+   * @returns {Promise<Array>} Servers with managed/profileId/profileName fields
+   */
+  async annotateServers(servers) {
+    await this.refresh();
+
+    return servers.map(server => {
+      const record = this.getRecord(server.pid) || this.findByExpectedPort(server.port);
+
+      if (!record) {
+        return { ...server, managed: false };
+      }
+
+      return {
+        ...server,
+        managed: true,
+        profileId: record.profileId,
+        profileName: record.profileName
+      };
+    });
+  }
+
+  /**
+   * Find a live record whose profile expects the given port
+   * Covers launchers that hand off to a process outside their own tree
+   * @param {number|string} port - Server port
+   * @returns {Object|null} Supervision record or null
+   */
+  findByExpectedPort(port) {
+    for (const record of this.launched.values()) {
+      if (record.expectedPort && String(record.expectedPort) === String(port)) {
+        return record;
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = ServerSupervisor;
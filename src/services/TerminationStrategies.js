@@ -6,6 +6,7 @@
 const { promisify } = require('util');
 const { exec } = require('child_process');
 const log = require('electron-log');
+const ERROR_CODES = require('../config/errorCodes');
 
 const execAsync = promisify(exec);
 
@@ -17,10 +18,16 @@ class TerminationStrategies {
   /**
    * Stop a server by PID using multiple strategies
    * @param {number} pid - Process ID
-   * @param {Object} dependencies - Dependencies (processUtils, mainProcessCheck)
+   * @param {Object} dependencies - Dependencies (processUtils, whose platform adapter is required, and mainProcessCheck)
+   * @param {Object} options - Stop options
+   * @param {boolean} options.tree - Also stop every descendant of the process
    * @returns {Promise<Object>} Result object with success status
    */
-  async stopServer(pid, dependencies) {
+  async stopServer(pid, dependencies, options = {}) {
+    if (options.tree) {
+      return await this.stopProcessTree(pid, dependencies);
+    }
+
     try {
       log.info(`Attempting to stop server with PID: ${pid}`);
 
@@ -28,6 +35,7 @@ class TerminationStrategies {
       if (!pid || isNaN(pid) || pid <= 0) {
         return {
           success: false,
+          code: ERROR_CODES.INVALID_REQUEST,
           error: 'Invalid PID provided'
         };
       }
@@ -37,6 +45,7 @@ class TerminationStrategies {
         if (await dependencies.mainProcessCheck.isMainProcess(pid)) {
           return {
             success: false,
+            code: ERROR_CODES.PROTECTED,
             error: 'Cannot terminate main application process'
           };
         }
@@ -50,6 +59,7 @@ class TerminationStrategies {
         if (!processExists) {
           return {
             success: false,
+            code: ERROR_CODES.NOT_FOUND,
             error: `Process with PID ${pid} not found`
           };
         }
@@ -83,9 +93,11 @@ class TerminationStrategies {
       }
 
       // If all methods fail, return a user-friendly error message
+      const denied = [gracefulResult, forceResult, nodeResult].some(result => result.code === ERROR_CODES.PERMISSION_DENIED);
       return {
         success: false,
-        error: `Process could not be terminated. The process may have already ended or requires administrator privileges.`
+        code: denied ? ERROR_CODES.PERMISSION_DENIED : ERROR_CODES.OPERATION_FAILED,
+        error: 'Process could not be terminated. The process may have already ended or requires administrator privileges.'
       };
 
     } catch (error) {
@@ -97,6 +109,118 @@ class TerminationStrategies {
     }
   }
 
+  /**
+   * Stop a process and all of its descendants
+   * Descendants are collected before the root is stopped, because once it exits
+   * they are re-parented and can no longer be found from its PID
+   * @param {number} pid - Root process ID
+   * @param {Object} dependencies - Dependencies
+   * @returns {Promise<Object>} Result object with the stopped and surviving descendants
+   */
+  async stopProcessTree(pid, dependencies) {
+    const tree = await dependencies.processUtils.getProcessTree(pid);
+    const descendants = await this.filterStoppable(dependencies.processUtils.flattenProcessTree(tree), dependencies);
+
+    log.info(`Stopping process tree of PID ${pid} (${descendants.length} descendants)`);
+
+    const rootResult = await this.stopServer(pid, dependencies);
+    if (!rootResult.success) {
+      return { ...rootResult, tree: true, stopped: [], survivors: [] };
+    }
+
+    const { stopped, survivors } = await this.stopDescendants(descendants, dependencies);
+
+    if (survivors.length > 0) {
+      log.warn(`${survivors.length} descendants of PID ${pid} survived: ${survivors.map(survivor => survivor.pid).join(', ')}`);
+    }
+
+    return {
+      ...rootResult,
+      tree: true,
+      stopped,
+      survivors,
+      message: survivors.length > 0
+        ? `Stopped PID ${pid} and ${stopped.length} of ${descendants.length} child processes; ${survivors.length} survived`
+        : `Stopped PID ${pid} and ${stopped.length} child processes`
+    };
+  }
+
+  /**
+   * Drop descendants that must never be terminated
+   * @param {Array} descendants - Descendants from flattenProcessTree
+   * @param {Object} dependencies - Dependencies
+   * @returns {Promise<Array>} Descendants that may be stopped
+   */
+  async filterStoppable(descendants, dependencies) {
+    const stoppable = [];
+
+    for (const descendant of descendants) {
+      const isMain = await dependencies.mainProcessCheck.isMainProcess(descendant.pid).catch(() => false);
+      const isSystem = await dependencies.processUtils.isSystemProcess(descendant.pid);
+
+      if (isMain || isSystem) {
+        log.warn(`Skipping protected descendant PID ${descendant.pid} (${descendant.name})`);
+        continue;
+      }
+      stoppable.push(descendant);
+    }
+
+    return stoppable;
+  }
+
+  /**
+   * Stop descendants that outlived their parent, politely first and then by force
+   * @param {Array} descendants - Descendants, deepest first
+   * @param {Object} dependencies - Dependencies
+   * @returns {Promise<Object>} { stopped, survivors } as arrays of { pid, name }
+   */
+  async stopDescendants(descendants, dependencies) {
+    const stillRunning = async candidates => {
+      const running = [];
+      for (const candidate of candidates) {
+        if (await dependencies.processUtils.verifyProcessExists(candidate.pid)) {
+          running.push(candidate);
+        }
+      }
+      return running;
+    };
+
+    // Most children exit with their parent, only orphans need signals
+    let running = await stillRunning(descendants);
+
+    for (const force of [false, true]) {
+      if (running.length === 0) break;
+
+      for (const descendant of running) {
+        try {
+          await this.sendKill(descendant.pid, force, dependencies);
+        } catch (error) {
+          descendant.error = TerminationStrategies.isPermissionError(error) ? 'Permission denied' : error.message;
+        }
+      }
+
+      await this.sleep(force ? 1000 : 1500);
+      running = await stillRunning(running);
+    }
+
+    const survivorPids = new Set(running.map(survivor => survivor.pid));
+    return {
+      stopped: descendants.filter(descendant => !survivorPids.has(descendant.pid)).map(({ pid, name }) => ({ pid, name })),
+      survivors: running.map(({ pid, name, error }) => ({ pid, name, error: error || 'Still running' }))
+    };
+  }
+
+  /**
+   * Send a single termination request
+   * @param {number} pid - Process ID
+   * @param {boolean} force - Terminate without a chance to clean up
+   * @param {Object} dependencies - Dependencies
+   * @returns {Promise<void>}
+   */
+  async sendKill(pid, force, dependencies) {
+    await dependencies.processUtils.platform.kill(pid, { force });
+  }
+
   /**
    * Enhanced Node.js process termination
    * @param {number} pid - Process ID
@@ -127,10 +251,16 @@ class TerminationStrategies {
         return {
           success: false,
           method: 'node-specific',
+          code: ERROR_CODES.PROTECTED,
           error: 'Cannot terminate main application process'
         };
       }
 
+      // Platforms with POSIX signals: SIGINT is what Node.js servers handle as Ctrl+C
+      if (!this.usesWindowsCommands(dependencies)) {
+        return await this.killAndVerify(pid, { signal: 'SIGINT' }, 'node-specific', dependencies);
+      }
+
       // Try Node.js specific termination methods - specific PID only
       const nodeMethods = [
         // Send SIGINT to Node.js process (graceful shutdown)
@@ -172,9 +302,11 @@ class TerminationStrategies {
 
       const errorMessage = lastError ? lastError.message : 'Node.js process could not be terminated';
       log.error(`All Node.js termination methods failed for PID ${pid}. Last error:`, errorMessage);
+      const denied = lastError !== null && TerminationStrategies.isPermissionError(lastError);
       return {
         success: false,
         method: 'node-specific',
+        code: denied ? ERROR_CODES.PERMISSION_DENIED : ERROR_CODES.OPERATION_FAILED,
         error: errorMessage
       };
 
@@ -202,10 +334,15 @@ class TerminationStrategies {
         return {
           success: false,
           method: 'graceful',
+          code: ERROR_CODES.PROTECTED,
           error: 'Cannot terminate main application process'
         };
       }
 
+      if (!this.usesWindowsCommands(dependencies)) {
+        return await this.killAndVerify(pid, {}, 'graceful', dependencies);
+      }
+
       // Try graceful shutdown methods - AVOID /T flag to prevent tree termination
       const methods = [
         // Method 1: Standard taskkill (graceful) - specific PID only
@@ -216,6 +353,7 @@ class TerminationStrategies {
         `taskkill /PID ${pid}`
       ];
 
+      let denied = false;
       for (const method of methods) {
         try {
           await execAsync(method);
@@ -231,6 +369,7 @@ class TerminationStrategies {
           }
         } catch (methodError) {
           log.debug(`Graceful method ${method} failed for PID ${pid}:`, methodError.message);
+          denied = denied || TerminationStrategies.isPermissionError(methodError);
           continue;
         }
       }
@@ -238,6 +377,7 @@ class TerminationStrategies {
       return {
         success: false,
         method: 'graceful',
+        code: denied ? ERROR_CODES.PERMISSION_DENIED : ERROR_CODES.OPERATION_FAILED,
         error: 'All graceful shutdown methods failed'
       };
 
@@ -265,6 +405,7 @@ class TerminationStrategies {
         return {
           success: false,
           method: 'force',
+          code: ERROR_CODES.NOT_FOUND,
           error: 'Process not found'
         };
       }
@@ -275,10 +416,15 @@ class TerminationStrategies {
         return {
           success: false,
           method: 'force',
+          code: ERROR_CODES.PROTECTED,
           error: 'Cannot terminate main application process'
         };
       }
 
+      if (!this.usesWindowsCommands(dependencies)) {
+        return await this.killAndVerify(pid, { force: true }, 'force', dependencies);
+      }
+
       // Try targeted force termination methods - NEVER use /IM to kill all processes
       const forceMethods = [
         // Method 1: Standard force termination (specific PID only)
@@ -291,6 +437,7 @@ class TerminationStrategies {
         `wmic process where "ProcessId=${pid} and Name='node.exe'" call terminate`
       ];
 
+      let denied = false;
       for (const method of forceMethods) {
         try {
           log.info(`Trying force termination method: ${method}`);
@@ -307,6 +454,7 @@ class TerminationStrategies {
           }
         } catch (methodError) {
           log.debug(`Force method ${method} failed for PID ${pid}:`, methodError.message);
+          denied = denied || TerminationStrategies.isPermissionError(methodError);
           continue;
         }
       }
@@ -314,6 +462,7 @@ class TerminationStrategies {
       return {
         success: false,
         method: 'force',
+        code: denied ? ERROR_CODES.PERMISSION_DENIED : ERROR_CODES.OPERATION_FAILED,
         error: 'Process could not be terminated'
       };
 
@@ -327,6 +476,64 @@ class TerminationStrategies {
     }
   }
 
+  /**
+   * Check whether termination should go through the Windows command chains
+   * @param {Object} dependencies - Dependencies
+   * @returns {boolean} True when running against the Windows platform adapter
+   */
+  usesWindowsCommands(dependencies) {
+    return dependencies.processUtils.platform.platform === 'win32';
+  }
+
+  /**
+   * Terminate a process through the platform adapter and verify it is gone
+   * @param {number} pid - Process ID
+   * @param {Object} killOptions - Options passed to the adapter's kill ({ force, signal })
+   * @param {string} method - Method name reported in the result
+   * @param {Object} dependencies - Dependencies
+   * @returns {Promise<Object>} Result object
+   */
+  async killAndVerify(pid, killOptions, method, dependencies) {
+    try {
+      await dependencies.processUtils.platform.kill(pid, killOptions);
+      await this.sleep(method === 'graceful' ? 1500 : 2000);
+
+      const stillRunning = await dependencies.processUtils.verifyProcessExists(pid);
+      if (!stillRunning) {
+        const how = killOptions.signal || (killOptions.force ? 'SIGKILL' : 'SIGTERM');
+        return {
+          success: true,
+          method,
+          message: `Process terminated using ${how}`
+        };
+      }
+
+      return {
+        success: false,
+        method,
+        error: 'Process is still running'
+      };
+    } catch (error) {
+      log.debug(`${method} termination failed for PID ${pid}:`, error.message);
+      const denied = TerminationStrategies.isPermissionError(error);
+      return {
+        success: false,
+        method,
+        code: denied ? ERROR_CODES.PERMISSION_DENIED : ERROR_CODES.OPERATION_FAILED,
+        error: denied ? 'Permission denied' : error.message
+      };
+    }
+  }
+
+  /**
+   * Check whether a kill failed because the OS refused it
+   * @param {Error} error - Error from process.kill or a Windows command
+   * @returns {boolean} True for EPERM/EACCES or taskkill's "Access is denied"
+   */
+  static isPermissionError(error) {
+    return error.code === 'EPERM' || error.code === 'EACCES' || /access is denied/i.test(`${error.message}\n${error.stderr || ''}`);
+  }
+
   /**
    * Stop multiple servers
    * @param {Array<number>} pids - Array of process IDs
@@ -358,9 +565,10 @@ class TerminationStrategies {
    * Restart a server by stopping and then restarting it with the same command
    * @param {number} pid - Process ID
    * @param {Object} dependencies - Dependencies
+   * @param {Object} options - Launch options passed through to startServer
    * @returns {Promise<Object>} Result object with success status
    */
-  async restartServer(pid, dependencies) {
+  async restartServer(pid, dependencies, options = {}) {
     try {
       log.info(`Attempting to restart server with PID: ${pid}`);
 
@@ -369,6 +577,7 @@ class TerminationStrategies {
       if (!processInfo) {
         return {
           success: false,
+          code: ERROR_CODES.NOT_FOUND,
           error: `Process with PID ${pid} not found`
         };
       }
@@ -381,6 +590,7 @@ class TerminationStrategies {
       if (!stopResult.success) {
         return {
           success: false,
+          code: stopResult.code,
           error: `Failed to stop server: ${stopResult.error}`
         };
       }
@@ -389,7 +599,10 @@ class TerminationStrategies {
       await this.sleep(2000);
 
       // Restart the server
-      const restartResult = await this.startServer(commandLine, workingDir, dependencies);
+      const restartResult = await this.startServer(commandLine, workingDir, dependencies, {
+        name: processInfo.name,
+        ...options
+      });
 
       if (restartResult.success) {
         log.info(`Successfully restarted server. New PID: ${restartResult.newPid}`);
@@ -411,27 +624,66 @@ class TerminationStrategies {
    * @param {string} commandLine - Command line to execute
    * @param {string} workingDir - Working directory for the process
    * @param {Object} dependencies - Dependencies
+   * @param {Object} options - Launch options
+   * @param {Object} options.env - Extra environment variables for the process
+   * @param {string} options.name - Display name used for captured output
+   * @param {string} options.logKey - Output log key (derived from name and command if omitted)
    * @returns {Promise<Object>} Result object with new PID
    */
-  async startServer(commandLine, workingDir = null, dependencies) {
+  async startServer(commandLine, workingDir = null, dependencies, options = {}) {
     try {
-      const { exec } = require('child_process');
+      const { spawn } = require('child_process');
+      const outputCapture = dependencies && dependencies.outputCapture;
 
       return new Promise((resolve, reject) => {
-        const child = exec(commandLine, {
-          cwd: workingDir || process.cwd(),
-          detached: true,
-          stdio: 'ignore'
-        });
+        const name = options.name || commandLine;
+        const logKey = outputCapture ? options.logKey || outputCapture.createLogKey(name, commandLine, workingDir) : null;
+
+        // Output goes to files rather than pipes so the server outlives the app;
+        // without a capture it is discarded as before
+        const files = outputCapture ? outputCapture.openOutputFiles(logKey) : null;
+
+        let child;
+        try {
+          child = spawn(commandLine, {
+            cwd: workingDir || process.cwd(),
+            env: { ...process.env, ...(options.env || {}) },
+            shell: true,
+            detached: true,
+            windowsHide: true,
+            stdio: files ? ['ignore', files.stdout, files.stderr] : 'ignore'
+          });
+        } catch (error) {
+          if (files) outputCapture.releaseOutputFiles(files);
+          throw error;
+        }
+
+        const capture = files ? outputCapture.attach(child, { name, logKey, files }) : null;
 
         child.unref();
 
+        // A command that fails immediately (bad path, syntax error) must not count as started
+        let earlyExit = null;
+        child.on('exit', (code, signal) => {
+          earlyExit = { code, signal };
+        });
+
         // Give the process a moment to start
         setTimeout(() => {
-          if (child.pid) {
+          if (child.pid && earlyExit) {
+            resolve({
+              success: false,
+              newPid: child.pid,
+              name,
+              logKey: capture ? capture.logKey : null,
+              error: `Server exited immediately with ${earlyExit.signal ? `signal ${earlyExit.signal}` : `code ${earlyExit.code}`}`
+            });
+          } else if (child.pid) {
             resolve({
               success: true,
               newPid: child.pid,
+              name,
+              logKey: capture ? capture.logKey : null,
               message: 'Server restarted successfully'
             });
           } else {
@@ -0,0 +1,74 @@
+/**
+ * View Preferences Module
+ * Persists how the user last looked at the window (search, filter chips and
+ * sort order of the server list) in the user data directory, so the next
+ * session opens the same way
+ */
+
+const path = require('path');
+const log = require('electron-log');
+const JsonStore = require('./JsonStore');
+const ServerListFilter = require('../components/ServerListFilter');
+const ERROR_CODES = require('../config/errorCodes');
+
+class ViewPreferences {
+  constructor(storageDir) {
+    this.store = new JsonStore(path.join(storageDir, 'view-preferences.json'), {
+      description: 'view preferences',
+      fromFile: parsed => ({ serverList: ServerListFilter.normalizeView(parsed.serverList) }),
+      toFile: preferences => preferences
+    });
+  }
+
+  /**
+   * Load preferences from disk (once)
+   * @returns {Promise<Object>} Preferences ({ serverList })
+   */
+  async load() {
+    return await this.store.load();
+  }
+
+  /**
+   * Get the server list view
+   * @returns {Promise<Object>} View ({ search, filters, sort })
+   */
+  async getServerListView() {
+    const preferences = await this.load();
+    return ServerListFilter.normalizeView(preferences.serverList);
+  }
+
+  /**
+   * Save the server list view
+   * Unknown fields and values are dropped rather than rejected, so a view
+   * saved by a newer version still loads
+   * @param {Object} view - View ({ search, filters, sort })
+   * @returns {Promise<Object>} Result object with the saved view
+   */
+  async saveServerListView(view) {
+    if (!view || typeof view !== 'object') {
+      return { success: false, code: ERROR_CODES.INVALID_REQUEST, error: 'View is required' };
+    }
+
+    return await this.store.update(async preferences => {
+      const serverList = ServerListFilter.normalizeView(view);
+
+      try {
+        await this.persist({ ...preferences, serverList });
+        return { success: true, view: serverList };
+      } catch (error) {
+        log.error('Error saving the server list view:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Write preferences to disk atomically
+   * @param {Object} preferences - Preferences to write
+   */
+  async persist(preferences) {
+    await this.store.save(preferences);
+  }
+}
+
+module.exports = ViewPreferences;
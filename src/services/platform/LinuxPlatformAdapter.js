@@ -0,0 +1,542 @@
+/**
+ * Linux Platform Adapter
+ * Reads process and socket information straight from procfs instead of
+ * shelling out to tasklist/netstat/wmic
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const log = require('electron-log');
+const PlatformAdapter = require('./PlatformAdapter');
+
+// TCP state code for LISTEN in /proc/net/tcp{,6}
+const TCP_LISTEN_STATE = '0A';
+
+// UDP state code of a bound socket with no fixed peer in /proc/net/udp{,6}
+const UDP_UNCONNECTED_STATE = '07';
+
+// Kernel default for net.ipv4.ip_local_port_range
+const DEFAULT_EPHEMERAL_PORT_RANGE = [32768, 60999];
+
+// USER_HZ is 100 on every mainstream Linux architecture
+const CLOCK_TICKS_PER_SECOND = 100;
+
+class LinuxPlatformAdapter extends PlatformAdapter {
+  constructor(procRoot = '/proc') {
+    super('linux');
+    this.procRoot = procRoot;
+    this.bootTime = null;
+  }
+
+  /**
+   * Get all running processes
+   * @returns {Promise<Array>} Array of process objects ({ pid, name, command, parentPid, startTime })
+   */
+  async listProcesses() {
+    try {
+      const pids = await this.listPids();
+      const processes = await Promise.all(pids.map(pid => this.getProcess(pid)));
+      return processes.filter(Boolean);
+    } catch (error) {
+      log.error('Error reading process list from procfs:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a lookup of direct children from a single procfs scan
+   * listChildProcesses scans every process, once per visited node
+   * @returns {Promise<Function>} async (pid) => Array of process objects
+   */
+  async createChildLookup() {
+    const children = new Map(); // parent PID -> child processes
+    (await this.listProcesses()).forEach(processInfo => {
+      if (!children.has(processInfo.parentPid)) children.set(processInfo.parentPid, []);
+      children.get(processInfo.parentPid).push(processInfo);
+    });
+
+    return async pid => children.get(pid) || [];
+  }
+
+  /**
+   * Get a single process by PID
+   * @param {number} pid - Process ID
+   * @returns {Promise<Object|null>} Process object or null if it is gone
+   */
+  async getProcess(pid) {
+    const stat = await this.readProcFile(pid, 'stat');
+    if (!stat) return null;
+
+    const parsedStat = this.parseStat(stat);
+    if (!parsedStat) return null;
+
+    const commandLine = await this.getCommandLine(pid);
+    const bootTime = await this.getBootTime();
+
+    return {
+      pid,
+      name: parsedStat.name,
+      // Kernel threads have an empty cmdline, fall back to the comm name like tasklist does
+      command: commandLine || parsedStat.name,
+      parentPid: parsedStat.parentPid,
+      startTime: bootTime !== null
+        ? new Date(bootTime + (parsedStat.startTicks / CLOCK_TICKS_PER_SECOND) * 1000)
+        : null
+    };
+  }
+
+  /**
+   * Get listening TCP sockets and bound UDP sockets (IPv4 and IPv6) with their owning PIDs
+   * UDP sockets on ephemeral ports are clients (DNS lookups, telemetry) and are left out
+   * @returns {Promise<Array>} Array of connection objects shaped like netstat output
+   */
+  async listListeners() {
+    try {
+      const netDir = path.join(this.procRoot, 'net');
+      const [tcp, tcp6, udp, udp6, ephemeralRange] = await Promise.all([
+        this.readFileSafe(path.join(netDir, 'tcp')),
+        this.readFileSafe(path.join(netDir, 'tcp6')),
+        this.readFileSafe(path.join(netDir, 'udp')),
+        this.readFileSafe(path.join(netDir, 'udp6')),
+        this.getEphemeralPortRange()
+      ]);
+
+      const isServerUdpPort = port => port > 0 && (port < ephemeralRange[0] || port > ephemeralRange[1]);
+      const sockets = [
+        ...this.parseProcNetTcp(tcp || '', 4),
+        ...this.parseProcNetTcp(tcp6 || '', 6),
+        ...this.parseProcNetUdp(udp || '', 4).filter(socket => isServerUdpPort(socket.port)),
+        ...this.parseProcNetUdp(udp6 || '', 6).filter(socket => isServerUdpPort(socket.port))
+      ].filter(socket => socket.state === 'LISTENING');
+
+      if (sockets.length === 0) return [];
+
+      const inodeToPid = await this.mapSocketInodesToPids();
+
+      return sockets
+        .filter(socket => inodeToPid.has(socket.inode))
+        .map(socket => ({
+          protocol: socket.protocol,
+          localAddress: socket.localAddress,
+          address: socket.address,
+          port: socket.port,
+          family: socket.family,
+          state: socket.state,
+          pid: inodeToPid.get(socket.inode)
+        }));
+    } catch (error) {
+      log.error('Error reading listening sockets from procfs:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the range the kernel picks ephemeral (client) ports from
+   * @returns {Promise<Array<number>>} [first, last]
+   */
+  async getEphemeralPortRange() {
+    const content = await this.readFileSafe(path.join(this.procRoot, 'sys', 'net', 'ipv4', 'ip_local_port_range'));
+    const range = content ? content.trim().split(/\s+/).map(value => parseInt(value, 10)) : [];
+    return range.length === 2 && range.every(value => !isNaN(value)) ? range : DEFAULT_EPHEMERAL_PORT_RANGE;
+  }
+
+  /**
+   * Get the full command line of a process
+   * @param {number} pid - Process ID
+   * @returns {Promise<string>} Command line with arguments joined by spaces
+   */
+  async getCommandLine(pid) {
+    const raw = await this.readProcFile(pid, 'cmdline');
+    return raw ? this.parseNullSeparated(raw).join(' ') : '';
+  }
+
+  /**
+   * Get the current working directory of a process
+   * @param {number} pid - Process ID
+   * @returns {Promise<string|null>} Working directory or null if not readable
+   */
+  async getCwd(pid) {
+    try {
+      return await fs.readlink(path.join(this.procRoot, String(pid), 'cwd'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the executable path of a process
+   * @param {number} pid - Process ID
+   * @returns {Promise<string|null>} Executable path or null if not readable
+   */
+  async getExecutablePath(pid) {
+    try {
+      return await fs.readlink(path.join(this.procRoot, String(pid), 'exe'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the environment variables of a process
+   * @param {number} pid - Process ID
+   * @returns {Promise<Object>} Map of variable name to value
+   */
+  async getEnv(pid) {
+    const raw = await this.readProcFile(pid, 'environ');
+    if (!raw) return {};
+
+    const env = {};
+    this.parseNullSeparated(raw).forEach(entry => {
+      const separator = entry.indexOf('=');
+      if (separator > 0) {
+        env[entry.substring(0, separator)] = entry.substring(separator + 1);
+      }
+    });
+    return env;
+  }
+
+  /**
+   * Get resource usage for a process
+   * Times are converted to 100-nanosecond units to match what wmic reports on Windows
+   * @param {number} pid - Process ID
+   * @returns {Promise<Object|null>} Resource usage ({ memoryUsage, virtualSize, swapUsage (MB), userTime, kernelTime })
+   */
+  async getResources(pid) {
+    const [stat, status] = await Promise.all([
+      this.readProcFile(pid, 'stat'),
+      this.readProcFile(pid, 'status')
+    ]);
+    if (!stat) return null;
+
+    const parsedStat = this.parseStat(stat);
+    if (!parsedStat) return null;
+
+    const parsedStatus = this.parseStatus(status || '');
+    const ticksTo100ns = 1e7 / CLOCK_TICKS_PER_SECOND;
+
+    return {
+      memoryUsage: (parsedStatus.VmRSS || 0) / 1024, // kB -> MB
+      virtualSize: (parsedStatus.VmSize || 0) / 1024, // kB -> MB
+      swapUsage: (parsedStatus.VmSwap || 0) / 1024, // kB -> MB
+      userTime: parsedStat.userTicks * ticksTo100ns,
+      kernelTime: parsedStat.systemTicks * ticksTo100ns
+    };
+  }
+
+  /**
+   * Get the user ID a process runs as, from the Uid line of /proc/<pid>/status
+   * @param {number} pid - Process ID
+   * @returns {Promise<number|null>} Real user ID, or null if the process is gone
+   */
+  async getOwnerUid(pid) {
+    const status = await this.readProcFile(pid, 'status');
+    if (!status) return null;
+
+    // Uid: real, effective, saved set and filesystem IDs
+    const uid = parseInt(String(this.parseStatus(status).Uid || '').split(/\s+/)[0], 10);
+    return Number.isNaN(uid) ? null : uid;
+  }
+
+  /**
+   * Check whether a process exists (zombies count as gone)
+   * @param {number} pid - Process ID
+   * @returns {Promise<boolean>} True if the process exists
+   */
+  async processExists(pid) {
+    const stat = await this.readProcFile(pid, 'stat');
+    if (!stat) return false;
+
+    // A zombie has already exited and is only waiting to be reaped
+    const parsedStat = this.parseStat(stat);
+    return !parsedStat || parsedStat.state !== 'Z';
+  }
+
+  /**
+   * Send a signal to a process
+   * @param {number} pid - Process ID
+   * @param {Object} options - Kill options ({ force, signal })
+   * @returns {Promise<void>}
+   */
+  async kill(pid, options = {}) {
+    const signal = options.signal || (options.force ? 'SIGKILL' : 'SIGTERM');
+    process.kill(pid, signal);
+  }
+
+  /**
+   * Get network interface information from the OS
+   * @returns {Promise<Array>} Array of interface objects
+   */
+  async listNetworkInterfaces() {
+    return Object.entries(os.networkInterfaces()).map(([name, addresses]) => ({
+      name,
+      ipv4: addresses.filter(address => address.family === 'IPv4' || address.family === 4).map(address => address.address),
+      ipv6: addresses.filter(address => address.family === 'IPv6' || address.family === 6).map(address => address.address),
+      mac: addresses.length > 0 ? addresses[0].mac : null,
+      dns: []
+    }));
+  }
+
+  /**
+   * List numeric PID directories under procfs
+   * @returns {Promise<Array<number>>} Array of PIDs
+   */
+  async listPids() {
+    const entries = await fs.readdir(this.procRoot);
+    return entries
+      .filter(entry => /^\d+$/.test(entry))
+      .map(entry => parseInt(entry, 10));
+  }
+
+  /**
+   * Build a map of socket inode to owning PID by scanning /proc/<pid>/fd
+   * Processes owned by other users are silently skipped (EACCES)
+   * @returns {Promise<Map<number, number>>} Map of inode to PID
+   */
+  async mapSocketInodesToPids() {
+    const inodeToPid = new Map();
+    const pids = await this.listPids();
+
+    await Promise.all(pids.map(async pid => {
+      const fdDir = path.join(this.procRoot, String(pid), 'fd');
+      let fds;
+      try {
+        fds = await fs.readdir(fdDir);
+      } catch (error) {
+        return;
+      }
+
+      await Promise.all(fds.map(async fd => {
+        try {
+          const target = await fs.readlink(path.join(fdDir, fd));
+          const match = target.match(/^socket:\[(\d+)\]$/);
+          if (match && !inodeToPid.has(parseInt(match[1], 10))) {
+            inodeToPid.set(parseInt(match[1], 10), pid);
+          }
+        } catch (error) {
+          // fd closed between readdir and readlink
+        }
+      }));
+    }));
+
+    return inodeToPid;
+  }
+
+  /**
+   * Get system boot time from /proc/stat (cached)
+   * @returns {Promise<number|null>} Boot time in epoch milliseconds
+   */
+  async getBootTime() {
+    if (this.bootTime !== null) return this.bootTime;
+
+    const stat = await this.readFileSafe(path.join(this.procRoot, 'stat'));
+    const match = stat && stat.match(/^btime\s+(\d+)/m);
+    if (match) {
+      this.bootTime = parseInt(match[1], 10) * 1000;
+    }
+    return this.bootTime;
+  }
+
+  /**
+   * Parse /proc/net/tcp or /proc/net/tcp6 content
+   * @param {string} content - Raw file content
+   * @param {number} family - Address family (4 or 6)
+   * @returns {Array} Array of socket objects ({ protocol, localAddress, address, port, family, state, inode })
+   */
+  parseProcNetTcp(content, family) {
+    return this.parseProcNetSockets(content, family, 'TCP', TCP_LISTEN_STATE);
+  }
+
+  /**
+   * Parse /proc/net/udp or /proc/net/udp6 content
+   * Unconnected UDP sockets receive from anyone, so they count as listening
+   * @param {string} content - Raw file content
+   * @param {number} family - Address family (4 or 6)
+   * @returns {Array} Array of socket objects ({ protocol, localAddress, address, port, family, state, inode })
+   */
+  parseProcNetUdp(content, family) {
+    return this.parseProcNetSockets(content, family, 'UDP', UDP_UNCONNECTED_STATE);
+  }
+
+  /**
+   * Parse a /proc/net socket table; tcp and udp share the column layout
+   * @param {string} content - Raw file content
+   * @param {number} family - Address family (4 or 6)
+   * @param {string} protocol - 'TCP' or 'UDP'
+   * @param {string} listenState - State code reported as LISTENING
+   * @returns {Array} Array of socket objects
+   */
+  parseProcNetSockets(content, family, protocol, listenState) {
+    const sockets = [];
+    const lines = content.split('\n').slice(1).filter(line => line.trim());
+
+    for (const line of lines) {
+      const parts = line.trim().split(/\s+/);
+      if (parts.length < 10) continue;
+
+      const [hexAddress, hexPort] = parts[1].split(':');
+      const inode = parseInt(parts[9], 10);
+      const port = parseInt(hexPort, 16);
+
+      if (!hexAddress || isNaN(port) || isNaN(inode)) continue;
+
+      const address = family === 6 ? this.decodeIpv6(hexAddress) : this.decodeIpv4(hexAddress);
+
+      sockets.push({
+        protocol,
+        localAddress: family === 6 ? `[${address}]:${port}` : `${address}:${port}`,
+        address,
+        port,
+        family: family === 6 ? 'IPv6' : 'IPv4',
+        state: parts[3] === listenState ? 'LISTENING' : parts[3],
+        inode
+      });
+    }
+
+    return sockets;
+  }
+
+  /**
+   * Decode a little-endian hex IPv4 address from procfs
+   * @param {string} hex - 8 hex characters
+   * @returns {string} Dotted quad address
+   */
+  decodeIpv4(hex) {
+    const bytes = [];
+    for (let i = hex.length - 2; i >= 0; i -= 2) {
+      bytes.push(parseInt(hex.substr(i, 2), 16));
+    }
+    return bytes.join('.');
+  }
+
+  /**
+   * Decode a procfs IPv6 address (four little-endian 32-bit words)
+   * @param {string} hex - 32 hex characters
+   * @returns {string} Compressed IPv6 address
+   */
+  decodeIpv6(hex) {
+    const bytes = [];
+    for (let word = 0; word < 4; word++) {
+      const chunk = hex.substr(word * 8, 8);
+      for (let i = 6; i >= 0; i -= 2) {
+        bytes.push(chunk.substr(i, 2));
+      }
+    }
+
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) {
+      groups.push(parseInt(bytes[i] + bytes[i + 1], 16).toString(16));
+    }
+
+    // IPv4-mapped addresses (::ffff:a.b.c.d)
+    if (groups.slice(0, 5).every(g => g === '0') && groups[5] === 'ffff') {
+      const v4 = bytes.slice(12).map(b => parseInt(b, 16)).join('.');
+      return `::ffff:${v4}`;
+    }
+
+    return this.compressIpv6(groups);
+  }
+
+  /**
+   * Compress the longest run of zero groups in an IPv6 address
+   * @param {Array<string>} groups - Eight hex groups
+   * @returns {string} Compressed address
+   */
+  compressIpv6(groups) {
+    let bestStart = -1;
+    let bestLength = 0;
+
+    for (let i = 0; i < groups.length; i++) {
+      if (groups[i] !== '0') continue;
+      let j = i;
+      while (j < groups.length && groups[j] === '0') j++;
+      if (j - i > bestLength) {
+        bestStart = i;
+        bestLength = j - i;
+      }
+      i = j;
+    }
+
+    if (bestLength < 2) return groups.join(':');
+
+    const head = groups.slice(0, bestStart).join(':');
+    const tail = groups.slice(bestStart + bestLength).join(':');
+    return `${head}::${tail}`;
+  }
+
+  /**
+   * Parse /proc/<pid>/stat content
+   * The comm field may contain spaces and parentheses, so split on the last ')'
+   * @param {string} content - Raw stat content
+   * @returns {Object|null} Parsed fields ({ name, state, parentPid, userTicks, systemTicks, startTicks })
+   */
+  parseStat(content) {
+    const open = content.indexOf('(');
+    const close = content.lastIndexOf(')');
+    if (open === -1 || close === -1) return null;
+
+    const fields = content.substring(close + 2).trim().split(/\s+/);
+    // fields[0] is field 3 (state) in proc(5) numbering
+    return {
+      name: content.substring(open + 1, close),
+      state: fields[0],
+      parentPid: parseInt(fields[1], 10),
+      userTicks: parseInt(fields[11], 10) || 0,
+      systemTicks: parseInt(fields[12], 10) || 0,
+      startTicks: parseInt(fields[19], 10) || 0
+    };
+  }
+
+  /**
+   * Parse /proc/<pid>/status content into numeric kB values where possible
+   * @param {string} content - Raw status content
+   * @returns {Object} Map of field name to value
+   */
+  parseStatus(content) {
+    const status = {};
+    content.split('\n').forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator === -1) return;
+
+      const key = line.substring(0, separator).trim();
+      const value = line.substring(separator + 1).trim();
+      const kbMatch = value.match(/^(\d+)\s*kB$/);
+      status[key] = kbMatch ? parseInt(kbMatch[1], 10) : value;
+    });
+    return status;
+  }
+
+  /**
+   * Split a NUL-separated procfs file (cmdline, environ)
+   * @param {string} content - Raw content
+   * @returns {Array<string>} Non-empty entries
+   */
+  parseNullSeparated(content) {
+    return content.split('\0').filter(entry => entry.length > 0);
+  }
+
+  /**
+   * Read a file under /proc/<pid>
+   * @param {number} pid - Process ID
+   * @param {string} file - File name
+   * @returns {Promise<string|null>} File content or null
+   */
+  async readProcFile(pid, file) {
+    return await this.readFileSafe(path.join(this.procRoot, String(pid), file));
+  }
+
+  /**
+   * Read a file, returning null if it is missing or unreadable
+   * @param {string} filePath - File path
+   * @returns {Promise<string|null>} File content or null
+   */
+  async readFileSafe(filePath) {
+    try {
+      return await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = LinuxPlatformAdapter;
@@ -0,0 +1,171 @@
+/**
+ * Platform Adapter contract
+ * Base class for the per-OS process and port backends used by
+ * NetworkUtilities, ProcessUtilities and TerminationStrategies
+ *
+ * Shapes returned by every implementation:
+ * - process:  { pid, name, command, parentPid, startTime }
+ * - listener: { protocol ('TCP' or 'UDP'), localAddress, address, port, family ('IPv4' or 'IPv6'), state, pid }
+ * - resources: { memoryUsage, virtualSize, swapUsage (MB), userTime, kernelTime (100ns units) }
+ * - interface: { name, ipv4: [], ipv6: [], mac, dns: [] }
+ */
+
+class PlatformAdapter {
+  constructor(platform) {
+    this.platform = platform;
+  }
+
+  /**
+   * Get all running processes
+   * @returns {Promise<Array>} Array of process objects
+   */
+  async listProcesses() {
+    throw this.notImplemented('listProcesses');
+  }
+
+  /**
+   * Get all listening TCP sockets and bound UDP sockets with their owning PIDs
+   * @returns {Promise<Array>} Array of listener objects
+   */
+  async listListeners() {
+    throw this.notImplemented('listListeners');
+  }
+
+  /**
+   * Get a single process by PID
+   * @param {number} pid - Process ID
+   * @returns {Promise<Object|null>} Process object or null if not found
+   */
+  async getProcess(pid) {
+    const processes = await this.listProcesses();
+    return processes.find(processInfo => processInfo.pid === pid) || null;
+  }
+
+  /**
+   * Get the direct children of a process
+   * @param {number} pid - Parent process ID
+   * @returns {Promise<Array>} Array of process objects
+   */
+  async listChildProcesses(pid) {
+    const processes = await this.listProcesses();
+    return processes.filter(processInfo => processInfo.parentPid === pid);
+  }
+
+  /**
+   * Get a lookup of direct children for walking a whole process tree
+   * Queries each parent as it is visited; adapters that can only list every
+   * process take one snapshot for the whole walk instead
+   * @returns {Promise<Function>} async (pid) => Array of process objects
+   */
+  async createChildLookup() {
+    return pid => this.listChildProcesses(pid);
+  }
+
+  /**
+   * Get the full command line of a process
+   * @param {number} pid - Process ID
+   * @returns {Promise<string>} Command line, or empty string if unavailable
+   */
+  async getCommandLine(pid) {
+    throw this.notImplemented('getCommandLine');
+  }
+
+  /**
+   * Get the working directory of a process
+   * @param {number} pid - Process ID
+   * @returns {Promise<string|null>} Working directory or null
+   */
+  async getCwd(pid) {
+    throw this.notImplemented('getCwd');
+  }
+
+  /**
+   * Check whether getCwd can read the working directory of other processes
+   * @returns {boolean} True if it can
+   */
+  canReadCwd() {
+    return true;
+  }
+
+  /**
+   * Get the user ID a process runs as
+   * @param {number} pid - Process ID
+   * @returns {Promise<number|null>} Real user ID, or null where the platform has no numeric user IDs
+   */
+  async getOwnerUid(pid) {
+    return null;
+  }
+
+  /**
+   * Get the executable path of a process
+   * @param {number} pid - Process ID
+   * @returns {Promise<string|null>} Executable path or null
+   */
+  async getExecutablePath(pid) {
+    throw this.notImplemented('getExecutablePath');
+  }
+
+  /**
+   * Get the environment variables of a process
+   * @param {number} pid - Process ID
+   * @returns {Promise<Object>} Map of variable name to value (empty if unavailable)
+   */
+  async getEnv(pid) {
+    throw this.notImplemented('getEnv');
+  }
+
+  /**
+   * Get resource usage for a process
+   * @param {number} pid - Process ID
+   * @returns {Promise<Object|null>} Resource usage or null
+   */
+  async getResources(pid) {
+    throw this.notImplemented('getResources');
+  }
+
+  /**
+   * Check whether a process exists
+   * @param {number} pid - Process ID
+   * @returns {Promise<boolean>} True if the process exists
+   */
+  async processExists(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM means the process exists but belongs to someone else
+      return error.code === 'EPERM';
+    }
+  }
+
+  /**
+   * Send a termination request to a process
+   * @param {number} pid - Process ID
+   * @param {Object} options - Kill options
+   * @param {boolean} options.force - Terminate without giving the process a chance to clean up
+   * @param {string} options.signal - Preferred POSIX signal (ignored where signals do not exist)
+   * @returns {Promise<void>} Rejects if the request could not be delivered
+   */
+  async kill(pid, options = {}) {
+    throw this.notImplemented('kill');
+  }
+
+  /**
+   * Get network interface information
+   * @returns {Promise<Array>} Array of interface objects
+   */
+  async listNetworkInterfaces() {
+    throw this.notImplemented('listNetworkInterfaces');
+  }
+
+  /**
+   * Build the error thrown by unimplemented contract methods
+   * @param {string} method - Method name
+   * @returns {Error} Error instance
+   */
+  notImplemented(method) {
+    return new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+}
+
+module.exports = PlatformAdapter;
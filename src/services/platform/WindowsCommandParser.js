@@ -0,0 +1,264 @@
+/**
+ * Windows Command Parser
+ * Parses the text output of tasklist, netstat, ipconfig and wmic
+ * Kept free of I/O so it can be exercised against recorded fixtures on any OS
+ */
+
+const log = require('electron-log');
+
+// Start of the dynamic port range Windows assigns client sockets from
+const DYNAMIC_PORT_START = 49152;
+
+class WindowsCommandParser {
+  /**
+   * Parse tasklist CSV output
+   * @param {string} output - Raw `tasklist /fo csv /nh` output
+   * @returns {Array} Array of process objects
+   */
+  parseTasklistOutput(output) {
+    const processes = [];
+    const lines = output.split('\n').filter(line => line.trim());
+
+    for (const line of lines) {
+      try {
+        // Parse CSV format: "Image Name","PID","Session Name","Session#","Mem Usage"
+        const parts = line.match(/"([^"]*)"/g);
+        if (parts && parts.length >= 2) {
+          const imageName = parts[0].replace(/"/g, '');
+          const pid = parseInt(parts[1].replace(/"/g, ''), 10);
+
+          if (!isNaN(pid) && imageName) {
+            processes.push({
+              pid,
+              name: imageName,
+              command: imageName
+            });
+          }
+        }
+      } catch (error) {
+        log.warn('Error parsing process line:', line, error);
+      }
+    }
+
+    return processes;
+  }
+
+  /**
+   * Parse netstat output
+   * Keeps listening TCP sockets and bound UDP sockets outside the dynamic port range,
+   * for IPv4 and IPv6
+   * @param {string} output - Raw `netstat -ano` output
+   * @returns {Array} Array of connection objects
+   */
+  parseNetstatOutput(output) {
+    const connections = [];
+    const lines = output.split('\n').filter(line => line.trim());
+
+    for (const line of lines) {
+      try {
+        // Skip header lines and empty lines
+        if (line.includes('Proto') || line.includes('Local Address') || line.trim() === '') {
+          continue;
+        }
+
+        // Parse line: TCP    0.0.0.0:3000           0.0.0.0:0              LISTENING       1234
+        //             UDP    [::]:5353              *:*                                    1234
+        const parts = line.trim().split(/\s+/);
+        const protocol = parts[0];
+        const localAddress = parts[1];
+        const portMatch = localAddress ? localAddress.match(/^\[?(.*?)\]?:(\d+)$/) : null;
+        if (!portMatch) continue;
+
+        const address = portMatch[1];
+        const port = parseInt(portMatch[2], 10);
+        const family = localAddress.startsWith('[') ? 'IPv6' : 'IPv4';
+
+        if (protocol === 'TCP' && parts[3] === 'LISTENING') {
+          const pid = parseInt(parts[4], 10);
+          if (!isNaN(pid)) {
+            connections.push({ protocol, localAddress, address, port, family, state: 'LISTENING', pid });
+          }
+        } else if (protocol === 'UDP' && parts.length === 4) {
+          // UDP has no state column; sockets on dynamic ports are clients
+          const pid = parseInt(parts[3], 10);
+          if (!isNaN(pid) && port > 0 && port < DYNAMIC_PORT_START) {
+            connections.push({ protocol, localAddress, address, port, family, state: 'LISTENING', pid });
+          }
+        }
+      } catch (error) {
+        log.warn('Error parsing connection line:', line, error);
+      }
+    }
+
+    return connections;
+  }
+
+  /**
+   * Parse ipconfig output
+   * @param {string} output - Raw `ipconfig /all` output
+   * @returns {Array} Array of interface information
+   */
+  parseIpConfigOutput(output) {
+    const interfaces = [];
+    let currentInterface = null;
+
+    const lines = output.split('\n');
+
+    for (const line of lines) {
+      const trimmedLine = line.trim();
+
+      // Start of new interface
+      if (trimmedLine && !trimmedLine.startsWith(' ') && !line.startsWith(' ')) {
+        if (currentInterface) {
+          interfaces.push(currentInterface);
+        }
+        currentInterface = {
+          name: trimmedLine,
+          ipv4: [],
+          ipv6: [],
+          mac: null,
+          dns: []
+        };
+      }
+
+      if (!currentInterface) continue;
+
+      // IPv4 Address
+      if (trimmedLine.includes('IPv4 Address')) {
+        const match = trimmedLine.match(/IPv4 Address[^\d]+([\d.]+)/);
+        if (match) {
+          currentInterface.ipv4.push(match[1]);
+        }
+      }
+
+      // IPv6 Address
+      if (trimmedLine.includes('IPv6 Address')) {
+        const match = trimmedLine.match(/IPv6 Address[\s.]*:\s*([:\da-f]+)/i);
+        if (match) {
+          currentInterface.ipv6.push(match[1]);
+        }
+      }
+
+      // Physical Address (MAC)
+      if (trimmedLine.includes('Physical Address')) {
+        const match = trimmedLine.match(/Physical Address[^\dA-Fa-f]+([0-9A-Fa-f-]+)/);
+        if (match) {
+          currentInterface.mac = match[1].replace(/-/g, ':');
+        }
+      }
+
+      // DNS Servers
+      if (trimmedLine.includes('DNS Servers')) {
+        const match = trimmedLine.match(/DNS Servers[\s.]*:\s*([\d.]+)/);
+        if (match) {
+          currentInterface.dns.push(match[1]);
+        }
+      }
+    }
+
+    // Add the last interface
+    if (currentInterface) {
+      interfaces.push(currentInterface);
+    }
+
+    return interfaces;
+  }
+
+  /**
+   * Parse `wmic ... /format:csv` output using its header row
+   * wmic sorts columns alphabetically and does not quote values, so the
+   * free-text column (CommandLine by default) absorbs any extra commas
+   * @param {string} output - Raw wmic CSV output
+   * @param {string} greedyColumn - Column allowed to contain commas
+   * @returns {Array<Object>} Array of records keyed by column name
+   */
+  parseWmicCsv(output, greedyColumn = 'CommandLine') {
+    const lines = output.split('\n')
+      .map(line => line.replace(/\r+$/, ''))
+      .filter(line => line.trim());
+
+    if (lines.length < 2) return [];
+
+    const headers = lines[0].split(',').map(header => header.trim());
+    const greedyIndex = headers.indexOf(greedyColumn);
+    const records = [];
+
+    for (const line of lines.slice(1)) {
+      let parts = line.split(',');
+      const extra = parts.length - headers.length;
+
+      if (extra < 0) continue;
+      if (extra > 0) {
+        if (greedyIndex === -1) {
+          log.warn('Unexpected column count in wmic output:', line);
+          continue;
+        }
+        parts = [
+          ...parts.slice(0, greedyIndex),
+          parts.slice(greedyIndex, greedyIndex + extra + 1).join(','),
+          ...parts.slice(greedyIndex + extra + 1)
+        ];
+      }
+
+      const record = {};
+      headers.forEach((header, index) => {
+        record[header] = parts[index].trim();
+      });
+      records.push(record);
+    }
+
+    return records;
+  }
+
+  /**
+   * Parse `wmic ... /format:list` output (Key=Value blocks separated by blank lines)
+   * @param {string} output - Raw wmic list output
+   * @returns {Array<Object>} Array of records keyed by property name
+   */
+  parseWmicList(output) {
+    const records = [];
+    let current = null;
+
+    output.split('\n').forEach(rawLine => {
+      const line = rawLine.trim();
+
+      if (!line) {
+        if (current) {
+          records.push(current);
+          current = null;
+        }
+        return;
+      }
+
+      const separator = line.indexOf('=');
+      if (separator === -1) return;
+
+      current = current || {};
+      current[line.substring(0, separator).trim()] = line.substring(separator + 1).trim();
+    });
+
+    if (current) {
+      records.push(current);
+    }
+
+    return records;
+  }
+
+  /**
+   * Parse a WMI CIM_DATETIME value (yyyymmddHHMMSS.mmmmmm+UUU)
+   * @param {string} value - WMI datetime string
+   * @returns {Date|null} Parsed date or null
+   */
+  parseWmicDate(value) {
+    const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})\.(\d{3})\d*([+-]\d{3})$/);
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, second, millis, offset] = match;
+    const utc = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second, +millis);
+
+    // Offset is expressed in minutes from UTC
+    return new Date(utc - parseInt(offset, 10) * 60 * 1000);
+  }
+}
+
+module.exports = WindowsCommandParser;
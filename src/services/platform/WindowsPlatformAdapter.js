@@ -0,0 +1,245 @@
+/**
+ * Windows Platform Adapter
+ * Collects process and port information through tasklist, netstat, wmic and ipconfig
+ */
+
+const { promisify } = require('util');
+const { exec } = require('child_process');
+const log = require('electron-log');
+const PlatformAdapter = require('./PlatformAdapter');
+const WindowsCommandParser = require('./WindowsCommandParser');
+
+class WindowsPlatformAdapter extends PlatformAdapter {
+  constructor(execAsync = promisify(exec)) {
+    super('win32');
+    this.execAsync = execAsync;
+    this.parser = new WindowsCommandParser();
+  }
+
+  /**
+   * Get all running processes using tasklist
+   * @returns {Promise<Array>} Array of process objects
+   */
+  async listProcesses() {
+    try {
+      const { stdout } = await this.execAsync('tasklist /fo csv /nh');
+      return this.parser.parseTasklistOutput(stdout);
+    } catch (error) {
+      log.error('Error getting process list:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get listening TCP and bound UDP sockets using netstat
+   * @returns {Promise<Array>} Array of connection objects
+   */
+  async listListeners() {
+    try {
+      const { stdout } = await this.execAsync('netstat -ano');
+      return this.parser.parseNetstatOutput(stdout);
+    } catch (error) {
+      log.error('Error getting network connections:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a single process by PID using wmic
+   * @param {number} pid - Process ID
+   * @returns {Promise<Object|null>} Process object or null
+   */
+  async getProcess(pid) {
+    const records = await this.queryWmicCsv(
+      `ProcessId=${this.toPid(pid)}`,
+      'CommandLine,CreationDate,Name,ParentProcessId,ProcessId'
+    );
+    return records.length > 0 ? this.toProcess(records[0]) : null;
+  }
+
+  /**
+   * Get the direct children of a process using wmic
+   * @param {number} pid - Parent process ID
+   * @returns {Promise<Array>} Array of process objects
+   */
+  async listChildProcesses(pid) {
+    const records = await this.queryWmicCsv(
+      `ParentProcessId=${this.toPid(pid)}`,
+      'CommandLine,CreationDate,Name,ParentProcessId,ProcessId'
+    );
+    return records.map(record => this.toProcess(record)).filter(child => !isNaN(child.pid));
+  }
+
+  /**
+   * Get the full command line of a process
+   * @param {number} pid - Process ID
+   * @returns {Promise<string>} Command line, or empty string
+   */
+  async getCommandLine(pid) {
+    const record = await this.queryWmicList(pid, 'CommandLine');
+    return (record && record.CommandLine) || '';
+  }
+
+  /**
+   * Get the executable path of a process
+   * @param {number} pid - Process ID
+   * @returns {Promise<string|null>} Executable path or null
+   */
+  async getExecutablePath(pid) {
+    const record = await this.queryWmicList(pid, 'ExecutablePath');
+    return (record && record.ExecutablePath) || null;
+  }
+
+  /**
+   * Get the working directory of a process
+   * Neither wmic nor Win32_Process exposes another process's cwd, and the
+   * executable's directory (node.exe's, python.exe's) says nothing about the
+   * project it serves, so it is reported as unknown; see canReadCwd
+   * @param {number} pid - Process ID
+   * @returns {Promise<null>} Always null
+   */
+  async getCwd(pid) {
+    return null;
+  }
+
+  /**
+   * Check whether getCwd can read the working directory of other processes
+   * @returns {boolean} Always false on Windows
+   */
+  canReadCwd() {
+    return false;
+  }
+
+  /**
+   * Get the environment variables of a process
+   * Not readable from another process without native tooling on Windows
+   * @param {number} pid - Process ID
+   * @returns {Promise<Object>} Always an empty map
+   */
+  async getEnv(pid) {
+    return {};
+  }
+
+  /**
+   * Get resource usage for a process using wmic
+   * @param {number} pid - Process ID
+   * @returns {Promise<Object|null>} Resource usage or null
+   */
+  async getResources(pid) {
+    const records = await this.queryWmicCsv(
+      `ProcessId=${this.toPid(pid)}`,
+      'KernelModeTime,PageFileUsage,UserModeTime,VirtualSize,WorkingSetSize'
+    );
+    if (records.length === 0) return null;
+
+    const record = records[0];
+    return {
+      memoryUsage: (parseInt(record.WorkingSetSize, 10) || 0) / 1024 / 1024, // bytes -> MB
+      virtualSize: (parseInt(record.VirtualSize, 10) || 0) / 1024 / 1024, // bytes -> MB
+      swapUsage: (parseInt(record.PageFileUsage, 10) || 0) / 1024, // KB -> MB
+      userTime: parseInt(record.UserModeTime, 10) || 0,
+      kernelTime: parseInt(record.KernelModeTime, 10) || 0
+    };
+  }
+
+  /**
+   * Check whether a process exists using tasklist
+   * @param {number} pid - Process ID
+   * @returns {Promise<boolean>} True if the process exists
+   */
+  async processExists(pid) {
+    try {
+      const { stdout } = await this.execAsync(`tasklist /fi "PID eq ${this.toPid(pid)}" /fo csv /nh`);
+      return this.parser.parseTasklistOutput(stdout).some(processInfo => processInfo.pid === pid);
+    } catch (error) {
+      return await super.processExists(pid);
+    }
+  }
+
+  /**
+   * Terminate a process with taskkill (specific PID only, never /IM)
+   * @param {number} pid - Process ID
+   * @param {Object} options - Kill options ({ force })
+   * @returns {Promise<void>}
+   */
+  async kill(pid, options = {}) {
+    const flags = options.force ? '/F ' : '';
+    await this.execAsync(`taskkill ${flags}/PID ${this.toPid(pid)}`);
+  }
+
+  /**
+   * Get network interface information using ipconfig
+   * @returns {Promise<Array>} Array of interface objects
+   */
+  async listNetworkInterfaces() {
+    try {
+      const { stdout } = await this.execAsync('ipconfig /all');
+      return this.parser.parseIpConfigOutput(stdout);
+    } catch (error) {
+      log.error('Error getting network interfaces:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Run a wmic process query in CSV format
+   * @param {string} filter - WQL where clause
+   * @param {string} properties - Comma separated property list
+   * @returns {Promise<Array<Object>>} Parsed records (empty on failure)
+   */
+  async queryWmicCsv(filter, properties) {
+    try {
+      const { stdout } = await this.execAsync(`wmic process where "${filter}" get ${properties} /format:csv`);
+      return this.parser.parseWmicCsv(stdout);
+    } catch (error) {
+      log.debug(`wmic query failed (${filter}):`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Run a wmic process query for one PID in list format
+   * @param {number} pid - Process ID
+   * @param {string} properties - Comma separated property list
+   * @returns {Promise<Object|null>} First parsed record or null
+   */
+  async queryWmicList(pid, properties) {
+    try {
+      const { stdout } = await this.execAsync(`wmic process where "ProcessId=${this.toPid(pid)}" get ${properties} /format:list`);
+      return this.parser.parseWmicList(stdout)[0] || null;
+    } catch (error) {
+      log.debug(`wmic query failed for PID ${pid}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Convert a wmic process record to the common process shape
+   * @param {Object} record - wmic record
+   * @returns {Object} Process object
+   */
+  toProcess(record) {
+    return {
+      pid: parseInt(record.ProcessId, 10),
+      name: record.Name || 'Unknown',
+      command: record.CommandLine || record.Name || '',
+      parentPid: record.ParentProcessId ? parseInt(record.ParentProcessId, 10) : null,
+      startTime: this.parser.parseWmicDate(record.CreationDate)
+    };
+  }
+
+  /**
+   * Coerce a PID to an integer before it is interpolated into a command
+   * @param {number|string} pid - Process ID
+   * @returns {number} Integer PID
+   */
+  toPid(pid) {
+    const value = Number(pid);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`Invalid PID: ${pid}`);
+    }
+    return value;
+  }
+}
+
+module.exports = WindowsPlatformAdapter;
@@ -0,0 +1,31 @@
+/**
+ * Platform adapter selection
+ * Picks the process/port backend for the current operating system
+ */
+
+const PlatformAdapter = require('./PlatformAdapter');
+const LinuxPlatformAdapter = require('./LinuxPlatformAdapter');
+const WindowsPlatformAdapter = require('./WindowsPlatformAdapter');
+const WindowsCommandParser = require('./WindowsCommandParser');
+
+/**
+ * Create the platform adapter for the given platform
+ * Platforms without a dedicated adapter keep using the Windows commands, as before
+ * @param {string} platform - Platform name (defaults to process.platform)
+ * @returns {PlatformAdapter} Platform adapter
+ */
+function createPlatformAdapter(platform = process.platform) {
+  if (platform === 'linux') {
+    return new LinuxPlatformAdapter();
+  }
+
+  return new WindowsPlatformAdapter();
+}
+
+module.exports = {
+  createPlatformAdapter,
+  PlatformAdapter,
+  LinuxPlatformAdapter,
+  WindowsPlatformAdapter,
+  WindowsCommandParser
+};
@@ -7,82 +7,102 @@
 const TerminationStrategies = require('./TerminationStrategies');
 const ProcessUtilities = require('./ProcessUtilities');
 const ProcessLogging = require('./ProcessLogging');
+const ServerProfiles = require('./ServerProfiles');
+const ServerSupervisor = require('./ServerSupervisor');
+const ServerOutputCapture = require('./ServerOutputCapture');
+const ReadinessProbe = require('./ReadinessProbe');
+const NetworkUtilities = require('./NetworkUtilities');
+const KeepAliveMonitor = require('./KeepAliveMonitor');
+const ProjectResolver = require('./ProjectResolver');
+const InfrastructureProbe = require('./InfrastructureProbe');
+const NetworkExposure = require('./NetworkExposure');
+const DockerClient = require('./DockerClient');
 const path = require('path');
 const log = require('electron-log');
+const ERROR_CODES = require('../config/errorCodes');
 
 class ProcessManager {
-  constructor() {
+  constructor(options = {}) {
     this.terminationTimeout = 10000; // 10 seconds timeout for graceful shutdown
     this.errorLogsDir = path.join(__dirname, '..', '..', 'logs');
+    this.userDataDir = options.userDataDir || path.join(__dirname, '..', '..', 'data');
+    // Looks up the detected server of a PID, so classification rules can protect it
+    this.getServer = options.getServer || (() => null);
 
     // Initialize modules
     this.terminationStrategies = new TerminationStrategies(this.terminationTimeout);
     this.processUtils = new ProcessUtilities();
-    this.logging = new ProcessLogging(this.errorLogsDir);
+    this.logging = new ProcessLogging(this.errorLogsDir, path.join(this.userDataDir, 'operations.jsonl'));
+    this.profiles = new ServerProfiles(this.userDataDir);
+    this.supervisor = new ServerSupervisor(this.processUtils);
+    this.projects = new ProjectResolver(this.processUtils, this.profiles);
+    this.infrastructure = new InfrastructureProbe();
+    this.networkUtils = new NetworkUtilities(this.processUtils.platform);
+    this.exposure = new NetworkExposure(this.networkUtils);
+    this.docker = options.docker || new DockerClient();
+    this.outputCapture = new ServerOutputCapture(path.join(this.userDataDir, 'server-output'));
+    this.readiness = new ReadinessProbe(
+      this.networkUtils,
+      this.outputCapture,
+      this.processUtils
+    );
+    this.keepAlive = new KeepAliveMonitor(this.outputCapture, {
+      restart: profileId => this.restartCrashedProfile(profileId)
+    });
+    this.keepAlive.on('crash', crash => this.logging.logServerCrash(crash.pid || 0, crash));
 
     // Prepare dependencies for modules
     this.dependencies = {
       processUtils: this.processUtils,
-      mainProcessCheck: this.processUtils
+      mainProcessCheck: this.processUtils,
+      outputCapture: this.outputCapture
     };
-
-    // Initialize error logs
-    this.logging.initErrorLogs();
   }
 
   /**
    * Stop a server by PID
    * @param {number} pid - Process ID
+   * @param {Object} options - Operation options
+   * @param {string} options.trigger - Who asked for the stop (ui, tray, mcp, alert), recorded in the journal
+   * @param {boolean} options.tree - Also stop every child process of the server
+   * @param {boolean} options.confirmed - The user confirmed stopping a protected or critical server
    * @returns {Promise<Object>} Result object with success status
    */
-  async stopServer(pid) {
-    try {
-      // Log the operation
-      await this.logging.logServerOperation(pid, 'stop', true, 'Attempting to stop server');
+  async stopServer(pid, options = {}) {
+    const journal = { trigger: options.trigger, startedAt: Date.now() };
+    const operation = options.tree ? 'stop-tree' : 'stop';
 
-      // ABSOLUTE SAFETY CHECK: Never attempt to stop system processes
-      const processInfo = await this.processUtils.getProcessInfo(pid);
-
-      // CRITICAL SYSTEM PROCESSES - ABSOLUTELY PROHIBITED
-      if (this.processUtils.isSystemProcess(pid)) {
-        const error = 'CRITICAL: This is a Windows system process and cannot be terminated for safety';
-        await this.logging.logServerOperation(pid, 'stop', false, error);
-        return {
-          success: false,
-          error: error,
-          isProtected: true,
-          isSystemProtected: true
-        };
+    try {
+      // Containers are stopped through Docker, never by killing a process
+      const server = this.getServer(pid);
+      if (server && (server.container || server.dockerForwarder)) {
+        return await this.runContainerOperation(server, operation, options, journal);
       }
 
-      // CRITICAL SERVER PROCESSES - USER CONFIRMATION REQUIRED
-      if (this.isCriticalServer(processInfo)) {
-        // TODO: Show user confirmation dialog for critical processes
-        const error = 'This appears to be a critical production server. Manual intervention required.';
-        await this.logging.logServerOperation(pid, 'stop', false, error);
-        return {
-          success: false,
-          error: error,
-          isProtected: true,
-          requiresManualIntervention: true
-        };
-      }
+      const refusal = await this.checkTerminationGuards(pid, operation, options, journal);
+      if (refusal) return refusal;
 
-      const result = await this.terminationStrategies.stopServer(pid, this.dependencies);
+      // A server the user stops on purpose must not be restarted by keep-alive
+      const keepAliveEntry = this.suspendKeepAlive(pid);
+      const result = await this.terminationStrategies.stopServer(pid, this.dependencies, { tree: options.tree });
+      if (!result.success) {
+        this.resumeKeepAlive(keepAliveEntry);
+      }
 
       // Log the result
       await this.logging.logServerOperation(
         pid,
-        'stop',
+        operation,
         result.success,
-        result.success ? 'Server stopped successfully' : result.error
+        result.success ? (result.tree ? result.message : 'Server stopped successfully') : result.error,
+        journal
       );
 
       return result;
 
     } catch (error) {
       log.error(`Error stopping server with PID ${pid}:`, error);
-      await this.logging.logServerOperation(pid, 'stop', false, error.message);
+      await this.logging.logServerOperation(pid, operation, false, error.message, journal);
 
       return {
         success: false,
@@ -91,6 +111,57 @@ class ProcessManager {
     }
   }
 
+  /**
+   * Check whether a process may be stopped or restarted, journaling a refusal
+   * System processes never; protected and critical servers once the user confirmed
+   * @param {number} pid - Process ID
+   * @param {string} operation - Journal operation (stop, stop-tree, restart)
+   * @param {Object} options - Operation options ({ confirmed })
+   * @param {Object} journal - Journal fields, the process name is added
+   * @returns {Promise<Object|null>} Failed result object, or null when the operation may go ahead
+   */
+  async checkTerminationGuards(pid, operation, options, journal) {
+    // ABSOLUTE SAFETY CHECK: Never attempt to stop system processes
+    const processInfo = await this.processUtils.getProcessInfo(pid);
+    journal.serverName = this.getProcessName(processInfo);
+    let refusal = null;
+
+    if (await this.processUtils.isSystemProcess(pid)) {
+      // CRITICAL SYSTEM PROCESSES - ABSOLUTELY PROHIBITED
+      refusal = {
+        success: false,
+        code: ERROR_CODES.PROTECTED,
+        error: 'CRITICAL: This is a system process and cannot be terminated for safety',
+        isProtected: true,
+        isSystemProtected: true
+      };
+    } else if (this.getProtectedError(pid) && !options.confirmed) {
+      // SERVERS THE USER PROTECTED - EXTRA CONFIRMATION REQUIRED
+      refusal = {
+        success: false,
+        code: ERROR_CODES.PROTECTED,
+        error: this.getProtectedError(pid),
+        isProtected: true,
+        requiresConfirmation: true
+      };
+    } else if (this.isCriticalServer(processInfo) && !options.confirmed) {
+      // CRITICAL SERVER PROCESSES - USER CONFIRMATION REQUIRED
+      refusal = {
+        success: false,
+        code: ERROR_CODES.PROTECTED,
+        error: 'This appears to be a critical production server. Manual intervention required.',
+        isProtected: true,
+        requiresManualIntervention: true,
+        requiresConfirmation: true
+      };
+    }
+
+    if (refusal) {
+      await this.logging.logServerOperation(pid, operation, false, refusal.error, journal);
+    }
+    return refusal;
+  }
+
   /**
    * Enhanced Node.js process termination
    * @param {number} pid - Process ID
@@ -124,15 +195,28 @@ class ProcessManager {
    * @returns {Promise<Object>} Result object with individual results
    */
   async stopMultipleServers(pids) {
-    return await this.terminationStrategies.stopMultipleServers(pids, this.dependencies);
+    const keepAliveEntries = new Map(pids.map(pid => [pid, this.suspendKeepAlive(pid)]));
+    const result = await this.terminationStrategies.stopMultipleServers(pids, this.dependencies);
+
+    keepAliveEntries.forEach((entry, pid) => {
+      if (!result.results || !result.results[pid] || !result.results[pid].success) {
+        this.resumeKeepAlive(entry);
+      }
+    });
+
+    return result;
   }
 
   /**
    * Stop all detected servers and prepare for application exit
    * @param {Array<Object>} servers - Array of server objects with pid property
+   * @param {Object} options - Operation options
+   * @param {string} options.trigger - Who asked for the stop (ui, tray, mcp, alert), recorded in the journal
    * @returns {Promise<Object>} Result object with success status and details
    */
-  async stopAllServersAndExit(servers) {
+  async stopAllServersAndExit(servers, options = {}) {
+    const journal = { trigger: options.trigger, startedAt: Date.now() };
+
     try {
       if (!servers || servers.length === 0) {
         return {
@@ -194,7 +278,8 @@ class ProcessManager {
         result.failed === 0, // Success depends on all safe servers being stopped
         result.failed === 0 ?
           `Successfully stopped ${result.successful} of ${safeToStopServers.length} safe servers. Excluded ${excludedServers} critical servers.` :
-          `Failed to stop ${result.failed} of ${safeToStopServers.length} safe servers. Excluded ${excludedServers} critical servers.`
+          `Failed to stop ${result.failed} of ${safeToStopServers.length} safe servers. Excluded ${excludedServers} critical servers.`,
+        journal
       );
 
       return {
@@ -216,7 +301,8 @@ class ProcessManager {
         0, // Use 0 to indicate all servers
         'stop-all-and-exit',
         false,
-        error.message
+        error.message,
+        journal
       );
 
       return {
@@ -260,28 +346,59 @@ class ProcessManager {
   /**
    * Restart a server by stopping and then restarting it with the same command
    * @param {number} pid - Process ID
+   * @param {Object} options - Operation options
+   * @param {string} options.trigger - Who asked for the restart (ui, tray, mcp, alert), recorded in the journal
+   * @param {boolean} options.confirmed - The user confirmed restarting a protected or critical server
    * @returns {Promise<Object>} Result object with success status
    */
-  async restartServer(pid) {
+  async restartServer(pid, options = {}) {
+    const journal = { trigger: options.trigger, startedAt: Date.now() };
+
     try {
-      // Log the operation
-      await this.logging.logServerOperation(pid, 'restart', true, 'Attempting to restart server');
+      const server = this.getServer(pid);
+      if (server && (server.container || server.dockerForwarder)) {
+        return await this.runContainerOperation(server, 'restart', options, journal);
+      }
+
+      // The same guards as a stop: a restart stops the process first
+      const refusal = await this.checkTerminationGuards(pid, 'restart', options, journal);
+      if (refusal) return refusal;
+
+      const record = this.supervisor.getRecord(pid);
+      const profile = record && record.profileId ? await this.profiles.getProfile(record.profileId) : null;
+      let result;
+
+      if (profile) {
+        // Managed servers restart from their profile so env and cwd are preserved
+        result = await this.restartProfile(pid, profile, options);
+      } else {
+        // The server should come back on the port it listens on now
+        const port = await this.getListeningPort(pid);
+        result = await this.terminationStrategies.restartServer(pid, this.dependencies);
+
+        // The restarted process was launched by the app, so supervise it from now on
+        if (result.newPid) {
+          this.supervisor.release(pid);
+          this.supervisor.track(result.newPid, { id: null, name: record ? record.profileName : result.name, expectedPort: port });
+        }
 
-      const result = await this.terminationStrategies.restartServer(pid, this.dependencies);
+        result = await this.awaitReadiness(result, { type: 'auto', port });
+      }
 
       // Log the result
       await this.logging.logServerOperation(
         pid,
         'restart',
         result.success,
-        result.success ? `Server restarted successfully. New PID: ${result.newPid}` : result.error
+        result.success ? `Server restarted successfully. New PID: ${result.newPid}` : result.error,
+        { ...journal, serverName: profile ? profile.name : result.name, newPid: result.newPid, profileId: profile ? profile.id : undefined }
       );
 
       return result;
 
     } catch (error) {
       log.error(`Error restarting server with PID ${pid}:`, error);
-      await this.logging.logServerOperation(pid, 'restart', false, error.message);
+      await this.logging.logServerOperation(pid, 'restart', false, error.message, journal);
 
       return {
         success: false,
@@ -300,6 +417,359 @@ class ProcessManager {
     return await this.terminationStrategies.startServer(commandLine, workingDir, this.dependencies);
   }
 
+  /**
+   * Get all saved server profiles, flagged with whether each one is running
+   * @returns {Promise<Array>} Array of profiles
+   */
+  async getProfiles() {
+    await this.supervisor.refresh();
+    const runningIds = this.supervisor.getRunningProfileIds();
+    const profiles = await this.profiles.getProfiles();
+
+    return profiles.map(profile => ({
+      ...profile,
+      isRunning: runningIds.includes(profile.id),
+      restartPending: this.keepAlive.isRestartPending(profile.id)
+    }));
+  }
+
+  /**
+   * Check whether saving a server profile would change what it launches
+   * @param {Object} profile - Profile fields
+   * @returns {Promise<boolean>} True for a new profile or a changed command, working directory or environment
+   */
+  async profileChangesLaunch(profile) {
+    return this.profiles.changesLaunch(profile);
+  }
+
+  /**
+   * Create or update a server profile
+   * @param {Object} profile - Profile fields
+   * @returns {Promise<Object>} Result object with the saved profile
+   */
+  async saveProfile(profile) {
+    const result = await this.profiles.saveProfile(profile);
+
+    if (result.success) {
+      const saved = result.profile;
+      const running = this.supervisor.getRecords().find(record => record.profileId === saved.id);
+
+      if (!saved.keepAlive) {
+        this.keepAlive.cancel(saved.id);
+      } else if (running && !this.keepAlive.isActive(saved.id)) {
+        this.keepAlive.activate(running.pid, saved);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Delete a server profile
+   * @param {string} profileId - Profile ID
+   * @returns {Promise<Object>} Result object
+   */
+  async deleteProfile(profileId) {
+    const result = await this.profiles.deleteProfile(profileId);
+    if (result.success) {
+      this.keepAlive.cancel(profileId);
+    }
+    return result;
+  }
+
+  /**
+   * Launch a server from a saved profile and supervise it
+   * @param {string} profileId - Profile ID
+   * @param {Object} options - Start options
+   * @param {boolean} options.automatic - True for keep-alive restarts, which keep the crash history
+   * @param {string} options.trigger - Who asked for the start (ui, tray, mcp, alert), recorded in the journal
+   * @param {boolean} options.skipJournal - True when the caller journals the operation itself (a restart)
+   * @returns {Promise<Object>} Result object with the new PID
+   */
+  async startProfile(profileId, options = {}) {
+    const journal = {
+      trigger: options.automatic ? 'keep-alive' : options.trigger,
+      startedAt: Date.now(),
+      profileId
+    };
+
+    try {
+      const profile = await this.profiles.getProfile(profileId);
+      if (!profile) {
+        return { success: false, code: ERROR_CODES.NOT_FOUND, error: `Profile ${profileId} not found` };
+      }
+
+      if (!options.automatic) {
+        this.keepAlive.reset(profile.id);
+      }
+
+      await this.supervisor.refresh();
+      if (this.supervisor.getRunningProfileIds().includes(profile.id)) {
+        return { success: false, error: `"${profile.name}" is already running` };
+      }
+
+      const result = await this.terminationStrategies.startServer(
+        profile.command,
+        profile.cwd || null,
+        this.dependencies,
+        { env: profile.env, name: profile.name }
+      );
+
+      if (result.newPid) {
+        this.supervisor.track(result.newPid, profile);
+      }
+
+      if (result.success && profile.keepAlive) {
+        this.keepAlive.activate(result.newPid, profile);
+      }
+
+      const readyResult = await this.awaitReadiness(result, this.getProfileReadiness(profile));
+
+      if (!options.skipJournal) {
+        await this.logging.logServerOperation(
+          result.newPid || 0,
+          'start',
+          readyResult.success,
+          readyResult.success ? `Started "${profile.name}" from profile` : readyResult.error,
+          { ...journal, serverName: profile.name, newPid: result.newPid }
+        );
+      }
+
+      return {
+        ...readyResult,
+        profileId: profile.id,
+        message: readyResult.success ? `"${profile.name}" started` : readyResult.error
+      };
+
+    } catch (error) {
+      log.error(`Error starting profile ${profileId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Unknown error occurred while starting server'
+      };
+    }
+  }
+
+  /**
+   * Stop a managed server and launch its profile again
+   * @param {number} pid - Process ID of the running server
+   * @param {Object} profile - Profile it was launched from
+   * @param {Object} options - Operation options passed through to startProfile
+   * @returns {Promise<Object>} Result object with the new PID, journaled by restartServer as one restart
+   */
+  async restartProfile(pid, profile, options = {}) {
+    const keepAliveEntry = this.suspendKeepAlive(pid);
+    const stopResult = await this.terminationStrategies.stopServer(pid, this.dependencies);
+    if (!stopResult.success) {
+      this.resumeKeepAlive(keepAliveEntry);
+      return {
+        success: false,
+        code: stopResult.code,
+        error: `Failed to stop server: ${stopResult.error}`
+      };
+    }
+
+    this.supervisor.release(pid);
+    await this.terminationStrategies.sleep(2000);
+
+    return await this.startProfile(profile.id, { ...options, skipJournal: true });
+  }
+
+  /**
+   * Start a keep-alive profile again after it crashed
+   * @param {string} profileId - Profile ID
+   * @returns {Promise<Object>} Result object with the new PID
+   */
+  async restartCrashedProfile(profileId) {
+    await this.supervisor.refresh();
+
+    // Someone started it again in the meantime
+    if (this.supervisor.getRunningProfileIds().includes(profileId)) {
+      return { success: true, alreadyRunning: true, message: 'Server is already running' };
+    }
+
+    return await this.startProfile(profileId, { automatic: true });
+  }
+
+  /**
+   * Stop keep-alive for the profile owning a PID before it is stopped on purpose
+   * @param {number} pid - Process ID being stopped
+   * @returns {Object|null} Keep-alive entry to restore if the stop fails
+   */
+  suspendKeepAlive(pid) {
+    const record = this.supervisor.getRecord(pid);
+    return record && record.profileId ? this.keepAlive.deactivate(record.profileId) : null;
+  }
+
+  /**
+   * Restore keep-alive after a stop that did not go through
+   * @param {Object|null} entry - Entry returned by suspendKeepAlive
+   */
+  resumeKeepAlive(entry) {
+    if (entry) {
+      this.keepAlive.activate(entry.pid, { id: entry.profileId, name: entry.profileName });
+    }
+  }
+
+  /**
+   * Build the readiness configuration for a profile
+   * @param {Object} profile - Server profile
+   * @returns {Object} Readiness configuration for ReadinessProbe
+   */
+  getProfileReadiness(profile) {
+    return {
+      type: profile.readinessType || 'auto',
+      port: profile.expectedPort,
+      url: profile.readinessUrl,
+      pattern: profile.readinessPattern,
+      timeout: profile.readinessTimeout ? profile.readinessTimeout * 1000 : undefined
+    };
+  }
+
+  /**
+   * Wait for a started server to become ready
+   * Servers that crash or never signal readiness are reported as failures with their recent output
+   * @param {Object} result - Result of startServer
+   * @param {Object} readinessConfig - Readiness configuration
+   * @returns {Promise<Object>} Result object extended with ready/readyAfter or output
+   */
+  async awaitReadiness(result, readinessConfig) {
+    const readiness = result.success
+      ? await this.readiness.waitForReady(result, readinessConfig)
+      : { ready: false, reason: result.error };
+
+    if (readiness.ready) {
+      return { ...result, ready: true, readyAfter: readiness.elapsed };
+    }
+
+    const output = result.logKey ? this.outputCapture.getOutput(result.logKey, { limit: 20 }) : null;
+
+    return {
+      ...result,
+      success: false,
+      ready: false,
+      code: result.success ? (readiness.timedOut ? ERROR_CODES.TIMEOUT : ERROR_CODES.OPERATION_FAILED) : result.code,
+      error: result.success ? `Server did not become ready: ${readiness.reason}` : result.error,
+      output: output ? output.lines.map(line => line.text) : []
+    };
+  }
+
+  /**
+   * Find the port a server is listening on
+   * @param {number} pid - Process ID
+   * @returns {Promise<number|null>} Port or null if the process has no listener
+   */
+  async getListeningPort(pid) {
+    try {
+      const listeners = await this.processUtils.platform.listListeners();
+      const listener = listeners.find(connection => connection.pid === pid);
+      return listener ? Number(listener.port) : null;
+    } catch (error) {
+      log.error(`Error getting listening port for PID ${pid}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get captured stdout/stderr for a server the app started or restarted
+   * @param {number} pid - Server PID (launcher or any process it spawned)
+   * @param {Object} options - Query options ({ limit, search })
+   * @returns {Promise<Object>} Result object with output lines
+   */
+  async getServerOutput(pid, options = {}) {
+    const record = this.supervisor.getRecord(pid);
+    const logKey = this.outputCapture.getLogKeyForPid(record ? record.pid : pid);
+
+    if (!logKey) {
+      return {
+        success: false,
+        error: 'Output is only captured for servers started or restarted by Server Manager'
+      };
+    }
+
+    return {
+      success: true,
+      ...this.outputCapture.getOutput(logKey, options)
+    };
+  }
+
+  /**
+   * Mark detected servers as managed (launched by the app) or merely detected,
+   * attach the project each one runs in, who can reach it on the network and
+   * the health of infrastructure services
+   * @param {Array} servers - Detected servers
+   * @returns {Promise<Array>} Annotated servers
+   */
+  async annotateServers(servers) {
+    const annotated = await this.projects.annotateServers(await this.supervisor.annotateServers(servers));
+    return await this.infrastructure.annotateServers(await this.exposure.annotateServers(annotated));
+  }
+
+  /**
+   * Stop or restart the container behind a server through the Docker Engine API
+   * A forwarder whose container is unknown is refused: killing it would break Docker
+   * @param {Object} server - Server with `container`, or a Docker forwarder
+   * @param {string} operation - 'stop', 'stop-tree' or 'restart'
+   * @param {Object} options - Operation options (confirmed)
+   * @param {Object} journal - Journal fields of the operation
+   * @returns {Promise<Object>} Result object
+   */
+  async runContainerOperation(server, operation, options, journal) {
+    journal.serverName = server.name;
+
+    if (!server.container) {
+      const error = `Port ${server.port} is published by Docker (${server.command}). Stopping this process would break Docker; stop the container with Docker instead.`;
+      await this.logging.logServerOperation(server.pid, operation, false, error, journal);
+      return { success: false, code: ERROR_CODES.PROTECTED, error, isProtected: true };
+    }
+
+    const protectedError = this.getProtectedError(server.pid);
+    if (protectedError && !options.confirmed) {
+      await this.logging.logServerOperation(server.pid, operation, false, protectedError, journal);
+      return { success: false, code: ERROR_CODES.PROTECTED, error: protectedError, isProtected: true, requiresConfirmation: true };
+    }
+
+    const restart = operation === 'restart';
+    const result = restart
+      ? await this.docker.restartContainer(server.container.id)
+      : await this.docker.stopContainer(server.container.id);
+    const message = `Container ${server.container.name} ${restart ? 'restarted' : 'stopped'}`;
+
+    await this.logging.logServerOperation(server.pid, operation, result.success, result.success ? message : result.error, journal);
+    return result.success ? { success: true, message, container: server.container.id } : result;
+  }
+
+  /**
+   * Explain why a server needs an extra confirmation before it is stopped or restarted
+   * @param {number} pid - Process ID
+   * @returns {string|null} Error message, or null if the server is not protected
+   */
+  getProtectedError(pid) {
+    const server = this.getServer(pid);
+    if (server && !server.isProtected && server.type === 'infrastructure') {
+      return `"${server.name}" is an infrastructure service other servers may depend on`;
+    }
+    if (!server || !server.isProtected) return null;
+
+    if (server.protectedBy && server.protectedBy.source === 'list') {
+      return `"${server.name}" is on your protect list (${server.protectedBy.name})`;
+    }
+
+    return server.protectedBy
+      ? `Protected by classification rule "${server.protectedBy.name}"`
+      : 'This server is protected and cannot be stopped';
+  }
+
+  /**
+   * Extract the process name from getProcessInfo output
+   * @param {string|null} processInfo - Process information string
+   * @returns {string|undefined} Process name
+   */
+  getProcessName(processInfo) {
+    const match = processInfo && processInfo.match(/^Name=(.*)$/m);
+    return match && match[1].trim() ? match[1].trim() : undefined;
+  }
+
   /**
    * Get the working directory of a process
    * @param {number} pid - Process ID
@@ -341,9 +811,10 @@ class ProcessManager {
    * Monitor a server for errors and log them
    * @param {number} pid - Process ID
    * @param {string} serverName - Server name for logging
+   * @returns {Promise<Object>} Result object with a running flag
    */
   async monitorServerErrors(pid, serverName) {
-    await this.logging.monitorServerErrors(pid, serverName, this.processUtils);
+    return await this.logging.monitorServerErrors(pid, serverName, this.processUtils);
   }
 
   /**
@@ -382,6 +853,15 @@ class ProcessManager {
     return await this.logging.getOperationHistory(limit);
   }
 
+  /**
+   * Query the operation journal
+   * @param {Object} filters - Query filters ({ pid, from, to, operation, trigger, limit })
+   * @returns {Promise<Array>} Journal entries, newest first
+   */
+  async queryOperations(filters = {}) {
+    return await this.logging.queryOperations(filters);
+  }
+
   /**
    * Get all server error logs summary
    * @returns {Promise<Object>} Summary of all error logs
@@ -7,13 +7,28 @@
 const DetectionLogic = require('./DetectionLogic');
 const ProcessClassifier = require('./ProcessClassifier');
 const NetworkUtilities = require('./NetworkUtilities');
+const FrameworkDetector = require('./FrameworkDetector');
+const ClassificationRuleEngine = require('./ClassificationRuleEngine');
+const ContainerResolver = require('./ContainerResolver');
+const DockerClient = require('./DockerClient');
 
 class ServerDetector {
   constructor() {
     // Initialize modules
     this.networkUtils = new NetworkUtilities();
     this.processClassifier = new ProcessClassifier();
-    this.detectionLogic = new DetectionLogic(this.networkUtils, this.processClassifier);
+    this.frameworkDetector = new FrameworkDetector(this.networkUtils.platform);
+    this.ruleEngine = new ClassificationRuleEngine(this.networkUtils.platform);
+    this.listEngine = new ClassificationRuleEngine(this.networkUtils.platform);
+    this.containerResolver = new ContainerResolver(new DockerClient(), this.processClassifier);
+    this.detectionLogic = new DetectionLogic(
+      this.networkUtils,
+      this.processClassifier,
+      this.frameworkDetector,
+      this.ruleEngine,
+      this.listEngine,
+      this.containerResolver
+    );
   }
 
   /**
@@ -24,6 +39,33 @@ class ServerDetector {
     return await this.detectionLogic.detectServers();
   }
 
+  /**
+   * Replace the user classification rules and drop results classified with the old ones
+   * @param {Array} rules - Rules from ClassificationRules, in evaluation order
+   */
+  setClassificationRules(rules) {
+    this.ruleEngine.setRules(rules);
+    this.detectionLogic.clearCache();
+  }
+
+  /**
+   * Replace the ignore and protect lists and drop results detected with the old ones
+   * @param {Array} rules - List entries converted with ProcessLists.toRules
+   */
+  setProcessLists(rules) {
+    this.listEngine.setRules(rules);
+    this.detectionLogic.clearCache();
+  }
+
+  /**
+   * Preview which running processes a classification rule matches
+   * @param {Object} rule - Normalized rule
+   * @returns {Promise<Array>} Matching processes with their resulting classification
+   */
+  async previewClassificationRule(rule) {
+    return await this.detectionLogic.previewRule(rule);
+  }
+
   /**
    * Get process details for a specific PID
    * @param {number} pid - Process ID
@@ -117,13 +159,13 @@ class ServerDetector {
       const servers = [];
       const processedPids = new Set();
 
-      // Check processes with open ports first
-      Object.values(portToProcess).forEach(processInfo => {
+      // Check processes with open ports first, on their primary port
+      this.detectionLogic.getListeningProcesses(portToProcess).forEach(processInfo => {
         if (processedPids.has(processInfo.pid)) return;
 
         const server = this.processClassifier.classifyServerEnhanced(processInfo);
         if (server) {
-          servers.push(server);
+          servers.push(this.detectionLogic.attachBindings(server, processInfo));
           processedPids.add(processInfo.pid);
         }
       });
@@ -134,13 +176,13 @@ class ServerDetector {
 
         const server = this.processClassifier.classifyServerEnhanced(process);
         if (server) {
-          servers.push(server);
+          servers.push(this.detectionLogic.attachBindings(server, process));
           processedPids.add(process.pid);
         }
       });
 
       // Validate and filter servers
-      const validServers = this.detectionLogic.filterValidServers(servers);
+      const validServers = this.detectionLogic.filterValidServers(await this.detectionLogic.detectFrameworks(servers));
 
       // Update cache
       this.detectionLogic.cachedServers = validServers;
@@ -0,0 +1,67 @@
+/**
+ * URL Policy Module
+ * Decides which server URLs may become links. Only http(s) URLs that point at
+ * this machine or a private network address qualify: a process can report any
+ * URL, and a `javascript:` or remote address must not turn into a clickable link.
+ * Shared by the renderer (which links) and the main process (which opens them)
+ */
+
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+
+class UrlPolicy {
+  /**
+   * Get the href to use for a server URL
+   * @param {string} url - URL reported for a server
+   * @returns {string|null} Normalized URL, or null when it must not be linked
+   */
+  static toSafeHref(url) {
+    if (typeof url !== 'string' || url.length === 0) return null;
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return null;
+    }
+
+    if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) return null;
+    if (parsed.username || parsed.password) return null;
+    if (!UrlPolicy.isLocalHost(parsed.hostname)) return null;
+
+    return parsed.href;
+  }
+
+  /**
+   * Whether a URL may be opened
+   * @param {string} url - URL
+   * @returns {boolean} True for http(s) URLs on localhost or a LAN address
+   */
+  static isAllowed(url) {
+    return UrlPolicy.toSafeHref(url) !== null;
+  }
+
+  /**
+   * Whether a host name is this machine or a private network address
+   * @param {string} hostname - Host name as parsed by URL (IPv6 in brackets)
+   * @returns {boolean} True for localhost, loopback, RFC 1918, link-local and unique local addresses
+   */
+  static isLocalHost(hostname) {
+    const host = hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+
+    if (host === 'localhost' || host.endsWith('.localhost')) return true;
+
+    const ipv4 = host.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+    if (ipv4) {
+      const [a, b] = ipv4.slice(1, 3).map(Number);
+      return a === 127 || a === 10 || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) || (a === 169 && b === 254);
+    }
+
+    if (host.includes(':')) {
+      return host === '::1' || /^f[cd][0-9a-f]{2}:/.test(host) || /^fe[89ab][0-9a-f]:/.test(host);
+    }
+
+    return false;
+  }
+}
+
+module.exports = UrlPolicy;
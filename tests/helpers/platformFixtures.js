@@ -0,0 +1,88 @@
+/**
+ * Platform fixture harness
+ * Replays recorded Windows command output and materializes recorded procfs
+ * snapshots so platform adapters can be tested on any CI host
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'platform');
+
+/**
+ * Read a recorded fixture file
+ * @param {string} platform - Fixture platform directory (windows, linux)
+ * @param {string} name - Fixture file name
+ * @returns {string} Raw fixture content
+ */
+function readFixture(platform, name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, platform, name), 'utf8');
+}
+
+/**
+ * Create an execAsync replacement that answers from recorded fixtures
+ * @param {Object} recordings - Map of exact command string to Windows fixture file name
+ * @returns {Function} jest mock resolving to { stdout, stderr }
+ */
+function createRecordedExec(recordings) {
+  return jest.fn(async (command) => {
+    if (!Object.prototype.hasOwnProperty.call(recordings, command)) {
+      throw new Error(`No recording for command: ${command}`);
+    }
+    return { stdout: readFixture('windows', recordings[command]), stderr: '' };
+  });
+}
+
+/**
+ * Materialize a recorded procfs snapshot into a temporary directory
+ * @param {string} snapshotName - Linux fixture JSON file name
+ * @returns {string} Path usable as a procRoot
+ */
+function createFakeProcRoot(snapshotName = 'proc-snapshot.json') {
+  const snapshot = JSON.parse(readFixture('linux', snapshotName));
+  const procRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-proc-'));
+
+  const write = (relativePath, content) => {
+    const filePath = path.join(procRoot, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  };
+
+  write('stat', `cpu  1 2 3 4\nbtime ${snapshot.btime}\n`);
+  write('net/tcp', readFixture('linux', 'net-tcp.txt'));
+  write('net/tcp6', readFixture('linux', 'net-tcp6.txt'));
+
+  Object.entries(snapshot.processes).forEach(([pid, recorded]) => {
+    write(`${pid}/stat`, recorded.stat);
+    write(`${pid}/cmdline`, recorded.cmdline.map(arg => `${arg}\0`).join(''));
+    write(`${pid}/environ`, Object.entries(recorded.environ || {}).map(([key, value]) => `${key}=${value}\0`).join(''));
+    write(`${pid}/status`, Object.entries(recorded.status || {}).map(([key, value]) => `${key}:\t${value}`).join('\n') + '\n');
+
+    const fdDir = path.join(procRoot, pid, 'fd');
+    fs.mkdirSync(fdDir, { recursive: true });
+    (recorded.fds || []).forEach((inode, index) => {
+      fs.symlinkSync(`socket:[${inode}]`, path.join(fdDir, String(index + 3)));
+    });
+
+    if (recorded.cwd) fs.symlinkSync(recorded.cwd, path.join(procRoot, pid, 'cwd'));
+    if (recorded.exe) fs.symlinkSync(recorded.exe, path.join(procRoot, pid, 'exe'));
+  });
+
+  return procRoot;
+}
+
+/**
+ * Remove a materialized procfs snapshot
+ * @param {string} procRoot - Path returned by createFakeProcRoot
+ */
+function removeFakeProcRoot(procRoot) {
+  fs.rmSync(procRoot, { recursive: true, force: true });
+}
+
+module.exports = {
+  readFixture,
+  createRecordedExec,
+  createFakeProcRoot,
+  removeFakeProcRoot
+};
@@ -0,0 +1,48 @@
+/**
+ * Store fixture harness
+ * Gives every test of a JsonStore-backed service its own user data directory
+ * and a silent electron-log
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Create an electron-log replacement, for jest.mock('electron-log', ...)
+ * @returns {Object} Logger whose methods are jest mocks
+ */
+function createLogMock() {
+  return {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  };
+}
+
+/**
+ * Create a temporary directory before each test and remove it after
+ * Call at the top of a describe block
+ * @param {string} prefix - Directory name prefix
+ * @returns {Object} { root, userDataDir }, filled in before each test
+ */
+function useStorageDir(prefix) {
+  const storage = { root: null, userDataDir: null };
+
+  beforeEach(() => {
+    storage.root = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    storage.userDataDir = path.join(storage.root, 'userData');
+  });
+
+  afterEach(() => {
+    fs.rmSync(storage.root, { recursive: true, force: true });
+  });
+
+  return storage;
+}
+
+module.exports = {
+  createLogMock,
+  useStorageDir
+};
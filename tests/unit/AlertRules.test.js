@@ -0,0 +1,66 @@
+const AlertRules = require('../../src/services/AlertRules');
+const { useStorageDir } = require('../helpers/storeFixtures');
+
+jest.mock('electron-log', () => require('../helpers/storeFixtures').createLogMock());
+
+describe('AlertRules', () => {
+  const storage = useStorageDir('alert-rules-');
+  let rules;
+
+  const memoryRule = { name: 'Runaway bundler', metric: 'rss', threshold: '2048', duration: '60' };
+
+  beforeEach(() => {
+    rules = new AlertRules(storage.userDataDir);
+  });
+
+  it('should save a rule with defaults and persist it', async () => {
+    const result = await rules.saveRule(memoryRule);
+
+    expect(result.success).toBe(true);
+    expect(result.rule).toMatchObject({
+      name: 'Runaway bundler',
+      metric: 'rss',
+      threshold: 2048,
+      duration: 60,
+      scope: 'all',
+      scopeValue: '',
+      action: 'notify',
+      enabled: true
+    });
+
+    const reloaded = new AlertRules(storage.userDataDir);
+    expect(await reloaded.getRules()).toEqual([result.rule]);
+  });
+
+  it('should keep a rule saved while another rule is deleted', async () => {
+    const { rule } = await rules.saveRule(memoryRule);
+
+    const [saved] = await Promise.all([
+      rules.saveRule({ ...memoryRule, name: 'Busy loop', metric: 'cpu', threshold: '90' }),
+      rules.deleteRule(rule.id)
+    ]);
+
+    const reloaded = new AlertRules(storage.userDataDir);
+    expect(await reloaded.getRules()).toEqual([saved.rule]);
+  });
+
+  it('should update and delete rules', async () => {
+    const { rule } = await rules.saveRule(memoryRule);
+
+    const updated = await rules.saveRule({ ...rule, action: 'restart', enabled: false });
+    expect(updated.rule).toMatchObject({ id: rule.id, action: 'restart', enabled: false });
+
+    expect(await rules.deleteRule(rule.id)).toEqual({ success: true });
+    expect(await rules.getRules()).toEqual([]);
+    expect((await rules.deleteRule(rule.id)).success).toBe(false);
+  });
+
+  it('should reject invalid rules', async () => {
+    expect((await rules.saveRule({ ...memoryRule, name: ' ' })).error).toBe('Rule name is required');
+    expect((await rules.saveRule({ ...memoryRule, metric: 'disk' })).error).toBe('Unknown metric: disk');
+    expect((await rules.saveRule({ ...memoryRule, threshold: '-1' })).error).toMatch('Threshold must be a positive number');
+    expect((await rules.saveRule({ ...memoryRule, duration: '1.5' })).error).toMatch('Duration must be between');
+    expect((await rules.saveRule({ ...memoryRule, scope: 'profile' })).error).toBe('Choose the profile the rule applies to');
+    expect((await rules.saveRule({ ...memoryRule, action: 'reboot' })).error).toBe('Unknown action: reboot');
+  });
+});
@@ -0,0 +1,121 @@
+const os = require('os');
+const ClassificationRuleEngine = require('../../src/services/ClassificationRuleEngine');
+
+jest.mock('electron-log', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('ClassificationRuleEngine', () => {
+  let platform;
+  let engine;
+
+  const rule = (id, match, action = { name: id }) => ({
+    id,
+    name: id,
+    enabled: true,
+    match: { imageName: '', commandPattern: '', portMin: null, portMax: null, cwdGlob: '', parentName: '', ...match },
+    action
+  });
+
+  const processes = [
+    { pid: 10, name: 'pm2', command: 'pm2 daemon', parentPid: 1 },
+    { pid: 20, name: 'node.exe', command: 'node gateway/dev.js', parentPid: 10, port: '8080' },
+    { pid: 30, name: 'node', command: 'node worker.js', parentPid: 1, port: '3001' },
+    { pid: 40, name: 'java', command: 'java -jar app.jar', parentPid: 1 }
+  ];
+
+  beforeEach(() => {
+    platform = { getCwd: jest.fn().mockResolvedValue(null) };
+    engine = new ClassificationRuleEngine(platform);
+  });
+
+  it('should match image names ignoring case and .exe', async () => {
+    engine.setRules([rule('node', { imageName: 'NODE' })]);
+
+    const matches = await engine.matchProcesses(processes);
+
+    expect([...matches.keys()]).toEqual([20, 30]);
+  });
+
+  it('should combine command regex and port range conditions', async () => {
+    engine.setRules([rule('gateway', { commandPattern: 'gateway/(dev|serve)', portMin: 8000, portMax: 8999 })]);
+
+    const matches = await engine.matchProcesses(processes);
+
+    expect([...matches.keys()]).toEqual([20]);
+  });
+
+  it('should not match processes without a port when a range is set', async () => {
+    engine.setRules([rule('low-ports', { portMax: 4000 })]);
+
+    const matches = await engine.matchProcesses(processes);
+
+    expect([...matches.keys()]).toEqual([30]);
+  });
+
+  it('should match the parent process name', async () => {
+    engine.setRules([rule('under-pm2', { parentName: 'pm2' })]);
+
+    const matches = await engine.matchProcesses(processes);
+
+    expect([...matches.keys()]).toEqual([20]);
+  });
+
+  it('should let the first matching rule win and skip disabled rules', async () => {
+    engine.setRules([
+      { ...rule('disabled', { imageName: 'node' }), enabled: false },
+      rule('first', { imageName: 'node' }),
+      rule('second', { commandPattern: 'node' })
+    ]);
+
+    const matches = await engine.matchProcesses(processes);
+
+    expect(matches.get(20).id).toBe('first');
+    expect(matches.get(30).id).toBe('first');
+  });
+
+  it('should skip rules whose pattern does not compile', async () => {
+    engine.setRules([rule('broken', { commandPattern: '(unclosed' }), rule('java', { imageName: 'java' })]);
+
+    const matches = await engine.matchProcesses(processes);
+
+    expect([...matches.keys()]).toEqual([40]);
+  });
+
+  it('should only read working directories when the cheaper conditions match', async () => {
+    platform.getCwd.mockImplementation(async pid => (pid === 20 ? '/home/dev/work/gateway' : '/tmp'));
+    engine.setRules([rule('work', { imageName: 'node', cwdGlob: '/home/dev/work/**' })]);
+
+    const matches = await engine.matchProcesses(processes);
+
+    expect([...matches.keys()]).toEqual([20]);
+    expect(platform.getCwd.mock.calls.map(call => call[0]).sort()).toEqual([20, 30]);
+  });
+
+  it('should preview a single rule against the given processes', async () => {
+    const matched = await engine.previewRule(rule('node', { imageName: 'node' }), processes);
+
+    expect(matched.map(processInfo => processInfo.pid)).toEqual([20, 30]);
+  });
+
+  describe('globToRegExp', () => {
+    it('should keep * within one directory and let ** span directories', () => {
+      expect(ClassificationRuleEngine.globToRegExp('/work/*-api').test('/work/orders-api')).toBe(true);
+      expect(ClassificationRuleEngine.globToRegExp('/work/*-api').test('/work/a/orders-api')).toBe(false);
+      expect(ClassificationRuleEngine.globToRegExp('/work/**/api').test('/work/a/b/api')).toBe(true);
+    });
+
+    it('should match directories below a directory glob', () => {
+      expect(ClassificationRuleEngine.globToRegExp('/work/shop').test('/work/shop/packages/web')).toBe(true);
+      expect(ClassificationRuleEngine.globToRegExp('/work/shop').test('/work/shopping')).toBe(false);
+    });
+
+    it('should normalize Windows paths and expand the home directory', () => {
+      expect(ClassificationRuleEngine.globToRegExp('C:\\Work\\*').test('c:/work/site')).toBe(true);
+      expect(ClassificationRuleEngine.globToRegExp('~/projects').test(`${os.homedir().replace(/\\/g, '/')}/projects/app`)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const ClassificationRules = require('../../src/services/ClassificationRules');
+const { useStorageDir } = require('../helpers/storeFixtures');
+
+jest.mock('electron-log', () => require('../helpers/storeFixtures').createLogMock());
+
+describe('ClassificationRules', () => {
+  const storage = useStorageDir('classification-rules-');
+  let rules;
+
+  const gatewayRule = {
+    name: 'Gateway',
+    match: { commandPattern: 'gateway/(dev|serve)', portMin: '8000', portMax: '' },
+    action: { name: 'API Gateway', type: 'node', tags: 'team-a, gateway ,' }
+  };
+
+  beforeEach(() => {
+    rules = new ClassificationRules(storage.userDataDir);
+  });
+
+  it('should save a normalized rule and persist it', async () => {
+    const result = await rules.saveRule(gatewayRule);
+
+    expect(result.success).toBe(true);
+    expect(result.rule).toMatchObject({
+      name: 'Gateway',
+      enabled: true,
+      match: { imageName: '', commandPattern: 'gateway/(dev|serve)', portMin: 8000, portMax: null, cwdGlob: '', parentName: '' },
+      action: { name: 'API Gateway', type: 'node', category: '', icon: '', tags: ['team-a', 'gateway'], ignore: false, protect: false }
+    });
+
+    const reloaded = new ClassificationRules(storage.userDataDir);
+    expect(await reloaded.getRules()).toEqual([result.rule]);
+  });
+
+  it('should append new rules and reorder them', async () => {
+    const first = (await rules.saveRule(gatewayRule)).rule;
+    const second = (await rules.saveRule({ name: 'Hide pm2', match: { imageName: 'pm2' }, action: { ignore: true } })).rule;
+
+    expect((await rules.getRules()).map(rule => rule.id)).toEqual([first.id, second.id]);
+
+    expect((await rules.moveRule(second.id, -1)).success).toBe(true);
+    expect((await rules.getRules()).map(rule => rule.id)).toEqual([second.id, first.id]);
+
+    // Moving past either end leaves the order alone
+    expect((await rules.moveRule(second.id, -1)).success).toBe(true);
+    expect((await rules.getRules()).map(rule => rule.id)).toEqual([second.id, first.id]);
+  });
+
+  it('should update and delete existing rules', async () => {
+    const saved = (await rules.saveRule(gatewayRule)).rule;
+
+    const updated = await rules.saveRule({ ...saved, enabled: false });
+    expect(updated.rule.enabled).toBe(false);
+    expect(updated.rule.createdAt).toBe(saved.createdAt);
+
+    expect((await rules.deleteRule(saved.id)).success).toBe(true);
+    expect(await rules.getRules()).toEqual([]);
+    expect((await rules.deleteRule(saved.id)).success).toBe(false);
+  });
+
+  it('should reject rules that cannot match or do nothing', () => {
+    expect(rules.validateRule({ name: 'Empty', match: {}, action: { ignore: true } }))
+      .toBe('Add at least one match condition');
+    expect(rules.validateRule({ name: 'Noop', match: { imageName: 'node' }, action: {} }))
+      .toBe('Choose what the rule does with matching processes');
+    expect(rules.validateRule({ name: 'Both', match: { imageName: 'node' }, action: { ignore: true, protect: true } }))
+      .toBe('A rule cannot both ignore and protect a process');
+  });
+
+  it('should reject invalid patterns, port ranges and types', () => {
+    const withMatch = match => ({ name: 'Bad', match, action: { protect: true } });
+
+    expect(rules.validateRule(withMatch({ commandPattern: '(unclosed' }))).toMatch(/^Invalid command regex/);
+    expect(rules.validateRule(withMatch({ portMin: 5000, portMax: 4000 }))).toMatch(/^Port range/);
+    expect(rules.validateRule(withMatch({ portMax: 70000 }))).toMatch(/^Port range/);
+    expect(rules.validateRule({ name: 'Bad', match: { imageName: 'cobc' }, action: { type: 'cobol' } }))
+      .toBe('Unknown server type: cobol');
+    expect(rules.validateRule(withMatch({ portMin: 3000, portMax: 3999 }))).toBeNull();
+  });
+});
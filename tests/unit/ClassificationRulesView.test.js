@@ -0,0 +1,64 @@
+const ClassificationRulesView = require('../../src/components/ClassificationRulesView');
+
+// A process can pick its own command line and, through it, a rule's name
+const HOSTILE_COMMAND = 'node -e "</div><img src=x onerror=alert(1)>" --title=\'" onmouseover="alert(1)\'';
+const HOSTILE_NAME = '<img src=x onerror=alert(1)>" data-x="';
+
+/**
+ * Assert that rendered markup contains no element or attribute injected by process data
+ * @param {string} markup - Rendered HTML
+ */
+function expectNoInjection(markup) {
+  expect(markup).not.toMatch(/<img|<\/div><img/i);
+  expect(markup).not.toMatch(/"\s+on(error|mouseover)=/i);
+  expect(markup).not.toMatch(/\sdata-x="/);
+}
+
+describe('ClassificationRulesView', () => {
+  let view;
+
+  beforeEach(() => {
+    view = new ClassificationRulesView();
+  });
+
+  test('should escape process data in the preview', () => {
+    const markup = String(view.createPreviewTemplate({
+      success: true,
+      data: {
+        matches: [
+          { pid: 42, name: HOSTILE_NAME, command: HOSTILE_COMMAND, port: 3000, server: { icon: '🚪', name: HOSTILE_NAME, type: 'node', isProtected: false } },
+          { pid: 43, name: 'node', command: HOSTILE_COMMAND, port: null, server: null }
+        ]
+      }
+    }));
+
+    expectNoInjection(markup);
+    expect(markup).toContain('<strong>&lt;img src=x onerror=alert(1)&gt;&quot; data-x=&quot;</strong>');
+    expect(markup).toContain('title="node -e &quot;&lt;/div&gt;&lt;img');
+    expect(markup).toContain('Matches 2 running processes');
+  });
+
+  test('should escape failure messages in the preview', () => {
+    const markup = String(view.createPreviewTemplate({ success: false, code: 'INVALID_ARGUMENT', error: `Invalid pattern ${HOSTILE_NAME}` }));
+
+    expectNoInjection(markup);
+  });
+
+  test('should escape rule fields in the list and the form', () => {
+    const rule = {
+      id: 'rule-1',
+      name: HOSTILE_NAME,
+      enabled: true,
+      match: { imageName: HOSTILE_NAME, commandPattern: HOSTILE_COMMAND, portMin: 3000, portMax: 3000, cwdGlob: '', parentName: '' },
+      action: { name: HOSTILE_NAME, type: 'node', category: '', icon: '', tags: [HOSTILE_NAME], ignore: false, protect: true }
+    };
+    view.rules = [rule];
+
+    const markup = String(view.createTemplate(rule));
+
+    expectNoInjection(markup);
+    expect(markup).toContain('value="&lt;img src=x onerror=alert(1)&gt;&quot; data-x=&quot;"');
+    expect(markup).toContain('<option value="node" selected>node</option>');
+    expect(markup).toContain('<input name="protect" type="checkbox" checked>');
+  });
+});
@@ -0,0 +1,122 @@
+const ContainerResolver = require('../../src/services/ContainerResolver');
+const ProcessClassifier = require('../../src/services/ProcessClassifier');
+
+jest.mock('electron-log', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const container = (overrides = {}) => ({
+  id: 'c1',
+  name: 'shop-web-1',
+  image: 'shop-web:latest',
+  composeProject: 'shop',
+  composeService: 'web',
+  workingDir: '/home/dev/shop',
+  pid: 4100,
+  createdAt: '2026-10-01T08:00:00.000Z',
+  ports: [8080],
+  ...overrides
+});
+
+describe('ContainerResolver', () => {
+  let classifier;
+  let dockerClient;
+  let resolver;
+
+  const forwarder = (pid, name, port) => ({ pid, name, command: name, port });
+  const classify = processes => processes.map(processInfo => classifier.classifyServer(processInfo)).filter(Boolean);
+
+  beforeEach(() => {
+    classifier = new ProcessClassifier();
+    dockerClient = { socketPath: '/var/run/docker.sock', getPublishedPorts: jest.fn() };
+    resolver = new ContainerResolver(dockerClient, classifier);
+  });
+
+  it('should classify forwarders as Docker ports that are never safe to stop', () => {
+    expect(classifier.classifyServer(forwarder(880, 'docker-proxy', 8080))).toMatchObject({
+      type: 'docker',
+      dockerForwarder: true,
+      isSafeToStop: false
+    });
+    expect(classifier.classifyServer(forwarder(881, 'com.docker.backend.exe', null))).toBeNull();
+  });
+
+  it('should replace docker-proxy processes with their container', async () => {
+    const proxies = [forwarder(880, 'docker-proxy', 8080), forwarder(881, 'docker-proxy', 8443)];
+    const web = container({ ports: [8080, 8443] });
+    dockerClient.getPublishedPorts.mockResolvedValue(new Map([[8080, web], [8443, web]]));
+
+    // The container's main process is visible on the host too, without a port
+    const hostProcess = { pid: 4100, name: 'node', command: 'node server.js', port: 'Unknown', type: 'node' };
+    const servers = await resolver.resolveServers([...classify(proxies), hostProcess], { 8080: proxies[0], 8443: proxies[1] });
+
+    expect(servers).toHaveLength(1);
+    expect(servers[0]).toMatchObject({
+      pid: 4100,
+      name: 'shop-web-1',
+      type: 'docker',
+      port: 8080,
+      url: 'http://localhost:8080',
+      container: { id: 'c1', composeProject: 'shop', composeService: 'web', forwarderPid: 880, pidOnHost: true }
+    });
+  });
+
+  it('should split Docker Desktop\'s single forwarder into containers and recognize infrastructure images', async () => {
+    const backend = {
+      ...forwarder(700, 'com.docker.backend', 8080),
+      bindings: [
+        { port: 5433, protocol: 'TCP', address: '0.0.0.0', family: 'IPv4' },
+        { port: 8080, protocol: 'TCP', address: '0.0.0.0', family: 'IPv4' }
+      ]
+    };
+    const db = container({ id: 'c2', name: 'shop-db-1', image: 'docker.io/library/postgres:16-alpine', pid: 12, ports: [5433] });
+    dockerClient.getPublishedPorts.mockResolvedValue(new Map([[8080, container()], [5433, db]]));
+
+    const servers = await resolver.resolveServers(classify([backend]), { 8080: backend, 5433: { ...backend, port: 5433 } });
+
+    expect(servers.map(server => server.name)).toEqual(['shop-db-1', 'shop-web-1']);
+    expect(servers[0]).toMatchObject({
+      type: 'infrastructure',
+      category: 'Infrastructure',
+      url: null,
+      service: { id: 'postgres', protocol: 'postgres' },
+      container: { pidOnHost: false },
+      bindings: [{ port: 5433, protocol: 'TCP', address: '0.0.0.0', family: 'IPv4' }]
+    });
+  });
+
+  it('should keep a host process whose PID clashes with a container in Docker Desktop\'s VM', async () => {
+    const backend = forwarder(700, 'com.docker.backend', 8080);
+    dockerClient.getPublishedPorts.mockResolvedValue(new Map([[8080, container({ pid: 321 })]]));
+    const vite = { pid: 321, name: 'Vite Dev Server', type: 'react', port: 5173 };
+
+    const servers = await resolver.resolveServers([...classify([backend]), vite], { 8080: backend });
+
+    expect(servers).toEqual([expect.objectContaining({ dockerForwarder: true }), vite]);
+  });
+
+  it('should leave forwarders in place when Docker cannot be reached', async () => {
+    const proxy = forwarder(880, 'docker-proxy', 8080);
+    dockerClient.getPublishedPorts.mockRejectedValue(new Error('connect ENOENT /var/run/docker.sock'));
+
+    const servers = await resolver.resolveServers(classify([proxy]), { 8080: proxy });
+
+    expect(servers).toEqual([expect.objectContaining({ pid: 880, dockerForwarder: true })]);
+  });
+
+  it('should not call Docker when no forwarder owns a port', async () => {
+    const servers = [{ pid: 1, type: 'node' }];
+
+    expect(await resolver.resolveServers(servers, {})).toBe(servers);
+    expect(dockerClient.getPublishedPorts).not.toHaveBeenCalled();
+  });
+
+  it('should only treat PIDs of host processes and host containers as processes on this machine', () => {
+    expect(ContainerResolver.hasHostPid({ pid: 1, type: 'node' })).toBe(true);
+    expect(ContainerResolver.hasHostPid({ pid: 12, container: { pidOnHost: true } })).toBe(true);
+    expect(ContainerResolver.hasHostPid({ pid: 12, container: { pidOnHost: false } })).toBe(false);
+  });
+});
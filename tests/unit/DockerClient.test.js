@@ -0,0 +1,129 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const DockerClient = require('../../src/services/DockerClient');
+
+jest.mock('electron-log', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const CONTAINERS = [
+  {
+    Id: 'a1b2c3d4e5f6a7b8',
+    Names: ['/shop-db-1'],
+    Image: 'postgres:16',
+    Created: 1760000000,
+    Ports: [
+      { IP: '0.0.0.0', PrivatePort: 5432, PublicPort: 5433, Type: 'tcp' },
+      { IP: '::', PrivatePort: 5432, PublicPort: 5433, Type: 'tcp' }
+    ],
+    Labels: {
+      'com.docker.compose.project': 'shop',
+      'com.docker.compose.service': 'db',
+      'com.docker.compose.project.working_dir': '/home/dev/shop'
+    }
+  },
+  {
+    Id: 'f0f0f0f0f0f0',
+    Names: ['/worker'],
+    Image: 'shop-worker',
+    Ports: [{ PrivatePort: 9000, Type: 'tcp' }],
+    Labels: {}
+  }
+];
+
+describe('DockerClient', () => {
+  let directory;
+  let socketPath;
+  let server;
+  let requests;
+  let client;
+
+  // Stand-in for the Docker Engine API on a unix socket
+  const handle = (req, res) => {
+    requests.push(`${req.method} ${req.url}`);
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(body === undefined ? '' : JSON.stringify(body));
+    };
+
+    if (req.method === 'GET' && req.url === '/containers/json') return send(200, CONTAINERS);
+    if (req.method === 'GET' && req.url === '/containers/a1b2c3d4e5f6a7b8/json') return send(200, { State: { Pid: 4242 } });
+    if (req.method === 'POST' && /^\/containers\/a1b2c3d4e5f6a7b8\/(stop|restart)\?t=1$/.test(req.url)) return send(204);
+    return send(404, { message: `No such container: ${req.url.split('/')[2]}` });
+  };
+
+  beforeEach(async () => {
+    requests = [];
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'docker-client-'));
+    socketPath = path.join(directory, 'docker.sock');
+    server = http.createServer(handle);
+    await new Promise(resolve => server.listen(socketPath, resolve));
+    client = new DockerClient({ socketPath, timeout: 1000, stopTimeout: 1 });
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should map published ports to containers with their compose project', async () => {
+    const published = await client.getPublishedPorts();
+
+    expect(Array.from(published.keys())).toEqual([5433]);
+    expect(published.get(5433)).toEqual({
+      id: 'a1b2c3d4e5f6a7b8',
+      name: 'shop-db-1',
+      image: 'postgres:16',
+      composeProject: 'shop',
+      composeService: 'db',
+      workingDir: '/home/dev/shop',
+      pid: 4242,
+      createdAt: new Date(1760000000 * 1000).toISOString(),
+      ports: [5433]
+    });
+  });
+
+  it('should stop and restart containers with the stop timeout', async () => {
+    expect(await client.stopContainer('a1b2c3d4e5f6a7b8')).toEqual({ success: true });
+    expect(await client.restartContainer('a1b2c3d4e5f6a7b8')).toEqual({ success: true });
+
+    expect(requests).toEqual([
+      'POST /containers/a1b2c3d4e5f6a7b8/stop?t=1',
+      'POST /containers/a1b2c3d4e5f6a7b8/restart?t=1'
+    ]);
+  });
+
+  it('should report the Engine API error message and code', async () => {
+    const result = await client.stopContainer('gone');
+
+    expect(result).toEqual({ success: false, code: 'NOT_FOUND', error: 'No such container: gone' });
+    expect(await client.inspectContainer('gone')).toBeNull();
+  });
+
+  it('should reject when the daemon is not running', async () => {
+    const offline = new DockerClient({ socketPath: path.join(directory, 'missing.sock') });
+
+    await expect(offline.listContainers()).rejects.toThrow();
+    expect(await offline.stopContainer('a1b2c3d4e5f6a7b8')).toMatchObject({ success: false });
+  });
+
+  it('should locate the socket from DOCKER_HOST', () => {
+    const previous = process.env.DOCKER_HOST;
+    process.env.DOCKER_HOST = 'unix:///run/user/1000/docker.sock';
+
+    try {
+      expect(DockerClient.getDefaultSocketPath()).toBe('/run/user/1000/docker.sock');
+    } finally {
+      if (previous === undefined) {
+        delete process.env.DOCKER_HOST;
+      } else {
+        process.env.DOCKER_HOST = previous;
+      }
+    }
+  });
+});
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FrameworkDetector = require('../../src/services/FrameworkDetector');
+
+jest.mock('electron-log', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('FrameworkDetector', () => {
+  let rootDir;
+  let platform;
+  let detector;
+
+  const write = (relativePath, content = '') => {
+    const filePath = path.join(rootDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+  };
+
+  const detectIn = (relativePath, command) => detector.detectInDirectory(path.join(rootDir, relativePath), command);
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'framework-detector-'));
+    platform = { getCwd: jest.fn() };
+    detector = new FrameworkDetector(platform);
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('should detect Next.js from its dependency, config and command', async () => {
+    write('web/package.json', { dependencies: { next: '14.0.0', react: '18.2.0' } });
+    write('web/next.config.mjs');
+
+    const framework = await detectIn('web', 'node /home/dev/web/node_modules/.bin/next dev');
+
+    expect(framework).toMatchObject({ id: 'next', name: 'Next.js', type: 'react', confidence: 1 });
+    expect(framework.evidence).toEqual(['next in package.json', 'next.config.mjs', 'command line']);
+  });
+
+  it('should prefer a meta-framework over the Vite it runs on', async () => {
+    write('kit/package.json', { devDependencies: { '@sveltejs/kit': '2.0.0', vite: '5.0.0' } });
+    write('kit/svelte.config.js');
+    write('kit/vite.config.ts');
+
+    const framework = await detectIn('kit', 'node node_modules/.bin/vite dev');
+
+    expect(framework).toMatchObject({ id: 'sveltekit', confidence: 1 });
+  });
+
+  it('should detect plain Vite projects', async () => {
+    write('app/package.json', { devDependencies: { vite: '5.0.0' } });
+    write('app/vite.config.ts');
+
+    expect(await detectIn('app', 'node node_modules/vite/bin/vite.js')).toMatchObject({ id: 'vite', confidence: 1 });
+  });
+
+  it('should report Nest rather than the Express it depends on', async () => {
+    write('api/package.json', { dependencies: { '@nestjs/core': '10.0.0', express: '4.18.0' } });
+    write('api/nest-cli.json', {});
+
+    expect(await detectIn('api', 'node dist/main')).toMatchObject({ id: 'nest', type: 'node', confidence: 0.8 });
+  });
+
+  it('should detect Angular from angular.json', async () => {
+    write('ng/package.json', { dependencies: { '@angular/core': '17.0.0' } });
+    write('ng/angular.json', {});
+
+    expect(await detectIn('ng', 'node node_modules/.bin/ng serve')).toMatchObject({ id: 'angular', confidence: 1 });
+  });
+
+  it('should find the project from a subfolder of it', async () => {
+    write('site/package.json', { dependencies: { astro: '4.0.0' } });
+    fs.mkdirSync(path.join(rootDir, 'site/src/pages'), { recursive: true });
+
+    const framework = await detectIn('site/src/pages', 'node astro.js dev');
+
+    expect(framework).toMatchObject({ id: 'astro', confidence: 0.8, projectDir: path.join(rootDir, 'site') });
+  });
+
+  it('should detect Django from manage.py and requirements.txt', async () => {
+    write('backend/manage.py');
+    write('backend/requirements.txt', 'Django==5.0\npsycopg2-binary==2.9\n');
+
+    expect(await detectIn('backend', 'python manage.py runserver 8000')).toMatchObject({ id: 'django', type: 'python', confidence: 1 });
+  });
+
+  it('should tell FastAPI and Flask apart by their requirements', async () => {
+    write('fast/pyproject.toml', '[project]\ndependencies = ["fastapi>=0.110", "uvicorn[standard]"]\n');
+    write('flasky/requirements.txt', 'flask-cors==4.0\nFlask==3.0\n');
+    write('cors-only/requirements.txt', 'flask-cors==4.0\n');
+
+    expect(await detectIn('fast', 'python -m uvicorn app.main:app --reload')).toMatchObject({ id: 'fastapi', confidence: 0.8 });
+    expect(await detectIn('flasky', 'python app.py')).toMatchObject({ id: 'flask', confidence: 0.5 });
+    expect(await detectIn('cors-only', 'python app.py')).toBeNull();
+  });
+
+  it('should fall back to the command line with a low confidence', async () => {
+    expect(await detector.detectInDirectory(null, 'node node_modules/.bin/next start')).toMatchObject({ id: 'next', confidence: 0.3 });
+  });
+
+  it('should not guess a framework for a generic npm start', async () => {
+    write('plain/package.json', { dependencies: { lodash: '4.17.21' } });
+
+    expect(await detectIn('plain', 'npm start')).toBeNull();
+  });
+
+  it('should read the working directory of the process', async () => {
+    write('web/package.json', { dependencies: { next: '14.0.0' } });
+    platform.getCwd.mockResolvedValue(path.join(rootDir, 'web'));
+
+    const framework = await detector.detect(1234, 'node server.js');
+
+    expect(platform.getCwd).toHaveBeenCalledWith(1234);
+    expect(framework).toMatchObject({ id: 'next', confidence: 0.5 });
+  });
+});
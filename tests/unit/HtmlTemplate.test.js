@@ -0,0 +1,34 @@
+const HtmlTemplate = require('../../src/components/HtmlTemplate');
+
+const { html, raw } = HtmlTemplate;
+
+describe('HtmlTemplate', () => {
+  it('should escape interpolated text for element content and attributes', () => {
+    const name = `<img src=x onerror="alert('x')">`;
+
+    expect(String(html`<b title="${name}">${name}</b>`)).toBe(
+      '<b title="&lt;img src=x onerror=&quot;alert(&#39;x&#39;)&quot;&gt;">&lt;img src=x onerror=&quot;alert(&#39;x&#39;)&quot;&gt;</b>'
+    );
+  });
+
+  it('should insert nested templates and arrays of templates as markup', () => {
+    const items = ['a&b', '<c>'].map(item => html`<li>${item}</li>`);
+
+    expect(String(html`<ul>${items}</ul>`)).toBe('<ul><li>a&amp;b</li><li>&lt;c&gt;</li></ul>');
+  });
+
+  it('should escape plain strings even when they look like markup', () => {
+    const joined = ['<li>x</li>'].join('');
+
+    expect(String(html`<ul>${joined}</ul>`)).toBe('<ul>&lt;li&gt;x&lt;/li&gt;</ul>');
+  });
+
+  it('should render nothing for null, undefined and false but keep zero', () => {
+    expect(String(html`${null}|${undefined}|${false}|${0}`)).toBe('|||0');
+  });
+
+  it('should only pass markup through raw() unescaped', () => {
+    expect(String(html`<div>${raw('<svg></svg>')}</div>`)).toBe('<div><svg></svg></div>');
+    expect(String(raw(null))).toBe('');
+  });
+});
@@ -0,0 +1,233 @@
+const http = require('http');
+const net = require('net');
+const InfrastructureProbe = require('../../src/services/InfrastructureProbe');
+
+jest.mock('electron-log', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+/**
+ * Listen on an ephemeral loopback port
+ */
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+/**
+ * Find a loopback port nothing is listening on
+ */
+async function getFreePort() {
+  const server = net.createServer();
+  const port = await listen(server);
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+describe('InfrastructureProbe', () => {
+  let probe;
+  let servers;
+  let sockets;
+
+  /**
+   * Start a TCP stand-in that answers every complete request with `reply(request)`
+   */
+  const standIn = async (isComplete, reply, greeting = null) => {
+    const server = net.createServer(socket => {
+      sockets.push(socket);
+      let received = Buffer.alloc(0);
+      if (greeting) socket.write(greeting);
+
+      socket.on('data', chunk => {
+        received = Buffer.concat([received, chunk]);
+        if (isComplete(received)) {
+          const response = reply(received);
+          if (response) socket.write(response);
+        }
+      });
+      socket.on('error', () => {});
+    });
+    servers.push(server);
+    return await listen(server);
+  };
+
+  const infrastructure = (id, protocol, port, pid = 700) => ({
+    pid,
+    name: id,
+    type: 'infrastructure',
+    port,
+    service: { id, name: id, protocol }
+  });
+
+  beforeEach(() => {
+    servers = [];
+    sockets = [];
+    probe = new InfrastructureProbe({ timeout: 300, cacheTtl: 0, hosts: ['127.0.0.1'] });
+  });
+
+  afterEach(async () => {
+    sockets.forEach(socket => socket.destroy());
+    await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+  });
+
+  describe('redis', () => {
+    const redisStandIn = reply => standIn(data => data.includes('\r\n', data.length - 2), request =>
+      request.toString() === '*1\r\n$4\r\nPING\r\n' ? reply : '-ERR unknown command\r\n'
+    );
+
+    it('should report a server answering PING as healthy', async () => {
+      const port = await redisStandIn('+PONG\r\n');
+
+      const health = await probe.ping('redis', port);
+
+      expect(health).toMatchObject({ status: 'healthy', detail: 'PONG', port, latency: expect.any(Number), checkedAt: expect.any(String) });
+    });
+
+    it('should count a password prompt as healthy and loading as unhealthy', async () => {
+      const authPort = await redisStandIn('-NOAUTH Authentication required.\r\n');
+      const loadingPort = await redisStandIn('-LOADING Redis is loading the dataset in memory\r\n');
+
+      expect(await probe.ping('redis', authPort)).toMatchObject({ status: 'healthy', detail: 'Authentication required' });
+      expect(await probe.ping('redis', loadingPort)).toMatchObject({ status: 'unhealthy', detail: 'Loading the dataset into memory' });
+    });
+  });
+
+  describe('postgres', () => {
+    const isStartupComplete = data => data.length >= 4 && data.length >= data.readInt32BE(0);
+
+    it('should send a protocol 3.0 startup packet and accept an authentication request', async () => {
+      let startup = null;
+      const port = await standIn(isStartupComplete, request => {
+        startup = request;
+        const authenticationMd5 = Buffer.alloc(13);
+        authenticationMd5.write('R', 0);
+        authenticationMd5.writeInt32BE(12, 1);
+        authenticationMd5.writeInt32BE(5, 5); // MD5 password required, then a 4 byte salt
+        return authenticationMd5;
+      });
+
+      const health = await probe.ping('postgres', port);
+
+      expect(health).toMatchObject({ status: 'healthy', detail: 'Accepting connections' });
+      expect(startup.readInt32BE(0)).toBe(startup.length);
+      expect(startup.readInt32BE(4)).toBe(196608);
+      expect(startup.subarray(8).toString().split('\0')).toEqual(
+        ['user', 'postgres', 'database', 'postgres', 'application_name', 'server-manager', '', '']
+      );
+    });
+
+    it('should report a server in recovery as unhealthy', async () => {
+      const port = await standIn(isStartupComplete, () => {
+        const fields = Buffer.from('SFATAL\0C57P03\0Mthe database system is starting up\0\0');
+        const header = Buffer.alloc(5);
+        header.write('E', 0);
+        header.writeInt32BE(4 + fields.length, 1);
+        return Buffer.concat([header, fields]);
+      });
+
+      expect(await probe.ping('postgres', port)).toMatchObject({ status: 'unhealthy', detail: 'the database system is starting up' });
+    });
+
+    it('should treat authentication errors as a working server', () => {
+      const fields = Buffer.from('SFATAL\0C28P01\0Mpassword authentication failed\0\0');
+      const message = Buffer.concat([Buffer.from('E'), Buffer.alloc(4), fields]);
+
+      expect(InfrastructureProbe.parsePostgresError(message)).toEqual({ S: 'FATAL', C: '28P01', M: 'password authentication failed' });
+    });
+  });
+
+  it('should read the MySQL server version from its greeting', async () => {
+    const payload = Buffer.concat([Buffer.from([0x0a]), Buffer.from('8.0.36\0'), Buffer.alloc(20)]);
+    const header = Buffer.from([payload.length, 0, 0, 0]);
+    const port = await standIn(() => false, () => null, Buffer.concat([header, payload]));
+
+    expect(await probe.ping('mysql', port)).toMatchObject({ status: 'healthy', detail: 'Version 8.0.36' });
+  });
+
+  it('should send MongoDB a hello OP_MSG', async () => {
+    let request = null;
+    const port = await standIn(data => data.length >= 4 && data.length >= data.readInt32LE(0), received => {
+      request = received;
+      const reply = Buffer.alloc(21);
+      reply.writeInt32LE(21, 0);
+      reply.writeInt32LE(2013, 12);
+      return reply;
+    });
+
+    expect(await probe.ping('mongodb', port)).toMatchObject({ status: 'healthy', detail: 'Answered hello' });
+    expect(request.readInt32LE(12)).toBe(2013);
+    expect(request.includes(Buffer.from('hello\0'))).toBe(true);
+    expect(request.includes(Buffer.from('admin\0'))).toBe(true);
+  });
+
+  it('should send an AMQP protocol header and accept Connection.Start', async () => {
+    const port = await standIn(data => data.length >= 8, request =>
+      request.toString('latin1') === 'AMQP\x00\x00\x09\x01' ? Buffer.from([1, 0, 0, 0, 0, 0, 4, 0, 10, 0, 10, 0xce]) : null
+    );
+
+    expect(await probe.ping('amqp', port)).toMatchObject({ status: 'healthy', detail: 'Connection.Start received' });
+  });
+
+  it('should map the Elasticsearch cluster status', async () => {
+    let status = 'yellow';
+    const server = http.createServer((req, res) => {
+      res.writeHead(req.url === '/_cluster/health' ? 200 : 404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ cluster_name: 'dev', status }));
+    });
+    servers.push(server);
+    const port = await listen(server);
+
+    expect(await probe.ping('elasticsearch', port)).toMatchObject({ status: 'healthy', detail: 'Cluster yellow' });
+
+    status = 'red';
+    expect(await probe.ping('elasticsearch', port)).toMatchObject({ status: 'unhealthy', detail: 'Cluster red' });
+  });
+
+  it('should report a closed port as unreachable', async () => {
+    const port = await getFreePort();
+
+    expect(await probe.ping('redis', port)).toMatchObject({ status: 'unreachable', latency: null });
+  });
+
+  it('should report a service that accepts but never answers as unhealthy', async () => {
+    const port = await standIn(() => false, () => null);
+
+    expect(await probe.ping('redis', port)).toMatchObject({ status: 'unhealthy', detail: 'No reply within 300ms' });
+  });
+
+  it('should ping a service found on a secondary port on its main port', () => {
+    expect(probe.getPingPort(infrastructure('rabbitmq', 'amqp', 15672))).toBe(5672);
+    expect(probe.getPingPort(infrastructure('elasticsearch', 'elasticsearch', '9300'))).toBe(9200);
+    expect(probe.getPingPort(infrastructure('redis', 'redis', 6380))).toBe(6380);
+  });
+
+  describe('annotateServers', () => {
+    it('should only ping infrastructure servers', async () => {
+      const port = await standIn(data => data.includes('\r\n'), () => '+PONG\r\n');
+      const vite = { pid: 100, name: 'Vite Dev Server', type: 'react', port: 5173 };
+
+      const [dev, redis] = await probe.annotateServers([vite, infrastructure('redis', 'redis', port)]);
+
+      expect(dev).toBe(vite);
+      expect(redis.health).toMatchObject({ status: 'healthy', port });
+    });
+
+    it('should reuse a recent ping and forget services that are gone', async () => {
+      let connections = 0;
+      const port = await standIn(data => data.includes('\r\n'), () => {
+        connections++;
+        return '+PONG\r\n';
+      });
+      probe = new InfrastructureProbe({ timeout: 300, cacheTtl: 60000, hosts: ['127.0.0.1'] });
+
+      await probe.annotateServers([infrastructure('redis', 'redis', port)]);
+      await probe.annotateServers([infrastructure('redis', 'redis', port)]);
+      expect(connections).toBe(1);
+
+      await probe.annotateServers([]);
+      expect(probe.cache.size).toBe(0);
+    });
+  });
+});
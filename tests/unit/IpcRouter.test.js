@@ -0,0 +1,139 @@
+const IpcRouter = require('../../src/services/IpcRouter');
+
+jest.mock('electron-log', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { ERROR_CODES, IpcError, fromResult } = IpcRouter;
+
+describe('IpcRouter', () => {
+  let ipcMain;
+  let router;
+
+  // Invoke a channel the way Electron would: through the registered ipcMain handler
+  const invoke = (channel, ...args) => ipcMain.handlers.get(channel)({ sender: {} }, ...args);
+
+  beforeEach(() => {
+    ipcMain = { handlers: new Map(), handle: jest.fn((channel, handler) => ipcMain.handlers.set(channel, handler)) };
+    router = new IpcRouter(ipcMain, { timeout: 1000 });
+  });
+
+  it('should wrap handler data in a success envelope', async () => {
+    router.handle('get-servers', {}, async () => [{ pid: 1 }]);
+
+    await expect(invoke('get-servers')).resolves.toEqual({ success: true, data: [{ pid: 1 }] });
+  });
+
+  it('should leave channels that were never registered without a handler', () => {
+    router.handle('get-servers', {}, async () => []);
+
+    expect(Array.from(ipcMain.handlers.keys())).toEqual(['get-servers']);
+  });
+
+  it.each([
+    ['a string', '1234'],
+    ['a fraction', 12.5],
+    ['zero', 0],
+    ['a negative number', -1],
+    ['an object', { pid: 1 }],
+    ['nothing', undefined]
+  ])('should refuse %s as a PID without calling the handler', async (label, pid) => {
+    const handler = jest.fn();
+    router.handle('stop-server', { args: [{ type: 'pid', name: 'pid' }] }, handler);
+
+    const result = await invoke('stop-server', pid);
+
+    expect(result).toMatchObject({ success: false, code: ERROR_CODES.INVALID_REQUEST, error: expect.stringContaining('pid') });
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should validate object properties and refuse extra arguments', async () => {
+    const handler = jest.fn(() => 'saved');
+    router.handle('save-server-profile', {
+      args: [{ type: 'object', name: 'profile', properties: { cwd: { type: 'string', maxLength: 10 }, keepAlive: { type: 'boolean' } } }]
+    }, handler);
+
+    await expect(invoke('save-server-profile', { cwd: '/tmp/project/that/is/long' })).resolves.toMatchObject({
+      code: ERROR_CODES.INVALID_REQUEST,
+      error: 'profile.cwd must be at most 10 characters'
+    });
+    await expect(invoke('save-server-profile', { cwd: '/tmp\0x' })).resolves.toMatchObject({ code: ERROR_CODES.INVALID_REQUEST });
+    await expect(invoke('save-server-profile', { keepAlive: 'yes' })).resolves.toMatchObject({ code: ERROR_CODES.INVALID_REQUEST });
+    await expect(invoke('save-server-profile', {}, 'extra')).resolves.toMatchObject({ code: ERROR_CODES.INVALID_REQUEST });
+    await expect(invoke('save-server-profile', { cwd: '/tmp', other: 1 })).resolves.toEqual({ success: true, data: 'saved' });
+  });
+
+  it('should check enums and number ranges', () => {
+    expect(IpcRouter.validate(2, { type: 'integer', enum: [-1, 1] }, 'offset')).toBe('offset must be one of -1, 1');
+    expect(IpcRouter.validate(0, { type: 'integer', min: 1 }, 'limit')).toBe('limit must be at least 1');
+    expect(IpcRouter.validate(Infinity, { type: 'number' }, 'since')).toBe('since must be a number');
+    expect(IpcRouter.validate(undefined, { type: 'object', optional: true }, 'options')).toBeNull();
+  });
+
+  it('should turn thrown IpcErrors into their code', async () => {
+    router.handle('get-process-details', { args: [{ type: 'pid' }] }, async (pid) => {
+      throw new IpcError(ERROR_CODES.NOT_FOUND, `Process ${pid} is no longer running`);
+    });
+
+    await expect(invoke('get-process-details', 42)).resolves.toEqual({
+      success: false,
+      code: ERROR_CODES.NOT_FOUND,
+      error: 'Process 42 is no longer running',
+      details: {}
+    });
+  });
+
+  it('should report unexpected errors without throwing to the renderer', async () => {
+    router.handle('get-servers', {}, () => {
+      throw Object.assign(new Error('kill EPERM'), { code: 'EPERM' });
+    });
+    router.handle('get-alert-rules', {}, () => {
+      throw new Error('disk on fire');
+    });
+
+    await expect(invoke('get-servers')).resolves.toMatchObject({ success: false, code: ERROR_CODES.PERMISSION_DENIED });
+    await expect(invoke('get-alert-rules')).resolves.toMatchObject({ success: false, code: ERROR_CODES.INTERNAL, error: 'disk on fire' });
+  });
+
+  it('should give up on slow handlers with TIMEOUT', async () => {
+    router.handle('restart-server', { args: [{ type: 'pid' }], timeout: 20 }, () => new Promise(resolve => setTimeout(resolve, 200)));
+
+    await expect(invoke('restart-server', 7)).resolves.toMatchObject({ success: false, code: ERROR_CODES.TIMEOUT });
+  });
+
+  it('should wait as long as it takes on routes without a timeout', async () => {
+    router.handle('stop-all-servers-and-exit', { timeout: null }, () => new Promise(resolve => setTimeout(() => resolve('done'), 30)));
+
+    await expect(invoke('stop-all-servers-and-exit')).resolves.toEqual({ success: true, data: 'done' });
+  });
+
+  describe('fromResult', () => {
+    it('should return the fields of a successful service result', () => {
+      expect(fromResult({ success: true, message: 'Stopped', newPid: 9 })).toEqual({ message: 'Stopped', newPid: 9 });
+    });
+
+    it.each([
+      [{ success: false, error: 'This server is protected', isProtected: true, requiresConfirmation: true }, ERROR_CODES.PROTECTED],
+      [{ success: false, error: 'CRITICAL: This is a Windows system process', isSystemProtected: true }, ERROR_CODES.PROTECTED],
+      [{ success: false, error: 'Process with PID 12 not found', code: 'NOT_FOUND' }, ERROR_CODES.NOT_FOUND],
+      [{ success: false, error: 'Docker refused', code: 'PERMISSION_DENIED' }, ERROR_CODES.PERMISSION_DENIED],
+      [{ success: false, error: 'Server did not become ready: timed out after 30s', code: 'TIMEOUT' }, ERROR_CODES.TIMEOUT],
+      [{ success: false, error: 'Permission denied, not found and timed out', code: 'NOT_A_CODE' }, ERROR_CODES.OPERATION_FAILED],
+      [{ success: false, error: 'Profile name is required' }, ERROR_CODES.OPERATION_FAILED]
+    ])('should classify %j', (result, code) => {
+      expect(() => fromResult(result)).toThrow(expect.objectContaining({ code, message: result.error }));
+    });
+
+    it('should keep the other fields of a failure as details', () => {
+      try {
+        fromResult({ success: false, error: 'Protected by rule "db"', isProtected: true, requiresConfirmation: true });
+      } catch (error) {
+        expect(error.details).toEqual({ isProtected: true, requiresConfirmation: true });
+      }
+      expect.assertions(1);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const log = require('electron-log');
+const JsonStore = require('../../src/services/JsonStore');
+const { useStorageDir } = require('../helpers/storeFixtures');
+
+jest.mock('electron-log', () => require('../helpers/storeFixtures').createLogMock());
+
+describe('JsonStore', () => {
+  const storage = useStorageDir('json-store-');
+  let filePath;
+  let store;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    filePath = path.join(storage.userDataDir, 'items.json');
+    store = JsonStore.forList(filePath, 'items', 'items');
+  });
+
+  it('should start empty when the file is missing, without logging', async () => {
+    expect(await store.load()).toEqual([]);
+    expect(log.error).not.toHaveBeenCalled();
+  });
+
+  it('should write a versioned file and read it back in a new store', async () => {
+    await store.save([{ id: 'a' }]);
+
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({ version: 1, items: [{ id: 'a' }] });
+    expect(await JsonStore.forList(filePath, 'items', 'items').load()).toEqual([{ id: 'a' }]);
+  });
+
+  it('should only read the file once', async () => {
+    await store.load();
+    fs.mkdirSync(storage.userDataDir, { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({ items: [{ id: 'late' }] }));
+
+    expect(await store.load()).toEqual([]);
+  });
+
+  it('should treat an unreadable file as empty and log it', async () => {
+    fs.mkdirSync(storage.userDataDir, { recursive: true });
+    fs.writeFileSync(filePath, '{ not json');
+
+    expect(await store.load()).toEqual([]);
+    expect(log.error).toHaveBeenCalledWith(expect.stringContaining('Error reading items'), expect.any(Error));
+  });
+
+  it('should leave a complete file and no temporary files after overlapping saves', async () => {
+    await Promise.all(Array.from({ length: 10 }, (_, index) => store.save([{ id: String(index) }])));
+
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    expect(saved.items).toHaveLength(1);
+    expect(fs.readdirSync(storage.userDataDir)).toEqual(['items.json']);
+  });
+
+  it('should apply overlapping updates one after the other so none is lost', async () => {
+    const add = id => store.update(async items => {
+      await new Promise(resolve => setImmediate(resolve));
+      await store.save([...items, { id }]);
+      return id;
+    });
+
+    expect(await Promise.all([add('a'), add('b')])).toEqual(['a', 'b']);
+
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).items).toEqual([{ id: 'a' }, { id: 'b' }]);
+  });
+
+  it('should keep applying updates after one fails', async () => {
+    await expect(store.update(async () => { throw new Error('invalid'); })).rejects.toThrow('invalid');
+
+    await store.update(async items => store.save([...items, { id: 'a' }]));
+
+    expect(await store.load()).toEqual([{ id: 'a' }]);
+  });
+
+  it('should remove its temporary file and keep the loaded data when a save fails', async () => {
+    await store.save([{ id: 'a' }]);
+    fs.mkdirSync(path.join(storage.userDataDir, 'blocked.json'));
+    const blocked = JsonStore.forList(path.join(storage.userDataDir, 'blocked.json'), 'items', 'items');
+
+    await expect(blocked.save([{ id: 'b' }])).rejects.toThrow();
+    expect(blocked.data).toBeNull();
+    expect(fs.readdirSync(storage.userDataDir).sort()).toEqual(['blocked.json', 'items.json']);
+  });
+});
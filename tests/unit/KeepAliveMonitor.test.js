@@ -0,0 +1,161 @@
+const EventEmitter = require('events');
+const KeepAliveMonitor = require('../../src/services/KeepAliveMonitor');
+
+jest.mock('electron-log', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('KeepAliveMonitor', () => {
+  let outputCapture;
+  let restart;
+  let monitor;
+  let crashes;
+
+  const profile = { id: 'api', name: 'My API' };
+  let nextPid;
+
+  /**
+   * Simulate the launcher of the currently watched process exiting
+   */
+  function crash(pid, code = 1) {
+    outputCapture.emit('exit', { logKey: 'my-api-1a2b3c4d', pid, code, signal: null });
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    nextPid = 200;
+    outputCapture = new EventEmitter();
+    restart = jest.fn(async () => {
+      const pid = nextPid++;
+      monitor.activate(pid, profile);
+      return { success: true, newPid: pid };
+    });
+    monitor = new KeepAliveMonitor(outputCapture, { restart, baseDelay: 1000, maxDelay: 5000, maxRestarts: 3, window: 60000 });
+    crashes = [];
+    monitor.on('crash', event => crashes.push(event));
+  });
+
+  afterEach(() => {
+    monitor.stop();
+    jest.useRealTimers();
+  });
+
+  it('should restart a crashed server after the base delay', async () => {
+    monitor.activate(100, profile);
+
+    crash(100);
+
+    expect(crashes).toEqual([expect.objectContaining({
+      profileId: 'api',
+      pid: 100,
+      code: 1,
+      reason: 'exited with code 1',
+      attempt: 1,
+      restartIn: 1000,
+      gaveUp: false
+    })]);
+    expect(monitor.isRestartPending('api')).toBe(true);
+
+    await jest.advanceTimersByTimeAsync(999);
+    expect(restart).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(restart).toHaveBeenCalledWith('api');
+    expect(monitor.isRestartPending('api')).toBe(false);
+    expect(monitor.isActive('api')).toBe(true);
+  });
+
+  it('should back off exponentially and give up after the restart limit', async () => {
+    monitor.activate(100, profile);
+
+    crash(100);
+    await jest.advanceTimersByTimeAsync(1000);
+    crash(200);
+    await jest.advanceTimersByTimeAsync(2000);
+    crash(201);
+    await jest.advanceTimersByTimeAsync(4000);
+    crash(202);
+    await jest.advanceTimersByTimeAsync(60000);
+
+    expect(crashes.map(event => event.restartIn)).toEqual([1000, 2000, 4000, null]);
+    expect(crashes[3]).toMatchObject({ attempt: 4, gaveUp: true });
+    expect(restart).toHaveBeenCalledTimes(3);
+    expect(monitor.isActive('api')).toBe(false);
+  });
+
+  it('should cap the delay and forget crashes outside the window', async () => {
+    monitor = new KeepAliveMonitor(outputCapture, { restart, baseDelay: 1000, maxDelay: 1500, maxRestarts: 3, window: 10000 });
+    monitor.on('crash', event => crashes.push(event));
+    monitor.activate(100, profile);
+
+    crash(100);
+    await jest.advanceTimersByTimeAsync(1000);
+    crash(200);
+    await jest.advanceTimersByTimeAsync(20000);
+    crash(201);
+
+    expect(crashes.map(event => [event.attempt, event.restartIn])).toEqual([[1, 1000], [2, 1500], [1, 1000]]);
+  });
+
+  it('should not restart servers that were stopped on purpose', async () => {
+    monitor.activate(100, profile);
+
+    expect(monitor.deactivate('api')).toEqual({ profileId: 'api', profileName: 'My API', pid: 100 });
+    crash(100, 0);
+    await jest.advanceTimersByTimeAsync(60000);
+
+    expect(crashes).toEqual([]);
+    expect(restart).not.toHaveBeenCalled();
+  });
+
+  it('should ignore exits of older processes of the same profile', () => {
+    monitor.activate(100, profile);
+
+    crash(99);
+
+    expect(crashes).toEqual([]);
+    expect(monitor.isActive('api')).toBe(true);
+  });
+
+  it('should count a restart that fails to launch as another crash', async () => {
+    restart.mockResolvedValueOnce({ success: false, error: 'spawn /bin/sh ENOENT' });
+    monitor.activate(100, profile);
+
+    crash(100);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(crashes[1]).toMatchObject({ attempt: 2, reason: 'failed to restart: spawn /bin/sh ENOENT', restartIn: 2000 });
+  });
+
+  it('should not count a failed restart twice when its process exit was already recorded', async () => {
+    restart.mockImplementationOnce(async () => {
+      monitor.activate(300, profile);
+      crash(300);
+      return { success: false, newPid: 300, error: 'Server did not become ready: Process exited with code 1 before it was ready' };
+    });
+    monitor.activate(100, profile);
+
+    crash(100);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(crashes).toHaveLength(2);
+    expect(crashes[1]).toMatchObject({ pid: 300, attempt: 2 });
+  });
+
+  it('should cancel pending restarts when the profile is cancelled or the monitor stops', async () => {
+    monitor.activate(100, profile);
+    crash(100);
+
+    monitor.cancel('api');
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(restart).not.toHaveBeenCalled();
+
+    monitor.activate(101, profile);
+    monitor.stop();
+    crash(101);
+    expect(crashes).toHaveLength(1);
+  });
+});
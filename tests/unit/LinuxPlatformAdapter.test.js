@@ -0,0 +1,243 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LinuxPlatformAdapter = require('../../src/services/platform/LinuxPlatformAdapter');
+const PlatformAdapter = require('../../src/services/platform/PlatformAdapter');
+const ProcessUtilities = require('../../src/services/ProcessUtilities');
+const { createFakeProcRoot, removeFakeProcRoot } = require('../helpers/platformFixtures');
+
+jest.mock('electron-log', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const TCP_HEADER = '  sl  local_address rem_address   st tx_queue rx_queue tr tm->when retrnsmt   uid  timeout inode\n';
+
+describe('LinuxPlatformAdapter', () => {
+  let procRoot;
+  let adapter;
+
+  const writeProcFile = (relativePath, content) => {
+    const filePath = path.join(procRoot, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  };
+
+  const addProcess = (pid, { comm, cmdline, ppid, environ = '', rssKb = 0, socketInodes = [] }) => {
+    writeProcFile(`${pid}/stat`, `${pid} (${comm}) S ${ppid} ${pid} ${pid} 0 -1 4194304 100 0 0 0 250 50 0 0 20 0 11 0 5000 1000000 2000 18446744073709551615`);
+    writeProcFile(`${pid}/cmdline`, cmdline.join('\0') + '\0');
+    writeProcFile(`${pid}/environ`, environ);
+    writeProcFile(`${pid}/status`, `Name:\t${comm}\nVmSize:\t  204800 kB\nVmRSS:\t  ${rssKb} kB\n`);
+    fs.mkdirSync(path.join(procRoot, String(pid), 'fd'), { recursive: true });
+    socketInodes.forEach((inode, index) => {
+      fs.symlinkSync(`socket:[${inode}]`, path.join(procRoot, String(pid), 'fd', String(index + 3)));
+    });
+    fs.symlinkSync('/home/dev/my-app', path.join(procRoot, String(pid), 'cwd'));
+  };
+
+  beforeEach(() => {
+    procRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-proc-'));
+    writeProcFile('stat', 'cpu  1 2 3 4\nbtime 1700000000\nprocesses 42\n');
+    adapter = new LinuxPlatformAdapter(procRoot);
+  });
+
+  afterEach(() => {
+    fs.rmSync(procRoot, { recursive: true, force: true });
+  });
+
+  describe('listProcesses', () => {
+    it('should read name, command line, parent and start time from procfs', async () => {
+      addProcess(4321, { comm: 'node', cmdline: ['node', 'node_modules/.bin/vite', '--port', '5173'], ppid: 4000 });
+
+      const processes = await adapter.listProcesses();
+
+      expect(processes).toHaveLength(1);
+      expect(processes[0]).toMatchObject({
+        pid: 4321,
+        name: 'node',
+        command: 'node node_modules/.bin/vite --port 5173',
+        parentPid: 4000
+      });
+      expect(processes[0].startTime).toEqual(new Date(1700000000 * 1000 + 50 * 1000));
+    });
+
+    it('should handle command names containing spaces and parentheses', async () => {
+      addProcess(77, { comm: 'Web Content (x)', cmdline: [], ppid: 1 });
+
+      const processInfo = await adapter.getProcess(77);
+
+      expect(processInfo.name).toBe('Web Content (x)');
+      expect(processInfo.command).toBe('Web Content (x)');
+      expect(processInfo.parentPid).toBe(1);
+    });
+  });
+
+  describe('listListeners', () => {
+    it('should map listening IPv4 and IPv6 sockets to their owning PIDs', async () => {
+      addProcess(4321, { comm: 'node', cmdline: ['node', 'server.js'], ppid: 1, socketInodes: [111, 333] });
+      addProcess(5555, { comm: 'python3', cmdline: ['python3', 'manage.py', 'runserver'], ppid: 1, socketInodes: [222] });
+
+      writeProcFile('net/tcp', TCP_HEADER +
+        '   0: 00000000:0BB8 00000000:0000 0A 00000000:00000000 00:00000000 00000000  1000        0 111 1 0000000000000000 100 0 0 10 0\n' +
+        '   1: 0100007F:1F40 00000000:0000 0A 00000000:00000000 00:00000000 00000000  1000        0 222 1 0000000000000000 100 0 0 10 0\n' +
+        '   2: 0100007F:8836 0100007F:0BB8 01 00000000:00000000 00:00000000 00000000  1000        0 444 1 0000000000000000 20 4 0 10 -1\n');
+      writeProcFile('net/tcp6', TCP_HEADER +
+        '   0: 00000000000000000000000000000000:1435 00000000000000000000000000000000:0000 0A 00000000:00000000 00:00000000 00000000  1000        0 333 1 0000000000000000 100 0 0 10 0\n');
+
+      const listeners = await adapter.listListeners();
+
+      expect(listeners).toEqual([
+        { protocol: 'TCP', localAddress: '0.0.0.0:3000', address: '0.0.0.0', port: 3000, family: 'IPv4', state: 'LISTENING', pid: 4321 },
+        { protocol: 'TCP', localAddress: '127.0.0.1:8000', address: '127.0.0.1', port: 8000, family: 'IPv4', state: 'LISTENING', pid: 5555 },
+        { protocol: 'TCP', localAddress: '[::]:5173', address: '::', port: 5173, family: 'IPv6', state: 'LISTENING', pid: 4321 }
+      ]);
+    });
+
+    it('should include bound UDP sockets outside the ephemeral port range', async () => {
+      addProcess(4321, { comm: 'node', cmdline: ['node', 'dns-mock.js'], ppid: 1, socketInodes: [111, 222, 333, 444] });
+      writeProcFile('sys/net/ipv4/ip_local_port_range', '32768\t60999\n');
+
+      writeProcFile('net/udp', TCP_HEADER +
+        '  10: 0100007F:1535 00000000:0000 07 00000000:00000000 00:00000000 00000000  1000        0 111 2 0000000000000000 0\n' +
+        '  11: 00000000:B5A2 00000000:0000 07 00000000:00000000 00:00000000 00000000  1000        0 222 2 0000000000000000 0\n' +
+        '  12: 0100007F:D431 0100007F:0035 01 00000000:00000000 00:00000000 00000000  1000        0 333 2 0000000000000000 0\n');
+      writeProcFile('net/udp6', TCP_HEADER +
+        '  20: 00000000000000000000000000000000:01BB 00000000000000000000000000000000:0000 07 00000000:00000000 00:00000000 00000000  1000        0 444 2 0000000000000000 0\n');
+
+      const listeners = await adapter.listListeners();
+
+      expect(listeners).toEqual([
+        { protocol: 'UDP', localAddress: '127.0.0.1:5429', address: '127.0.0.1', port: 5429, family: 'IPv4', state: 'LISTENING', pid: 4321 },
+        { protocol: 'UDP', localAddress: '[::]:443', address: '::', port: 443, family: 'IPv6', state: 'LISTENING', pid: 4321 }
+      ]);
+    });
+
+    it('should skip listening sockets whose owner cannot be resolved', async () => {
+      writeProcFile('net/tcp', TCP_HEADER +
+        '   0: 00000000:0016 00000000:0000 0A 00000000:00000000 00:00000000 00000000     0        0 999 1 0000000000000000 100 0 0 10 0\n');
+
+      expect(await adapter.listListeners()).toEqual([]);
+    });
+  });
+
+  describe('decodeIpv6', () => {
+    it('should decode loopback and IPv4-mapped addresses', () => {
+      expect(adapter.decodeIpv6('00000000000000000000000001000000')).toBe('::1');
+      expect(adapter.decodeIpv6('0000000000000000FFFF00000100007F')).toBe('::ffff:127.0.0.1');
+    });
+  });
+
+  describe('per-process probes', () => {
+    beforeEach(() => {
+      addProcess(4321, {
+        comm: 'node',
+        cmdline: ['node', 'server.js'],
+        ppid: 1,
+        environ: 'NODE_ENV=development\0PORT=3000\0EMPTY=\0',
+        rssKb: 51200
+      });
+    });
+
+    it('should read the working directory', async () => {
+      expect(await adapter.getCwd(4321)).toBe('/home/dev/my-app');
+      expect(await adapter.getCwd(9999)).toBeNull();
+    });
+
+    it('should parse the environment', async () => {
+      expect(await adapter.getEnv(4321)).toEqual({
+        NODE_ENV: 'development',
+        PORT: '3000',
+        EMPTY: ''
+      });
+    });
+
+    it('should report memory in MB and CPU time in 100ns units', async () => {
+      expect(await adapter.getResources(4321)).toMatchObject({
+        memoryUsage: 50,
+        virtualSize: 200,
+        userTime: 25000000,
+        kernelTime: 5000000
+      });
+    });
+
+    it('should report whether a process exists', async () => {
+      expect(await adapter.processExists(4321)).toBe(true);
+      expect(await adapter.processExists(9999)).toBe(false);
+    });
+  });
+
+  describe('recorded snapshot', () => {
+    beforeEach(() => {
+      fs.rmSync(procRoot, { recursive: true, force: true });
+      procRoot = createFakeProcRoot();
+      adapter = new LinuxPlatformAdapter(procRoot);
+    });
+
+    afterEach(() => {
+      removeFakeProcRoot(procRoot);
+    });
+
+    it('should implement the PlatformAdapter contract', () => {
+      expect(adapter).toBeInstanceOf(PlatformAdapter);
+      expect(adapter.platform).toBe('linux');
+    });
+
+    it('should resolve every recorded listener to its owner', async () => {
+      const listeners = await adapter.listListeners();
+
+      expect(listeners.map(({ localAddress, pid }) => [localAddress, pid])).toEqual([
+        ['127.0.0.1:631', 812],
+        ['0.0.0.0:3000', 4321],
+        ['127.0.0.1:8000', 5555],
+        ['[::]:24726', 4321],
+        ['[::1]:5173', 5555]
+      ]);
+    });
+
+    it('should list the direct children of a process', async () => {
+      const children = await adapter.listChildProcesses(4321);
+
+      expect(children.map(child => child.pid).sort()).toEqual([4400, 6001]);
+    });
+
+    it('should walk a process tree from a single procfs scan', async () => {
+      const listProcesses = jest.spyOn(adapter, 'listProcesses');
+      const processUtils = new ProcessUtilities(adapter);
+
+      const tree = await processUtils.getProcessTree(4300);
+      const descendants = await processUtils.getDescendants(4300);
+
+      expect(tree.children.map(child => child.pid)).toEqual([4321]);
+      expect(tree.children[0].children.map(child => child.pid).sort()).toEqual([4400, 6001]);
+      expect(descendants.map(child => child.pid).sort()).toEqual([4321, 4400, 6001]);
+      expect(listProcesses).toHaveBeenCalledTimes(2); // Once per walk, not once per node
+    });
+
+    it('should refuse init, kernel threads and root daemons as system processes', async () => {
+      const processUtils = new ProcessUtilities(adapter);
+
+      expect(await adapter.getOwnerUid(812)).toBe(0);
+      expect(await adapter.getOwnerUid(4321)).toBe(1000);
+      expect(await processUtils.isSystemProcess(1)).toBe(true);
+      expect(await processUtils.isSystemProcess(2)).toBe(true);
+      expect(await processUtils.isSystemProcess(812)).toBe(true);
+      expect(await processUtils.isSystemProcess(4321)).toBe(false);
+      expect(await processUtils.isSystemProcess(5555)).toBe(false);
+    });
+
+    it('should treat zombie processes as gone', async () => {
+      expect(await adapter.processExists(4321)).toBe(true);
+      expect(await adapter.processExists(6001)).toBe(false);
+    });
+
+    it('should read per-process details', async () => {
+      expect(await adapter.getCommandLine(4321)).toBe('node /home/dev/my-app/node_modules/.bin/vite --port 3000');
+      expect(await adapter.getCwd(5555)).toBe('/home/dev/shop-api');
+      expect(await adapter.getExecutablePath(4321)).toBe('/usr/bin/node');
+      expect(await adapter.getEnv(4321)).toMatchObject({ NODE_ENV: 'development', PORT: '3000' });
+      expect(await adapter.getResources(4321)).toMatchObject({ memoryUsage: 200, swapUsage: 1 });
+    });
+  });
+});
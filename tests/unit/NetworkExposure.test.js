@@ -0,0 +1,110 @@
+const NetworkExposure = require('../../src/services/NetworkExposure');
+
+jest.mock('electron-log', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const INTERFACES = [
+  { name: 'lo', ipv4: ['127.0.0.1'], ipv6: ['::1'], mac: '00:00:00:00:00:00', dns: [] },
+  { name: 'wlan0', ipv4: ['192.168.1.20'], ipv6: ['fe80::1c2b:3a4d:5e6f:7a8b'], mac: 'aa:bb:cc:dd:ee:ff', dns: [] },
+  { name: 'docker0', ipv4: ['172.17.0.1', '169.254.10.1'], ipv6: [], mac: '02:42:00:00:00:01', dns: [] }
+];
+
+const binding = (address, port = 5173, protocol = 'TCP') => ({
+  port,
+  protocol,
+  address,
+  family: address.includes(':') ? 'IPv6' : 'IPv4'
+});
+
+const server = (addresses, overrides = {}) => ({
+  pid: 4321,
+  name: 'Vite Dev Server',
+  type: 'react',
+  port: 5173,
+  url: 'http://localhost:5173',
+  command: 'node node_modules/vite/bin/vite.js',
+  bindings: addresses.map(address => binding(address)),
+  ...overrides
+});
+
+describe('NetworkExposure', () => {
+  let networkUtils;
+  let exposure;
+
+  beforeEach(() => {
+    networkUtils = { getNetworkInterfaces: jest.fn().mockResolvedValue(INTERFACES) };
+    exposure = new NetworkExposure(networkUtils);
+  });
+
+  it('should keep servers bound to loopback local without LAN URLs', async () => {
+    const [annotated] = await exposure.annotateServers([server(['127.0.0.1', '::1'])]);
+
+    expect(annotated.exposure).toEqual({ scope: 'loopback', addresses: ['127.0.0.1', '::1'], lanUrls: [], warning: null });
+    expect(annotated.url).toBe('http://localhost:5173');
+  });
+
+  it('should list a URL per LAN address and warn when a dev server was not asked to listen on all interfaces', async () => {
+    const [annotated] = await exposure.annotateServers([server(['0.0.0.0', '::'])]);
+
+    expect(annotated.exposure.scope).toBe('all');
+    expect(annotated.exposure.lanUrls).toEqual([
+      { url: 'http://192.168.1.20:5173/', address: '192.168.1.20', interface: 'wlan0' },
+      { url: 'http://172.17.0.1:5173/', address: '172.17.0.1', interface: 'docker0' }
+    ]);
+    expect(annotated.exposure.warning).toMatch(/all interfaces/);
+  });
+
+  it('should not warn when the command line picks the host', async () => {
+    const [vite, django] = await exposure.annotateServers([
+      server(['0.0.0.0'], { command: 'node node_modules/vite/bin/vite.js --host' }),
+      server(['0.0.0.0'], { pid: 5555, command: 'python manage.py runserver 0.0.0.0:8000' })
+    ]);
+
+    expect(vite.exposure.warning).toBeNull();
+    expect(django.exposure.warning).toBeNull();
+  });
+
+  it('should always warn about exposed infrastructure and containers', () => {
+    const postgres = server(['0.0.0.0'], { type: 'infrastructure', port: 5432, url: null, command: 'postgres -c listen_addresses=*' });
+
+    const described = exposure.describeExposure({ ...postgres, bindings: [binding('0.0.0.0', 5432)] }, []);
+
+    expect(described).toMatchObject({ scope: 'all', lanUrls: [], warning: expect.stringContaining('port 5432') });
+  });
+
+  it('should point the URL at the LAN address of a server bound to one interface', async () => {
+    const [annotated] = await exposure.annotateServers([server(['192.168.1.20'])]);
+
+    expect(annotated.exposure).toMatchObject({ scope: 'interface', warning: null });
+    expect(annotated.url).toBe('http://192.168.1.20:5173/');
+  });
+
+  it('should only consider bindings of the primary port', () => {
+    const withHmr = server(['127.0.0.1'], { bindings: [binding('127.0.0.1'), binding('0.0.0.0', 24678)] });
+
+    expect(exposure.describeExposure(withHmr, []).scope).toBe('loopback');
+  });
+
+  it('should reuse the interface list and skip the lookup without bindings', async () => {
+    await exposure.annotateServers([{ pid: 1, port: 'Unknown', bindings: [] }]);
+    expect(networkUtils.getNetworkInterfaces).not.toHaveBeenCalled();
+
+    await exposure.annotateServers([server(['0.0.0.0'])]);
+    await exposure.annotateServers([server(['0.0.0.0'])]);
+    expect(networkUtils.getNetworkInterfaces).toHaveBeenCalledTimes(1);
+  });
+
+  it('should attach a QR code to every LAN URL', async () => {
+    const [annotated] = await exposure.annotateServers([server(['0.0.0.0'])]);
+
+    const withCodes = exposure.withQrCodes(annotated.exposure);
+
+    expect(withCodes.lanUrls).toHaveLength(2);
+    withCodes.lanUrls.forEach(item => expect(item.qrSvg).toMatch(/^<svg /));
+    expect(annotated.exposure.lanUrls[0].qrSvg).toBeUndefined();
+  });
+});
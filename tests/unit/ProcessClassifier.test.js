@@ -0,0 +1,165 @@
+const ProcessClassifier = require('../../src/services/ProcessClassifier');
+
+jest.mock('electron-log', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('ProcessClassifier', () => {
+  let classifier;
+
+  beforeEach(() => {
+    classifier = new ProcessClassifier();
+  });
+
+  it('should not treat every start script as React', () => {
+    const server = classifier.classifyServer({ pid: 10, name: 'node', command: 'node dist/start-api.js', port: 4000 });
+
+    expect(server).toMatchObject({ type: 'node', name: 'Node.js Server' });
+  });
+
+  it('should apply a confident framework detection to the server', () => {
+    const server = classifier.classifyServer({ pid: 10, name: 'node', command: 'node server.js', port: 3000 });
+    const framework = { id: 'remix', name: 'Remix', serverName: 'Remix Dev Server', type: 'react', confidence: 0.8, evidence: ['@remix-run/dev in package.json', 'remix.config.js'] };
+
+    expect(classifier.applyFramework(server, framework)).toMatchObject({
+      name: 'Remix Dev Server',
+      type: 'react',
+      category: 'Frontend Frameworks',
+      confidence: 0.8,
+      framework: { id: 'remix', name: 'Remix', confidence: 0.8 }
+    });
+  });
+
+  it('should keep the command line classification when the detection is unsure', () => {
+    const server = classifier.classifyServer({ pid: 10, name: 'node', command: 'node server.js', port: 3000 });
+    const framework = { id: 'express', name: 'Express', serverName: 'Express Server', type: 'node', confidence: 0.3, evidence: ['command line'] };
+
+    const refined = classifier.applyFramework(server, framework);
+
+    expect(refined.name).toBe('Node.js Server');
+    expect(refined.framework).toMatchObject({ id: 'express', confidence: 0.3 });
+  });
+
+  describe('user rules', () => {
+    const rule = action => ({ id: 'r1', name: 'Gateway', action: { name: '', type: '', category: '', icon: '', tags: [], ignore: false, protect: false, ...action } });
+
+    it('should keep a process the built-in heuristics do not recognize', () => {
+      const processInfo = { pid: 20, name: 'gateway', command: 'gateway --listen 8080', port: 8080 };
+
+      expect(classifier.classifyServer(processInfo)).toBeNull();
+      expect(classifier.classifyWithRule(processInfo, rule({ name: 'API Gateway', type: 'node' }))).toMatchObject({
+        pid: 20,
+        name: 'API Gateway',
+        type: 'node',
+        url: 'http://localhost:8080'
+      });
+    });
+
+    it('should drop ignored processes', () => {
+      const processInfo = { pid: 10, name: 'node', command: 'node server.js', port: 3000 };
+
+      expect(classifier.classifyWithRule(processInfo, rule({ ignore: true }))).toBeNull();
+    });
+
+    it('should apply names, tags and protection', () => {
+      const server = classifier.classifyServer({ pid: 10, name: 'node', command: 'node server.js', port: 3000 });
+
+      expect(classifier.applyRuleAction(server, rule({ name: 'Billing API', icon: '💳', tags: ['billing'], protect: true }))).toMatchObject({
+        name: 'Billing API',
+        type: 'node',
+        icon: '💳',
+        tags: expect.arrayContaining(['billing']),
+        isSafeToStop: false,
+        isProtected: true,
+        matchedRule: { id: 'r1', name: 'Gateway' }
+      });
+    });
+  });
+
+  describe('backend runtimes', () => {
+    const classify = (name, command, port) => classifier.classifyServer({ pid: 50, name, command, port });
+
+    it.each([
+      ['java', 'java -jar target/orders-0.0.1-SNAPSHOT.jar org.springframework.boot.loader.JarLauncher', 8080, 'java', 'Spring Boot Server'],
+      ['main', '/tmp/go-build2231/b001/exe/main', 8081, 'go', 'Go Dev Server'],
+      ['ruby', 'ruby bin/rails server -p 3001', 3001, 'ruby', 'Rails Server'],
+      ['php', 'php artisan serve --port=8000', 8000, 'php', 'Laravel Dev Server'],
+      ['php.exe', 'php.exe -S localhost:8090 -t public', 8090, 'php', 'PHP Built-in Server'],
+      ['dotnet.exe', 'dotnet.exe watch run --project Api', 5000, 'dotnet', '.NET Watch Server'],
+      ['Api.exe', 'C:\\src\\Api\\bin\\Debug\\net8.0\\Api.exe', 5001, 'dotnet', 'ASP.NET Core Server'],
+      ['cargo', 'cargo watch -x run', null, 'rust', 'Cargo Watch'],
+      ['api', 'target/debug/api', 8082, 'rust', 'Rust Dev Server']
+    ])('should classify %s running %s', (name, command, port, type, serverName) => {
+      expect(classify(name, command, port)).toMatchObject({ type, name: serverName, category: classifier.getServerCategory(type) });
+    });
+
+    it('should skip build tools and language servers', () => {
+      expect(classify('java', 'java -cp gradle-daemon-main.jar org.gradle.launcher.daemon.bootstrap.GradleDaemon 8.5', null)).toBeNull();
+      expect(classify('ruby', 'ruby solargraph socket', 7658)).toBeNull();
+      expect(classify('dotnet', 'dotnet VBCSCompiler.dll -pipename:abc', null)).toBeNull();
+      expect(classify('cargo', 'cargo build --release', null)).toBeNull();
+      expect(classify('php', 'php composer.phar install', null)).toBeNull();
+    });
+
+    it('should name unknown listening processes after their runtime', () => {
+      expect(classify('java', 'java -cp app.jar com.example.Main', 9000)).toMatchObject({ type: 'java', name: 'Java Server' });
+      expect(classify('java', 'java -cp app.jar com.example.BatchJob', null)).toBeNull();
+    });
+
+    it('should not treat a Rails server as a static file server', () => {
+      expect(classify('ruby', 'ruby bin/rails s', 3000).type).toBe('ruby');
+    });
+
+    it('should leave framework detection to Node.js and Python servers', () => {
+      expect(classifier.canDetectFramework({ type: 'ruby' })).toBe(false);
+      expect(classifier.canDetectFramework({ type: 'node' })).toBe(true);
+    });
+  });
+
+  describe('infrastructure', () => {
+    const classify = (name, command, port) => classifier.classifyServer({ pid: 60, name, command, port });
+
+    it.each([
+      ['postgres', '/usr/lib/postgresql/16/bin/postgres -D /var/lib/postgresql/16/main', 5432, 'postgres', 'PostgreSQL'],
+      ['mysqld.exe', '"C:\\Program Files\\MySQL\\bin\\mysqld.exe" --defaults-file=my.ini', 3306, 'mysql', 'MySQL'],
+      ['redis-server', 'redis-server *:6379', 6379, 'redis', 'Redis'],
+      ['mongod', 'mongod --dbpath /data/db', 27017, 'mongodb', 'MongoDB'],
+      ['beam.smp', '/usr/lib/erlang/erts-14/bin/beam.smp -- -root /usr/lib/erlang -s rabbit boot', 5672, 'rabbitmq', 'RabbitMQ'],
+      ['java', 'java -Xms1g -cp /usr/share/elasticsearch/lib/* org.elasticsearch.bootstrap.Elasticsearch', 9200, 'elasticsearch', 'Elasticsearch'],
+      ['minio', 'minio server /data --console-address :9001', 9000, 'minio', 'MinIO']
+    ])('should classify %s as infrastructure', (name, command, port, id, serverName) => {
+      expect(classify(name, command, port)).toMatchObject({
+        type: 'infrastructure',
+        name: serverName,
+        category: 'Infrastructure',
+        service: { id },
+        importance: 'infrastructure',
+        isSafeToStop: false
+      });
+    });
+
+    it('should only link HTTP services', () => {
+      expect(classify('redis-server', 'redis-server *:6379', 6379).url).toBeNull();
+      expect(classify('minio', 'minio server /data', 9000).url).toBe('http://localhost:9000');
+    });
+
+    it('should skip worker processes that do not listen', () => {
+      expect(classify('postgres', 'postgres: checkpointer', null)).toBeNull();
+      expect(classify('java', 'java -cp /usr/share/elasticsearch/lib/* org.elasticsearch.tools.launchers.CliToolLauncher', null)).toBeNull();
+    });
+
+    it('should not mistake a dev server on a database port for infrastructure', () => {
+      expect(classify('node', 'node server.js', 5432).type).toBe('node');
+    });
+
+    it('should keep infrastructure out of bulk stops when a rule assigns the type', () => {
+      const server = classify('node', 'node mock-db.js', 7000);
+      const rule = { id: 'r1', name: 'Mock DB', action: { type: 'infrastructure', tags: [] } };
+
+      expect(classifier.applyRuleAction(server, rule)).toMatchObject({ type: 'infrastructure', category: 'Infrastructure', isSafeToStop: false });
+    });
+  });
+});
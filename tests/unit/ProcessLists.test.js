@@ -0,0 +1,66 @@
+const ProcessLists = require('../../src/services/ProcessLists');
+const { useStorageDir } = require('../helpers/storeFixtures');
+const ClassificationRuleEngine = require('../../src/services/ClassificationRuleEngine');
+
+jest.mock('electron-log', () => require('../helpers/storeFixtures').createLogMock());
+
+describe('ProcessLists', () => {
+  const storage = useStorageDir('process-lists-');
+  let lists;
+
+  beforeEach(() => {
+    lists = new ProcessLists(storage.userDataDir);
+  });
+
+  it('should save entries and persist them', async () => {
+    const result = await lists.saveEntry({ list: 'protect', matcher: 'port', value: '5432', label: ' Billing DB ' });
+
+    expect(result.success).toBe(true);
+    expect(result.entry).toMatchObject({ list: 'protect', matcher: 'port', value: 5432, label: 'Billing DB' });
+
+    const reloaded = new ProcessLists(storage.userDataDir);
+    expect(await reloaded.getEntries()).toEqual([result.entry]);
+  });
+
+  it('should move an existing matcher to the other list instead of duplicating it', async () => {
+    const ignored = (await lists.saveEntry({ list: 'ignore', matcher: 'image', value: 'Postgres' })).entry;
+    const protectedEntry = (await lists.saveEntry({ list: 'protect', matcher: 'image', value: 'postgres' })).entry;
+
+    expect(protectedEntry.id).toBe(ignored.id);
+    expect(await lists.getEntries()).toEqual([expect.objectContaining({ list: 'protect', value: 'postgres' })]);
+  });
+
+  it('should delete entries', async () => {
+    const saved = (await lists.saveEntry({ list: 'ignore', matcher: 'command', value: 'pm2 daemon' })).entry;
+
+    expect((await lists.deleteEntry(saved.id)).success).toBe(true);
+    expect(await lists.getEntries()).toEqual([]);
+    expect((await lists.deleteEntry(saved.id)).success).toBe(false);
+  });
+
+  it('should reject unknown lists, matchers and invalid values', () => {
+    expect(lists.validateEntry({ list: 'allow', matcher: 'port', value: 80 })).toBe('Unknown list: allow');
+    expect(lists.validateEntry({ list: 'ignore', matcher: 'pid', value: 80 })).toBe('Unknown matcher: pid');
+    expect(lists.validateEntry({ list: 'ignore', matcher: 'cwd', value: ' ' })).toBe('A value to match is required');
+    expect(lists.validateEntry({ list: 'ignore', matcher: 'port', value: '70000' })).toMatch(/^Port must be/);
+  });
+
+  it('should match processes through the rule engine with ignore entries first', async () => {
+    const entries = [
+      { id: 'p', list: 'protect', matcher: 'port', value: 3000, label: '' },
+      { id: 'i', list: 'ignore', matcher: 'command', value: 'node (legacy).js', label: 'Legacy' }
+    ];
+    const engine = new ClassificationRuleEngine({ getCwd: jest.fn() });
+    engine.setRules(lists.toRules(entries));
+
+    const matches = await engine.matchProcesses([
+      { pid: 1, name: 'node', command: 'node (legacy).js --port 3000', port: '3000' },
+      { pid: 2, name: 'node', command: 'node api.js', port: '3000' },
+      { pid: 3, name: 'node', command: 'node other.js', port: '4000' }
+    ]);
+
+    expect(matches.get(1)).toMatchObject({ id: 'i', list: 'ignore', name: 'Legacy' });
+    expect(matches.get(2)).toMatchObject({ id: 'p', list: 'protect', name: 'port 3000' });
+    expect(matches.has(3)).toBe(false);
+  });
+});
@@ -0,0 +1,33 @@
+const ProcessListsView = require('../../src/components/ProcessListsView');
+
+// Entries are added from server cards, so their values come from process data
+const HOSTILE_VALUE = '</strong><img src=x onerror=alert(1)>" data-x="';
+
+describe('ProcessListsView', () => {
+  let view;
+
+  beforeEach(() => {
+    view = new ProcessListsView();
+    view.entries = [
+      { id: 'entry-1', list: 'ignore', matcher: 'command', value: HOSTILE_VALUE, label: '' },
+      { id: 'entry-2', list: 'protect', matcher: 'image', value: 'postgres', label: HOSTILE_VALUE }
+    ];
+  });
+
+  test('should escape entry labels and values', () => {
+    const markup = String(view.createTemplate());
+
+    expect(markup).not.toMatch(/<img|<\/strong><img/i);
+    expect(markup).not.toMatch(/\sdata-x="/);
+    expect(markup).toContain('<strong>&lt;/strong&gt;&lt;img src=x onerror=alert(1)&gt;&quot; data-x=&quot;</strong>');
+    expect(markup).toContain('<span>Command line contains: &lt;/strong&gt;&lt;img');
+  });
+
+  test('should render the list and matcher options', () => {
+    const markup = String(view.createTemplate());
+
+    expect(markup).toContain('<option value="protect">Protected</option>');
+    expect(markup).toContain('<option value="cwd">Working directory</option>');
+    expect(markup).toContain('<h3>Ignore &amp; Protect Lists</h3>');
+  });
+});
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProjectResolver = require('../../src/services/ProjectResolver');
+
+jest.mock('electron-log', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('ProjectResolver', () => {
+  let rootDir;
+  let processUtils;
+  let resolver;
+
+  const write = (relativePath, content) => {
+    const filePath = path.join(rootDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  };
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'project-resolver-'));
+    processUtils = { getProcessWorkingDirectory: jest.fn(), canReadWorkingDirectory: jest.fn().mockReturnValue(true) };
+    resolver = new ProjectResolver(processUtils);
+
+    // shop: a git repository with a named root package and a workspace package
+    write('shop/.git/HEAD', 'ref: refs/heads/feature/checkout\n');
+    write('shop/package.json', JSON.stringify({ name: 'shop' }));
+    write('shop/packages/api/package.json', JSON.stringify({ name: '@shop/api' }));
+    fs.mkdirSync(path.join(rootDir, 'shop/packages/api/src'), { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('should name the project after the nearest package.json and read the branch', async () => {
+    const project = await resolver.resolve(path.join(rootDir, 'shop/packages/api/src'));
+
+    expect(project).toEqual({
+      id: path.join(rootDir, 'shop/packages/api'),
+      name: '@shop/api',
+      root: path.join(rootDir, 'shop/packages/api'),
+      gitRoot: path.join(rootDir, 'shop'),
+      branch: 'feature/checkout'
+    });
+  });
+
+  it('should fall back to the git root when there is no named package', async () => {
+    write('tools/.git/HEAD', 'a1b2c3d4e5f60718293a4b5c6d7e8f9012345678\n');
+    write('tools/scripts/package.json', JSON.stringify({ private: true }));
+
+    const project = await resolver.resolve(path.join(rootDir, 'tools/scripts'));
+
+    expect(project).toMatchObject({ id: path.join(rootDir, 'tools'), name: 'tools', branch: 'a1b2c3d' });
+  });
+
+  it('should not look for package.json above the git root', async () => {
+    write('package.json', JSON.stringify({ name: 'outer' }));
+    write('inner/.git/HEAD', 'ref: refs/heads/main\n');
+
+    const project = await resolver.resolve(path.join(rootDir, 'inner'));
+
+    expect(project).toMatchObject({ name: 'inner', branch: 'main' });
+  });
+
+  it('should follow the .git file of a worktree', async () => {
+    write('shop/.git/worktrees/hotfix/HEAD', 'ref: refs/heads/hotfix\n');
+    write('shop-hotfix/.git', `gitdir: ${path.join(rootDir, 'shop/.git/worktrees/hotfix')}\n`);
+    write('shop-hotfix/package.json', JSON.stringify({ name: 'shop' }));
+
+    const project = await resolver.resolve(path.join(rootDir, 'shop-hotfix'));
+
+    expect(project).toMatchObject({ name: 'shop', branch: 'hotfix' });
+  });
+
+  it('should return null outside any project', async () => {
+    fs.mkdirSync(path.join(rootDir, 'scratch'));
+
+    expect(await resolver.resolve(path.join(rootDir, 'scratch'))).toBeNull();
+  });
+
+  it('should reuse a resolved directory until the cache expires', async () => {
+    const directory = path.join(rootDir, 'shop');
+    expect((await resolver.resolve(directory)).branch).toBe('feature/checkout');
+
+    write('shop/.git/HEAD', 'ref: refs/heads/main\n');
+    expect((await resolver.resolve(directory)).branch).toBe('feature/checkout');
+
+    resolver.cache.get(directory).resolvedAt -= resolver.cacheTtl;
+    expect((await resolver.resolve(directory)).branch).toBe('main');
+  });
+
+  it('should annotate servers using the process working directory or the profile cwd', async () => {
+    const profiles = { getProfiles: jest.fn().mockResolvedValue([{ id: 'p1', cwd: path.join(rootDir, 'shop') }]) };
+    resolver = new ProjectResolver(processUtils, profiles);
+    processUtils.getProcessWorkingDirectory.mockImplementation(async pid => (pid === 1 ? path.join(rootDir, 'shop/packages/api') : null));
+
+    const servers = await resolver.annotateServers([
+      { pid: 1, name: 'api' },
+      { pid: 2, name: 'web', profileId: 'p1' },
+      { pid: 3, name: 'unknown' }
+    ]);
+
+    expect(servers.map(server => server.project && server.project.name)).toEqual(['@shop/api', 'shop', null]);
+    expect(servers.map(server => server.cwd)).toEqual([path.join(rootDir, 'shop/packages/api'), path.join(rootDir, 'shop'), null]);
+    expect(processUtils.getProcessWorkingDirectory).not.toHaveBeenCalledWith(2);
+  });
+
+  it('should place compose containers in the project they were brought up from', async () => {
+    const [server] = await resolver.annotateServers([
+      { pid: 4100, name: 'shop-db-1', container: { id: 'c1', workingDir: path.join(rootDir, 'shop') } }
+    ]);
+
+    expect(server.project.name).toBe('shop');
+    expect(processUtils.getProcessWorkingDirectory).not.toHaveBeenCalled();
+  });
+
+  it('should only use profile directories where process working directories cannot be read', async () => {
+    const profiles = { getProfiles: jest.fn().mockResolvedValue([{ id: 'p1', cwd: path.join(rootDir, 'shop') }]) };
+    processUtils.canReadWorkingDirectory.mockReturnValue(false);
+    resolver = new ProjectResolver(processUtils, profiles);
+
+    const servers = await resolver.annotateServers([
+      { pid: 1, name: 'api' },
+      { pid: 2, name: 'web', profileId: 'p1' }
+    ]);
+
+    expect(servers.map(server => server.project && server.project.name)).toEqual([null, 'shop']);
+    expect(processUtils.getProcessWorkingDirectory).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,106 @@
+const QrCode = require('../../src/services/QrCode');
+
+/**
+ * Read a symbol back: format bits, unmasking, zigzag order, deinterleaving
+ * Independent of the encoder's own bookkeeping except for the function pattern layout
+ */
+function decode({ version, size, modules }) {
+  // Format bits around the top-left finder, unmasked with 0x5412
+  const formatModules = [[8, 0], [8, 1], [8, 2], [8, 3], [8, 4], [8, 5], [8, 7], [8, 8], [7, 8], [5, 8], [4, 8], [3, 8], [2, 8], [1, 8], [0, 8]];
+  const format = formatModules.reduce((bits, [x, y], i) => bits | ((modules[y][x] ? 1 : 0) << i), 0) ^ 0x5412;
+  const level = format >>> 13;
+  const mask = (format >>> 10) & 7;
+
+  // Version information next to the bottom-left finder
+  let versionBits = 0;
+  if (version >= 7) {
+    for (let i = 0; i < 18; i++) {
+      if (modules[size - 11 + (i % 3)][Math.floor(i / 3)]) versionBits |= 1 << i;
+    }
+  }
+
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const qr = { version, size, modules: reserved.map(row => row.slice()), reserved };
+  QrCode.drawFunctionPatterns(qr);
+
+  const bits = [];
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let step = 0; step < size; step++) {
+      const y = upward ? size - 1 - step : step;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (reserved[y][x]) continue;
+        const masked = [
+          (x + y) % 2 === 0, y % 2 === 0, x % 3 === 0, (x + y) % 3 === 0,
+          (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0, ((x * y) % 2) + ((x * y) % 3) === 0,
+          (((x * y) % 2) + ((x * y) % 3)) % 2 === 0, (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+        ][mask];
+        bits.push(modules[y][x] !== masked ? 1 : 0);
+      }
+    }
+  }
+
+  const codewords = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+
+  return { level, mask, codewords, versionBits };
+}
+
+describe('QrCode', () => {
+  it('should compute the published Reed-Solomon codewords of HELLO WORLD at 1-M', () => {
+    const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+
+    expect(QrCode.getRemainder(data, QrCode.createGenerator(10))).toEqual([196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+  });
+
+  it('should pick the smallest version that fits', () => {
+    expect(QrCode.encode('http://192.168.1.20:5173/')).toMatchObject({ version: 2, size: 25 });
+    expect(QrCode.getVersion(213)).toBe(10);
+    expect(() => QrCode.getVersion(214)).toThrow('too long');
+  });
+
+  it.each([
+    'http://192.168.1.20:3000/',
+    'http://[fe80::1c2b:3a4d:5e6f:7a8b]:24678/some/deep/path?with=query&and=more#fragment',
+    'x'.repeat(200)
+  ])('should produce a symbol that decodes back to %s', text => {
+    const symbol = QrCode.encode(text);
+    const bytes = Array.from(Buffer.from(text));
+    const { level, codewords, versionBits } = decode(symbol);
+
+    expect(level).toBe(0); // M
+    expect(codewords).toEqual(QrCode.addErrorCorrection(QrCode.createDataCodewords(bytes, symbol.version), symbol.version));
+    if (symbol.version >= 7) expect(versionBits >>> 12).toBe(symbol.version);
+  });
+
+  it('should start the data with the byte mode header and the text', () => {
+    const data = QrCode.createDataCodewords(Array.from(Buffer.from('hi')), 1);
+
+    // 0100 | 00000010 | 01101000 01101001 | 0000 terminator, then 0xEC 0x11 padding
+    expect(data.slice(0, 5)).toEqual([0x40, 0x26, 0x86, 0x90, 0xec]);
+    expect(data).toHaveLength(16);
+    expect(data[15]).toBe(0x11);
+  });
+
+  it('should draw the three finder patterns and the dark module', () => {
+    const { size, modules } = QrCode.encode('http://10.0.0.5:8080/');
+    const finder = (x, y) => [0, 1, 2, 3, 4, 5, 6].map(dy => [0, 1, 2, 3, 4, 5, 6].map(dx => (modules[y + dy][x + dx] ? 1 : 0)).join(''));
+    const expected = ['1111111', '1000001', '1011101', '1011101', '1011101', '1000001', '1111111'];
+
+    expect(finder(0, 0)).toEqual(expected);
+    expect(finder(size - 7, 0)).toEqual(expected);
+    expect(finder(0, size - 7)).toEqual(expected);
+    expect(modules[size - 8][8]).toBe(true);
+  });
+
+  it('should render an SVG with a quiet zone', () => {
+    const svg = QrCode.toSvg('http://192.168.1.20:5173/', { scale: 2 });
+
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" viewBox="0 0 33 33" width="66" height="66"/);
+    expect(svg).toContain('M4,4h1v1h-1z');
+  });
+});
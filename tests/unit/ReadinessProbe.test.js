@@ -0,0 +1,131 @@
+const EventEmitter = require('events');
+const http = require('http');
+const net = require('net');
+const ReadinessProbe = require('../../src/services/ReadinessProbe');
+const NetworkUtilities = require('../../src/services/NetworkUtilities');
+
+jest.mock('electron-log', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+/**
+ * Listen on an ephemeral loopback port
+ */
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+/**
+ * Find a loopback port nothing is listening on
+ */
+async function getFreePort() {
+  const server = net.createServer();
+  const port = await listen(server);
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+describe('ReadinessProbe', () => {
+  let outputCapture;
+  let processUtils;
+  let probe;
+  let servers;
+
+  const launch = { newPid: 4321, logKey: 'my-api-1a2b3c4d' };
+
+  beforeEach(() => {
+    servers = [];
+    outputCapture = new EventEmitter();
+    outputCapture.getOutput = jest.fn(() => ({ lines: [] }));
+    processUtils = { verifyProcessExists: jest.fn().mockResolvedValue(true) };
+    probe = new ReadinessProbe(new NetworkUtilities({}), outputCapture, processUtils, { timeout: 1000, interval: 20 });
+  });
+
+  afterEach(async () => {
+    await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+  });
+
+  it('should resolve auto to http, then port, then none', () => {
+    expect(probe.resolveSignal({ url: 'http://localhost:3000/health', port: 3000 }).type).toBe('http');
+    expect(probe.resolveSignal({ port: '3000' })).toMatchObject({ type: 'port', port: 3000, timeout: 1000 });
+    expect(probe.resolveSignal({}).type).toBe('none');
+    expect(probe.resolveSignal({ type: 'log', pattern: 'ready', timeout: 5000 })).toMatchObject({ type: 'log', timeout: 5000 });
+  });
+
+  it('should report ready once the port accepts connections', async () => {
+    const server = net.createServer(socket => socket.end());
+    servers.push(server);
+    const port = await listen(server);
+
+    const result = await probe.waitForReady(launch, { type: 'port', port });
+
+    expect(result.ready).toBe(true);
+  });
+
+  it('should only accept 2xx responses as HTTP readiness', async () => {
+    let status = 503;
+    const server = http.createServer((req, res) => {
+      res.statusCode = status;
+      res.end();
+    });
+    servers.push(server);
+    const port = await listen(server);
+
+    setTimeout(() => {
+      status = 200;
+    }, 100);
+    const result = await probe.waitForReady(launch, { type: 'http', url: `http://127.0.0.1:${port}/health` });
+
+    expect(result.ready).toBe(true);
+    expect(result.elapsed).toBeGreaterThanOrEqual(80);
+  });
+
+  it('should match log lines printed before and after the probe started', async () => {
+    outputCapture.getOutput.mockReturnValue({ lines: [{ pid: 4321, text: 'VITE v5.0.0  ready in 312 ms' }] });
+    expect((await probe.waitForReady(launch, { type: 'log', pattern: 'ready in \\d+ ms' })).ready).toBe(true);
+
+    outputCapture.getOutput.mockReturnValue({ lines: [] });
+    setTimeout(() => {
+      outputCapture.emit('output', { logKey: 'other-server', lines: [{ pid: 999, text: 'Listening on port 4000' }] });
+      outputCapture.emit('output', { logKey: launch.logKey, lines: [{ pid: 4321, text: 'Listening on port 4000' }] });
+    }, 50);
+    expect((await probe.waitForReady(launch, { type: 'log', pattern: 'Listening on port' })).ready).toBe(true);
+    expect(outputCapture.listenerCount('output')).toBe(0);
+  });
+
+  it('should fail fast when the process exits before it is ready', async () => {
+    const port = await getFreePort();
+    setTimeout(() => outputCapture.emit('exit', { logKey: launch.logKey, pid: 4321, code: 1, signal: null }), 50);
+
+    const result = await probe.waitForReady(launch, { type: 'port', port });
+
+    expect(result).toMatchObject({ ready: false, reason: 'Process exited with code 1 before it was ready' });
+    expect(result.elapsed).toBeLessThan(1000);
+  });
+
+  it('should check the process directly when its output is not captured', async () => {
+    const port = await getFreePort();
+    processUtils.verifyProcessExists.mockResolvedValue(false);
+
+    const result = await probe.waitForReady({ newPid: 4321, logKey: null }, { type: 'port', port });
+
+    expect(result).toMatchObject({ ready: false, reason: 'Process exited before it was ready' });
+  });
+
+  it('should time out when the signal never appears', async () => {
+    const port = await getFreePort();
+
+    const result = await probe.waitForReady(launch, { type: 'port', port, timeout: 1000 });
+
+    expect(result).toMatchObject({ ready: false, timedOut: true });
+    expect(result.reason).toBe(`Timed out after 1s waiting for port ${port} to accept connections`);
+  });
+
+  it('should treat none as immediately ready and reject signals without a target', async () => {
+    expect(await probe.waitForReady(launch, { type: 'none' })).toEqual({ ready: true, elapsed: 0 });
+    expect((await probe.waitForReady(launch, { type: 'http' })).reason).toMatch('missing its target');
+  });
+});
@@ -0,0 +1,139 @@
+const EventEmitter = require('events');
+const ResourceAlertMonitor = require('../../src/services/ResourceAlertMonitor');
+
+jest.mock('electron-log', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('ResourceAlertMonitor', () => {
+  let sampler;
+  let rules;
+  let servers;
+  let act;
+  let monitor;
+  let events;
+
+  const memoryRule = { id: 'mem', name: 'Runaway bundler', metric: 'rss', threshold: 2048, duration: 60, scope: 'all', scopeValue: '', action: 'notify', enabled: true };
+  const start = Date.parse('2026-10-19T08:00:00.000Z');
+
+  /**
+   * Feed one round of samples taken `seconds` after the start
+   */
+  function round(seconds, rss, cpu = 5, pid = 100) {
+    return monitor.handleSamples([{ pid, timestamp: start + seconds * 1000, cpu, rss }]);
+  }
+
+  beforeEach(() => {
+    sampler = new EventEmitter();
+    rules = { getRules: jest.fn().mockResolvedValue([memoryRule]) };
+    servers = [
+      { pid: 100, name: 'vite', command: 'node node_modules/.bin/vite', profileId: 'web' },
+      { pid: 200, name: 'api', command: 'node server.js', profileId: null }
+    ];
+    act = jest.fn().mockResolvedValue({ success: true });
+    monitor = new ResourceAlertMonitor(sampler, rules, { getServers: () => servers, act });
+    events = [];
+    ['alert', 'cleared', 'action'].forEach(type => monitor.on(type, event => events.push([type, event])));
+  });
+
+  it('should fire once a server stays over the threshold for the rule duration', async () => {
+    expect(await round(0, 2500)).toEqual([]);
+    expect(await round(55, 2600)).toEqual([]);
+
+    const [alert] = await round(60, 2700);
+
+    expect(alert).toMatchObject({
+      ruleId: 'mem',
+      pid: 100,
+      serverName: 'vite',
+      value: 2700,
+      since: new Date(start).toISOString(),
+      message: 'vite (PID 100) memory 2.6 GB is over memory 2.0 GB for 60s'
+    });
+    expect(monitor.getActiveAlerts()).toEqual([alert]);
+
+    // Still over the limit: no second alert
+    expect(await round(65, 2800)).toEqual([]);
+    expect(events.map(([type]) => type)).toEqual(['alert']);
+  });
+
+  it('should start over when the server drops below the threshold', async () => {
+    await round(0, 2500);
+    await round(30, 1000);
+    await round(40, 2500);
+
+    expect(await round(90, 2500)).toEqual([]);
+    expect(await round(100, 2500)).toHaveLength(1);
+  });
+
+  it('should clear an active alert once the server recovers', async () => {
+    await round(0, 2500);
+    await round(60, 2500);
+
+    await round(65, 1500);
+
+    expect(events.map(([type]) => type)).toEqual(['alert', 'cleared']);
+    expect(monitor.getActiveAlerts()).toEqual([]);
+  });
+
+  it('should only apply rules to the servers in their scope', async () => {
+    rules.getRules.mockResolvedValue([
+      { ...memoryRule, id: 'cpu-web', metric: 'cpu', threshold: 90, duration: 0, scope: 'profile', scopeValue: 'web' },
+      { ...memoryRule, id: 'cpu-node', metric: 'cpu', threshold: 90, duration: 0, scope: 'command', scopeValue: 'SERVER.JS' },
+      { ...memoryRule, id: 'disabled', metric: 'cpu', threshold: 90, duration: 0, enabled: false }
+    ]);
+
+    const fired = [...await round(0, 100, 95, 100), ...await round(1, 100, 95, 200)];
+
+    expect(fired.map(alert => [alert.ruleId, alert.pid])).toEqual([['cpu-web', 100], ['cpu-node', 200]]);
+  });
+
+  it('should run the stop or restart action and forget the replaced process', async () => {
+    rules.getRules.mockResolvedValue([{ ...memoryRule, action: 'restart' }]);
+
+    await round(0, 2500);
+    await round(60, 2500);
+
+    expect(act).toHaveBeenCalledWith('restart', expect.objectContaining({ pid: 100, ruleId: 'mem' }));
+    expect(events.map(([type]) => type)).toEqual(['alert', 'cleared', 'action']);
+    expect(events[2][1]).toMatchObject({ action: 'restart', success: true });
+    expect(monitor.getActiveAlerts()).toEqual([]);
+  });
+
+  it('should keep the alert when its action fails', async () => {
+    rules.getRules.mockResolvedValue([{ ...memoryRule, action: 'stop' }]);
+    act.mockResolvedValue({ success: false, error: 'Access denied' });
+
+    await round(0, 2500);
+    await round(60, 2500);
+
+    expect(events[1][1]).toMatchObject({ action: 'stop', success: false, error: 'Access denied' });
+    expect(monitor.getActiveAlerts()).toHaveLength(1);
+  });
+
+  it('should drop alerts of servers that stopped and of deleted rules', async () => {
+    await round(0, 2500);
+    await round(60, 2500);
+
+    servers = servers.filter(server => server.pid !== 100);
+    await monitor.handleSamples([]);
+
+    expect(events.map(([type]) => type)).toEqual(['alert', 'cleared']);
+  });
+
+  it('should evaluate the sampler rounds between start and stop', async () => {
+    rules.getRules.mockResolvedValue([{ ...memoryRule, duration: 0 }]);
+    monitor.start();
+
+    sampler.emit('samples', [{ pid: 100, timestamp: start, cpu: 5, rss: 4096 }]);
+    await new Promise(resolve => setImmediate(resolve));
+    monitor.stop();
+    sampler.emit('samples', [{ pid: 200, timestamp: start, cpu: 5, rss: 4096 }]);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(events.filter(([type]) => type === 'alert').map(([, alert]) => alert.pid)).toEqual([100]);
+  });
+});
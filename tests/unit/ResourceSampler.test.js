@@ -0,0 +1,99 @@
+const ResourceSampler = require('../../src/services/ResourceSampler');
+
+jest.mock('electron-log', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('ResourceSampler', () => {
+  let processUtils;
+  let pids;
+  let sampler;
+  let usage;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T08:00:00.000Z') });
+    pids = [100];
+    // Cumulative CPU time in 100ns units and RSS in MB per PID
+    usage = { 100: { cpuTime: 0, memoryUsage: 120 } };
+    processUtils = {
+      getProcessResources: jest.fn(async pid => (usage[pid]
+        ? { memoryUsage: usage[pid].memoryUsage, userTime: usage[pid].cpuTime, kernelTime: 0 }
+        : null))
+    };
+    sampler = new ResourceSampler(processUtils, { getPids: () => pids, interval: 5000, duration: 20000 });
+  });
+
+  afterEach(() => {
+    sampler.stop();
+    jest.useRealTimers();
+  });
+
+  /**
+   * Let a sampling interval pass while the process uses CPU
+   */
+  async function advance(cpuMs, memoryUsage = usage[100].memoryUsage) {
+    usage[100].cpuTime += cpuMs * 1e4;
+    usage[100].memoryUsage = memoryUsage;
+    jest.setSystemTime(Date.now() + 5000);
+    return await sampler.sample();
+  }
+
+  it('should compute CPU% from the change in CPU time between samples', async () => {
+    expect(await sampler.sample()).toEqual([]);
+
+    const samples = await advance(2500, 150.44);
+
+    expect(samples).toEqual([{ pid: 100, timestamp: Date.now(), cpu: 50, rss: 150.4 }]);
+    expect(sampler.getHistory(100)).toEqual([{ timestamp: Date.now(), cpu: 50, rss: 150.4 }]);
+  });
+
+  it('should keep only the configured duration of history', async () => {
+    await sampler.sample();
+    for (let i = 1; i <= 6; i++) {
+      await advance(i * 100);
+    }
+
+    const history = sampler.getHistory(100);
+    expect(history).toHaveLength(4);
+    expect(history.map(sample => sample.cpu)).toEqual([6, 8, 10, 12]);
+    expect(sampler.getHistory(100, { limit: 2 }).map(sample => sample.cpu)).toEqual([10, 12]);
+    expect(sampler.getHistory(100, { since: Date.now() - 5000 }).map(sample => sample.cpu)).toEqual([10, 12]);
+  });
+
+  it('should forget servers that are no longer detected', async () => {
+    await sampler.sample();
+    await advance(100);
+    expect(sampler.getRecent(10)).toEqual({ 100: [expect.objectContaining({ cpu: 2 })] });
+
+    pids = [];
+    await advance(100);
+
+    expect(sampler.getRecent(10)).toEqual({});
+    expect(sampler.getHistory(100)).toEqual([]);
+  });
+
+  it('should skip processes whose resources cannot be read', async () => {
+    pids = [100, 200];
+    await sampler.sample();
+
+    const samples = await advance(100);
+
+    expect(samples.map(sample => sample.pid)).toEqual([100]);
+  });
+
+  it('should sample on an interval and emit each round', async () => {
+    const rounds = [];
+    sampler.on('samples', samples => rounds.push(samples));
+
+    sampler.start();
+    usage[100].cpuTime += 1000 * 1e4;
+    await jest.advanceTimersByTimeAsync(5000);
+    sampler.stop();
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(rounds).toEqual([[expect.objectContaining({ pid: 100, cpu: 20, rss: 120 })]]);
+  });
+});
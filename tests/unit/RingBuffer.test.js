@@ -0,0 +1,29 @@
+const RingBuffer = require('../../src/services/RingBuffer');
+
+describe('RingBuffer', () => {
+  it('should keep items in insertion order until full', () => {
+    const buffer = new RingBuffer(3);
+    buffer.push(1);
+    buffer.push(2);
+
+    expect(buffer.toArray()).toEqual([1, 2]);
+    expect(buffer.last()).toBe(2);
+  });
+
+  it('should overwrite the oldest items once full', () => {
+    const buffer = new RingBuffer(3);
+    [1, 2, 3, 4, 5].forEach(item => buffer.push(item));
+
+    expect(buffer.size).toBe(3);
+    expect(buffer.toArray()).toEqual([3, 4, 5]);
+    expect(buffer.toArray(2)).toEqual([4, 5]);
+    expect(buffer.last()).toBe(5);
+  });
+
+  it('should report nothing when empty', () => {
+    const buffer = new RingBuffer(3);
+
+    expect(buffer.toArray()).toEqual([]);
+    expect(buffer.last()).toBeUndefined();
+  });
+});
@@ -0,0 +1,214 @@
+const ServerLifecycleMonitor = require('../../src/services/ServerLifecycleMonitor');
+
+jest.mock('electron-log', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const createServer = (overrides = {}) => ({
+  pid: 1234,
+  name: 'Vite Dev Server',
+  type: 'react',
+  port: '5173',
+  command: 'node node_modules/.bin/vite',
+  path: '/home/dev/my-app',
+  ...overrides
+});
+
+describe('ServerLifecycleMonitor', () => {
+  let detector;
+  let monitor;
+  let events;
+
+  beforeEach(() => {
+    detector = { forceRefresh: jest.fn() };
+    monitor = new ServerLifecycleMonitor(detector, { interval: 1000 });
+    events = [];
+    monitor.on('lifecycle', event => events.push(event));
+  });
+
+  afterEach(() => {
+    monitor.stop();
+  });
+
+  it('should treat the first snapshot as a baseline', async () => {
+    detector.forceRefresh.mockResolvedValue([createServer()]);
+
+    await monitor.poll();
+
+    expect(events).toEqual([]);
+    expect(monitor.getSnapshot()).toEqual([createServer()]);
+  });
+
+  it('should emit server-started and server-stopped', async () => {
+    const api = createServer({ pid: 2222, name: 'API', type: 'node', command: 'node server.js', port: '3000' });
+    detector.forceRefresh
+      .mockResolvedValueOnce([createServer()])
+      .mockResolvedValueOnce([api]);
+
+    await monitor.poll();
+    await monitor.poll();
+
+    expect(events.map(event => [event.type, event.server.pid])).toEqual([
+      ['server-stopped', 1234],
+      ['server-started', 2222]
+    ]);
+  });
+
+  it('should pair a stop and start of the same server as a restart', async () => {
+    detector.forceRefresh
+      .mockResolvedValueOnce([createServer()])
+      .mockResolvedValueOnce([createServer({ pid: 5678 })]);
+
+    await monitor.poll();
+    await monitor.poll();
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      type: 'server-restarted',
+      server: { pid: 5678 },
+      previousPid: 1234,
+      previousPort: '5173'
+    });
+  });
+
+  it('should emit port-changed when a running server moves port', async () => {
+    detector.forceRefresh
+      .mockResolvedValueOnce([createServer()])
+      .mockResolvedValueOnce([createServer({ port: '5174' })]);
+
+    await monitor.poll();
+    await monitor.poll();
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ type: 'port-changed', previousPort: '5173', server: { port: '5174' } });
+  });
+
+  it('should emit bindings-changed when a server gains a listener on the same primary port', () => {
+    const tcp4 = { port: '5173', protocol: 'TCP', address: '127.0.0.1', family: 'IPv4' };
+    const tcp6 = { port: '5173', protocol: 'tcp', address: '::1', family: 'IPv6' };
+    const hmr = { port: '24678', protocol: 'TCP', address: '127.0.0.1', family: 'IPv4' };
+
+    const events = monitor.diff(
+      [createServer({ bindings: [tcp4] })],
+      [createServer({ bindings: [tcp4, tcp6, hmr] })]
+    );
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      type: 'bindings-changed',
+      server: { port: '5173', bindings: [tcp4, tcp6, hmr] },
+      previousBindings: [tcp4]
+    });
+  });
+
+  it('should ignore the order and protocol case of bindings', () => {
+    const tcp4 = { port: '5173', protocol: 'TCP', address: '127.0.0.1' };
+    const tcp6 = { port: '5173', protocol: 'TCP', address: '::1' };
+
+    expect(monitor.diff(
+      [createServer({ bindings: [tcp4, tcp6] })],
+      [createServer({ bindings: [{ ...tcp6, protocol: 'tcp' }, tcp4] })]
+    )).toEqual([]);
+  });
+
+  it('should report a moved primary port as port-changed only', () => {
+    const events = monitor.diff(
+      [createServer({ bindings: [{ port: '5173', protocol: 'TCP', address: '127.0.0.1' }] })],
+      [createServer({ port: '5174', bindings: [{ port: '5174', protocol: 'TCP', address: '127.0.0.1' }] })]
+    );
+
+    expect(events.map(event => event.type)).toEqual(['port-changed']);
+  });
+
+  it('should treat a reused PID with a different command as a new process', () => {
+    const events = monitor.diff(
+      [createServer()],
+      [createServer({ name: 'Flask', type: 'python', command: 'python app.py' })]
+    );
+
+    expect(events.map(event => event.type)).toEqual(['server-stopped', 'server-started']);
+  });
+
+  it('should emit each event on its own channel', async () => {
+    const started = jest.fn();
+    monitor.on('server-started', started);
+    detector.forceRefresh
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([createServer()]);
+
+    await monitor.poll();
+    await monitor.poll();
+
+    expect(started).toHaveBeenCalledWith(expect.objectContaining({ type: 'server-started', timestamp: expect.any(String) }));
+  });
+
+  it('should emit health-changed when an infrastructure ping flips', async () => {
+    const redis = health => createServer({ pid: 3333, name: 'Redis', type: 'infrastructure', command: 'redis-server *:6379', port: 6379, health });
+    detector.forceRefresh
+      .mockResolvedValueOnce([redis({ status: 'healthy', detail: 'PONG' })])
+      .mockResolvedValueOnce([redis({ status: 'healthy', detail: 'PONG' })])
+      .mockResolvedValueOnce([redis({ status: 'unhealthy', detail: 'Loading the dataset into memory' })]);
+
+    await monitor.poll();
+    await monitor.poll();
+    await monitor.poll();
+
+    expect(events).toEqual([
+      expect.objectContaining({
+        type: 'health-changed',
+        server: expect.objectContaining({ health: expect.objectContaining({ status: 'unhealthy' }) }),
+        previousHealth: expect.objectContaining({ status: 'healthy' })
+      })
+    ]);
+  });
+
+  it('should keep the previous snapshot when detection fails', async () => {
+    detector.forceRefresh
+      .mockResolvedValueOnce([createServer()])
+      .mockRejectedValueOnce(new Error('netstat failed'));
+
+    await monitor.poll();
+    expect(await monitor.poll()).toEqual([]);
+
+    expect(monitor.getSnapshot()).toEqual([createServer()]);
+  });
+
+  it('should follow a running poll with one more for everyone who asked meanwhile', async () => {
+    let finishFirst;
+    const api = createServer({ pid: 2222, name: 'API', type: 'node', command: 'node server.js', port: '3000' });
+    detector.forceRefresh
+      .mockReturnValueOnce(new Promise(resolve => { finishFirst = resolve; }))
+      .mockResolvedValueOnce([createServer(), api]);
+
+    const first = monitor.poll();
+    const second = monitor.poll();
+    const third = monitor.poll();
+    finishFirst([createServer()]);
+
+    expect(await first).toEqual([]);
+    expect((await second).map(event => [event.type, event.server.pid])).toEqual([['server-started', 2222]]);
+    expect(await third).toBe(await second);
+    expect(detector.forceRefresh).toHaveBeenCalledTimes(2);
+    expect(monitor.getSnapshot()).toEqual([createServer(), api]);
+  });
+
+  it('should poll on an interval until stopped', async () => {
+    jest.useFakeTimers();
+    detector.forceRefresh.mockResolvedValue([]);
+
+    await monitor.start();
+    expect(detector.forceRefresh).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(detector.forceRefresh).toHaveBeenCalledTimes(3);
+
+    monitor.stop();
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(detector.forceRefresh).toHaveBeenCalledTimes(3);
+
+    jest.useRealTimers();
+  });
+});
@@ -0,0 +1,121 @@
+const ServerListFilter = require('../../src/components/ServerListFilter');
+
+describe('ServerListFilter', () => {
+  const servers = [
+    {
+      pid: 1, name: 'Vite Dev Server', type: 'react', category: 'Frontend Frameworks', tags: ['react', 'vite'],
+      port: 5173, command: 'node node_modules/vite/bin/vite.js', cwd: '/work/shop/web', startTime: '2026-10-19T08:00:00Z', priority: 5
+    },
+    {
+      pid: 2, name: 'Express API', type: 'node', category: 'Backend Services', tags: ['node', 'express'],
+      port: 3000, command: 'node server.js', cwd: '/work/shop/api', startTime: '2026-10-19T09:00:00Z', priority: 2,
+      bindings: [{ port: 3000 }, { port: 9229 }]
+    },
+    {
+      pid: 3, name: 'Django', type: 'python', category: 'Backend Services', tags: ['python', 'django-default'],
+      port: 8000, command: 'python manage.py runserver', cwd: null, startTime: null, priority: 2
+    },
+    {
+      pid: 4, name: 'PostgreSQL', type: 'infrastructure', category: 'Databases', tags: [],
+      port: 'Unknown', command: 'postgres -D /var/lib/postgres', project: { root: '/work/shop' }, startTime: '2026-10-19T07:00:00Z'
+    }
+  ];
+
+  const view = (overrides = {}) => ServerListFilter.normalizeView(overrides);
+  const pids = list => list.map(server => server.pid);
+
+  describe('search', () => {
+    it.each([
+      ['vite', [1]],
+      ['EXPRESS', [2]],
+      ['8000', [3]],
+      ['9229', [2]],
+      ['manage.py', [3]],
+      ['/work/shop', [1, 2, 4]],
+      ['shop node', [1, 2]],
+      ['  ', [1, 2, 3, 4]],
+      ['nothing-like-this', []]
+    ])('should match "%s" against name, port, command and directory', (search, expected) => {
+      expect(pids(ServerListFilter.apply(servers, view({ search })))).toEqual(expected);
+    });
+  });
+
+  describe('filters', () => {
+    it('should match any chip of a group', () => {
+      expect(pids(ServerListFilter.apply(servers, view({ filters: { types: ['react', 'python'] } })))).toEqual([1, 3]);
+    });
+
+    it('should require every group with a selection', () => {
+      const filtered = ServerListFilter.apply(servers, view({ filters: { categories: ['Backend Services'], tags: ['express'] } }));
+
+      expect(pids(filtered)).toEqual([2]);
+    });
+
+    it('should combine search and filters', () => {
+      expect(pids(ServerListFilter.apply(servers, view({ search: 'node', filters: { types: ['react'] } })))).toEqual([1]);
+    });
+
+    it('should offer every value with its count, keeping selected values that are gone', () => {
+      const options = ServerListFilter.getFilterOptions(servers, { types: ['go'] });
+
+      expect(options.categories).toEqual([
+        { value: 'Backend Services', count: 2, selected: false },
+        { value: 'Databases', count: 1, selected: false },
+        { value: 'Frontend Frameworks', count: 1, selected: false }
+      ]);
+      expect(options.types).toContainEqual({ value: 'go', count: 0, selected: true });
+      expect(options.tags.map(option => option.value)).toContain('django-default');
+    });
+  });
+
+  describe('sort', () => {
+    it('should keep detection order by default', () => {
+      expect(pids(ServerListFilter.apply(servers, view()))).toEqual([1, 2, 3, 4]);
+    });
+
+    it('should sort by port, with unknown ports last in both directions', () => {
+      expect(pids(ServerListFilter.apply(servers, view({ sort: { field: 'port', direction: 'asc' } })))).toEqual([2, 1, 3, 4]);
+      expect(pids(ServerListFilter.apply(servers, view({ sort: { field: 'port', direction: 'desc' } })))).toEqual([3, 1, 2, 4]);
+    });
+
+    it('should sort by start time, newest first by default', () => {
+      expect(pids(ServerListFilter.apply(servers, view({ sort: { field: 'startTime' } })))).toEqual([2, 1, 4, 3]);
+    });
+
+    it('should sort by priority and keep detection order for ties', () => {
+      expect(pids(ServerListFilter.apply(servers, view({ sort: { field: 'priority' } })))).toEqual([1, 2, 3, 4]);
+      expect(pids(ServerListFilter.apply(servers, view({ sort: { field: 'priority', direction: 'asc' } })))).toEqual([2, 3, 1, 4]);
+    });
+
+    it('should sort by memory from the given samples', () => {
+      const memory = { 1: 120, 2: 480, 4: 64 };
+      const sorted = ServerListFilter.apply(servers, view({ sort: { field: 'memory' } }), server => memory[server.pid] || null);
+
+      expect(pids(sorted)).toEqual([2, 1, 4, 3]);
+    });
+
+    it('should sort by name', () => {
+      expect(pids(ServerListFilter.apply(servers, view({ sort: { field: 'name' } })))).toEqual([3, 2, 4, 1]);
+    });
+  });
+
+  describe('normalizeView', () => {
+    it('should fill in defaults and use the field\'s own direction', () => {
+      expect(ServerListFilter.normalizeView({ sort: { field: 'memory' } })).toEqual({
+        search: '',
+        filters: { types: [], categories: [], tags: [] },
+        sort: { field: 'memory', direction: 'desc' }
+      });
+    });
+
+    it('should cap the search text', () => {
+      expect(ServerListFilter.normalizeView({ search: 'x'.repeat(500) }).search).toHaveLength(ServerListFilter.MAX_SEARCH_LENGTH);
+    });
+
+    it('should tell whether the view hides servers', () => {
+      expect(ServerListFilter.isFiltered(view({ sort: { field: 'port' } }))).toBe(false);
+      expect(ServerListFilter.isFiltered(view({ search: 'api' }))).toBe(true);
+      expect(ServerListFilter.isFiltered(view({ filters: { tags: ['vite'] } }))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,232 @@
+const EventEmitter = require('events');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ServerOutputCapture = require('../../src/services/ServerOutputCapture');
+
+jest.mock('electron-log', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+/**
+ * Create a fake spawned child; tests write its output into the spool files
+ */
+function createFakeChild(pid) {
+  const child = new EventEmitter();
+  child.pid = pid;
+  return child;
+}
+
+describe('ServerOutputCapture', () => {
+  let outputDir;
+  let capture;
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-output-'));
+    capture = new ServerOutputCapture(outputDir);
+  });
+
+  afterEach(() => {
+    capture.close();
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Launch a fake child the way startServer does
+   * @returns {Object} { child, write(stream, text) } where write appends like the server would
+   */
+  const launch = (pid, logKey = 'api', name = 'My API') => {
+    const files = capture.openOutputFiles(logKey);
+    const paths = { ...files.paths };
+    const child = createFakeChild(pid);
+    capture.attach(child, { logKey, name, files });
+    return { child, paths, write: (stream, text) => fs.appendFileSync(paths[stream], text) };
+  };
+
+  it('should derive a stable, file-safe log key from name, command and cwd', () => {
+    const key = capture.createLogKey('My API / dev', 'npm run dev', '/home/dev/api');
+
+    expect(key).toMatch(/^my-api-dev-[0-9a-f]{8}$/);
+    expect(capture.createLogKey('My API / dev', 'npm run dev', '/home/dev/api')).toBe(key);
+    expect(capture.createLogKey('My API / dev', 'npm start', '/home/dev/api')).not.toBe(key);
+  });
+
+  it('should split output into lines and hold back partial lines until completed', () => {
+    const outputs = [];
+    capture.on('output', payload => outputs.push(payload));
+
+    const { write } = launch(100);
+    write('stdout', 'ready on port 4000\r\nlisten');
+    capture.poll();
+    write('stderr', 'warning: deprecated\n');
+    capture.poll();
+    write('stdout', 'ing\n');
+    capture.poll();
+
+    const { lines } = capture.getOutput('api');
+    expect(lines.map(line => [line.stream, line.text])).toEqual([
+      ['system', '--- Started PID 100 ---'],
+      ['stdout', 'ready on port 4000'],
+      ['stderr', 'warning: deprecated'],
+      ['stdout', 'listening']
+    ]);
+    expect(outputs).toHaveLength(4);
+    expect(outputs[1]).toMatchObject({ logKey: 'api', name: 'My API', pid: 100 });
+  });
+
+  it('should read the rest, flush partial lines and record the exit when the process exits', () => {
+    const exits = [];
+    capture.on('exit', event => exits.push(event));
+
+    const { child, paths, write } = launch(100);
+    write('stderr', 'Error: EADDRINUSE');
+    child.emit('exit', 1, null);
+
+    const output = capture.getOutput('api');
+    expect(output.isRunning).toBe(false);
+    expect(output.lines.slice(-2).map(line => line.text)).toEqual([
+      'Error: EADDRINUSE',
+      '--- PID 100 exited with code 1 ---'
+    ]);
+    expect(exits).toEqual([{ logKey: 'api', pid: 100, code: 1, signal: null }]);
+    expect(fs.existsSync(paths.stdout) || fs.existsSync(paths.stderr)).toBe(false);
+  });
+
+  it('should keep only the most recent lines in memory and support limit and search', () => {
+    capture = new ServerOutputCapture(outputDir, { bufferLines: 5 });
+
+    launch(100).write('stdout', ['GET /a', 'GET /b', 'POST /c', 'GET /d', 'POST /e', 'GET /f'].join('\n') + '\n');
+    capture.poll();
+
+    expect(capture.getOutput('api').lines.map(line => line.text)).toEqual(['GET /b', 'POST /c', 'GET /d', 'POST /e', 'GET /f']);
+    expect(capture.getOutput('api', { limit: 2 }).lines.map(line => line.text)).toEqual(['POST /e', 'GET /f']);
+    expect(capture.getOutput('api', { search: 'post' }).lines.map(line => line.text)).toEqual(['POST /c', 'POST /e']);
+    expect(capture.getOutput('missing')).toBeNull();
+  });
+
+  it('should append to the per-server log file across restarts', () => {
+    const first = launch(100);
+    first.write('stdout', 'first run\n');
+    first.child.emit('exit', 0, null);
+
+    launch(200).write('stdout', 'second run\n');
+    capture.poll();
+
+    const contents = fs.readFileSync(path.join(outputDir, 'api.log'), 'utf8');
+    expect(contents).toMatch(/\[stdout\] first run\n/);
+    expect(contents).toMatch(/\[system\] --- Started PID 200 ---\n/);
+    expect(contents).toMatch(/\[stdout\] second run\n$/);
+    expect(capture.getLogKeyForPid(100)).toBe('api');
+    expect(capture.getLogKeyForPid(200)).toBe('api');
+    expect(capture.getOutput('api').isRunning).toBe(true);
+  });
+
+  it('should rotate log files once they exceed the size limit', () => {
+    capture = new ServerOutputCapture(outputDir, { maxFileSize: 200, maxFiles: 2 });
+    const { write } = launch(100);
+
+    for (let index = 0; index < 12; index++) {
+      write('stdout', `${'x'.repeat(60)} ${index}\n`);
+      capture.poll();
+    }
+
+    const files = fs.readdirSync(outputDir).filter(file => file.endsWith('.log')).sort();
+    expect(files).toEqual(['api.1.log', 'api.2.log', 'api.log']);
+    const recent = ['api.1.log', 'api.log'].map(file => fs.readFileSync(path.join(outputDir, file), 'utf8')).join('');
+    expect(recent).toMatch(/x 11\n$/);
+    expect(recent).not.toMatch(/Started PID 100/);
+  });
+
+  it('should empty a spool once it is read past the size limit and keep reading from its start', () => {
+    capture = new ServerOutputCapture(outputDir, { maxFileSize: 100 });
+    const { paths, write } = launch(100);
+
+    write('stdout', `${'a'.repeat(120)}\n`);
+    capture.poll();
+    expect(fs.statSync(paths.stdout).size).toBe(0);
+
+    write('stdout', 'after truncation\n');
+    capture.poll();
+    expect(capture.getOutput('api').lines.map(line => line.text).slice(-1)).toEqual(['after truncation']);
+  });
+
+  it('should tail the spools of a server still running after an app restart', () => {
+    const exits = [];
+    const { paths, write } = launch(process.pid);
+    write('stdout', 'before quit\n');
+    capture.close();
+
+    expect(fs.statSync(paths.stdout).size).toBe(0);
+    write('stdout', 'while the app was closed\n');
+
+    capture = new ServerOutputCapture(outputDir);
+    capture.on('exit', event => exits.push(event));
+    capture.poll();
+
+    expect(capture.getLogKeyForPid(process.pid)).toBe('api');
+    expect(capture.getOutput('api')).toMatchObject({ name: 'My API', isRunning: true });
+    expect(capture.getOutput('api').lines.map(line => line.text)).toEqual([
+      `--- Reattached to PID ${process.pid} ---`,
+      'while the app was closed'
+    ]);
+    expect(fs.readFileSync(path.join(outputDir, 'api.log'), 'utf8')).toMatch(/before quit\n[^]*while the app was closed\n$/);
+
+    // There is no child to report the exit, poll notices it is gone
+    capture.isProcessAlive = () => false;
+    write('stderr', 'shutting down\n');
+    capture.poll();
+
+    expect(capture.getOutput('api').lines.slice(-2).map(line => line.text)).toEqual([
+      'shutting down',
+      `--- PID ${process.pid} exited ---`
+    ]);
+    expect(exits).toEqual([{ logKey: 'api', pid: process.pid, code: null, signal: null }]);
+    expect(fs.readdirSync(outputDir)).toEqual(['api.log']);
+  });
+
+  it('should delete the spools of servers that exited while the app was closed', () => {
+    const { pid: exitedPid } = spawnSync(process.execPath, ['-e', '']);
+    launch(exitedPid).write('stdout', 'never read\n');
+    capture.close();
+    fs.writeFileSync(path.join(outputDir, 'old.1700000000000-abcdef.stdout.spool'), 'no launch file\n');
+
+    capture = new ServerOutputCapture(outputDir);
+
+    expect(capture.getOutput('api')).toBeNull();
+    expect(fs.readdirSync(outputDir)).toEqual(['api.log']);
+  });
+
+  it('should not capture children that failed to spawn or launches without spool files', () => {
+    const files = capture.openOutputFiles('api');
+    const paths = { ...files.paths };
+
+    expect(capture.attach(createFakeChild(undefined), { logKey: 'api', name: 'My API', files })).toBeNull();
+    expect(fs.existsSync(paths.stdout)).toBe(false);
+    expect(capture.attach(createFakeChild(100), { logKey: 'api', name: 'My API', files: null })).toBeNull();
+    expect(capture.getLogKeyForPid(100)).toBeNull();
+  });
+
+  it('should give a launched server files, not pipes, so it survives the app', async () => {
+    const TerminationStrategies = require('../../src/services/TerminationStrategies');
+    const exited = new Promise(resolve => capture.on('exit', resolve));
+
+    const result = await new TerminationStrategies().startServer(
+      `"${process.execPath}" -e "console.log('hello from the server'); console.error('warn'); setTimeout(() => {}, 1500)"`,
+      outputDir,
+      { outputCapture: capture },
+      { name: 'Spool test' }
+    );
+    await exited;
+
+    expect(result).toMatchObject({ success: true, logKey: expect.stringMatching(/^spool-test-/) });
+    expect(capture.getOutput(result.logKey).lines.map(line => [line.stream, line.text])).toEqual(expect.arrayContaining([
+      ['stdout', 'hello from the server'],
+      ['stderr', 'warn']
+    ]));
+    expect(fs.readdirSync(outputDir).filter(file => file.endsWith('.spool') || file.endsWith('.launch.json'))).toEqual([]);
+  });
+});
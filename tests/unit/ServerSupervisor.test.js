@@ -0,0 +1,65 @@
+const ServerSupervisor = require('../../src/services/ServerSupervisor');
+
+jest.mock('electron-log', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('ServerSupervisor', () => {
+  let processUtils;
+  let supervisor;
+
+  const profile = { id: 'api', name: 'My API', expectedPort: 4000 };
+
+  beforeEach(() => {
+    processUtils = {
+      verifyProcessExists: jest.fn().mockResolvedValue(true),
+      getDescendants: jest.fn().mockResolvedValue([])
+    };
+    supervisor = new ServerSupervisor(processUtils);
+  });
+
+  it('should mark servers spawned under a launched shell as managed', async () => {
+    supervisor.track(100, profile);
+    processUtils.getDescendants.mockResolvedValue([{ pid: 101 }, { pid: 102 }]);
+
+    const servers = await supervisor.annotateServers([
+      { pid: 102, name: 'node', port: '4000' },
+      { pid: 555, name: 'vite', port: '5173' }
+    ]);
+
+    expect(servers[0]).toMatchObject({ managed: true, profileId: 'api', profileName: 'My API' });
+    expect(servers[1]).toMatchObject({ managed: false });
+    expect(servers[1].profileId).toBeUndefined();
+    expect(supervisor.isManaged(102)).toBe(true);
+  });
+
+  it('should fall back to the expected port when the server left the launcher tree', async () => {
+    supervisor.track(100, profile);
+
+    const [server] = await supervisor.annotateServers([{ pid: 900, name: 'node', port: 4000 }]);
+
+    expect(server.managed).toBe(true);
+  });
+
+  it('should forget launched processes that have exited', async () => {
+    supervisor.track(100, profile);
+    processUtils.verifyProcessExists.mockResolvedValue(false);
+
+    const [server] = await supervisor.annotateServers([{ pid: 900, port: 4000 }]);
+
+    expect(server.managed).toBe(false);
+    expect(supervisor.getRunningProfileIds()).toEqual([]);
+  });
+
+  it('should release a record by any PID it owns', async () => {
+    supervisor.track(100, profile);
+    processUtils.getDescendants.mockResolvedValue([{ pid: 101 }]);
+    await supervisor.refresh();
+
+    expect(supervisor.release(101)).toMatchObject({ pid: 100, profileId: 'api' });
+    expect(supervisor.getRecords()).toEqual([]);
+  });
+});
@@ -0,0 +1,165 @@
+const TerminationStrategies = require('../../src/services/TerminationStrategies');
+
+jest.mock('electron-log', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('TerminationStrategies', () => {
+  describe('failure codes', () => {
+    let strategies;
+    let platform;
+    let dependencies;
+
+    beforeEach(() => {
+      strategies = new TerminationStrategies();
+      strategies.sleep = jest.fn().mockResolvedValue();
+      platform = { platform: 'linux', kill: jest.fn() };
+
+      const ProcessUtilities = require('../../src/services/ProcessUtilities');
+      const processUtils = new ProcessUtilities(platform);
+      processUtils.verifyProcessExists = jest.fn().mockResolvedValue(true);
+      processUtils.getProcessInfo = jest.fn().mockResolvedValue('node server.js');
+
+      dependencies = {
+        processUtils,
+        mainProcessCheck: { isMainProcess: jest.fn().mockResolvedValue(false) }
+      };
+    });
+
+    test('should report a process the OS will not let us stop as PERMISSION_DENIED', async () => {
+      platform.kill.mockRejectedValue(Object.assign(new Error('kill EPERM'), { code: 'EPERM' }));
+
+      const result = await strategies.stopServer(4242, dependencies);
+
+      expect(result).toMatchObject({ success: false, code: 'PERMISSION_DENIED' });
+      expect(platform.kill).toHaveBeenCalledTimes(3);
+    });
+
+    test('should report a process that ignores every signal as OPERATION_FAILED', async () => {
+      platform.kill.mockResolvedValue();
+
+      expect(await strategies.stopServer(4242, dependencies)).toMatchObject({ success: false, code: 'OPERATION_FAILED' });
+    });
+
+    test('should report missing processes, bad PIDs and the app itself by code', async () => {
+      dependencies.processUtils.verifyProcessExists.mockResolvedValue(false);
+      expect(await strategies.stopServer(4242, dependencies)).toMatchObject({ success: false, code: 'NOT_FOUND' });
+
+      expect(await strategies.stopServer(-1, dependencies)).toMatchObject({ success: false, code: 'INVALID_REQUEST' });
+
+      dependencies.mainProcessCheck.isMainProcess.mockResolvedValue(true);
+      expect(await strategies.stopServer(4242, dependencies)).toMatchObject({ success: false, code: 'PROTECTED' });
+      expect(platform.kill).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('stopServer in tree mode', () => {
+    const tree = {
+      pid: 100,
+      name: 'node',
+      children: [
+        { pid: 200, name: 'sh', children: [{ pid: 300, name: 'node', children: [] }] },
+        { pid: 201, name: 'esbuild', children: [] }
+      ]
+    };
+
+    let strategies;
+    let running;
+    let platform;
+    let dependencies;
+    let stopRoot;
+
+    beforeEach(() => {
+      strategies = new TerminationStrategies();
+      strategies.sleep = jest.fn().mockResolvedValue();
+      running = new Set([100, 200, 201, 300]);
+
+      platform = {
+        kill: jest.fn(async pid => {
+          running.delete(pid);
+        })
+      };
+
+      const ProcessUtilities = require('../../src/services/ProcessUtilities');
+      const processUtils = new ProcessUtilities(platform);
+      processUtils.getProcessTree = jest.fn().mockResolvedValue(tree);
+      processUtils.verifyProcessExists = jest.fn(async pid => running.has(pid));
+      processUtils.isSystemProcess = jest.fn().mockResolvedValue(false);
+
+      dependencies = {
+        processUtils,
+        mainProcessCheck: { isMainProcess: jest.fn().mockResolvedValue(false) }
+      };
+
+      // The root itself is stopped by the regular strategies
+      stopRoot = jest.fn(async pid => {
+        running.delete(pid);
+        return { success: true, message: `Server with PID ${pid} stopped`, method: 'graceful' };
+      });
+      const stopServer = strategies.stopServer.bind(strategies);
+      strategies.stopServer = jest.fn((pid, deps, options = {}) => (options.tree ? stopServer(pid, deps, options) : stopRoot(pid)));
+    });
+
+    test('should stop the children that outlive the root', async () => {
+      // The shell exits with its parent, the others are orphaned
+      stopRoot.mockImplementation(async pid => {
+        running.delete(pid);
+        running.delete(200);
+        return { success: true };
+      });
+
+      const result = await strategies.stopServer(100, dependencies, { tree: true });
+
+      expect(result.success).toBe(true);
+      expect(result.tree).toBe(true);
+      expect(platform.kill).toHaveBeenCalledTimes(2);
+      expect(platform.kill).toHaveBeenNthCalledWith(1, 300, { force: false });
+      expect(platform.kill).toHaveBeenNthCalledWith(2, 201, { force: false });
+      expect(result.stopped.map(child => child.pid)).toEqual([300, 200, 201]);
+      expect(result.survivors).toEqual([]);
+    });
+
+    test('should force kill children that ignore the graceful request and report survivors', async () => {
+      platform.kill.mockImplementation(async (pid, { force }) => {
+        if (pid === 201 && force) running.delete(pid);
+        if (pid === 300) {
+          const error = new Error('kill EPERM');
+          error.code = 'EPERM';
+          throw error;
+        }
+      });
+
+      const result = await strategies.stopServer(100, dependencies, { tree: true });
+
+      expect(platform.kill).toHaveBeenCalledWith(201, { force: true });
+      expect(result.success).toBe(true);
+      expect(result.stopped.map(child => child.pid)).toEqual([201]);
+      expect(result.survivors).toEqual([
+        { pid: 300, name: 'node', error: 'Permission denied' },
+        { pid: 200, name: 'sh', error: 'Still running' }
+      ]);
+      expect(result.message).toContain('2 survived');
+    });
+
+    test('should never signal protected descendants', async () => {
+      dependencies.processUtils.isSystemProcess.mockImplementation(async pid => pid === 201);
+
+      const result = await strategies.stopServer(100, dependencies, { tree: true });
+
+      expect(platform.kill).not.toHaveBeenCalledWith(201, expect.anything());
+      expect(result.stopped.map(child => child.pid)).toEqual([300, 200]);
+    });
+
+    test('should leave the children alone when the root cannot be stopped', async () => {
+      stopRoot.mockResolvedValue({ success: false, error: 'Access denied' });
+
+      const result = await strategies.stopServer(100, dependencies, { tree: true });
+
+      expect(result).toMatchObject({ success: false, error: 'Access denied', tree: true, stopped: [], survivors: [] });
+      expect(platform.kill).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -196,7 +196,7 @@ describe('TrayMenu', () => {
       
       await trayMenu.stopServer(mockServer.pid);
       
-      expect(mockServerManager.stopServer).toHaveBeenCalledWith(mockServer.pid);
+      expect(mockServerManager.stopServer).toHaveBeenCalledWith(mockServer.pid, { trigger: 'tray' });
     });
 
     it('should handle server stop errors gracefully', async () => {
@@ -250,6 +250,62 @@ describe('TrayMenu', () => {
     });
   });
 
+  describe('lifecycle events', () => {
+    const server = { pid: 1234, name: 'Vite Dev Server', port: '5173', type: 'react' };
+
+    beforeEach(() => {
+      trayMenu = new TrayMenu(mockMainWindow, mockServerManager);
+      trayMenu.init();
+    });
+
+    it('should add and remove servers incrementally', () => {
+      trayMenu.applyLifecycleEvent({ type: 'server-started', server });
+      expect(trayMenu.servers).toEqual([server]);
+
+      trayMenu.applyLifecycleEvent({ type: 'server-stopped', server });
+      expect(trayMenu.servers).toEqual([]);
+    });
+
+    it('should replace the previous process on restart', () => {
+      trayMenu.setServers([server]);
+
+      const restarted = { ...server, pid: 5678 };
+      trayMenu.applyLifecycleEvent({ type: 'server-restarted', server: restarted, previousPid: 1234 });
+
+      expect(trayMenu.servers).toEqual([restarted]);
+    });
+
+    it('should list recent transitions in the menu', () => {
+      trayMenu.setServers([server]);
+      trayMenu.applyLifecycleEvent({ type: 'port-changed', server: { ...server, port: '5174' }, previousPort: '5173' });
+
+      const labels = trayMenu.buildMenuTemplate().map(item => item.label);
+
+      expect(trayMenu.servers[0].port).toBe('5174');
+      expect(labels).toContain('Recent Activity');
+      expect(labels).toContain('Port changed: Vite Dev Server (5173 → 5174)');
+    });
+
+    it('should update changed bindings without listing them as recent activity', () => {
+      trayMenu.setServers([server]);
+      const bindings = [{ port: '5173', protocol: 'TCP', address: '::1', family: 'IPv6' }];
+
+      trayMenu.applyLifecycleEvent({ type: 'bindings-changed', server: { ...server, bindings }, previousBindings: [] });
+
+      expect(trayMenu.servers[0].bindings).toEqual(bindings);
+      expect(trayMenu.recentEvents).toEqual([]);
+    });
+
+    it('should keep only the five most recent transitions', () => {
+      for (let pid = 1; pid <= 7; pid++) {
+        trayMenu.applyLifecycleEvent({ type: 'server-started', server: { ...server, pid } });
+      }
+
+      expect(trayMenu.recentEvents).toHaveLength(5);
+      expect(trayMenu.recentEvents[0].server.pid).toBe(7);
+    });
+  });
+
   describe('setters', () => {
     it('should set main window', () => {
       trayMenu = new TrayMenu(null, mockServerManager);
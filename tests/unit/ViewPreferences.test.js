@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const ViewPreferences = require('../../src/services/ViewPreferences');
+const { useStorageDir } = require('../helpers/storeFixtures');
+
+jest.mock('electron-log', () => require('../helpers/storeFixtures').createLogMock());
+
+describe('ViewPreferences', () => {
+  const storage = useStorageDir('view-preferences-');
+  let preferences;
+
+  beforeEach(() => {
+    preferences = new ViewPreferences(storage.userDataDir);
+  });
+
+  it('should start with the default view', async () => {
+    expect(await preferences.getServerListView()).toEqual({
+      search: '',
+      filters: { types: [], categories: [], tags: [] },
+      sort: { field: 'detected', direction: 'asc' }
+    });
+  });
+
+  it('should persist the server list view between sessions', async () => {
+    const view = {
+      search: 'vite 5173',
+      filters: { types: ['react'], categories: [], tags: ['vite', 'nextjs'] },
+      sort: { field: 'memory', direction: 'desc' }
+    };
+
+    const result = await preferences.saveServerListView(view);
+    const reloaded = new ViewPreferences(storage.userDataDir);
+
+    expect(result).toEqual({ success: true, view });
+    expect(await reloaded.getServerListView()).toEqual(view);
+  });
+
+  it('should drop unknown fields, sort fields and duplicate chips', async () => {
+    const result = await preferences.saveServerListView({
+      search: 'api',
+      filters: { types: ['node', 'node', 42], owners: ['me'] },
+      sort: { field: 'color', direction: 'desc' },
+      extra: true
+    });
+
+    expect(result.view).toEqual({
+      search: 'api',
+      filters: { types: ['node'], categories: [], tags: [] },
+      sort: { field: 'detected', direction: 'asc' }
+    });
+  });
+
+  it('should fall back to the default view when the file is unreadable', async () => {
+    fs.mkdirSync(storage.userDataDir, { recursive: true });
+    fs.writeFileSync(path.join(storage.userDataDir, 'view-preferences.json'), '{ not json');
+
+    expect((await preferences.getServerListView()).sort).toEqual({ field: 'detected', direction: 'asc' });
+  });
+
+  it('should reject a missing view', async () => {
+    expect(await preferences.saveServerListView(null)).toEqual({ success: false, code: 'INVALID_REQUEST', error: 'View is required' });
+  });
+});
@@ -0,0 +1,191 @@
+const WindowsPlatformAdapter = require('../../src/services/platform/WindowsPlatformAdapter');
+const WindowsCommandParser = require('../../src/services/platform/WindowsCommandParser');
+const PlatformAdapter = require('../../src/services/platform/PlatformAdapter');
+const { createRecordedExec, readFixture } = require('../helpers/platformFixtures');
+
+jest.mock('electron-log', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const PROCESS_COLUMNS = 'CommandLine,CreationDate,Name,ParentProcessId,ProcessId';
+const RESOURCE_COLUMNS = 'KernelModeTime,PageFileUsage,UserModeTime,VirtualSize,WorkingSetSize';
+
+const RECORDINGS = {
+  'tasklist /fo csv /nh': 'tasklist.csv',
+  'netstat -ano': 'netstat.txt',
+  'ipconfig /all': 'ipconfig-all.txt',
+  'tasklist /fi "PID eq 12345" /fo csv /nh': 'tasklist-pid-12345.csv',
+  'tasklist /fi "PID eq 99999" /fo csv /nh': 'tasklist-pid-missing.txt',
+  [`wmic process where "ProcessId=12345" get ${PROCESS_COLUMNS} /format:csv`]: 'wmic-process-12345.csv',
+  [`wmic process where "ProcessId=99999" get ${PROCESS_COLUMNS} /format:csv`]: 'wmic-process-missing.csv',
+  [`wmic process where "ParentProcessId=12345" get ${PROCESS_COLUMNS} /format:csv`]: 'wmic-children-12345.csv',
+  [`wmic process where "ProcessId=12345" get ${RESOURCE_COLUMNS} /format:csv`]: 'wmic-resources-12345.csv',
+  'wmic process where "ProcessId=12345" get CommandLine /format:list': 'wmic-commandline-12345.txt',
+  'wmic process where "ProcessId=12345" get ExecutablePath /format:list': 'wmic-executablepath-12345.txt'
+};
+
+const VITE_COMMAND = '"C:\\Program Files\\nodejs\\node.exe" node_modules\\vite\\bin\\vite.js --port 3000 --define a=1,b=2';
+
+describe('WindowsPlatformAdapter', () => {
+  let execAsync;
+  let adapter;
+
+  beforeEach(() => {
+    execAsync = createRecordedExec(RECORDINGS);
+    adapter = new WindowsPlatformAdapter(execAsync);
+  });
+
+  it('should implement the PlatformAdapter contract', () => {
+    expect(adapter).toBeInstanceOf(PlatformAdapter);
+    expect(adapter.platform).toBe('win32');
+  });
+
+  describe('listProcesses', () => {
+    it('should parse recorded tasklist output', async () => {
+      const processes = await adapter.listProcesses();
+
+      expect(processes).toHaveLength(8);
+      expect(processes).toContainEqual({ pid: 12345, name: 'node.exe', command: 'node.exe' });
+      expect(processes).toContainEqual({ pid: 0, name: 'System Idle Process', command: 'System Idle Process' });
+    });
+
+    it('should return an empty list when the command fails', async () => {
+      adapter = new WindowsPlatformAdapter(createRecordedExec({}));
+
+      expect(await adapter.listProcesses()).toEqual([]);
+    });
+  });
+
+  describe('listListeners', () => {
+    it('should keep listening TCP sockets and bound UDP sockets of both families', async () => {
+      const listeners = await adapter.listListeners();
+
+      expect(listeners).toEqual([
+        { protocol: 'TCP', localAddress: '0.0.0.0:135', address: '0.0.0.0', port: 135, family: 'IPv4', state: 'LISTENING', pid: 1044 },
+        { protocol: 'TCP', localAddress: '0.0.0.0:3000', address: '0.0.0.0', port: 3000, family: 'IPv4', state: 'LISTENING', pid: 12345 },
+        { protocol: 'TCP', localAddress: '0.0.0.0:24678', address: '0.0.0.0', port: 24678, family: 'IPv4', state: 'LISTENING', pid: 12345 },
+        { protocol: 'TCP', localAddress: '127.0.0.1:8000', address: '127.0.0.1', port: 8000, family: 'IPv4', state: 'LISTENING', pid: 23456 },
+        { protocol: 'TCP', localAddress: '[::]:135', address: '::', port: 135, family: 'IPv6', state: 'LISTENING', pid: 1044 },
+        { protocol: 'TCP', localAddress: '[::]:5173', address: '::', port: 5173, family: 'IPv6', state: 'LISTENING', pid: 12345 },
+        { protocol: 'UDP', localAddress: '0.0.0.0:5353', address: '0.0.0.0', port: 5353, family: 'IPv4', state: 'LISTENING', pid: 12345 },
+        { protocol: 'UDP', localAddress: '127.0.0.1:1900', address: '127.0.0.1', port: 1900, family: 'IPv4', state: 'LISTENING', pid: 4020 },
+        { protocol: 'UDP', localAddress: '[::]:5353', address: '::', port: 5353, family: 'IPv6', state: 'LISTENING', pid: 12345 },
+        {
+          protocol: 'UDP',
+          localAddress: '[fe80::1c2b:3a4d:5e6f:7a8b%12]:1900',
+          address: 'fe80::1c2b:3a4d:5e6f:7a8b%12',
+          port: 1900,
+          family: 'IPv6',
+          state: 'LISTENING',
+          pid: 4020
+        }
+      ]);
+    });
+  });
+
+  describe('getProcess', () => {
+    it('should keep commas inside the command line column', async () => {
+      const processInfo = await adapter.getProcess(12345);
+
+      expect(processInfo).toEqual({
+        pid: 12345,
+        name: 'node.exe',
+        command: VITE_COMMAND,
+        parentPid: 9876,
+        startTime: new Date('2026-10-19T07:30:15.123Z')
+      });
+    });
+
+    it('should return null when wmic finds no instance', async () => {
+      expect(await adapter.getProcess(99999)).toBeNull();
+    });
+
+    it('should refuse to build a command from a non-numeric PID', async () => {
+      await expect(adapter.getProcess('1" or Name="x')).rejects.toThrow('Invalid PID');
+      expect(execAsync).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listChildProcesses', () => {
+    it('should return the direct children of a process', async () => {
+      const children = await adapter.listChildProcesses(12345);
+
+      expect(children.map(child => child.pid)).toEqual([12399, 12400]);
+      expect(children[0].parentPid).toBe(12345);
+      expect(children[1].command).toBe('\\??\\C:\\Windows\\system32\\conhost.exe 0x4');
+    });
+  });
+
+  describe('per-process probes', () => {
+    it('should read the command line and executable path from list output', async () => {
+      expect(await adapter.getCommandLine(12345)).toBe(VITE_COMMAND);
+      expect(await adapter.getExecutablePath(12345)).toBe('C:\\Program Files\\nodejs\\node.exe');
+    });
+
+    it('should report the working directory as unreadable', async () => {
+      expect(adapter.canReadCwd()).toBe(false);
+      expect(await adapter.getCwd(12345)).toBeNull();
+    });
+
+    it('should report memory in MB and CPU time in 100ns units', async () => {
+      const resources = await adapter.getResources(12345);
+
+      expect(resources.memoryUsage).toBeCloseTo(83.43, 2);
+      expect(resources.virtualSize).toBe(2101248);
+      expect(resources.swapUsage).toBe(50);
+      expect(resources.userTime).toBe(468750000);
+      expect(resources.kernelTime).toBe(15625000);
+    });
+
+    it('should report whether a process exists', async () => {
+      expect(await adapter.processExists(12345)).toBe(true);
+      expect(await adapter.processExists(99999)).toBe(false);
+    });
+  });
+
+  describe('kill', () => {
+    it('should target the PID with taskkill', async () => {
+      execAsync = jest.fn().mockResolvedValue({ stdout: '', stderr: '' });
+      adapter = new WindowsPlatformAdapter(execAsync);
+
+      await adapter.kill(12345);
+      await adapter.kill(12345, { force: true });
+
+      expect(execAsync.mock.calls).toEqual([
+        ['taskkill /PID 12345'],
+        ['taskkill /F /PID 12345']
+      ]);
+    });
+  });
+
+  describe('listNetworkInterfaces', () => {
+    it('should parse recorded ipconfig output', async () => {
+      const interfaces = await adapter.listNetworkInterfaces();
+      const ethernet = interfaces.find(item => item.name === 'Ethernet adapter Ethernet:');
+
+      expect(ethernet).toEqual({
+        name: 'Ethernet adapter Ethernet:',
+        ipv4: ['192.168.1.20'],
+        ipv6: ['fe80::1c2d:3e4f:5a6b:7c8d'],
+        mac: '3C:52:82:AA:BB:CC',
+        dns: ['192.168.1.1']
+      });
+    });
+  });
+});
+
+describe('WindowsCommandParser', () => {
+  const parser = new WindowsCommandParser();
+
+  it('should ignore the wmic error text when no instance matches', () => {
+    expect(parser.parseWmicCsv(readFixture('windows', 'wmic-process-missing.csv'))).toEqual([]);
+  });
+
+  it('should return null for malformed WMI dates', () => {
+    expect(parser.parseWmicDate('')).toBeNull();
+    expect(parser.parseWmicDate('not-a-date')).toBeNull();
+  });
+});
@@ -0,0 +1,55 @@
+const { findRequires, createBundle } = require('../../bundle-renderer');
+
+describe('bundle-renderer', () => {
+  describe('findRequires', () => {
+    it('should find relative requires in code', () => {
+      const source = `
+        const A = require('./a');
+        const { b } = require( "../b" );
+        module.exports = () => require('./lazy');
+      `;
+
+      expect(findRequires(source)).toEqual(['./a', '../b', './lazy']);
+    });
+
+    it('should skip requires in comments, strings and regular expressions', () => {
+      const source = `
+        // const fs = require('fs');
+        /**
+         * Example: const path = require('path');
+         */
+        const hint = 'call require("child_process") in the main process';
+        const other = "require('os')";
+        const pattern = /require\\('net'\\)/g;
+        const quotes = /['"]/;
+        const ratio = total / count / 2;
+        const A = require('./a');
+      `;
+
+      expect(findRequires(source)).toEqual(['./a']);
+    });
+
+    it('should skip template text but not code in substitutions', () => {
+      const source = [
+        'const text = `run require(\'electron\') ${flag ? html`<b>${require(\'./nested\')}</b>` : \'\'} done`;',
+        'const obj = { key: `${ { a: 1 }.a }` };',
+        'const B = require(\'./b\');'
+      ].join('\n');
+
+      expect(findRequires(source)).toEqual(['./nested', './b']);
+    });
+
+    it('should not treat other calls ending in require as requires', () => {
+      expect(findRequires('loader.require(\'x\'); myrequire(\'y\'); require(\'./z\');')).toEqual(['./z']);
+    });
+  });
+
+  it('should bundle the renderer from relative modules only', () => {
+    const bundle = createBundle();
+
+    expect(bundle).toContain('"renderer.js": {');
+    expect(bundle).toContain('"components/HtmlTemplate.js": {');
+    expect(bundle).toContain('"./HtmlTemplate":"components/HtmlTemplate.js"');
+    expect(bundle).not.toMatch(/dependencies: \{[^}]*"(fs|path|electron)"/);
+  });
+});
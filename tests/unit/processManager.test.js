@@ -78,6 +78,9 @@ describe('ProcessManager', () => {
     processManager.terminationStrategies = mockTerminationStrategies;
     processManager.processUtils = mockProcessUtilities;
     processManager.logging = mockProcessLogging;
+    processManager.readiness = {
+      waitForReady: jest.fn().mockResolvedValue({ ready: true, elapsed: 0 })
+    };
   });
 
   describe('constructor', () => {
@@ -113,6 +116,80 @@ describe('ProcessManager', () => {
       // TODO: Fix mocking for promisified exec
       expect(true).toBe(true);
     }, 5000);
+
+    describe('protection', () => {
+      beforeEach(() => {
+        mockProcessUtilities.getProcessInfo = jest.fn().mockResolvedValue('CommandLine=node server.js\nName=node.exe\n');
+        mockProcessUtilities.isSystemProcess = jest.fn().mockResolvedValue(false);
+        mockTerminationStrategies.stopServer.mockResolvedValue({ success: true });
+      });
+
+      it('should refuse system processes once the async check resolves', async () => {
+        mockProcessUtilities.isSystemProcess.mockResolvedValue(true);
+
+        const result = await processManager.stopServer(4);
+
+        expect(result).toMatchObject({ success: false, code: 'PROTECTED', isSystemProtected: true });
+        expect(mockTerminationStrategies.stopServer).not.toHaveBeenCalled();
+      });
+
+      it('should stop ordinary servers', async () => {
+        const result = await processManager.stopServer(1234);
+
+        expect(result.success).toBe(true);
+        expect(mockTerminationStrategies.stopServer).toHaveBeenCalledWith(1234, processManager.dependencies, { tree: undefined });
+      });
+
+      it('should ask for confirmation before stopping a protected server', async () => {
+        processManager.getServer = () => ({
+          pid: 1234,
+          name: 'Billing DB',
+          isProtected: true,
+          protectedBy: { source: 'list', id: 'e1', name: 'Billing DB' }
+        });
+
+        const refused = await processManager.stopServer(1234);
+        expect(refused).toMatchObject({ success: false, isProtected: true, requiresConfirmation: true });
+        expect(refused.error).toBe('"Billing DB" is on your protect list (Billing DB)');
+        expect(mockTerminationStrategies.stopServer).not.toHaveBeenCalled();
+
+        const confirmed = await processManager.stopServer(1234, { confirmed: true });
+        expect(confirmed.success).toBe(true);
+      });
+
+      it('should stop containers through Docker instead of killing a process', async () => {
+        processManager.docker = { stopContainer: jest.fn().mockResolvedValue({ success: true }) };
+        processManager.getServer = () => ({
+          pid: 4100,
+          name: 'shop-web-1',
+          type: 'docker',
+          container: { id: 'c0ffee', name: 'shop-web-1' }
+        });
+
+        const result = await processManager.stopServer(4100, { tree: true });
+
+        expect(result).toMatchObject({ success: true, message: 'Container shop-web-1 stopped' });
+        expect(processManager.docker.stopContainer).toHaveBeenCalledWith('c0ffee');
+        expect(mockTerminationStrategies.stopServer).not.toHaveBeenCalled();
+      });
+
+      it('should refuse to stop a Docker forwarder whose container is unknown', async () => {
+        processManager.getServer = () => ({ pid: 880, name: 'Docker Published Port', port: 8080, command: 'docker-proxy', dockerForwarder: true });
+
+        const result = await processManager.stopServer(880, { confirmed: true });
+
+        expect(result).toMatchObject({ success: false, isProtected: true });
+        expect(result.error).toMatch(/would break Docker/);
+        expect(mockTerminationStrategies.stopServer).not.toHaveBeenCalled();
+      });
+
+      it('should let the user confirm stopping a server that looks critical', async () => {
+        mockProcessUtilities.getProcessInfo.mockResolvedValue('CommandLine=node cluster-master.js --prod\nName=node.exe\n');
+
+        expect(await processManager.stopServer(1234)).toMatchObject({ success: false, requiresConfirmation: true });
+        expect((await processManager.stopServer(1234, { confirmed: true })).success).toBe(true);
+      });
+    });
   });
 
   describe('verifyProcessExists', () => {
@@ -313,4 +390,283 @@ describe('ProcessManager', () => {
       expect(mockProcessUtilities.getProcessResources).toHaveBeenCalledWith(9999);
     });
   });
-});
\ No newline at end of file
+
+  describe('startProfile', () => {
+    const profile = {
+      id: 'api',
+      name: 'My API',
+      command: 'npm run dev',
+      cwd: '/home/dev/my-api',
+      env: { PORT: '4000' },
+      expectedPort: 4000
+    };
+
+    beforeEach(() => {
+      processManager.profiles = {
+        getProfile: jest.fn().mockResolvedValue(profile)
+      };
+      processManager.supervisor = {
+        refresh: jest.fn(),
+        getRunningProfileIds: jest.fn(() => []),
+        track: jest.fn()
+      };
+    });
+
+    it('should launch the profile command with its environment and supervise it', async () => {
+      mockTerminationStrategies.startServer.mockResolvedValue({ success: true, newPid: 4321 });
+
+      const result = await processManager.startProfile('api', { trigger: 'tray' });
+
+      expect(mockTerminationStrategies.startServer).toHaveBeenCalledWith(
+        'npm run dev',
+        '/home/dev/my-api',
+        expect.any(Object),
+        { env: { PORT: '4000' }, name: 'My API' }
+      );
+      expect(processManager.supervisor.track).toHaveBeenCalledWith(4321, profile);
+      expect(mockProcessLogging.logServerOperation).toHaveBeenCalledWith(4321, 'start', true, expect.any(String), expect.objectContaining({
+        trigger: 'tray',
+        profileId: 'api',
+        newPid: 4321
+      }));
+      expect(result).toMatchObject({ success: true, newPid: 4321, profileId: 'api' });
+    });
+
+    it('should report a profile that never becomes ready together with its output', async () => {
+      mockTerminationStrategies.startServer.mockResolvedValue({ success: true, newPid: 4321, logKey: 'my-api-1a2b3c4d' });
+      processManager.readiness.waitForReady.mockResolvedValue({ ready: false, reason: 'Process exited with code 1 before it was ready' });
+      processManager.outputCapture = {
+        getOutput: jest.fn(() => ({ lines: [{ text: 'Error: listen EADDRINUSE :::4000' }] }))
+      };
+
+      const result = await processManager.startProfile('api');
+
+      expect(processManager.readiness.waitForReady).toHaveBeenCalledWith(
+        expect.objectContaining({ newPid: 4321 }),
+        expect.objectContaining({ type: 'auto', port: 4000 })
+      );
+      expect(result).toMatchObject({
+        success: false,
+        newPid: 4321,
+        code: 'OPERATION_FAILED',
+        error: 'Server did not become ready: Process exited with code 1 before it was ready',
+        output: ['Error: listen EADDRINUSE :::4000']
+      });
+      expect(processManager.supervisor.track).toHaveBeenCalledWith(4321, profile);
+      expect(mockProcessLogging.logServerOperation).toHaveBeenCalledWith(4321, 'start', false, result.error, expect.any(Object));
+    });
+
+    it('should refuse to start a profile that is already running', async () => {
+      processManager.supervisor.getRunningProfileIds.mockReturnValue(['api']);
+
+      const result = await processManager.startProfile('api');
+
+      expect(result).toEqual({ success: false, error: '"My API" is already running' });
+      expect(mockTerminationStrategies.startServer).not.toHaveBeenCalled();
+    });
+
+    it('should report unknown profiles', async () => {
+      processManager.profiles.getProfile.mockResolvedValue(null);
+
+      const result = await processManager.startProfile('missing');
+
+      expect(result).toEqual({ success: false, code: 'NOT_FOUND', error: 'Profile missing not found' });
+    });
+  });
+
+  describe('getServerOutput', () => {
+    beforeEach(() => {
+      processManager.supervisor = {
+        getRecord: jest.fn(pid => (pid === 4400 ? { pid: 4321 } : null))
+      };
+      processManager.outputCapture = {
+        getLogKeyForPid: jest.fn(pid => (pid === 4321 ? 'my-api-1a2b3c4d' : null)),
+        getOutput: jest.fn(() => ({ logKey: 'my-api-1a2b3c4d', lines: [{ text: 'ready' }] }))
+      };
+    });
+
+    it('should resolve a server spawned by a launcher shell to its captured output', async () => {
+      const result = await processManager.getServerOutput(4400, { limit: 100 });
+
+      expect(processManager.outputCapture.getOutput).toHaveBeenCalledWith('my-api-1a2b3c4d', { limit: 100 });
+      expect(result).toMatchObject({ success: true, lines: [{ text: 'ready' }] });
+    });
+
+    it('should explain that detected servers have no captured output', async () => {
+      const result = await processManager.getServerOutput(999);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch('started or restarted by Server Manager');
+    });
+  });
+
+  describe('restartServer', () => {
+    beforeEach(() => {
+      processManager.supervisor = {
+        getRecord: jest.fn(() => null),
+        release: jest.fn(),
+        track: jest.fn()
+      };
+      mockProcessUtilities.platform = {
+        listListeners: jest.fn().mockResolvedValue([{ pid: 1234, port: '5173' }])
+      };
+      mockProcessUtilities.getProcessInfo = jest.fn().mockResolvedValue('CommandLine=node server.js\nName=node\n');
+      mockProcessUtilities.isSystemProcess = jest.fn().mockResolvedValue(false);
+    });
+
+    it('should ask for confirmation before restarting a protected server', async () => {
+      mockTerminationStrategies.restartServer.mockResolvedValue({ success: true, newPid: 5678, name: 'node' });
+      processManager.getServer = () => ({
+        pid: 1234,
+        name: 'Billing API',
+        isProtected: true,
+        protectedBy: { source: 'list', id: 'e1', name: 'Billing API' }
+      });
+
+      const refused = await processManager.restartServer(1234, { trigger: 'tray' });
+
+      expect(refused).toMatchObject({ success: false, code: 'PROTECTED', requiresConfirmation: true });
+      expect(mockTerminationStrategies.restartServer).not.toHaveBeenCalled();
+      expect(mockProcessLogging.logServerOperation).toHaveBeenCalledWith(1234, 'restart', false, refused.error, expect.objectContaining({ trigger: 'tray' }));
+
+      expect(await processManager.restartServer(1234, { confirmed: true })).toMatchObject({ success: true, newPid: 5678 });
+    });
+
+    it('should never restart a system process, even when confirmed', async () => {
+      mockProcessUtilities.isSystemProcess.mockResolvedValue(true);
+
+      const result = await processManager.restartServer(1234, { confirmed: true });
+
+      expect(result).toMatchObject({ success: false, code: 'PROTECTED', isSystemProtected: true });
+      expect(mockTerminationStrategies.restartServer).not.toHaveBeenCalled();
+      expect(mockTerminationStrategies.stopServer).not.toHaveBeenCalled();
+    });
+
+    it('should restart containers through Docker', async () => {
+      processManager.docker = { restartContainer: jest.fn().mockResolvedValue({ success: true }) };
+      processManager.getServer = () => ({
+        pid: 4100,
+        name: 'shop-db-1',
+        type: 'infrastructure',
+        container: { id: 'c0ffee', name: 'shop-db-1' }
+      });
+
+      expect(await processManager.restartServer(4100)).toMatchObject({ success: false, requiresConfirmation: true });
+
+      const result = await processManager.restartServer(4100, { confirmed: true });
+      expect(result).toMatchObject({ success: true, message: 'Container shop-db-1 restarted' });
+      expect(processManager.docker.restartContainer).toHaveBeenCalledWith('c0ffee');
+      expect(mockTerminationStrategies.restartServer).not.toHaveBeenCalled();
+    });
+
+    it('should wait for a restarted server to listen on its previous port', async () => {
+      mockTerminationStrategies.restartServer.mockResolvedValue({ success: true, newPid: 5678, name: 'node' });
+
+      const result = await processManager.restartServer(1234);
+
+      expect(processManager.readiness.waitForReady).toHaveBeenCalledWith(
+        expect.objectContaining({ newPid: 5678 }),
+        { type: 'auto', port: 5173 }
+      );
+      expect(processManager.supervisor.track).toHaveBeenCalledWith(5678, { id: null, name: 'node', expectedPort: 5173 });
+      expect(result).toMatchObject({ success: true, newPid: 5678, ready: true });
+    });
+
+    it('should fail a restart that never becomes ready', async () => {
+      mockTerminationStrategies.restartServer.mockResolvedValue({ success: true, newPid: 5678, name: 'node', logKey: null });
+      processManager.readiness.waitForReady.mockResolvedValue({ ready: false, timedOut: true, reason: 'Timed out after 30s waiting for port 5173 to accept connections' });
+
+      const result = await processManager.restartServer(1234);
+
+      expect(result).toMatchObject({ success: false, code: 'TIMEOUT' });
+      expect(result.error).toBe('Server did not become ready: Timed out after 30s waiting for port 5173 to accept connections');
+      expect(mockProcessLogging.logServerOperation).toHaveBeenLastCalledWith(1234, 'restart', false, result.error, expect.objectContaining({ newPid: 5678 }));
+    });
+  });
+
+  describe('keep-alive', () => {
+    const profile = { id: 'api', name: 'My API', command: 'npm run dev', keepAlive: true };
+
+    beforeEach(() => {
+      processManager.profiles = {
+        getProfile: jest.fn().mockResolvedValue(profile)
+      };
+      processManager.supervisor = {
+        refresh: jest.fn(),
+        getRunningProfileIds: jest.fn(() => []),
+        getRecord: jest.fn(pid => (pid === 4400 ? { pid: 4321, profileId: 'api', profileName: 'My API' } : null)),
+        track: jest.fn(),
+        release: jest.fn()
+      };
+      mockProcessUtilities.getProcessInfo = jest.fn().mockResolvedValue('CommandLine=node server.js\nName=node.exe\n');
+      mockProcessUtilities.isSystemProcess = jest.fn().mockReturnValue(false);
+    });
+
+    afterEach(() => {
+      processManager.keepAlive.stop();
+    });
+
+    it('should watch servers started from keep-alive profiles', async () => {
+      mockTerminationStrategies.startServer.mockResolvedValue({ success: true, newPid: 4321 });
+
+      await processManager.startProfile('api');
+
+      expect(processManager.keepAlive.isActive('api')).toBe(true);
+    });
+
+    it('should journal a profile restart once, as a restart', async () => {
+      mockTerminationStrategies.stopServer.mockResolvedValue({ success: true });
+      mockTerminationStrategies.startServer.mockResolvedValue({ success: true, newPid: 4500 });
+
+      const result = await processManager.restartServer(4400, { trigger: 'tray' });
+
+      expect(result).toMatchObject({ success: true, newPid: 4500, profileId: 'api' });
+      expect(mockProcessLogging.logServerOperation).toHaveBeenCalledTimes(1);
+      expect(mockProcessLogging.logServerOperation).toHaveBeenCalledWith(4400, 'restart', true, expect.any(String), expect.objectContaining({
+        trigger: 'tray',
+        profileId: 'api',
+        newPid: 4500
+      }));
+    });
+
+    it('should not restart a keep-alive server the user stops', async () => {
+      processManager.keepAlive.activate(4321, profile);
+      mockTerminationStrategies.stopServer.mockResolvedValue({ success: true });
+
+      await processManager.stopServer(4400);
+
+      expect(processManager.keepAlive.isActive('api')).toBe(false);
+    });
+
+    it('should keep watching when stopping the server failed', async () => {
+      processManager.keepAlive.activate(4321, profile);
+      mockTerminationStrategies.stopServer.mockResolvedValue({ success: false, error: 'Access denied' });
+
+      await processManager.stopServer(4400);
+
+      expect(processManager.keepAlive.isActive('api')).toBe(true);
+    });
+
+    it('should record crashes in the operation history', () => {
+      mockProcessLogging.logServerCrash = jest.fn();
+      processManager.keepAlive.activate(4321, profile);
+
+      processManager.outputCapture.emit('exit', { pid: 4321, code: 1, signal: null });
+
+      expect(mockProcessLogging.logServerCrash).toHaveBeenCalledWith(4321, expect.objectContaining({
+        profileId: 'api',
+        attempt: 1,
+        gaveUp: false
+      }));
+    });
+
+    it('should not start a crashed profile again if it is already running', async () => {
+      processManager.supervisor.getRunningProfileIds.mockReturnValue(['api']);
+
+      const result = await processManager.restartCrashedProfile('api');
+
+      expect(result).toMatchObject({ success: true, alreadyRunning: true });
+      expect(mockTerminationStrategies.startServer).not.toHaveBeenCalled();
+    });
+  });
+});
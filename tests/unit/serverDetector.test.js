@@ -428,4 +428,103 @@ describe('ServerDetector', () => {
       expect(mockDetectionLogic.getProcessDetails).toHaveBeenCalledWith(9999);
     });
   });
-});
\ No newline at end of file
+
+  describe('listening bindings', () => {
+    const listener = (protocol, address, port, pid) => ({
+      protocol,
+      localAddress: address.includes(':') ? `[${address}]:${port}` : `${address}:${port}`,
+      address,
+      port,
+      family: address.includes(':') ? 'IPv6' : 'IPv4',
+      state: 'LISTENING',
+      pid
+    });
+
+    const vite = { pid: 4321, name: 'node', command: 'node node_modules/vite/bin/vite.js' };
+    const dnsMock = { pid: 5555, name: 'node', command: 'node dns-mock.js --port 5353' };
+    const connections = [
+      listener('TCP', '0.0.0.0', 24678, 4321),
+      listener('UDP', '0.0.0.0', 5353, 5555),
+      listener('TCP', '::', 5173, 4321),
+      listener('TCP', '127.0.0.1', 5173, 4321)
+    ];
+
+    let networkUtils;
+    let detectionLogic;
+
+    beforeEach(() => {
+      networkUtils = new NetworkUtilities({});
+      detectionLogic = new DetectionLogic(networkUtils, new ProcessClassifier());
+    });
+
+    it('should keep every binding of a process, primary TCP port first', () => {
+      const portToProcess = networkUtils.mapPortToProcess(connections, [vite, dnsMock]);
+
+      expect(portToProcess[24678].bindings).toEqual([
+        { port: 5173, protocol: 'TCP', address: '127.0.0.1', family: 'IPv4' },
+        { port: 5173, protocol: 'TCP', address: '::', family: 'IPv6' },
+        { port: 24678, protocol: 'TCP', address: '0.0.0.0', family: 'IPv4' }
+      ]);
+      expect(portToProcess[5353]).toMatchObject({ pid: 5555, protocol: 'UDP' });
+    });
+
+    it('should report a process on several ports as one server on its primary port', () => {
+      const portToProcess = networkUtils.mapPortToProcess(connections, [vite, dnsMock]);
+
+      const servers = detectionLogic.identifyDevelopmentServers([vite, dnsMock], portToProcess);
+      const viteServer = servers.find(server => server.pid === 4321);
+
+      expect(servers.filter(server => server.pid === 4321)).toHaveLength(1);
+      expect(viteServer.port).toBe(5173);
+      expect(viteServer.bindings.map(binding => binding.port)).toEqual([5173, 5173, 24678]);
+      expect(servers.find(server => server.pid === 5555)).toMatchObject({
+        port: 5353,
+        bindings: [{ port: 5353, protocol: 'UDP', address: '0.0.0.0', family: 'IPv4' }]
+      });
+    });
+  });
+
+  describe('tags and priority', () => {
+    const vite = { pid: 4321, name: 'node', command: 'node node_modules/vite/bin/vite.js', port: 5173 };
+    const django = { pid: 6543, name: 'python', command: 'python manage.py runserver 0.0.0.0:8000', port: 8000 };
+    const gateway = { pid: 7654, name: 'node', command: 'node gateway/index.js', port: 3000 };
+    const listener = ({ pid, port }) => ({
+      protocol: 'TCP', localAddress: `127.0.0.1:${port}`, address: '127.0.0.1', port, family: 'IPv4', state: 'LISTENING', pid
+    });
+
+    const detect = (options = {}) => {
+      const networkUtils = new NetworkUtilities({});
+      networkUtils.getRunningProcesses = jest.fn(async () => [vite, django, gateway]);
+      networkUtils.getNetworkConnections = jest.fn(async () => [vite, django, gateway].map(listener));
+
+      return new DetectionLogic(networkUtils, new ProcessClassifier(), options.frameworkDetector || null, options.ruleEngine || null).detectServers();
+    };
+
+    it('should tag and rank every detected server', async () => {
+      const servers = await detect();
+      const byPid = pid => servers.find(server => server.pid === pid);
+
+      expect(byPid(4321)).toMatchObject({ type: 'react', priority: 5 });
+      expect(byPid(4321).tags).toEqual(expect.arrayContaining(['react', 'vite']));
+      expect(byPid(6543)).toMatchObject({ type: 'python', tags: ['python', 'django-default'], priority: 3 });
+      expect(servers.every(server => Array.isArray(server.tags) && typeof server.priority === 'number')).toBe(true);
+    });
+
+    it('should keep tags and priority in step with frameworks and user rules', async () => {
+      const frameworkDetector = {
+        detect: jest.fn(async pid => (pid === 7654 ? {
+          id: 'express', name: 'Express', type: 'node', serverName: 'Express Server', confidence: 0.9, evidence: ['package.json']
+        } : null))
+      };
+      const rule = { id: 'rule-1', name: 'Gateway', action: { name: 'API Gateway', type: 'node', tags: ['team-a'], ignore: false, protect: false } };
+      const ruleEngine = { matchProcesses: jest.fn(async () => new Map([[7654, rule]])) };
+
+      const servers = await detect({ frameworkDetector, ruleEngine });
+      const gatewayServer = servers.find(server => server.pid === 7654);
+
+      expect(gatewayServer.name).toBe('API Gateway');
+      expect(gatewayServer.tags).toEqual(expect.arrayContaining(['express', 'team-a']));
+      expect(gatewayServer.priority).toBe(3);
+    });
+  });
+});